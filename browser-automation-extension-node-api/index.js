@@ -1,21 +1,43 @@
 // index.js
 
+const http = require("http");
+const crypto = require("crypto");
 const express = require("express");
 const bodyParser = require("body-parser");
-// const cors = require("cors");
+const cors = require("cors");
 const TaskQueue = require("./managers/TaskQueue");
 const TabManager = require("./managers/TabManager");
+const SocketManager = require("./managers/SocketManager");
+const TaskTracker = require("./managers/TaskTracker");
+const ClientRegistry = require("./managers/ClientRegistry");
+const CaptureStore = require("./managers/CaptureStore");
+const WorkflowRunner = require("./managers/WorkflowRunner");
+const NetworkRuleStore = require("./managers/NetworkRuleStore");
+const LogStore = require("./managers/LogStore");
+const EventStream = require("./managers/EventStream");
+const WebhookManager = require("./managers/WebhookManager");
+const AuthManager = require("./managers/AuthManager");
+const { createTabStore } = require("./managers/TabStore");
+const createAuthMiddleware = require("./middleware/auth");
+const { DOM_COMMANDS, validateDomCommandParams, getPageTime } = require("./utils/domCommands");
+const { validateExtractParams, normalizePagination, getExtractTime } = require("./utils/extractSchema");
+const { CAPTURE_COMMANDS, validateCaptureParams } = require("./utils/captureParams");
+const { NAVIGATION_COMMANDS, validateNavigationParams, getNavigationTime } = require("./utils/navigationParams");
+const { WINDOW_COMMANDS, validateWindowParams } = require("./utils/windowParams");
+const { TAB_COMMANDS, LOADING_TAB_COMMANDS, validateTabParams } = require("./utils/tabParams");
+const { STORAGE_COMMANDS, STORAGE_READ_COMMANDS, validateStorageParams } = require("./utils/storageParams");
+const { NETWORK_CAPTURE_COMMANDS, validateNetworkCaptureParams, validateNetworkRule } = require("./utils/networkParams");
+const { LOG_CAPTURE_COMMANDS, LOG_TYPES, LOG_LEVELS, validateLogFilter, validateLogCaptureParams } = require("./utils/logParams");
+const { validateWebhook } = require("./utils/webhookParams");
+const { BROWSER_EVENT_VERSION, validateBrowserEvent, validateSessionId } = require("./utils/browserEventSchema");
+const { validateWorkflow, collectCommandSteps } = require("./utils/workflowDefinition");
+const { createWorkflowError } = require("./utils/workflowTemplate");
 const winston = require("winston");
+const yaml = require("js-yaml");
 
 const app = express();
-app.use(bodyParser.json());
-
-// Setup CORS to allow requests from the extension
-// app.use(cors({
-//   origin: "chrome-extension://<your-extension-id>", // Replace with your actual extension ID
-//   methods: ["GET", "POST"],
-//   allowedHeaders: ["Content-Type"],
-// }));
+const server = http.createServer(app);
+app.use(bodyParser.json({ limit: "50mb" })); // Screenshots and PDFs are reported as base64
 
 // Setup Winston logger
 const logger = winston.createLogger({
@@ -30,275 +52,2951 @@ const logger = winston.createLogger({
   ],
 });
 
+const MAX_LOGGED_LENGTH = 2000;
+
+/**
+ * Serialize a value for the log, cutting off large payloads such as base64 captures.
+ * @param {*} value - The value to log.
+ * @returns {string} - The JSON text, truncated to MAX_LOGGED_LENGTH characters.
+ */
+function truncateForLog(value) {
+  const text = JSON.stringify(value) ?? "";
+  return text.length > MAX_LOGGED_LENGTH ? `${text.slice(0, MAX_LOGGED_LENGTH)}... (${text.length} chars)` : text;
+}
+
+// Requests whose bodies carry cookies, storage values, session bundles or pairing codes; server.log never gets them
+const REDACTED_BODY_PATHS = [/^\/cookies$/, /^\/tabs\/[^/]+\/storage$/, /^\/session\/import$/, /^\/auth\/pair$/];
+
+/**
+ * Whether a task's params and result hold cookies, storage values or session bundles, which are not logged.
+ * @param {Object} task - The task.
+ * @returns {boolean} - True for storage commands.
+ */
+function hasSecretPayload(task) {
+  return Boolean(task) && STORAGE_COMMANDS.includes(task.command);
+}
+
+/**
+ * Serialize a task for the log, leaving out the params of storage commands.
+ * @param {Object} task - The task.
+ * @returns {string} - The JSON text.
+ */
+function describeTaskForLog(task) {
+  return JSON.stringify(hasSecretPayload(task) ? { ...task, params: "[redacted]" } : task);
+}
+
+/**
+ * Whether a workflow definition runs a storage command in any of its steps, including the steps of loops.
+ * The body is checked before it is validated, so it may have any shape.
+ * @param {Object} definition - The request body of POST /workflows.
+ * @returns {boolean} - True if a step's params may hold cookies, storage values or session bundles.
+ */
+function hasSecretWorkflowSteps(definition) {
+  const hasSecretStep = (steps) => Array.isArray(steps) && steps.some((step) => Boolean(step) && (hasSecretPayload(step) || hasSecretStep(step.steps)));
+  return Boolean(definition) && hasSecretStep(definition.steps);
+}
+
 // Middleware to log each request
 app.use((req, res, next) => {
-  logger.info(`${req.method} ${req.url} - Body: ${JSON.stringify(req.body)}`);
+  const redacted = REDACTED_BODY_PATHS.some((pattern) => pattern.test(req.path)) || hasSecretPayload(req.body)
+    || (req.path === "/workflows" && hasSecretWorkflowSteps(req.body));
+  logger.info(`${req.method} ${req.url} - Body: ${redacted ? "[redacted]" : truncateForLog(req.body)}`);
   next();
 });
 
-const taskQueue = new TaskQueue();
-const tabManager = new TabManager(); // Loads or initializes openedTabs.json
+// API keys for external callers, pairing tokens (or a shared secret) for the extension
+const authManager = new AuthManager({ sharedSecret: process.env.EXTENSION_SHARED_SECRET });
+const allowedExtensionIds = (process.env.ALLOWED_EXTENSION_IDS || "").split(",").map((id) => id.trim()).filter(Boolean);
+const auth = createAuthMiddleware(authManager, { allowedExtensionIds, logger });
+
+if (allowedExtensionIds.length === 0) {
+  logger.warn("ALLOWED_EXTENSION_IDS is not set; requests from any chrome-extension:// origin are accepted.");
+}
+
+// Setup CORS to allow requests from the extension only
+app.use(cors({
+  origin: (origin, callback) => callback(null, auth.isAllowedOrigin(origin)),
+  methods: ["GET", "POST", "DELETE"],
+  allowedHeaders: ["Content-Type", "Authorization", "X-API-Key"],
+}));
+app.use(auth.checkOrigin);
+
+const taskQueue = new TaskQueue();
+// TAB_STORE=sqlite keeps tabs and their history in tabs.db (needs better-sqlite3) instead of JSON files
+const tabManager = new TabManager(createTabStore(process.env.TAB_STORE || "json", __dirname), {
+  historyRetentionDays: Number(process.env.TAB_HISTORY_RETENTION_DAYS) || undefined,
+  maxHistoryEntries: Number(process.env.TAB_HISTORY_MAX_ENTRIES) || undefined,
+});
+// Extension connects to ws://<host>/ws?token=<extension token>
+const socketManager = new SocketManager(server, logger, { authenticate: auth.authenticateSocket });
+const clientRegistry = new ClientRegistry(); // Extension instances (browser profiles or machines)
+
+// Extensions that do not send a clientId (older versions) are treated as one default client
+const { DEFAULT_CLIENT_ID } = ClientRegistry;
+
+// Scope an API key needs (besides tasks:write) to queue each command through /add-task
+const COMMAND_SCOPES = {
+  "open-tab": "tabs:control",
+  "close-tab": "tabs:control",
+  "switch-tab": "tabs:control",
+  navigate: "tabs:control",
+  ...Object.fromEntries(WINDOW_COMMANDS.map((command) => [command, "tabs:control"])),
+  ...Object.fromEntries(TAB_COMMANDS.map((command) => [command, "tabs:control"])),
+  "find-tab": "tabs:read",
+  "execute-js": "js:execute",
+  ...Object.fromEntries(DOM_COMMANDS.map((command) => [command, "dom:interact"])),
+  extract: "dom:interact",
+  screenshot: "tabs:capture",
+  pdf: "tabs:capture",
+  ...Object.fromEntries(STORAGE_COMMANDS.map((command) => [
+    command, STORAGE_READ_COMMANDS.includes(command) ? "storage:read" : "storage:write",
+  ])),
+  ...Object.fromEntries(NETWORK_CAPTURE_COMMANDS.map((command) => [command, "network:capture"])),
+  ...Object.fromEntries(LOG_CAPTURE_COMMANDS.map((command) => [command, "logs:read"])),
+};
+
+/**
+ * Resolve which client an extension request speaks for. A token paired to a client always wins
+ * over the clientId in the request; the shared secret lets the request name its own client.
+ * @param {Object} req - Express request authenticated with requireExtension.
+ * @returns {string} - The client identifier.
+ */
+function resolveClientId(req) {
+  return req.extension.clientId || req.body.clientId || req.query.clientId || DEFAULT_CLIENT_ID;
+}
+
+// Loading states of chrome.tabs.Tab.status
+const TAB_STATUSES = ["unloaded", "loading", "complete"];
+
+// Lifecycle record for every task queued through the API, loaded from tasks.json
+const taskTracker = new TaskTracker();
+
+// Screenshots, PDFs and HAR files requested with output "url", served by GET /captures/:id
+const captureStore = new CaptureStore();
+
+// Request blocking, header and mock rules, pushed to the extension with set-network-rules tasks
+const networkRuleStore = new NetworkRuleStore();
+
+// Console messages, exceptions and failed resource loads of subscribed tabs, kept in memory
+const logStore = new LogStore();
+const MAX_TASK_LOG_ENTRIES = 50; // Entries of the task's tab attached to a failed task
+
+// Tab, window and task events for GET /events subscribers, kept in memory
+const eventStream = new EventStream();
+
+// Webhook subscriptions; every event goes to the webhooks whose filters it passes
+const webhookManager = new WebhookManager(logger);
+
+// Default per-attempt timeouts; switch-tab should fail fast, full-page screenshots scroll through the page,
+// import-session loads a page per origin, page scripts can pass a longer timeoutMs
+const TASK_TIMEOUT = 30000; // 30 seconds
+const COMMAND_TIMEOUTS = { "switch-tab": 5000, screenshot: 60000, pdf: 60000, "import-session": 120000 };
+const MAX_TASK_TIMEOUT = 60 * 60 * 1000; // 1 hour
+const MAX_TASK_RETRIES = 10;
+const DEFAULT_RETRY_BACKOFF = 1000;
+const WORKFLOW_STEP_TIMEOUT_MARGIN = 30000; // Added to the time a workflow step's task may take before the step fails
+
+// Timers that fail (or retry) the current attempt of a task if it does not finish in time, keyed by taskId
+const taskTimeouts = new Map();
+
+/**
+ * Get the per-attempt timeout of a task. DOM commands, extract and navigations get at least the time they may
+ * spend in the page plus the default timeout, so a long wait-for-selector, a paginated extract or a slow page load
+ * is not cut short.
+ * @param {Object} task - The task object.
+ * @returns {number} - The timeout in milliseconds.
+ */
+function getTaskTimeout(task) {
+  if (task.timeoutMs) return task.timeoutMs;
+  if (DOM_COMMANDS.includes(task.command)) {
+    return getPageTime(task.command, task.params) + TASK_TIMEOUT;
+  }
+  if (task.command === "extract") {
+    return getExtractTime(task.params) + TASK_TIMEOUT;
+  }
+  if (NAVIGATION_COMMANDS.includes(task.command) || LOADING_TAB_COMMANDS.includes(task.command)) {
+    return getNavigationTime(task.params) + TASK_TIMEOUT;
+  }
+  return COMMAND_TIMEOUTS[task.command] || TASK_TIMEOUT;
+}
+
+/**
+ * Validate and normalize the scheduling options a caller can attach to a task.
+ * @param {Object} body - Request body with optional clientId, priority, timeoutMs, maxRetries, retryBackoffMs and notBefore.
+ * @returns {Object} - { error } if an option is invalid, else { options } containing only the given options.
+ */
+function parseTaskOptions(body) {
+  const { priority, timeoutMs, maxRetries, retryBackoffMs, notBefore, clientId } = body;
+  const options = {};
+
+  if (clientId !== undefined) {
+    if (typeof clientId !== "string" || clientId.length === 0) {
+      return { error: "Invalid 'clientId'. It should be a non-empty string." };
+    }
+    options.clientId = clientId;
+  }
+  if (priority !== undefined) {
+    if (!Number.isInteger(priority)) return { error: "Invalid 'priority'. It should be an integer." };
+    options.priority = priority;
+  }
+  if (timeoutMs !== undefined) {
+    if (!Number.isInteger(timeoutMs) || timeoutMs < 1 || timeoutMs > MAX_TASK_TIMEOUT) {
+      return { error: `Invalid 'timeoutMs'. It should be an integer between 1 and ${MAX_TASK_TIMEOUT}.` };
+    }
+    options.timeoutMs = timeoutMs;
+  }
+  if (maxRetries !== undefined) {
+    if (!Number.isInteger(maxRetries) || maxRetries < 0 || maxRetries > MAX_TASK_RETRIES) {
+      return { error: `Invalid 'maxRetries'. It should be an integer between 0 and ${MAX_TASK_RETRIES}.` };
+    }
+    options.maxRetries = maxRetries;
+  }
+  if (retryBackoffMs !== undefined) {
+    if (!Number.isInteger(retryBackoffMs) || retryBackoffMs < 0) {
+      return { error: "Invalid 'retryBackoffMs'. It should be a non-negative integer." };
+    }
+    options.retryBackoffMs = retryBackoffMs;
+  }
+  if (notBefore !== undefined) {
+    const time = typeof notBefore === "number" ? notBefore : Date.parse(notBefore);
+    if (!Number.isFinite(time)) {
+      return { error: "Invalid 'notBefore'. It should be an ISO date string or a timestamp in milliseconds." };
+    }
+    options.notBefore = new Date(time).toISOString();
+  }
+  return { options };
+}
+
+/**
+ * Generate a task ID that never collides with another task, prefixed with what the task is about.
+ * @param {...(string|number)} parts - The prefix, e.g. the command and its tab ID.
+ * @returns {string} - The task ID.
+ */
+function createTaskId(...parts) {
+  return [...parts, crypto.randomUUID()].join("-");
+}
+
+/**
+ * Queue a task for the extension and start tracking its lifecycle.
+ * @param {Object} task - The task object to queue, including any scheduling options.
+ * @returns {Object} - The task record.
+ */
+function enqueueTask(task) {
+  const record = taskTracker.createTask(task);
+  queueAttempt(task);
+  logger.info(`Added task: ${describeTaskForLog(task)}`);
+  return record;
+}
+
+/**
+ * Put a task in the queue for its next attempt and arm the attempt's timeout.
+ * Scheduled tasks only start their timeout once they become due.
+ * @param {Object} task - The task object to queue.
+ */
+function queueAttempt(task) {
+  const delay = task.notBefore ? Math.max(0, Date.parse(task.notBefore) - Date.now()) : 0;
+  const timeoutMs = getTaskTimeout(task);
+
+  clearTimeout(taskTimeouts.get(task.taskId));
+  taskTimeouts.set(task.taskId, setTimeout(() => {
+    failOrRetryTask(task.taskId, "timed-out", "Task timed out.");
+  }, delay + timeoutMs));
+
+  taskQueue.addTask(task);
+}
+
+/**
+ * End the current attempt of a task: requeue it with exponential backoff while it has retries left,
+ * otherwise mark it as failed or timed-out.
+ * @param {string} taskId - The unique identifier for the task.
+ * @param {string} status - "failed" or "timed-out".
+ * @param {string} errorMsg - The error that ended the attempt.
+ * @param {Object} errorInfo - Optional { errorCode, errorDetails } reported by the extension
+ *   (e.g. SELECTOR_NOT_FOUND, or the name, message and stack of a script error).
+ */
+function failOrRetryTask(taskId, status, errorMsg, { errorCode = null, errorDetails = null } = {}) {
+  const record = taskTracker.getTask(taskId);
+  if (!record || taskTracker.isFinished(record)) {
+    logger.info(`Ignoring ${status} for task ${taskId}: it is not pending.`);
+    return;
+  }
+
+  const { task } = record;
+  if (record.retries < (task.maxRetries || 0)) {
+    const backoff = (task.retryBackoffMs ?? DEFAULT_RETRY_BACKOFF) * 2 ** record.retries;
+    task.notBefore = new Date(Date.now() + backoff).toISOString();
+
+    // A timed-out attempt may still be waiting in the queue
+    taskQueue.removeTask(taskId);
+    taskTracker.retryTask(taskId, status, errorMsg, task.notBefore, { errorCode, errorDetails });
+    queueAttempt(task);
+    logger.warn(`Task ${taskId} ${status} (${errorMsg}); retry ${record.retries}/${task.maxRetries} in ${backoff}ms.`);
+    return;
+  }
+
+  taskTracker.updateStatus(taskId, status, { error: errorMsg, errorCode, errorDetails, logs: getTaskLogs(record) });
+}
+
+/**
+ * Get the log entries of a task's tab that arrived while its last attempt ran, to attach to the failed task.
+ * The extension sends a tab's pending entries before it reports an error, so they are already stored.
+ * @param {Object} record - The task record.
+ * @returns {Array|null} - The newest MAX_TASK_LOG_ENTRIES entries, or null if the tab has none (or no logs are captured).
+ */
+function getTaskLogs(record) {
+  const { task } = record;
+  if (!Number.isInteger(task.tabId)) return null;
+  const entries = logStore.getEntries(task.tabId, {
+    clientId: record.clientId || undefined,
+    receivedSince: record.dispatchedAt || record.createdAt,
+    limit: MAX_TASK_LOG_ENTRIES,
+  });
+  return entries.length > 0 ? entries : null;
+}
+
+/**
+ * Restore tasks that had not finished when the API stopped.
+ * Queued tasks go back into the queue. In-flight tasks get their timeout to receive a late report
+ * (the extension keeps retrying unacknowledged reports); without one they are retried if they
+ * have retries left, otherwise marked failed.
+ */
+function recoverTasks() {
+  const unfinished = taskTracker.getUnfinishedTasks();
+  unfinished.forEach((record) => {
+    const { task } = record;
+    if (record.payloadDropped) {
+      taskTracker.updateStatus(task.taskId, "failed", {
+        error: "Interrupted by API restart; the cookie, storage or session values of this task are not persisted.",
+      });
+      return;
+    }
+    if (record.status === "queued") {
+      queueAttempt(task);
+      return;
+    }
+
+    const timeoutMs = getTaskTimeout(task);
+    taskTimeouts.set(task.taskId, setTimeout(() => {
+      failOrRetryTask(task.taskId, "failed", "Interrupted by API restart.");
+    }, timeoutMs));
+  });
+
+  if (unfinished.length > 0) {
+    logger.info(`Recovered ${unfinished.length} unfinished tasks from the previous run.`);
+  }
+}
+
+/**
+ * Respond to the HTTP caller that submitted a task.
+ * Waits for the task to finish, or returns the taskId straight away in fire-and-forget mode.
+ * @param {Object} res - Express response.
+ * @param {Object} task - The queued task object.
+ * @param {boolean} wait - False to respond immediately with 202 Accepted.
+ */
+async function respondWithTask(res, task, wait = true) {
+  if (!wait) {
+    return res.status(202).json({ success: true, taskId: task.taskId, status: "queued", task });
+  }
+
+  const record = await taskTracker.waitForCompletion(task.taskId);
+  if (record.status === "succeeded") {
+    return res.json({ success: true, task, result: record.result });
+  }
+  logger.error(`Task ${task.taskId} failed: ${record.error}`);
+  res.status(500).json({
+    success: false,
+    status: record.status,
+    error: record.error,
+    code: record.errorCode,
+    details: record.errorDetails,
+    logs: record.logs || undefined,
+  });
+}
+
+// Clean up once a task reaches a terminal status
+taskTracker.on("task-finished", (record) => {
+  clearTimeout(taskTimeouts.get(record.taskId));
+  taskTimeouts.delete(record.taskId);
+  // Timed-out or cancelled tasks may not have been dispatched yet
+  taskQueue.removeTask(record.taskId);
+  logger.info(`Task ${record.taskId} finished with status ${record.status}`);
+});
+
+/**
+ * Check whether a client may run a task: the task targets it (or no client at all)
+ * and the client reported support for the command.
+ * @param {Object} task - The queued task.
+ * @param {string} clientId - The client identifier.
+ * @returns {boolean} - True if the task can be given to the client.
+ */
+function canRunTask(task, clientId) {
+  return (!task.clientId || task.clientId === clientId) && clientRegistry.supports(clientId, task.command);
+}
+
+/**
+ * Push queued tasks to the connected extensions over their WebSocket channels.
+ * Untargeted tasks go to the least busy client, so idle clients are served first.
+ * Tasks stay in the queue (and are served by /get-task) while no eligible socket is open.
+ */
+function dispatchQueuedTasks() {
+  let dispatched = true;
+  while (dispatched) {
+    dispatched = false;
+    const clientIds = socketManager.getConnectedClientIds()
+      .map((clientId) => ({ clientId, load: taskTracker.countActiveTasks(clientId) }))
+      .sort((a, b) => a.load - b.load)
+      .map(({ clientId }) => clientId);
+
+    for (const clientId of clientIds) {
+      const task = taskQueue.getNextTask((queued) => canRunTask(queued, clientId));
+      if (!task) continue;
+
+      if (!socketManager.sendToClient(clientId, { type: "task", task })) {
+        taskQueue.requeueTask(task);
+        continue;
+      }
+      taskTracker.updateStatus(task.taskId, "dispatched", { clientId });
+      logger.info(`Pushed task to client ${clientId} over WebSocket: ${describeTaskForLog(task)}`);
+      dispatched = true;
+      break; // Re-rank clients now that this one has more work
+    }
+  }
+}
+
+/**
+ * Apply a tab event of the unversioned protocol ("tab-events" messages, /report-tab-events) to TabManager,
+ * for extensions that predate browser events v1. What changed is inferred from the fields the data has.
+ * @param {string} clientId - The extension instance that reported the data.
+ * @param {Object} data - Event data reported by the extension.
+ */
+function applyTabData(clientId, data) {
+  // Tab events carry the full tab state { tab: { tabId, windowId, url, title, status, active, ... } }
+  if (data && data.tab && Number.isInteger(data.tab.tabId) && Number.isInteger(data.tab.windowId)) {
+    const { tab } = data;
+    // onReplaced swaps a prerendered or discarded tab for a new one
+    if (Number.isInteger(data.replacedTabId)) {
+      tabManager.replaceTab(clientId, data.replacedTabId, tab);
+    } else {
+      tabManager.addOrUpdateTab(clientId, tab.tabId, tab.windowId, tab.url || "", tab);
+    }
+    logger.info(`Added/Updated tab ${tab.tabId} of client ${clientId} in window ${tab.windowId} with URL ${tab.url}`);
+  } else if (data && data.tabId && data.windowId && data.url) {
+    // If this was an open-tab or tab update command, data includes { tabId, windowId, url }
+    tabManager.addOrUpdateTab(clientId, data.tabId, data.windowId, data.url);
+    logger.info(`Added/Updated tab ${data.tabId} of client ${clientId} in window ${data.windowId} with URL ${data.url}`);
+  }
+
+  // If this was a close-tab command, data includes { closedTabId }
+  if (data && data.closedTabId) {
+    tabManager.removeClosedTab(clientId, data.closedTabId);
+    logger.info(`Removed tab ${data.closedTabId} of client ${clientId}`);
+  }
+
+  // Window commands and window events include the window's details { windowId, type, state, focused, ... }
+  if (data && data.window && Number.isInteger(data.window.windowId)) {
+    tabManager.addOrUpdateWindow(clientId, data.window);
+    logger.info(`Added/Updated window ${data.window.windowId} of client ${clientId}`);
+  }
+
+  // close-window and window removal events include { closedWindowId }
+  if (data && Number.isInteger(data.closedWindowId)) {
+    tabManager.removeClosedWindow(clientId, data.closedWindowId);
+    logger.info(`Removed window ${data.closedWindowId} of client ${clientId}`);
+  }
+
+  // Focus changes include { focusedWindowId }, -1 when no browser window has the focus
+  if (data && Number.isInteger(data.focusedWindowId)) {
+    tabManager.setFocusedWindow(clientId, data.focusedWindowId);
+  }
+
+  // Tab activation includes { activatedTabId, windowId }
+  if (data && Number.isInteger(data.activatedTabId) && Number.isInteger(data.windowId)) {
+    tabManager.setActiveTab(clientId, data.windowId, data.activatedTabId);
+  }
+
+  // group-tabs, update-group and group events include the group's details { group: { groupId, windowId, title, color, collapsed } },
+  // group-tabs also the tabs it grouped { tabIds }
+  if (data && data.group && Number.isInteger(data.group.groupId)) {
+    tabManager.addOrUpdateGroup(clientId, data.group);
+    if (Array.isArray(data.tabIds)) tabManager.setTabsGroup(clientId, data.tabIds, data.group.groupId);
+    logger.info(`Added/Updated tab group ${data.group.groupId} of client ${clientId}`);
+  }
+
+  // ungroup-tabs includes { ungroupedTabIds }
+  if (data && Array.isArray(data.ungroupedTabIds)) {
+    tabManager.setTabsGroup(clientId, data.ungroupedTabIds, -1);
+  }
+
+  // Chrome removes a group once its last tab leaves it { removedGroupId }
+  if (data && Number.isInteger(data.removedGroupId)) {
+    tabManager.removeGroup(clientId, data.removedGroupId);
+  }
+
+  // Moves, inserts and removals include the window's new tab order { tabOrder: { windowId, tabIds } },
+  // moves within a window also the tab that moved { movedTabId }
+  if (data && data.tabOrder && Number.isInteger(data.tabOrder.windowId) && Array.isArray(data.tabOrder.tabIds)) {
+    tabManager.setTabOrder(clientId, data.tabOrder.windowId, data.tabOrder.tabIds, data.movedTabId);
+  }
+}
+
+/**
+ * Apply a browser event (protocol v1) to TabManager. The event was validated against its type's schema.
+ * @param {string} clientId - The extension instance that reported the event.
+ * @param {Object} event - { eventId, type, timestamp, data }.
+ */
+function applyBrowserEvent(clientId, { type, data }) {
+  switch (type) {
+    case "tab-created":
+    case "tab-updated":
+      tabManager.addOrUpdateTab(clientId, data.tab.tabId, data.tab.windowId, data.tab.url, data.tab);
+      break;
+    case "tab-replaced":
+      // Chrome swaps a prerendered or discarded tab for a new one
+      tabManager.replaceTab(clientId, data.replacedTabId, data.tab);
+      break;
+    case "tab-closed":
+      tabManager.removeClosedTab(clientId, data.tabId);
+      break;
+    case "tab-activated":
+      tabManager.setActiveTab(clientId, data.windowId, data.tabId);
+      break;
+    case "tab-order":
+      tabManager.setTabOrder(clientId, data.windowId, data.tabIds, data.movedTabId);
+      break;
+    case "window-created":
+    case "window-updated":
+      tabManager.addOrUpdateWindow(clientId, data.window);
+      break;
+    case "window-closed":
+      tabManager.removeClosedWindow(clientId, data.windowId);
+      break;
+    case "window-focused":
+      tabManager.setFocusedWindow(clientId, data.windowId);
+      break;
+    case "group-created":
+    case "group-updated":
+      tabManager.addOrUpdateGroup(clientId, data.group);
+      break;
+    case "group-removed":
+      tabManager.removeGroup(clientId, data.groupId);
+      break;
+    default:
+      break;
+  }
+}
+
+/**
+ * List the tabs, windows and tab groups a browser event changes, read before the event is applied
+ * (a closed window's tabs are gone afterwards).
+ * @param {string} clientId - The extension instance that reported the event.
+ * @param {Object} event - { eventId, type, timestamp, data }, validated against its type's schema.
+ * @returns {Object} - { tabIds, windowIds, groupIds }.
+ */
+function getBrowserEventTargets(clientId, { type, data }) {
+  const tabsOfWindow = (windowId) => tabManager.getAllOpenedTabs(clientId).filter((t) => t.windowId === windowId).map((t) => t.tabId);
+  switch (type) {
+    case "tab-created":
+    case "tab-updated":
+      return { tabIds: [data.tab.tabId] };
+    case "tab-replaced":
+      return { tabIds: [data.replacedTabId, data.tab.tabId] };
+    case "tab-closed":
+      return { tabIds: [data.tabId] };
+    case "tab-activated":
+      // The window's previously active tab changes too
+      return { tabIds: [data.tabId, ...tabsOfWindow(data.windowId)] };
+    case "tab-order":
+      return { tabIds: data.tabIds };
+    case "window-created":
+    case "window-updated":
+      return { windowIds: [data.window.windowId] };
+    case "window-closed":
+      return { windowIds: [data.windowId], tabIds: tabsOfWindow(data.windowId) };
+    case "window-focused":
+      // Every other window loses the focus
+      return { windowIds: [data.windowId, ...tabManager.getAllOpenedWindows(clientId).map((w) => w.windowId)] };
+    case "group-created":
+    case "group-updated":
+      return { groupIds: [data.group.groupId] };
+    case "group-removed":
+      return { groupIds: [data.groupId] };
+    default:
+      return {};
+  }
+}
+
+// Commands whose result is the tab they loaded or moved: { tabId, windowId, url, title }
+const NAVIGATING_COMMANDS = ["open-tab", "navigate", "reload-tab", "go-back", "go-forward", "move-tab"];
+// Commands whose result is the updated tab state { tab }, discard-tab also { replacedTabId } if Chrome gave the tab a new ID
+const TAB_STATE_COMMANDS = ["pin-tab", "mute-tab", "duplicate-tab", "discard-tab"];
+// Commands whose result is the window's details { window }
+const WINDOW_STATE_COMMANDS = ["create-window", "focus-window", "update-window"];
+
+/**
+ * Apply the tab changes of a task to TabManager. The command decides which result fields are read,
+ * so results of other commands (execute-js, extract, ...) never change the tracked tabs, whatever their shape.
+ * @param {string} clientId - The extension instance that ran the task.
+ * @param {Object} task - The task object.
+ * @param {Object} data - The result reported by the extension.
+ */
+function applyTaskResult(clientId, task, data) {
+  if (!data || typeof data !== "object") return;
+  const { command } = task;
+
+  if (NAVIGATING_COMMANDS.includes(command)) {
+    if (Number.isInteger(data.tabId) && Number.isInteger(data.windowId)) {
+      const details = typeof data.title === "string" ? { title: data.title } : {};
+      tabManager.addOrUpdateTab(clientId, data.tabId, data.windowId, data.url || "", details);
+    }
+  } else if (TAB_STATE_COMMANDS.includes(command)) {
+    if (data.tab && Number.isInteger(data.tab.tabId) && Number.isInteger(data.tab.windowId)) {
+      if (Number.isInteger(data.replacedTabId)) {
+        tabManager.replaceTab(clientId, data.replacedTabId, data.tab);
+      } else {
+        tabManager.addOrUpdateTab(clientId, data.tab.tabId, data.tab.windowId, data.tab.url || "", data.tab);
+      }
+    }
+  } else if (WINDOW_STATE_COMMANDS.includes(command)) {
+    if (data.window && Number.isInteger(data.window.windowId)) {
+      tabManager.addOrUpdateWindow(clientId, data.window);
+    }
+  } else if (command === "close-tab" && Number.isInteger(data.closedTabId)) {
+    tabManager.removeClosedTab(clientId, data.closedTabId);
+  } else if (command === "close-window" && Number.isInteger(data.closedWindowId)) {
+    tabManager.removeClosedWindow(clientId, data.closedWindowId);
+  } else if (command === "switch-tab" && Number.isInteger(data.switchedToTabId)) {
+    const tab = tabManager.findTab(clientId, data.switchedToTabId);
+    if (tab) tabManager.setActiveTab(clientId, tab.windowId, tab.tabId);
+  } else if (command === "group-tabs" || command === "update-group") {
+    if (data.group && Number.isInteger(data.group.groupId)) {
+      tabManager.addOrUpdateGroup(clientId, data.group);
+      if (Array.isArray(data.tabIds)) tabManager.setTabsGroup(clientId, data.tabIds, data.group.groupId);
+    }
+  } else if (command === "ungroup-tabs" && Array.isArray(data.ungroupedTabIds)) {
+    tabManager.setTabsGroup(clientId, data.ungroupedTabIds, -1);
+  }
+}
+
+/**
+ * Register an extension instance and push any tasks it can run.
+ * @param {string} clientId - The stable identifier generated by the extension.
+ * @param {Object} details - { name, capabilities, userAgent, version }.
+ * @returns {Object} - The client record.
+ */
+function registerClient(clientId, details) {
+  const client = clientRegistry.register(clientId, details);
+  logger.info(`Client ${clientId} registered with capabilities: ${JSON.stringify(client.capabilities)}`);
+  updateClientSession(clientId, details.sessionId);
+  // Mocks are lost when the extension restarts, and rules may have changed while the client was away
+  if (networkRuleStore.isInUse()) {
+    pushNetworkRules(clientId);
+  }
+  return client;
+}
+
+/**
+ * Record the browser session a client reports from. After a browser restart, the tabs tracked for its previous
+ * session are dropped, so tab IDs Chrome hands out again are not mistaken for the old tabs.
+ * @param {string} clientId - The extension instance.
+ * @param {string} sessionId - The session marker, if the extension sent a valid one.
+ */
+function updateClientSession(clientId, sessionId) {
+  if (validateSessionId(sessionId)) return;
+  if (tabManager.setSession(clientId, sessionId)) {
+    logger.warn(`Browser of client ${clientId} restarted (session ${sessionId}); dropped the tabs of its previous session.`);
+  }
+}
+
+/**
+ * Queue a set-network-rules task that replaces the rules applied by one client.
+ * @param {string} clientId - The client to update.
+ */
+function pushNetworkRules(clientId) {
+  if (!clientRegistry.supports(clientId, "set-network-rules")) return;
+  const rules = networkRuleStore.listRules(clientId);
+  enqueueTask({
+    taskId: createTaskId("set-network-rules", clientId),
+    command: "set-network-rules",
+    clientId,
+    params: { rules },
+  });
+}
+
+// HTTP status of the answer to a task report rejected with each code
+const REPORT_REJECTION_STATUS = { UNKNOWN_TASK: 404, TASK_NOT_OWNED: 403 };
+
+/**
+ * Check that a client may report on a task: the task must exist, may not target another client, and must be
+ * dispatched to or running on that client. Queued and finished tasks take no reports.
+ * @param {string} clientId - The extension instance that reported on the task.
+ * @param {string} taskId - The unique identifier for the task.
+ * @returns {string|null} - "UNKNOWN_TASK" or "TASK_NOT_OWNED" if the report is rejected, or null.
+ */
+function checkTaskReport(clientId, taskId) {
+  const record = taskTracker.getTask(taskId);
+  if (!record) return "UNKNOWN_TASK";
+  if (record.task.clientId && record.task.clientId !== clientId) return "TASK_NOT_OWNED";
+  if (!["dispatched", "running"].includes(record.status) || record.clientId !== clientId) return "TASK_NOT_OWNED";
+  return null;
+}
+
+/**
+ * Answer a task report rejected by checkTaskReport.
+ * @param {Object} res - Express response.
+ * @param {string} taskId - The unique identifier for the task.
+ * @param {string} code - The rejection code.
+ */
+function rejectTaskReport(res, taskId, code) {
+  const error = code === "UNKNOWN_TASK" ? `Unknown task: ${taskId}` : `Task ${taskId} is not dispatched to this client.`;
+  res.status(REPORT_REJECTION_STATUS[code]).json({ success: false, error, code });
+}
+
+/**
+ * Mark a task as running once the extension starts executing it.
+ * @param {string} clientId - The extension instance that started the task.
+ * @param {string} taskId - The unique identifier for the task.
+ */
+function handleTaskStarted(clientId, taskId) {
+  if (checkTaskReport(clientId, taskId)) {
+    logger.warn(`Ignoring start of task ${taskId} reported by client ${clientId}.`);
+    return;
+  }
+  if (taskTracker.updateStatus(taskId, "running")) {
+    logger.info(`Task ${taskId} started running.`);
+  }
+}
+
+/**
+ * Apply a successful result reported by the extension and complete its task record.
+ * Results for tasks that already finished (duplicates, late results) are rejected by checkTaskReport.
+ * @param {string} clientId - The extension instance that reported the result.
+ * @param {string} taskId - The unique identifier for the task.
+ * @param {Object} data - The result data reported by the extension.
+ * @returns {Promise<string|null>} - The rejection code if the result is ignored (see checkTaskReport), or null.
+ */
+async function handleTaskResult(clientId, taskId, data) {
+  const rejection = checkTaskReport(clientId, taskId);
+  if (rejection) {
+    logger.warn(`Rejected result for task ${taskId} from client ${clientId}: ${rejection}`);
+    return rejection;
+  }
+  const record = taskTracker.getTask(taskId);
+  logger.info(`Task ${taskId} completed successfully on client ${clientId}: ${hasSecretPayload(record.task) ? "[redacted]" : truncateForLog(data)}`);
+
+  applyTaskResult(clientId, record.task, data);
+
+  let result = data;
+  try {
+    result = await storeCapture(record.task, data);
+  } catch (error) {
+    // Resending the same capture would fail the same way: fail the task, and acknowledge the report
+    logger.error(`Error storing the capture of task ${taskId}: ${error.message}`);
+    taskTracker.updateStatus(taskId, "failed", { error: `Cannot store the capture: ${error.message}`, errorCode: "CAPTURE_STORE_FAILED" });
+    return null;
+  }
+  // The task may have timed out or been cancelled while its capture was stored
+  if (!taskTracker.updateStatus(taskId, "succeeded", { result })) {
+    logger.info(`Result for task ${taskId} did not match a pending task.`);
+  }
+  return null;
+}
+
+/**
+ * Move the base64 data of a screenshot or PDF, or the HAR of a network capture, to the capture store
+ * when the caller asked for a download URL.
+ * @param {Object} task - The task object.
+ * @param {Object} data - The result reported by the extension: { contentType, data, ... } or { har, ... }.
+ * @returns {Promise<Object>} - The result to record: unchanged, or with { captureId, url, size } instead of the data.
+ */
+async function storeCapture(task, data) {
+  if (NETWORK_CAPTURE_COMMANDS.includes(task.command)) {
+    if (!data || !data.har || (task.params && task.params.output === "inline")) return data;
+    const { har, ...rest } = data;
+    const { captureId, size } = await captureStore.save("application/json", Buffer.from(JSON.stringify(har)));
+    return { ...rest, captureId, size, url: `/captures/${captureId}` };
+  }
+  if (!CAPTURE_COMMANDS.includes(task.command) || (task.params && task.params.output === "base64") || !data || !data.data) {
+    return data;
+  }
+  const { data: base64, ...rest } = data;
+  const { captureId, size } = await captureStore.save(data.contentType, base64);
+  return { ...rest, captureId, size, url: `/captures/${captureId}` };
+}
+
+/**
+ * Record a failure reported by the extension, retrying the task if it has retries left.
+ * @param {string} clientId - The extension instance that reported the error.
+ * @param {string} taskId - The unique identifier for the task.
+ * @param {string} errorMsg - The error message reported by the extension.
+ * @param {Object} errorInfo - Optional { errorCode, errorDetails } reported with the error.
+ * @returns {string|null} - The rejection code if the error is ignored (see checkTaskReport), or null.
+ */
+function handleTaskError(clientId, taskId, errorMsg, errorInfo = {}) {
+  const rejection = checkTaskReport(clientId, taskId);
+  if (rejection) {
+    logger.warn(`Rejected error for task ${taskId} from client ${clientId}: ${rejection} (${errorMsg})`);
+    return rejection;
+  }
+  logger.error(`Task ${taskId} failed with error${errorInfo.errorCode ? ` ${errorInfo.errorCode}` : ""}: ${errorMsg}`);
+  failOrRetryTask(taskId, "failed", errorMsg, errorInfo);
+  return null;
+}
+
+/**
+ * Apply a batch of unversioned tab events reported by an older extension, in order.
+ * @param {string} clientId - The extension instance that reported the events.
+ * @param {Array} events - Array of { eventId, data }.
+ */
+function handleTabEvents(clientId, events) {
+  events.forEach(({ eventId, data }) => {
+    logger.info(`Tab event ${eventId} from client ${clientId}: ${JSON.stringify(data)}`);
+    applyTabData(clientId, data);
+  });
+}
+
+/**
+ * Validate and apply a batch of browser events (protocol v1), in order. Invalid events are skipped, not retried.
+ * @param {string} clientId - The extension instance that reported the events.
+ * @param {Array} events - Array of { eventId, type, timestamp, data }.
+ * @param {string} sessionId - Optional browser session the events happened in.
+ * @returns {Object} - { accepted, rejected }: the number of applied events and { index, eventId, error } for each invalid one.
+ */
+function handleBrowserEvents(clientId, events, sessionId) {
+  // Events of a restarted browser must not update the tabs of its previous session
+  updateClientSession(clientId, sessionId);
+  const rejected = [];
+  events.forEach((event, index) => {
+    const error = validateBrowserEvent(event);
+    if (error) {
+      rejected.push({ index, eventId: event && typeof event.eventId === "string" ? event.eventId : null, error });
+      return;
+    }
+    logger.info(`Browser event ${event.eventId} (${event.type}) from client ${clientId}: ${JSON.stringify(event.data)}`);
+    // A /sync-tabs snapshot taken before this event must not undo it
+    if (event.timestamp) tabManager.recordChangeTime(clientId, getBrowserEventTargets(clientId, event), event.timestamp);
+    applyBrowserEvent(clientId, event);
+  });
+  if (rejected.length > 0) {
+    logger.warn(`Rejected ${rejected.length} browser events from client ${clientId}: ${JSON.stringify(rejected)}`);
+  }
+  return { accepted: events.length - rejected.length, rejected };
+}
+
+/**
+ * Store a batch of log entries reported by the extension for its subscribed tabs.
+ * @param {string} clientId - The extension instance that reported the entries.
+ * @param {Array} entries - Array of { tabId, type, level, text, ... }.
+ */
+function handleTabLogs(clientId, entries) {
+  const stored = logStore.addEntries(clientId, entries);
+  if (stored < entries.length) {
+    logger.warn(`Ignored ${entries.length - stored} malformed log entries from client ${clientId}`);
+  }
+}
+
+// Events published for the task statuses subscribers care about; timed-out tasks are reported as failed
+const TASK_STATUS_EVENTS = {
+  queued: "task-queued",
+  running: "task-started",
+  succeeded: "task-succeeded",
+  failed: "task-failed",
+  "timed-out": "task-failed",
+  cancelled: "task-cancelled",
+};
+
+/**
+ * Publish a task status change to the event stream. Results are left out (they can be large); GET /tasks/:id has them.
+ * @param {Object} record - The task record.
+ */
+function publishTaskEvent(record) {
+  const type = TASK_STATUS_EVENTS[record.status];
+  if (!type) return;
+  const { task, result } = record;
+  // open-tab only knows its tab once it succeeds
+  const tabId = [task.tabId, result && result.tabId].find(Number.isInteger) ?? null;
+  const tab = tabId !== null && record.clientId ? tabManager.findTab(record.clientId, tabId) : null;
+  const url = (task.params && typeof task.params.url === "string" && task.params.url) || (tab && tab.url) || null;
+  eventStream.publish(type, { clientId: record.clientId || task.clientId || null, tabId, url }, {
+    taskId: record.taskId,
+    command: record.command,
+    status: record.status,
+    attempts: record.attempts,
+    retries: record.retries,
+    error: record.error,
+    errorCode: record.errorCode,
+  });
+}
+
+// Tracked tab and window changes, whether reported by events, task results or a sync, go to the event stream
+TabManager.TAB_CHANGE_EVENTS.forEach((type) => {
+  tabManager.on(type, ({ tab, window, ...details }) => {
+    const subject = tab || window;
+    const { clientId, tabId = null, windowId, url = null } = subject;
+    eventStream.publish(type, { clientId, tabId, windowId, url }, { ...details, [tab ? "tab" : "window"]: subject });
+  });
+});
+taskTracker.on("task-updated", publishTaskEvent);
+eventStream.on("event", (event) => webhookManager.handleEvent(event));
+
+// Push tasks as soon as they are queued or become due
+taskQueue.on("task-added", dispatchQueuedTasks);
+taskQueue.on("task-ready", dispatchQueuedTasks);
+
+// WebSocket pings double as client heartbeats
+socketManager.on("heartbeat", (clientId) => clientRegistry.heartbeat(clientId));
+
+// Registration, results, errors and tab events sent by the extension over the WebSocket
+socketManager.on("message", (message, socket) => {
+  try {
+    if (message.type === "register") {
+      if (typeof message.clientId !== "string" || message.clientId.length === 0) {
+        logger.warn("Ignoring WebSocket registration without a clientId.");
+        return;
+      }
+      if (socket.auth.clientId && socket.auth.clientId !== message.clientId) {
+        logger.warn(`Refusing registration as ${message.clientId}: token is paired to ${socket.auth.clientId}.`);
+        socket.close(4003, "clientId does not match token");
+        return;
+      }
+      registerClient(message.clientId, message);
+      socketManager.bindClient(socket, message.clientId);
+      socketManager.sendTo(socket, { type: "registered", clientId: message.clientId });
+      dispatchQueuedTasks(); // Flush the backlog the client can run
+      return;
+    }
+
+    // Sockets that never registered belong to an older extension version
+    const clientId = socket.clientId || socket.auth.clientId || DEFAULT_CLIENT_ID;
+    switch (message.type) {
+      case "started":
+        handleTaskStarted(clientId, message.taskId);
+        break;
+      case "result":
+        // Acknowledge once the result (and any capture file) is stored, or its task failed with CAPTURE_STORE_FAILED.
+        // Rejected reports (unknown tasks, tasks of other clients) are acknowledged with an error, so the extension stops resending them
+        handleTaskResult(clientId, message.taskId, message.data)
+          .then((rejection) => socketManager.sendTo(socket, { type: "ack", taskId: message.taskId, ...(rejection ? { error: rejection } : {}) }))
+          .catch((error) => logger.error(`Error storing result for task ${message.taskId}: ${error.message}`));
+        break;
+      case "error": {
+        const rejection = handleTaskError(clientId, message.taskId, message.error, { errorCode: message.code, errorDetails: message.details });
+        socketManager.sendTo(socket, { type: "ack", taskId: message.taskId, ...(rejection ? { error: rejection } : {}) });
+        break;
+      }
+      case "browser-events":
+        if (message.version !== BROWSER_EVENT_VERSION) {
+          logger.warn(`Ignoring browser events of unsupported version ${message.version} from client ${clientId}`);
+          break;
+        }
+        handleBrowserEvents(clientId, Array.isArray(message.events) ? message.events : [], message.sessionId);
+        break;
+      case "tab-events":
+        handleTabEvents(clientId, Array.isArray(message.events) ? message.events : []);
+        break;
+      case "tab-logs":
+        handleTabLogs(clientId, Array.isArray(message.entries) ? message.entries : []);
+        break;
+      default:
+        logger.warn(`Unknown WebSocket message type: ${message.type}`);
+    }
+  } catch (error) {
+    logger.error(`Error handling WebSocket message: ${error.message}`);
+  }
+});
+
+/**
+ * Validate the parameters of an execute-js task.
+ * @param {Object} params - { args, world, allFrames, frameIds }.
+ * @returns {string|null} - An error message, or null if the parameters are valid.
+ */
+function validateExecuteJsParams({ args, world, allFrames, frameIds }) {
+  if (args !== undefined && !Array.isArray(args)) {
+    return "Invalid 'args'. It should be an array of JSON values passed to the function.";
+  }
+  if (world !== undefined && !["ISOLATED", "MAIN"].includes(world)) {
+    return "Invalid 'world'. It should be \"ISOLATED\" or \"MAIN\".";
+  }
+  if (allFrames !== undefined && typeof allFrames !== "boolean") {
+    return "Invalid 'allFrames'. It should be a boolean.";
+  }
+  if (frameIds !== undefined) {
+    if (!Array.isArray(frameIds) || frameIds.length === 0 || !frameIds.every((id) => Number.isInteger(id) && id >= 0)) {
+      return "Invalid 'frameIds'. It should be a non-empty array of frame IDs.";
+    }
+    if (allFrames) {
+      return "'frameIds' cannot be combined with 'allFrames'.";
+    }
+  }
+  // ISOLATED-world scripts run through the DevTools protocol, in the top frame only
+  if ((allFrames || frameIds !== undefined) && world === "ISOLATED") {
+    return "'allFrames' and 'frameIds' cannot be used with 'world' \"ISOLATED\".";
+  }
+  return null;
+}
+
+/**
+ * Validate the parameters of a find-tab task.
+ * @param {Object} params - { url, urlPrefix, pattern, title, activate, focusWindow, skipBrowser }.
+ * @returns {string|null} - An error message, or null if the parameters are valid.
+ */
+function validateFindTabParams(params) {
+  const { url, urlPrefix, pattern, title, activate, skipBrowser } = params;
+  if (!url && !urlPrefix && !pattern && !title) {
+    return "find-tab requires at least one of 'url', 'urlPrefix', 'pattern' or 'title'.";
+  }
+  for (const [name, value] of Object.entries({ url, urlPrefix, pattern, title })) {
+    if (value !== undefined && typeof value !== "string") {
+      return `Invalid '${name}'. It should be a string.`;
+    }
+  }
+  if (pattern) {
+    try {
+      TabManager.patternToRegExp(pattern);
+    } catch (error) {
+      return `Invalid 'pattern': ${error.message}`;
+    }
+  }
+  if (skipBrowser && activate) {
+    return "'activate' cannot be combined with 'skipBrowser'.";
+  }
+  return null;
+}
+
+/**
+ * Validate a task request and build the task object to queue. Shared by /add-task and workflow steps.
+ * @param {Object} body - { taskId, command, url, jsFunction, tabId, params } plus scheduling options.
+ * @param {Object} apiKey - The caller's API key record; it must grant the command's scope.
+ * @returns {Object} - { task } if the request is valid, else { status, error } with the HTTP status to answer.
+ */
+function buildTask(body, apiKey) {
+  const { taskId, command, url, jsFunction, tabId, params } = body;
+
+  // Validate command
+  const validCommands = [
+    "open-tab", "close-tab", "navigate", "find-tab", "execute-js", "extract",
+    ...DOM_COMMANDS, ...CAPTURE_COMMANDS, ...WINDOW_COMMANDS, ...TAB_COMMANDS, ...STORAGE_COMMANDS, ...NETWORK_CAPTURE_COMMANDS,
+    ...LOG_CAPTURE_COMMANDS,
+  ];
+  if (!validCommands.includes(command)) {
+    return { status: 400, error: `Invalid command: ${command}` };
+  }
+
+  // find-tab only needs tab control when it activates the match
+  const commandScope = command === "find-tab" && params && params.activate ? "tabs:control" : COMMAND_SCOPES[command];
+  if (!authManager.hasScope(apiKey, commandScope)) {
+    return { status: 403, error: `API key lacks scope: ${commandScope}` };
+  }
+
+  if (params !== undefined && (typeof params !== "object" || params === null || Array.isArray(params))) {
+    return { status: 400, error: "Invalid 'params'. It should be an object." };
+  }
+
+  const { options, error: optionsError } = parseTaskOptions(body);
+  if (optionsError) {
+    return { status: 400, error: optionsError };
+  }
+
+  // find-tab accepts the top-level url as an exact-match shorthand
+  const taskParams = command === "find-tab" ? { url: url || undefined, ...params } : params || {};
+
+  let validationError = null;
+  if (command === "find-tab") {
+    validationError = validateFindTabParams(taskParams);
+  } else if (command === "execute-js") {
+    validationError = validateExecuteJsParams(taskParams);
+  } else if (WINDOW_COMMANDS.includes(command)) {
+    validationError = validateWindowParams(command, taskParams, tabId);
+  } else if (TAB_COMMANDS.includes(command)) {
+    validationError = validateTabParams(command, taskParams, tabId);
+  } else if (STORAGE_COMMANDS.includes(command)) {
+    validationError = validateStorageParams(command, taskParams, tabId);
+  } else if (NETWORK_CAPTURE_COMMANDS.includes(command)) {
+    validationError = validateNetworkCaptureParams(command, taskParams, tabId);
+  } else if (LOG_CAPTURE_COMMANDS.includes(command)) {
+    validationError = validateLogCaptureParams(command, taskParams, tabId);
+  } else if (command === "open-tab") {
+    validationError = validateNavigationParams(command, url, taskParams);
+  } else if (command === "navigate") {
+    if (!Number.isInteger(tabId)) {
+      return { status: 400, error: "Invalid or missing 'tabId'. navigate loads a URL in an existing tab." };
+    }
+    validationError = validateNavigationParams(command, url, taskParams);
+  } else if (DOM_COMMANDS.includes(command) || CAPTURE_COMMANDS.includes(command) || command === "extract") {
+    if (!Number.isInteger(tabId)) {
+      return { status: 400, error: `Invalid or missing 'tabId'. ${command} runs in an existing tab.` };
+    }
+    if (command === "extract") {
+      validationError = validateExtractParams(taskParams);
+    } else if (CAPTURE_COMMANDS.includes(command)) {
+      validationError = validateCaptureParams(command, taskParams);
+    } else {
+      validationError = validateDomCommandParams(command, taskParams);
+    }
+  }
+  if (validationError) {
+    return { status: 400, error: validationError };
+  }
+  if (command === "extract") {
+    taskParams.pagination = normalizePagination(taskParams.pagination);
+  }
+
+  // Generate a unique taskId if not provided
+  const newTaskId = taskId || createTaskId("task");
+
+  const existing = taskTracker.getTask(newTaskId);
+  if (existing && !taskTracker.isFinished(existing)) {
+    return { status: 409, error: `Task ${newTaskId} is already ${existing.status}.` };
+  }
+
+  return {
+    task: {
+      taskId: newTaskId,
+      command,
+      tabId: tabId || null,
+      url: url || null,
+      jsFunction: jsFunction || null,
+      params: taskParams,
+      ...options,
+    },
+  };
+}
+
+/**
+ * Answer a find-tab task from the tracked tab state, without a browser round trip, when it asks to skip the browser.
+ * @param {Object} task - The built task.
+ * @returns {Object|null} - The find-tab result, or null if the task has to go to the extension.
+ */
+function answerFromTabState(task) {
+  if (task.command !== "find-tab" || !task.params.skipBrowser) return null;
+  const result = { tabs: tabManager.findTabs(task.params, task.clientId) };
+  logger.info(`Answered find-tab ${task.taskId} from TabManager with ${result.tabs.length} matches.`);
+  return result;
+}
+
+/**
+ * Parse the filters and sort order of /opened-tabs from its query string.
+ * @param {Object} queryString - { clientId, windowId, groupId, url, title, active, status, pinned, audible, sort, order }.
+ * @returns {Object} - { query } for TabManager.queryTabs, or { error } if a parameter is invalid.
+ */
+function parseTabQuery({ clientId, windowId, groupId, url, title, active, status, pinned, audible, sort, order }) {
+  const query = { clientId, title };
+
+  const ids = { windowId, groupId };
+  for (const [name, value] of Object.entries(ids)) {
+    if (value === undefined) continue;
+    query[name] = Number(value);
+    if (!Number.isInteger(query[name])) return { error: `Invalid '${name}'. It should be a number.` };
+  }
+  if (url !== undefined) {
+    try {
+      TabManager.patternToRegExp(url);
+    } catch (error) {
+      return { error: `Invalid 'url' pattern: ${error.message}` };
+    }
+    query.url = url;
+  }
+
+  const flags = { active, pinned, audible };
+  for (const [name, value] of Object.entries(flags)) {
+    if (value === undefined) continue;
+    if (value !== "true" && value !== "false") return { error: `Invalid '${name}'. It should be true or false.` };
+    query[name] = value === "true";
+  }
+
+  if (status !== undefined) {
+    if (!TAB_STATUSES.includes(status)) return { error: `Invalid 'status'. Expected one of: ${TAB_STATUSES.join(", ")}.` };
+    query.status = status;
+  }
+  if (sort !== undefined) {
+    if (!TabManager.TAB_SORT_FIELDS.includes(sort)) {
+      return { error: `Invalid 'sort'. Expected one of: ${TabManager.TAB_SORT_FIELDS.join(", ")}.` };
+    }
+    query.sort = sort;
+  }
+  if (order !== undefined) {
+    if (!["asc", "desc"].includes(order)) return { error: "Invalid 'order'. It should be asc or desc." };
+    query.order = order;
+  }
+  return { query };
+}
+
+// ------------------------------------
+// 1. Add a Task (No tabId needed for open-tab)
+app.post("/add-task", auth.requireScope("tasks:write"), async (req, res) => {
+  try {
+    const { task, status, error } = buildTask(req.body, req.apiKey);
+    if (error) {
+      return res.status(status).json({ success: false, error });
+    }
+
+    const result = answerFromTabState(task);
+    if (result) {
+      return res.json({ success: true, task, result });
+    }
+
+    enqueueTask(task);
+    await respondWithTask(res, task, req.body.wait !== false);
+  } catch (error) {
+    logger.error(`Error in /add-task: ${error.message}`);
+    res.status(400).json({ success: false, error: error.message });
+  }
+});
+
+// ------------------------------------
+// 2. Get the Next Available Task (polling fallback when the WebSocket is down; also a heartbeat)
+app.get("/get-task", auth.requireExtension, (req, res) => {
+  try {
+    const clientId = resolveClientId(req);
+    clientRegistry.heartbeat(clientId);
+
+    const nextTask = taskQueue.getNextTask((queued) => canRunTask(queued, clientId));
+    if (nextTask) {
+      taskTracker.updateStatus(nextTask.taskId, "dispatched", { clientId });
+      logger.info(`Providing next task to client ${clientId}: ${describeTaskForLog(nextTask)}`);
+      res.json(nextTask);
+    } else {
+      logger.info("No tasks available to provide.");
+      res.json({});
+    }
+  } catch (error) {
+    logger.error(`Error in /get-task: ${error.message}`);
+    res.status(500).json({ success: false, error: error.message });
+  }
+});
+
+// ------------------------------------
+// 3. Report a Successful Result
+app.post("/report-result", auth.requireExtension, async (req, res) => {
+  try {
+    const { taskId, data } = req.body;
+    const rejection = await handleTaskResult(resolveClientId(req), taskId, data);
+    if (rejection) {
+      return rejectTaskReport(res, taskId, rejection);
+    }
+    res.json({ success: true });
+  } catch (error) {
+    logger.error(`Error in /report-result: ${error.message}`);
+    res.status(500).json({ success: false, error: error.message });
+  }
+});
+
+// ------------------------------------
+// 4. Get All Opened Tabs (Public Endpoint; ?clientId= limits the list to one client, see parseTabQuery for filters)
+app.get("/opened-tabs", auth.requireScope("tabs:read"), (req, res) => {
+  try {
+    const { query, error } = parseTabQuery(req.query);
+    if (error) {
+      return res.status(400).json({ success: false, error });
+    }
+
+    const tabs = tabManager.queryTabs(query);
+    res.json({ success: true, count: tabs.length, tabs });
+  } catch (error) {
+    logger.error(`Error in /opened-tabs: ${error.message}`);
+    res.status(500).json({ success: false, error: error.message });
+  }
+});
+
+// ------------------------------------
+// 5. Report an Error
+app.post("/report-result/error", auth.requireExtension, (req, res) => {
+  try {
+    const { taskId, error: errorMsg, code, details } = req.body;
+    const rejection = handleTaskError(resolveClientId(req), taskId, errorMsg, { errorCode: code, errorDetails: details });
+    if (rejection) {
+      return rejectTaskReport(res, taskId, rejection);
+    }
+    res.json({ success: true });
+  } catch (error) {
+    logger.error(`Error in /report-result/error: ${error.message}`);
+    res.status(500).json({ success: false, error: error.message });
+  }
+});
+
+// ------------------------------------
+// 6. Sync Opened Tabs: reconcile the tracked tabs with the browser's full state and report the drift
+app.post("/sync-tabs", auth.requireExtension, async (req, res) => {
+  try {
+    const { tabs, windows = [], groups = [], sessionId, snapshotAt } = req.body; // Expecting arrays of { tabId, windowId, url }, window and group details
+    const clientId = resolveClientId(req);
+
+    if (!Array.isArray(tabs)) {
+      return res.status(400).json({ success: false, error: "Invalid tabs format. Expected an array." });
+    }
+    if (!Array.isArray(windows) || !windows.every((window) => window && Number.isInteger(window.windowId))) {
+      return res.status(400).json({ success: false, error: "Invalid windows format. Expected an array of { windowId, ... }." });
+    }
+    if (!Array.isArray(groups) || !groups.every((group) => group && Number.isInteger(group.groupId))) {
+      return res.status(400).json({ success: false, error: "Invalid groups format. Expected an array of { groupId, ... }." });
+    }
+    if (!tabs.every((tab) => tab && Number.isInteger(tab.tabId) && Number.isInteger(tab.windowId))) {
+      return res.status(400).json({ success: false, error: "Invalid tabs format. Expected an array of { tabId, windowId, url, ... }." });
+    }
+    if (sessionId !== undefined && validateSessionId(sessionId)) {
+      return res.status(400).json({ success: false, error: validateSessionId(sessionId) });
+    }
+    if (snapshotAt !== undefined && (typeof snapshotAt !== "string" || Number.isNaN(Date.parse(snapshotAt)))) {
+      return res.status(400).json({ success: false, error: "Invalid 'snapshotAt'. It should be an ISO date." });
+    }
+
+    // Apply only what differs, so tabs that stayed open keep their history
+    const drift = tabManager.reconcileTabs(clientId, { tabs, windows, groups, sessionId, snapshotAt });
+    clientRegistry.recordSync(clientId, drift);
+
+    if (drift.inSync) {
+      logger.info(`Synchronized ${tabs.length} tabs from client ${clientId}; no drift.`);
+    } else {
+      logger.warn(`Synchronized ${tabs.length} tabs from client ${clientId}; drift: ${JSON.stringify(drift)}`);
+    }
+
+    res.json({ success: true, syncedTabs: tabs, drift });
+  } catch (error) {
+    logger.error(`Error in /sync-tabs: ${error.message}`);
+    res.status(500).json({ success: false, error: error.message });
+  }
+});
+
+// ------------------------------------
+// 7. New Endpoint: Switch Tab by tabId
+app.post("/switch-tab", auth.requireScope("tasks:write", "tabs:control"), async (req, res) => {
+  try {
+    const { tabId } = req.body;
+
+    if (typeof tabId !== 'number') {
+      return res.status(400).json({ success: false, error: "Invalid or missing 'tabId'. It should be a number." });
+    }
+
+    // Check for existing switch-tab tasks for the same tabId to prevent duplicates
+    const existingTask = taskQueue.queue.find(task => task.command === "switch-tab" && task.tabId === tabId && task.clientId === req.body.clientId);
+    if (existingTask) {
+      return res.status(409).json({ success: false, error: `A switch-tab task for tabId ${tabId} is already pending.` });
+    }
+
+    const { options, error: optionsError } = parseTaskOptions(req.body);
+    if (optionsError) {
+      return res.status(400).json({ success: false, error: optionsError });
+    }
+
+    // Create a new task to switch the tab
+    const newTaskId = createTaskId("switch-tab", tabId);
+    const task = {
+      taskId: newTaskId,
+      command: "switch-tab",
+      tabId,
+      ...options,
+    };
+
+    enqueueTask(task);
+    await respondWithTask(res, task, req.body.wait !== false);
+  } catch (error) {
+    logger.error(`Error in /switch-tab: ${error.message}`);
+    res.status(400).json({ success: false, error: error.message });
+  }
+});
+
+// ------------------------------------
+// 8. New Endpoint: Execute JS Function by tabId
+app.post("/execute-js", auth.requireScope("tasks:write", "js:execute"), async (req, res) => {
+  try {
+    const { tabId, jsFunction, args, world, allFrames, frameIds } = req.body;
+
+    if (typeof tabId !== 'number') {
+      return res.status(400).json({ success: false, error: "Invalid or missing 'tabId'. It should be a number." });
+    }
+
+    if (typeof jsFunction !== 'string') {
+      return res.status(400).json({ success: false, error: "Invalid or missing 'jsFunction'. It should be a string." });
+    }
+
+    // args are sent as data, never spliced into the code
+    const params = { args, world, allFrames, frameIds };
+    const validationError = validateExecuteJsParams(params);
+    if (validationError) {
+      return res.status(400).json({ success: false, error: validationError });
+    }
+
+    const { options, error: optionsError } = parseTaskOptions(req.body);
+    if (optionsError) {
+      return res.status(400).json({ success: false, error: optionsError });
+    }
+
+    // Create a new task to execute the JS function
+    const newTaskId = createTaskId("execute-js", tabId);
+    const task = {
+      taskId: newTaskId,
+      command: "execute-js",
+      tabId,
+      jsFunction,
+      params,
+      ...options,
+    };
+
+    enqueueTask(task);
+    await respondWithTask(res, task, req.body.wait !== false);
+  } catch (error) {
+    logger.error(`Error in /execute-js: ${error.message}`);
+    res.status(400).json({ success: false, error: error.message });
+  }
+});
+
+// ------------------------------------
+// 9. Report a Batch of Unversioned Tab Events (older extensions; see POST /v1/browser-events)
+app.post("/report-tab-events", auth.requireExtension, (req, res) => {
+  try {
+    const { events } = req.body; // Expecting an array of { eventId, data }
+    const clientId = resolveClientId(req);
+
+    if (!Array.isArray(events)) {
+      return res.status(400).json({ success: false, error: "Invalid events format. Expected an array." });
+    }
+
+    handleTabEvents(clientId, events);
+    res.json({ success: true, applied: events.length });
+  } catch (error) {
+    logger.error(`Error in /report-tab-events: ${error.message}`);
+    res.status(500).json({ success: false, error: error.message });
+  }
+});
+
+// ------------------------------------
+// 10. List Tasks, optionally filtered by status, command and clientId
+app.get("/tasks", auth.requireScope("tasks:read"), (req, res) => {
+  try {
+    const { status, command, clientId } = req.query;
+    const limit = req.query.limit !== undefined ? parseInt(req.query.limit, 10) : undefined;
+
+    if (status && !TaskTracker.TASK_STATUSES.includes(status)) {
+      return res.status(400).json({ success: false, error: `Invalid status: ${status}` });
+    }
+    if (limit !== undefined && (!Number.isInteger(limit) || limit < 1)) {
+      return res.status(400).json({ success: false, error: "Invalid 'limit'. It should be a positive integer." });
+    }
+
+    res.json({ success: true, tasks: taskTracker.listTasks({ status, command, clientId, limit }) });
+  } catch (error) {
+    logger.error(`Error in /tasks: ${error.message}`);
+    res.status(500).json({ success: false, error: error.message });
+  }
+});
+
+// ------------------------------------
+// 11. Get a Task's Status and Result (?wait=<ms> holds the request until it finishes)
+app.get("/tasks/:id", auth.requireScope("tasks:read"), async (req, res) => {
+  try {
+    let record = taskTracker.getTask(req.params.id);
+    if (!record) {
+      return res.status(404).json({ success: false, error: `Task not found: ${req.params.id}` });
+    }
+
+    const waitMs = req.query.wait !== undefined ? parseInt(req.query.wait, 10) : 0;
+    if (!Number.isInteger(waitMs) || waitMs < 0) {
+      return res.status(400).json({ success: false, error: "Invalid 'wait'. It should be a number of milliseconds." });
+    }
+    if (waitMs > 0) {
+      record = await taskTracker.waitForCompletion(record.taskId, waitMs);
+    }
+
+    res.json({ success: true, task: record });
+  } catch (error) {
+    logger.error(`Error in /tasks/:id: ${error.message}`);
+    res.status(500).json({ success: false, error: error.message });
+  }
+});
+
+/**
+ * Cancel a task that has not finished yet.
+ * @param {Object} record - The task record.
+ */
+function cancelTask(record) {
+  const wasDispatched = record.status !== "queued";
+  taskTracker.updateStatus(record.taskId, "cancelled", { error: "Task was cancelled." });
+
+  // The extension cannot undo a browser action, but it will stop reporting the task
+  if (wasDispatched) {
+    socketManager.sendToClient(record.clientId, { type: "cancel", taskId: record.taskId });
+  }
+}
+
+// ------------------------------------
+// 12. Cancel a Task
+app.delete("/tasks/:id", auth.requireScope("tasks:write"), (req, res) => {
+  try {
+    const record = taskTracker.getTask(req.params.id);
+    if (!record) {
+      return res.status(404).json({ success: false, error: `Task not found: ${req.params.id}` });
+    }
+    if (taskTracker.isFinished(record)) {
+      return res.status(409).json({ success: false, error: `Task ${record.taskId} already ${record.status}.` });
+    }
+
+    cancelTask(record);
+    res.json({ success: true, task: record });
+  } catch (error) {
+    logger.error(`Error in DELETE /tasks/:id: ${error.message}`);
+    res.status(500).json({ success: false, error: error.message });
+  }
+});
+
+// ------------------------------------
+// 13. Report that a Task Started Running
+app.post("/report-result/started", auth.requireExtension, (req, res) => {
+  try {
+    const { taskId } = req.body;
+    handleTaskStarted(resolveClientId(req), taskId);
+    res.json({ success: true });
+  } catch (error) {
+    logger.error(`Error in /report-result/started: ${error.message}`);
+    res.status(500).json({ success: false, error: error.message });
+  }
+});
+
+// ------------------------------------
+// 14. Register an Extension Instance (HTTP alternative to the WebSocket "register" message)
+app.post("/clients/register", auth.requireExtension, (req, res) => {
+  try {
+    const { clientId } = req.body;
+
+    if (typeof clientId !== "string" || clientId.length === 0) {
+      return res.status(400).json({ success: false, error: "Invalid or missing 'clientId'. It should be a non-empty string." });
+    }
+    if (req.extension.clientId && req.extension.clientId !== clientId) {
+      return res.status(403).json({ success: false, error: "clientId does not match the extension token." });
+    }
+    if (req.body.capabilities !== undefined && !Array.isArray(req.body.capabilities)) {
+      return res.status(400).json({ success: false, error: "Invalid 'capabilities'. It should be an array of commands." });
+    }
+    if (req.body.sessionId !== undefined && validateSessionId(req.body.sessionId)) {
+      return res.status(400).json({ success: false, error: validateSessionId(req.body.sessionId) });
+    }
+
+    const client = registerClient(clientId, req.body);
+    res.json({ success: true, client });
+  } catch (error) {
+    logger.error(`Error in /clients/register: ${error.message}`);
+    res.status(500).json({ success: false, error: error.message });
+  }
+});
+
+// ------------------------------------
+// 15. Client Heartbeat
+app.post("/clients/heartbeat", auth.requireExtension, (req, res) => {
+  try {
+    clientRegistry.heartbeat(resolveClientId(req));
+    res.json({ success: true });
+  } catch (error) {
+    logger.error(`Error in /clients/heartbeat: ${error.message}`);
+    res.status(500).json({ success: false, error: error.message });
+  }
+});
+
+/**
+ * Describe a client for the API, including its connection state and current load.
+ * @param {Object} client - The client record.
+ * @returns {Object} - The client record with online, connected and activeTasks fields.
+ */
+function describeClient(client) {
+  return {
+    ...client,
+    online: clientRegistry.isOnline(client),
+    connected: socketManager.isClientConnected(client.clientId),
+    activeTasks: taskTracker.countActiveTasks(client.clientId),
+  };
+}
+
+// ------------------------------------
+// 16. List Registered Clients
+app.get("/clients", auth.requireScope("clients:read"), (req, res) => {
+  try {
+    res.json({ success: true, clients: clientRegistry.listClients().map(describeClient) });
+  } catch (error) {
+    logger.error(`Error in /clients: ${error.message}`);
+    res.status(500).json({ success: false, error: error.message });
+  }
+});
+
+// ------------------------------------
+// 17. Get a Registered Client
+app.get("/clients/:id", auth.requireScope("clients:read"), (req, res) => {
+  try {
+    const client = clientRegistry.getClient(req.params.id);
+    if (!client) {
+      return res.status(404).json({ success: false, error: `Client not found: ${req.params.id}` });
+    }
+    res.json({ success: true, client: describeClient(client) });
+  } catch (error) {
+    logger.error(`Error in /clients/:id: ${error.message}`);
+    res.status(500).json({ success: false, error: error.message });
+  }
+});
+
+// ------------------------------------
+// 18. Pair the Extension: exchange a pairing code for an extension token
+app.post("/auth/pair", (req, res) => {
+  try {
+    const { code, clientId } = req.body;
+
+    if (typeof clientId !== "string" || clientId.length === 0) {
+      return res.status(400).json({ success: false, error: "Invalid or missing 'clientId'. It should be a non-empty string." });
+    }
+    if (typeof code !== "string" && typeof code !== "number") {
+      return res.status(400).json({ success: false, error: "Invalid or missing 'code'." });
+    }
+
+    const token = authManager.pairExtension(code, clientId);
+    if (!token) {
+      logger.warn(`Failed pairing attempt for client ${clientId}`);
+      return res.status(401).json({ success: false, error: "Invalid or expired pairing code." });
+    }
+
+    logger.info(`Paired extension client ${clientId}`);
+    res.json({ success: true, clientId, token });
+  } catch (error) {
+    logger.error(`Error in /auth/pair: ${error.message}`);
+    res.status(500).json({ success: false, error: error.message });
+  }
+});
+
+// ------------------------------------
+// 19. Create a Pairing Code for the Extension
+app.post("/auth/pairing-codes", auth.requireScope("admin"), (req, res) => {
+  try {
+    res.json({ success: true, ...authManager.createPairingCode() });
+  } catch (error) {
+    logger.error(`Error in /auth/pairing-codes: ${error.message}`);
+    res.status(500).json({ success: false, error: error.message });
+  }
+});
+
+// ------------------------------------
+// 20. List API Keys
+app.get("/auth/keys", auth.requireScope("admin"), (req, res) => {
+  try {
+    res.json({ success: true, keys: authManager.listApiKeys() });
+  } catch (error) {
+    logger.error(`Error in /auth/keys: ${error.message}`);
+    res.status(500).json({ success: false, error: error.message });
+  }
+});
+
+// ------------------------------------
+// 21. Create an API Key (the key is only shown in this response)
+app.post("/auth/keys", auth.requireScope("admin"), (req, res) => {
+  try {
+    const { name, scopes } = req.body;
+
+    if (typeof name !== "string" || name.length === 0) {
+      return res.status(400).json({ success: false, error: "Invalid or missing 'name'. It should be a non-empty string." });
+    }
+    if (!Array.isArray(scopes) || scopes.length === 0) {
+      return res.status(400).json({ success: false, error: `Invalid or missing 'scopes'. Expected an array of: ${AuthManager.SCOPES.join(", ")}` });
+    }
+
+    const apiKey = authManager.createApiKey(name, scopes);
+    logger.info(`Created API key ${apiKey.id} (${name}) with scopes ${scopes.join(", ")}`);
+    res.status(201).json({ success: true, apiKey });
+  } catch (error) {
+    logger.error(`Error in /auth/keys: ${error.message}`);
+    res.status(400).json({ success: false, error: error.message });
+  }
+});
+
+// ------------------------------------
+// 22. Revoke an API Key
+app.delete("/auth/keys/:id", auth.requireScope("admin"), (req, res) => {
+  try {
+    if (!authManager.revokeApiKey(req.params.id)) {
+      return res.status(404).json({ success: false, error: `API key not found: ${req.params.id}` });
+    }
+    logger.info(`Revoked API key ${req.params.id}`);
+    res.json({ success: true });
+  } catch (error) {
+    logger.error(`Error in DELETE /auth/keys/:id: ${error.message}`);
+    res.status(500).json({ success: false, error: error.message });
+  }
+});
+
+// ------------------------------------
+// 23. Extract Structured Data from a Tab with a Declarative Schema
+app.post("/extract", auth.requireScope("tasks:write", "dom:interact"), async (req, res) => {
+  try {
+    const { tabId, schema, pagination, timeout } = req.body;
+
+    if (!Number.isInteger(tabId)) {
+      return res.status(400).json({ success: false, error: "Invalid or missing 'tabId'. It should be a number." });
+    }
+
+    const params = { schema, pagination, timeout };
+    const validationError = validateExtractParams(params);
+    if (validationError) {
+      return res.status(400).json({ success: false, error: validationError });
+    }
+    params.pagination = normalizePagination(pagination);
+
+    const { options, error: optionsError } = parseTaskOptions(req.body);
+    if (optionsError) {
+      return res.status(400).json({ success: false, error: optionsError });
+    }
+
+    const task = {
+      taskId: createTaskId("extract", tabId),
+      command: "extract",
+      tabId,
+      params,
+      ...options,
+    };
+
+    enqueueTask(task);
+    await respondWithTask(res, task, req.body.wait !== false);
+  } catch (error) {
+    logger.error(`Error in /extract: ${error.message}`);
+    res.status(400).json({ success: false, error: error.message });
+  }
+});
+
+/**
+ * Queue a screenshot or pdf task from its dedicated endpoint.
+ * @param {Object} req - Express request with tabId, the capture params and scheduling options.
+ * @param {Object} res - Express response.
+ * @param {string} command - "screenshot" or "pdf".
+ * @param {Array<string>} paramNames - The body fields forwarded to the extension.
+ */
+async function queueCaptureTask(req, res, command, paramNames) {
+  const { tabId } = req.body;
+  if (!Number.isInteger(tabId)) {
+    return res.status(400).json({ success: false, error: "Invalid or missing 'tabId'. It should be a number." });
+  }
+
+  const params = Object.fromEntries(paramNames.map((name) => [name, req.body[name]]));
+  const validationError = validateCaptureParams(command, params);
+  if (validationError) {
+    return res.status(400).json({ success: false, error: validationError });
+  }
+
+  const { options, error: optionsError } = parseTaskOptions(req.body);
+  if (optionsError) {
+    return res.status(400).json({ success: false, error: optionsError });
+  }
+
+  const task = {
+    taskId: createTaskId(command, tabId),
+    command,
+    tabId,
+    params,
+    ...options,
+  };
+
+  enqueueTask(task);
+  await respondWithTask(res, task, req.body.wait !== false);
+}
+
+// ------------------------------------
+// 24. Capture a Screenshot of a Tab (visible area, one element, or the full page)
+app.post("/screenshot", auth.requireScope("tasks:write", "tabs:capture"), async (req, res) => {
+  try {
+    await queueCaptureTask(req, res, "screenshot", ["format", "quality", "selector", "fullPage", "output"]);
+  } catch (error) {
+    logger.error(`Error in /screenshot: ${error.message}`);
+    res.status(400).json({ success: false, error: error.message });
+  }
+});
+
+// ------------------------------------
+// 25. Print a Tab to PDF
+app.post("/pdf", auth.requireScope("tasks:write", "tabs:capture"), async (req, res) => {
+  try {
+    await queueCaptureTask(req, res, "pdf", ["landscape", "printBackground", "scale", "paperWidth", "paperHeight", "pageRanges", "output"]);
+  } catch (error) {
+    logger.error(`Error in /pdf: ${error.message}`);
+    res.status(400).json({ success: false, error: error.message });
+  }
+});
+
+// ------------------------------------
+// 26. Download a Stored Screenshot or PDF
+app.get("/captures/:id", auth.requireScope("tasks:read"), (req, res) => {
+  try {
+    const capture = captureStore.getCapture(req.params.id);
+    if (!capture) {
+      return res.status(404).json({ success: false, error: `Capture not found: ${req.params.id}` });
+    }
+    res.type(capture.contentType).sendFile(capture.filePath);
+  } catch (error) {
+    logger.error(`Error in /captures/:id: ${error.message}`);
+    res.status(500).json({ success: false, error: error.message });
+  }
+});
+
+// ------------------------------------
+// Multi-step workflows; each step runs as a task with the scopes of the API key that started the workflow
+const workflowRunner = new WorkflowRunner(logger, (taskId) => {
+  const record = taskTracker.getTask(taskId);
+  if (record && !taskTracker.isFinished(record)) cancelTask(record);
+});
+
+/**
+ * Get how long a workflow step waits for its task: the timeouts of every attempt, the retry backoffs and
+ * any notBefore delay, plus a margin. Attempt timeouts normally end the task first; this only catches a task
+ * that would otherwise never finish.
+ * @param {Object} task - The step's task object.
+ * @returns {number} - The time in milliseconds.
+ */
+function getStepTimeout(task) {
+  const delay = task.notBefore ? Math.max(0, Date.parse(task.notBefore) - Date.now()) : 0;
+  const attempts = (task.maxRetries || 0) + 1;
+  const backoff = (task.retryBackoffMs ?? DEFAULT_RETRY_BACKOFF) * (2 ** (attempts - 1) - 1);
+  return delay + attempts * getTaskTimeout(task) + backoff + WORKFLOW_STEP_TIMEOUT_MARGIN;
+}
+
+/**
+ * Queue the task of a workflow step and wait for it to finish, or fail the step once getStepTimeout elapses.
+ * @param {Object} body - The step's task fields with their references resolved.
+ * @param {Object} apiKey - The API key that started the workflow.
+ * @returns {Promise<Object>} - Resolves with the finished task record.
+ */
+async function runWorkflowTask(body, apiKey) {
+  const { task, error } = buildTask(body, apiKey);
+  if (error) {
+    throw createWorkflowError("INVALID_STEP", error);
+  }
+
+  const result = answerFromTabState(task);
+  if (result) {
+    return { status: "succeeded", result, attempts: 0 };
+  }
+
+  enqueueTask(task);
+  const stepTimeout = getStepTimeout(task);
+  const record = await taskTracker.waitForCompletion(task.taskId, stepTimeout);
+  if (!taskTracker.isFinished(record)) {
+    const wasDispatched = record.status !== "queued";
+    const error = `Step did not finish within ${stepTimeout} ms.`;
+    taskTracker.updateStatus(task.taskId, "timed-out", { error, errorCode: "STEP_TIMEOUT" });
+    if (wasDispatched) {
+      socketManager.sendToClient(record.clientId, { type: "cancel", taskId: task.taskId });
+    }
+    throw createWorkflowError("STEP_TIMEOUT", `Task ${task.taskId}: ${error}`);
+  }
+  return record;
+}
+
+// ------------------------------------
+// 27. Run a Workflow (JSON, or YAML with Content-Type application/yaml)
+const YAML_TYPES = ["application/yaml", "application/x-yaml", "text/yaml"];
+app.post("/workflows", auth.requireScope("tasks:write"), bodyParser.text({ type: YAML_TYPES, limit: "1mb" }), async (req, res) => {
+  try {
+    let definition = req.body;
+    if (typeof definition === "string") {
+      try {
+        definition = yaml.load(definition);
+      } catch (error) {
+        return res.status(400).json({ success: false, error: `Invalid YAML: ${error.message}` });
+      }
+    }
+
+    const validationError = validateWorkflow(definition);
+    if (validationError) {
+      return res.status(400).json({ success: false, error: `Invalid workflow: ${validationError}` });
+    }
+
+    // Check every command up front, so a workflow does not stop halfway for a missing scope
+    for (const step of collectCommandSteps(definition.steps)) {
+      const activates = step.command === "find-tab" && step.params && step.params.activate;
+      const commandScope = activates ? "tabs:control" : COMMAND_SCOPES[step.command];
+      if (!commandScope) {
+        return res.status(400).json({ success: false, error: `Invalid command in workflow: ${step.command}` });
+      }
+      if (!authManager.hasScope(req.apiKey, commandScope)) {
+        return res.status(403).json({ success: false, error: `API key lacks scope: ${commandScope}` });
+      }
+    }
+
+    const { apiKey } = req;
+    const workflow = workflowRunner.start(definition, (body) => runWorkflowTask(body, apiKey));
+
+    if (definition.wait === false || req.query.wait === "false") {
+      return res.status(202).json({ success: true, workflowId: workflow.workflowId, status: workflow.status });
+    }
+
+    const finished = await workflowRunner.waitForCompletion(workflow.workflowId);
+    if (finished.status === "succeeded") {
+      return res.json({ success: true, workflow: finished });
+    }
+    // A failed or cancelled run is the workflow's outcome, not a server fault
+    res.status(finished.status === "failed" ? 422 : 409).json({
+      success: false,
+      status: finished.status,
+      error: finished.error,
+      code: finished.errorCode,
+      workflow: finished,
+    });
+  } catch (error) {
+    logger.error(`Error in /workflows: ${error.message}`);
+    res.status(500).json({ success: false, error: error.message });
+  }
+});
+
+// ------------------------------------
+// 28. List Workflow Runs, optionally filtered by status
+app.get("/workflows", auth.requireScope("tasks:read"), (req, res) => {
+  try {
+    const { status } = req.query;
+    if (status !== undefined && !WorkflowRunner.WORKFLOW_STATUSES.includes(status)) {
+      return res.status(400).json({ success: false, error: `Invalid status: ${status}` });
+    }
+    const limit = req.query.limit !== undefined ? parseInt(req.query.limit, 10) : undefined;
+    if (limit !== undefined && (!Number.isInteger(limit) || limit < 1)) {
+      return res.status(400).json({ success: false, error: "Invalid 'limit'. It should be a positive integer." });
+    }
+
+    const workflows = workflowRunner.listWorkflows({ status, limit });
+    res.json({ success: true, count: workflows.length, workflows });
+  } catch (error) {
+    logger.error(`Error in /workflows: ${error.message}`);
+    res.status(500).json({ success: false, error: error.message });
+  }
+});
+
+// ------------------------------------
+// 29. Get a Workflow Report (?wait=<ms> holds the request until it finishes)
+app.get("/workflows/:id", auth.requireScope("tasks:read"), async (req, res) => {
+  try {
+    let workflow = workflowRunner.getWorkflow(req.params.id);
+    if (!workflow) {
+      return res.status(404).json({ success: false, error: `Workflow not found: ${req.params.id}` });
+    }
+
+    const waitMs = req.query.wait !== undefined ? parseInt(req.query.wait, 10) : 0;
+    if (!Number.isInteger(waitMs) || waitMs < 0) {
+      return res.status(400).json({ success: false, error: "Invalid 'wait'. It should be a number of milliseconds." });
+    }
+    if (waitMs > 0) {
+      workflow = await workflowRunner.waitForCompletion(workflow.workflowId, waitMs);
+    }
+
+    res.json({ success: true, workflow });
+  } catch (error) {
+    logger.error(`Error in /workflows/:id: ${error.message}`);
+    res.status(500).json({ success: false, error: error.message });
+  }
+});
+
+// ------------------------------------
+// 30. Cancel a Workflow (its current task is cancelled and no further steps run)
+app.delete("/workflows/:id", auth.requireScope("tasks:write"), (req, res) => {
+  try {
+    const workflow = workflowRunner.getWorkflow(req.params.id);
+    if (!workflow) {
+      return res.status(404).json({ success: false, error: `Workflow not found: ${req.params.id}` });
+    }
+    if (!workflowRunner.cancel(workflow.workflowId)) {
+      return res.status(409).json({ success: false, error: `Workflow ${workflow.workflowId} already ${workflow.status}.` });
+    }
+    res.json({ success: true, workflowId: workflow.workflowId, status: "cancelling" });
+  } catch (error) {
+    logger.error(`Error in DELETE /workflows/:id: ${error.message}`);
+    res.status(500).json({ success: false, error: error.message });
+  }
+});
+
+// ------------------------------------
+// 31. Get All Opened Windows with their state, bounds and tabs (?clientId= limits the list to one client)
+app.get("/windows", auth.requireScope("tabs:read"), (req, res) => {
+  try {
+    const windows = tabManager.getAllOpenedWindows(req.query.clientId);
+    res.json({ success: true, windows });
+  } catch (error) {
+    logger.error(`Error in /windows: ${error.message}`);
+    res.status(500).json({ success: false, error: error.message });
+  }
+});
+
+// ------------------------------------
+
+/**
+ * Queue a tab command from its dedicated endpoint.
+ * @param {Object} req - Express request with tabId, the command params and scheduling options.
+ * @param {Object} res - Express response.
+ * @param {string} command - One of TAB_COMMANDS.
+ * @param {Array<string>} paramNames - The body fields forwarded to the extension.
+ */
+async function queueTabTask(req, res, command, paramNames) {
+  const { tabId } = req.body;
+  const params = Object.fromEntries(paramNames.map((name) => [name, req.body[name]]));
+  const validationError = validateTabParams(command, params, tabId);
+  if (validationError) {
+    return res.status(400).json({ success: false, error: validationError });
+  }
+
+  const { options, error: optionsError } = parseTaskOptions(req.body);
+  if (optionsError) {
+    return res.status(400).json({ success: false, error: optionsError });
+  }
+
+  // update-group is named after its group, group-tabs and ungroup-tabs given only tabIds after nothing
+  const target = Number.isInteger(tabId) ? tabId : params.groupId;
+  const task = {
+    taskId: target !== undefined ? createTaskId(command, target) : createTaskId(command),
+    command,
+    tabId: Number.isInteger(tabId) ? tabId : null,
+    params,
+    ...options,
+  };
+
+  enqueueTask(task);
+  await respondWithTask(res, task, req.body.wait !== false);
+}
+
+// ------------------------------------
+// 32. Reload a Tab (bypassCache skips the HTTP cache)
+app.post("/reload-tab", auth.requireScope("tasks:write", "tabs:control"), async (req, res) => {
+  try {
+    await queueTabTask(req, res, "reload-tab", ["bypassCache", "waitUntil", "timeout"]);
+  } catch (error) {
+    logger.error(`Error in /reload-tab: ${error.message}`);
+    res.status(400).json({ success: false, error: error.message });
+  }
+});
+
+// ------------------------------------
+// 33. Go Back in a Tab's History
+app.post("/go-back", auth.requireScope("tasks:write", "tabs:control"), async (req, res) => {
+  try {
+    await queueTabTask(req, res, "go-back", ["waitUntil", "timeout"]);
+  } catch (error) {
+    logger.error(`Error in /go-back: ${error.message}`);
+    res.status(400).json({ success: false, error: error.message });
+  }
+});
+
+// ------------------------------------
+// 34. Go Forward in a Tab's History
+app.post("/go-forward", auth.requireScope("tasks:write", "tabs:control"), async (req, res) => {
+  try {
+    await queueTabTask(req, res, "go-forward", ["waitUntil", "timeout"]);
+  } catch (error) {
+    logger.error(`Error in /go-forward: ${error.message}`);
+    res.status(400).json({ success: false, error: error.message });
+  }
+});
+
+// ------------------------------------
+// 35. Pin or Unpin a Tab (pinned defaults to true)
+app.post("/pin-tab", auth.requireScope("tasks:write", "tabs:control"), async (req, res) => {
+  try {
+    await queueTabTask(req, res, "pin-tab", ["pinned"]);
+  } catch (error) {
+    logger.error(`Error in /pin-tab: ${error.message}`);
+    res.status(400).json({ success: false, error: error.message });
+  }
+});
+
+// ------------------------------------
+// 36. Mute or Unmute a Tab (muted defaults to true)
+app.post("/mute-tab", auth.requireScope("tasks:write", "tabs:control"), async (req, res) => {
+  try {
+    await queueTabTask(req, res, "mute-tab", ["muted"]);
+  } catch (error) {
+    logger.error(`Error in /mute-tab: ${error.message}`);
+    res.status(400).json({ success: false, error: error.message });
+  }
+});
+
+// ------------------------------------
+// 37. Duplicate a Tab
+app.post("/duplicate-tab", auth.requireScope("tasks:write", "tabs:control"), async (req, res) => {
+  try {
+    await queueTabTask(req, res, "duplicate-tab", []);
+  } catch (error) {
+    logger.error(`Error in /duplicate-tab: ${error.message}`);
+    res.status(400).json({ success: false, error: error.message });
+  }
+});
+
+// ------------------------------------
+// 38. Discard a Tab to Free its Memory (it reloads when activated)
+app.post("/discard-tab", auth.requireScope("tasks:write", "tabs:control"), async (req, res) => {
+  try {
+    await queueTabTask(req, res, "discard-tab", []);
+  } catch (error) {
+    logger.error(`Error in /discard-tab: ${error.message}`);
+    res.status(400).json({ success: false, error: error.message });
+  }
+});
+
+// ------------------------------------
+// 39. Group Tabs into a New or Existing Tab Group
+app.post("/group-tabs", auth.requireScope("tasks:write", "tabs:control"), async (req, res) => {
+  try {
+    await queueTabTask(req, res, "group-tabs", ["tabIds", "groupId", "title", "color", "collapsed"]);
+  } catch (error) {
+    logger.error(`Error in /group-tabs: ${error.message}`);
+    res.status(400).json({ success: false, error: error.message });
+  }
+});
+
+// ------------------------------------
+// 40. Remove Tabs from their Tab Groups
+app.post("/ungroup-tabs", auth.requireScope("tasks:write", "tabs:control"), async (req, res) => {
+  try {
+    await queueTabTask(req, res, "ungroup-tabs", ["tabIds"]);
+  } catch (error) {
+    logger.error(`Error in /ungroup-tabs: ${error.message}`);
+    res.status(400).json({ success: false, error: error.message });
+  }
+});
+
+// ------------------------------------
+// 41. Rename, Recolor, Collapse or Expand a Tab Group
+app.post("/update-group", auth.requireScope("tasks:write", "tabs:control"), async (req, res) => {
+  try {
+    await queueTabTask(req, res, "update-group", ["groupId", "title", "color", "collapsed"]);
+  } catch (error) {
+    logger.error(`Error in /update-group: ${error.message}`);
+    res.status(400).json({ success: false, error: error.message });
+  }
+});
+
+// ------------------------------------
+// 42. Get All Tab Groups with the IDs of their tabs (?clientId= limits the list to one client)
+app.get("/tab-groups", auth.requireScope("tabs:read"), (req, res) => {
+  try {
+    const groups = tabManager.getTabGroups(req.query.clientId);
+    res.json({ success: true, groups });
+  } catch (error) {
+    logger.error(`Error in /tab-groups: ${error.message}`);
+    res.status(500).json({ success: false, error: error.message });
+  }
+});
+
+// ------------------------------------
+
+/**
+ * Queue a cookie, storage or session task from its dedicated endpoint.
+ * @param {Object} res - Express response.
+ * @param {string} command - One of STORAGE_COMMANDS.
+ * @param {number} tabId - The tab whose storage is used, if any.
+ * @param {Object} params - The params forwarded to the extension.
+ * @param {Object} body - Scheduling options and wait; for GET and DELETE, only clientId and wait from the query string.
+ */
+async function queueStorageTask(res, command, tabId, params, body) {
+  const validationError = validateStorageParams(command, params, tabId);
+  if (validationError) {
+    return res.status(400).json({ success: false, error: validationError });
+  }
+
+  const { options, error: optionsError } = parseTaskOptions(body);
+  if (optionsError) {
+    return res.status(400).json({ success: false, error: optionsError });
+  }
+
+  const task = {
+    taskId: Number.isInteger(tabId) ? createTaskId(command, tabId) : createTaskId(command),
+    command,
+    tabId: Number.isInteger(tabId) ? tabId : null,
+    params,
+    ...options,
+  };
+
+  enqueueTask(task);
+  await respondWithTask(res, task, body.wait !== false && body.wait !== "false");
+}
+
+/**
+ * Read the cookie filter of GET and DELETE /cookies from the query string.
+ * @param {Object} query - { url, domain, name, path, storeId }.
+ * @returns {Object} - The filter with only the given fields.
+ */
+function parseCookieFilter({ url, domain, name, path, storeId }) {
+  return Object.fromEntries(Object.entries({ url, domain, name, path, storeId }).filter(([, value]) => value !== undefined));
+}
+
+// ------------------------------------
+// 43. Get Cookies by URL, domain and/or name (all cookies of the browser when no filter is given)
+app.get("/cookies", auth.requireScope("tasks:write", "storage:read"), async (req, res) => {
+  try {
+    const { clientId, wait } = req.query;
+    await queueStorageTask(res, "get-cookies", null, parseCookieFilter(req.query), { clientId, wait });
+  } catch (error) {
+    logger.error(`Error in GET /cookies: ${error.message}`);
+    res.status(400).json({ success: false, error: error.message });
+  }
+});
+
+// ------------------------------------
+// 44. Set Cookies, including httpOnly cookies (each with a url or a domain)
+app.post("/cookies", auth.requireScope("tasks:write", "storage:write"), async (req, res) => {
+  try {
+    await queueStorageTask(res, "set-cookies", null, { cookies: req.body.cookies }, req.body);
+  } catch (error) {
+    logger.error(`Error in POST /cookies: ${error.message}`);
+    res.status(400).json({ success: false, error: error.message });
+  }
+});
+
+// ------------------------------------
+// 45. Delete the Cookies matching a URL or domain, optionally only those with a name
+app.delete("/cookies", auth.requireScope("tasks:write", "storage:write"), async (req, res) => {
+  try {
+    const { clientId, wait } = req.query;
+    await queueStorageTask(res, "delete-cookies", null, parseCookieFilter(req.query), { clientId, wait });
+  } catch (error) {
+    logger.error(`Error in DELETE /cookies: ${error.message}`);
+    res.status(400).json({ success: false, error: error.message });
+  }
+});
+
+// ------------------------------------
+// 46. Read a Tab's localStorage or sessionStorage (?type=session, ?keys=a,b limits the items)
+app.get("/tabs/:tabId/storage", auth.requireScope("tasks:write", "storage:read"), async (req, res) => {
+  try {
+    const { type, keys, clientId, wait } = req.query;
+    const params = { type, keys: keys !== undefined ? keys.split(",") : undefined };
+    await queueStorageTask(res, "get-storage", Number(req.params.tabId), params, { clientId, wait });
+  } catch (error) {
+    logger.error(`Error in GET /tabs/:tabId/storage: ${error.message}`);
+    res.status(400).json({ success: false, error: error.message });
+  }
+});
+
+// ------------------------------------
+// 47. Write, remove or clear a Tab's localStorage or sessionStorage items
+app.post("/tabs/:tabId/storage", auth.requireScope("tasks:write", "storage:write"), async (req, res) => {
+  try {
+    const { type, items, remove, clear } = req.body;
+    await queueStorageTask(res, "set-storage", Number(req.params.tabId), { type, items, remove, clear }, req.body);
+  } catch (error) {
+    logger.error(`Error in POST /tabs/:tabId/storage: ${error.message}`);
+    res.status(400).json({ success: false, error: error.message });
+  }
+});
+
+// ------------------------------------
+// 48. Export a Session Bundle: cookies (of some domains, or all) and the Web Storage of some tabs
+app.post("/session/export", auth.requireScope("tasks:write", "storage:read"), async (req, res) => {
+  try {
+    const { tabId, domains, tabIds } = req.body;
+    await queueStorageTask(res, "export-session", tabId, { domains, tabIds }, req.body);
+  } catch (error) {
+    logger.error(`Error in /session/export: ${error.message}`);
+    res.status(400).json({ success: false, error: error.message });
+  }
+});
+
+// ------------------------------------
+// 49. Import a Session Bundle into the browser (sessionStorage only goes to tabId, if it shows one of the origins)
+app.post("/session/import", auth.requireScope("tasks:write", "storage:write"), async (req, res) => {
+  try {
+    const { tabId, session } = req.body;
+    await queueStorageTask(res, "import-session", tabId, { session }, req.body);
+  } catch (error) {
+    logger.error(`Error in /session/import: ${error.message}`);
+    res.status(400).json({ success: false, error: error.message });
+  }
+});
+
+// ------------------------------------
+// 50. Start Recording the Requests of a Tab (urlPattern limits the recorded URLs, maxEntries the HAR size)
+app.post("/tabs/:tabId/network-capture", auth.requireScope("tasks:write", "network:capture"), async (req, res) => {
+  try {
+    const { urlPattern, maxEntries } = req.body;
+    const body = { ...req.body, command: "start-network-capture", tabId: Number(req.params.tabId), params: { urlPattern, maxEntries } };
+    const { task, status, error } = buildTask(body, req.apiKey);
+    if (error) {
+      return res.status(status).json({ success: false, error });
+    }
+    enqueueTask(task);
+    await respondWithTask(res, task, req.body.wait !== false);
+  } catch (error) {
+    logger.error(`Error in POST /tabs/:tabId/network-capture: ${error.message}`);
+    res.status(400).json({ success: false, error: error.message });
+  }
+});
+
+// ------------------------------------
+// 51. Stop Recording the Requests of a Tab; the result links to the HAR (or holds it with ?output=inline)
+app.delete("/tabs/:tabId/network-capture", auth.requireScope("tasks:write", "network:capture"), async (req, res) => {
+  try {
+    const { clientId, output } = req.query;
+    const body = { clientId, command: "stop-network-capture", tabId: Number(req.params.tabId), params: { output } };
+    const { task, status, error } = buildTask(body, req.apiKey);
+    if (error) {
+      return res.status(status).json({ success: false, error });
+    }
+    enqueueTask(task);
+    await respondWithTask(res, task);
+  } catch (error) {
+    logger.error(`Error in DELETE /tabs/:tabId/network-capture: ${error.message}`);
+    res.status(400).json({ success: false, error: error.message });
+  }
+});
+
+// ------------------------------------
+// 52. Download the Requests Recorded in a Tab as a HAR File (?stop=true also ends the recording)
+app.get("/tabs/:tabId/har", auth.requireScope("tasks:write", "network:capture"), async (req, res) => {
+  try {
+    const tabId = Number(req.params.tabId);
+    const command = req.query.stop === "true" ? "stop-network-capture" : "get-network-capture";
+    const { task, status, error } = buildTask({ clientId: req.query.clientId, command, tabId, params: {} }, req.apiKey);
+    if (error) {
+      return res.status(status).json({ success: false, error });
+    }
+    enqueueTask(task);
 
-// Map to track pending tasks and their corresponding Promise resolvers
-const pendingTasks = new Map();
+    const record = await taskTracker.waitForCompletion(task.taskId);
+    if (record.status !== "succeeded") {
+      return res.status(500).json({ success: false, status: record.status, error: record.error, code: record.errorCode });
+    }
+    // The HAR is moved to the capture store when the result arrives; a result without a captureId has none stored
+    if (!record.result || !record.result.captureId) {
+      return res.status(404).json({
+        success: false,
+        taskId: task.taskId,
+        error: `The ${command} result for tab ${tabId} has no HAR file in the capture store: the extension returned no HAR.`,
+      });
+    }
+    const capture = captureStore.getCapture(record.result.captureId);
+    if (!capture) {
+      return res.status(404).json({
+        success: false,
+        taskId: task.taskId,
+        error: `The HAR file ${record.result.captureId} is no longer in the capture store.`,
+      });
+    }
+    res.attachment(`tab-${tabId}.har`).type(capture.contentType).sendFile(capture.filePath);
+  } catch (error) {
+    logger.error(`Error in /tabs/:tabId/har: ${error.message}`);
+    res.status(400).json({ success: false, error: error.message });
+  }
+});
 
 /**
- * Utility function to wait for a task to be completed or timeout.
- * @param {string} taskId - The unique identifier for the task.
- * @param {number} timeoutMs - Timeout in milliseconds.
- * @returns {Promise} - Resolves with task data or rejects on timeout/error.
- */
-function waitForTaskCompletion(taskId, timeoutMs = 30000) { // 30 seconds timeout
-  return new Promise((resolve, reject) => {
-    // Store the resolve and reject functions in the pendingTasks map
-    pendingTasks.set(taskId, { resolve, reject });
-
-    // Set up a timeout to reject the promise if not resolved in time
-    const timeout = setTimeout(() => {
-      if (pendingTasks.has(taskId)) {
-        pendingTasks.get(taskId).reject(new Error("Task timed out."));
-        pendingTasks.delete(taskId);
-      }
-    }, timeoutMs);
-
-    // Attach the timeout to the resolver for cleanup
-    pendingTasks.get(taskId).timeout = timeout;
-  });
+ * Push the current rules to the online clients a rule applies to.
+ * @param {Object} rule - The rule that was added or deleted.
+ */
+function pushNetworkRuleChange(rule) {
+  clientRegistry.listClients()
+    .filter((client) => clientRegistry.isOnline(client) && (!rule.clientId || rule.clientId === client.clientId))
+    .forEach((client) => pushNetworkRules(client.clientId));
 }
 
 // ------------------------------------
-// 1. Add a Task (No tabId needed for open-tab)
-app.post("/add-task", async (req, res) => {
+// 53. List the Network Rules (?clientId= limits the list to the rules that apply to one client)
+app.get("/network-rules", auth.requireScope("network:rules"), (req, res) => {
   try {
-    const { taskId, command, url, jsFunction, tabId } = req.body;
+    res.json({ success: true, rules: networkRuleStore.listRules(req.query.clientId) });
+  } catch (error) {
+    logger.error(`Error in GET /network-rules: ${error.message}`);
+    res.status(500).json({ success: false, error: error.message });
+  }
+});
 
-    // Validate command
-    const validCommands = ["open-tab", "close-tab", "find-tab", "execute-js"];
-    if (!validCommands.includes(command)) {
-      return res.status(400).json({ success: false, error: `Invalid command: ${command}` });
+// ------------------------------------
+// 54. Add a Network Rule: block requests, modify headers or mock responses
+app.post("/network-rules", auth.requireScope("network:rules"), (req, res) => {
+  try {
+    const validationError = validateNetworkRule(req.body);
+    if (validationError) {
+      return res.status(400).json({ success: false, error: validationError });
     }
+    const rule = networkRuleStore.addRule(req.body);
+    logger.info(`Added network rule ${rule.id}: ${rule.action} ${rule.urlPattern}`);
+    pushNetworkRuleChange(rule);
+    res.status(201).json({ success: true, rule });
+  } catch (error) {
+    logger.error(`Error in POST /network-rules: ${error.message}`);
+    res.status(400).json({ success: false, error: error.message });
+  }
+});
 
-    // Generate a unique taskId if not provided
-    const newTaskId = taskId || `task-${Date.now()}`;
+// ------------------------------------
+// 55. Delete a Network Rule
+app.delete("/network-rules/:id", auth.requireScope("network:rules"), (req, res) => {
+  try {
+    const rule = networkRuleStore.deleteRule(Number(req.params.id));
+    if (!rule) {
+      return res.status(404).json({ success: false, error: `Network rule not found: ${req.params.id}` });
+    }
+    logger.info(`Deleted network rule ${rule.id}`);
+    pushNetworkRuleChange(rule);
+    res.json({ success: true, rule });
+  } catch (error) {
+    logger.error(`Error in DELETE /network-rules/:id: ${error.message}`);
+    res.status(500).json({ success: false, error: error.message });
+  }
+});
 
-    const task = {
-      taskId: newTaskId,
-      command,
-      tabId: tabId || null,
-      url: url || null,
-      jsFunction: jsFunction || null,
-    };
+// ------------------------------------
+// 56. Report a Batch of Log Entries of Subscribed Tabs (HTTP fallback for the WebSocket "tab-logs" message)
+app.post("/report-tab-logs", auth.requireExtension, (req, res) => {
+  try {
+    const { entries } = req.body; // Expecting an array of { tabId, type, level, text, ... }
+    if (!Array.isArray(entries)) {
+      return res.status(400).json({ success: false, error: "Invalid entries format. Expected an array." });
+    }
 
-    taskQueue.addTask(task);
-    logger.info(`Added task: ${JSON.stringify(task)}`);
+    handleTabLogs(resolveClientId(req), entries);
+    res.json({ success: true, received: entries.length });
+  } catch (error) {
+    logger.error(`Error in /report-tab-logs: ${error.message}`);
+    res.status(500).json({ success: false, error: error.message });
+  }
+});
 
-    // Wait for the task to be completed
-    try {
-      const result = await waitForTaskCompletion(newTaskId);
-      res.json({ success: true, task, result });
-    } catch (error) {
-      logger.error(`Task ${newTaskId} failed: ${error.message}`);
-      res.status(500).json({ success: false, error: error.message });
+// ------------------------------------
+// 57. Subscribe to a Tab's Console Messages, Uncaught Exceptions and Failed Resource Loads (types limits them)
+app.post("/tabs/:tabId/logs/capture", auth.requireScope("tasks:write", "logs:read"), async (req, res) => {
+  try {
+    const body = { ...req.body, command: "start-log-capture", tabId: Number(req.params.tabId), params: { types: req.body.types } };
+    const { task, status, error } = buildTask(body, req.apiKey);
+    if (error) {
+      return res.status(status).json({ success: false, error });
     }
+    enqueueTask(task);
+    await respondWithTask(res, task, req.body.wait !== false);
   } catch (error) {
-    logger.error(`Error in /add-task: ${error.message}`);
+    logger.error(`Error in POST /tabs/:tabId/logs/capture: ${error.message}`);
     res.status(400).json({ success: false, error: error.message });
   }
 });
 
 // ------------------------------------
-// 2. Get the Next Available Task
-app.get("/get-task", (req, res) => {
+// 58. Unsubscribe from a Tab's Logs (the entries received so far stay available)
+app.delete("/tabs/:tabId/logs/capture", auth.requireScope("tasks:write", "logs:read"), async (req, res) => {
   try {
-    const nextTask = taskQueue.getNextTask();
-    if (nextTask) {
-      logger.info(`Providing next task: ${JSON.stringify(nextTask)}`);
-      res.json(nextTask);
-    } else {
-      logger.info("No tasks available to provide.");
-      res.json({});
+    const body = { clientId: req.query.clientId, command: "stop-log-capture", tabId: Number(req.params.tabId), params: {} };
+    const { task, status, error } = buildTask(body, req.apiKey);
+    if (error) {
+      return res.status(status).json({ success: false, error });
     }
+    enqueueTask(task);
+    await respondWithTask(res, task);
   } catch (error) {
-    logger.error(`Error in /get-task: ${error.message}`);
-    res.status(500).json({ success: false, error: error.message });
+    logger.error(`Error in DELETE /tabs/:tabId/logs/capture: ${error.message}`);
+    res.status(400).json({ success: false, error: error.message });
   }
 });
 
+const DEFAULT_LOG_LIMIT = 100;
+const MAX_LOG_LIMIT = 1000;
+
+/**
+ * Read the filters of GET /tabs/:tabId/logs and its stream from the query string.
+ * @param {Object} query - { clientId, since, types, levels, afterId, limit }; types and levels are comma-separated.
+ * @returns {Object} - { filters } for LogStore, or { error } if a filter is invalid.
+ */
+function parseLogQuery({ clientId, since, types, levels, afterId, limit }) {
+  const filters = { limit: DEFAULT_LOG_LIMIT };
+  if (clientId) filters.clientId = clientId;
+  if (since !== undefined) {
+    const date = new Date(since);
+    if (Number.isNaN(date.getTime())) {
+      return { error: "Invalid 'since'. It should be an ISO date." };
+    }
+    filters.since = date.toISOString();
+  }
+  for (const [field, value, allowed] of [["types", types, LOG_TYPES], ["levels", levels, LOG_LEVELS]]) {
+    if (value === undefined) continue;
+    const list = String(value).split(",").map((item) => item.trim()).filter(Boolean);
+    const error = validateLogFilter(list, allowed, field);
+    if (error) return { error };
+    filters[field] = list;
+  }
+  if (afterId !== undefined) {
+    filters.afterId = Number(afterId);
+    if (!Number.isInteger(filters.afterId) || filters.afterId < 0) {
+      return { error: "Invalid 'afterId'. It should be the id of a log entry." };
+    }
+  }
+  if (limit !== undefined) {
+    filters.limit = Number(limit);
+    if (!Number.isInteger(filters.limit) || filters.limit < 1 || filters.limit > MAX_LOG_LIMIT) {
+      return { error: `Invalid 'limit'. It should be an integer between 1 and ${MAX_LOG_LIMIT}.` };
+    }
+  }
+  return { filters };
+}
+
 // ------------------------------------
-// 3. Report a Successful Result
-app.post("/report-result", (req, res) => {
+// 59. Get the Buffered Logs of a Tab, oldest first (see parseLogQuery for filters; ?limit= keeps the newest entries)
+app.get("/tabs/:tabId/logs", auth.requireScope("logs:read"), (req, res) => {
   try {
-    const { taskId, data } = req.body;
-    logger.info(`Task ${taskId} completed successfully: ${JSON.stringify(data)}`);
+    const tabId = Number(req.params.tabId);
+    const { filters, error } = parseLogQuery(req.query);
+    if (!Number.isInteger(tabId) || error) {
+      return res.status(400).json({ success: false, error: error || "Invalid 'tabId'." });
+    }
+    res.json({ success: true, logs: logStore.getEntries(tabId, filters) });
+  } catch (error) {
+    logger.error(`Error in GET /tabs/:tabId/logs: ${error.message}`);
+    res.status(500).json({ success: false, error: error.message });
+  }
+});
 
-    // If this was an open-tab or tab update command, data includes { tabId, windowId, url }
-    if (data && data.tabId && data.windowId && data.url) {
-      tabManager.addOrUpdateTab(data.tabId, data.windowId, data.url);
-      logger.info(`Added/Updated tab ${data.tabId} in window ${data.windowId} with URL ${data.url}`);
+const SSE_KEEPALIVE = 15000; // Comment lines keep proxies from closing idle streams
+
+/**
+ * Turn a response into a Server-Sent Events stream that stays open until the client disconnects.
+ * @param {Object} req - Express request; its "close" event ends the keep-alive comments.
+ * @param {Object} res - Express response.
+ * @returns {Function} - send(id, event, data) writes one event with JSON data.
+ */
+function openSseStream(req, res) {
+  res.set({ "Content-Type": "text/event-stream", "Cache-Control": "no-cache", Connection: "keep-alive" });
+  res.flushHeaders();
+  const keepAlive = setInterval(() => res.write(": keep-alive\n\n"), SSE_KEEPALIVE);
+  req.on("close", () => clearInterval(keepAlive));
+  return (id, event, data) => res.write(`id: ${id}\nevent: ${event}\ndata: ${JSON.stringify(data)}\n\n`);
+}
+
+// ------------------------------------
+// 60. Stream a Tab's Logs live as Server-Sent Events (Last-Event-ID or ?afterId= first replays the missed entries)
+app.get("/tabs/:tabId/logs/stream", auth.requireScope("logs:read"), (req, res) => {
+  const tabId = Number(req.params.tabId);
+  const { filters, error } = parseLogQuery({ ...req.query, afterId: req.get("Last-Event-ID") ?? req.query.afterId });
+  if (!Number.isInteger(tabId) || error) {
+    return res.status(400).json({ success: false, error: error || "Invalid 'tabId'." });
+  }
+
+  const send = openSseStream(req, res);
+  if (filters.afterId !== undefined || filters.since) {
+    logStore.getEntries(tabId, filters).forEach((entry) => send(entry.id, "log", entry));
+  }
+  const { limit, ...liveFilters } = filters;
+  const onEntry = (entry) => {
+    if (logStore.matches(entry, { ...liveFilters, tabId })) send(entry.id, "log", entry);
+  };
+  logStore.on("entry", onEntry);
+  req.on("close", () => logStore.off("entry", onEntry));
+});
+
+// Scope an API key needs to receive each event type
+const EVENT_SCOPES = Object.fromEntries(EventStream.EVENT_TYPES.map((type) => [type, type.startsWith("task-") ? "tasks:read" : "tabs:read"]));
+
+/**
+ * Work out which event types an API key may receive, for GET /events and webhooks.
+ * @param {Object} apiKey - The API key record.
+ * @param {Array<string>} types - Optional requested event types; without them, every type the key may see.
+ * @returns {Object} - { types }, or { error } naming the missing scopes.
+ */
+function authorizeEventTypes(apiKey, types) {
+  const allowed = EventStream.EVENT_TYPES.filter((type) => authManager.hasScope(apiKey, EVENT_SCOPES[type]));
+  const denied = (types || []).filter((type) => !allowed.includes(type));
+  if (denied.length > 0 || allowed.length === 0) {
+    const scopes = [...new Set((denied.length > 0 ? denied : EventStream.EVENT_TYPES).map((type) => EVENT_SCOPES[type]))];
+    return { error: `API key lacks scope: ${scopes.join(", ")}` };
+  }
+  return { types: types || allowed };
+}
+
+/**
+ * Read the filters of GET /events from the query string.
+ * @param {Object} query - { types, clientId, tabId, url, afterId }; types is comma-separated and accepts tab, window and task for all events of a kind.
+ * @returns {Object} - { filters } for EventStream (url compiled to a RegExp), or { error } if a filter is invalid.
+ */
+function parseEventQuery({ types, clientId, tabId, url, afterId }) {
+  const filters = {};
+  if (types !== undefined) {
+    filters.types = EventStream.resolveEventTypes(String(types).split(",").map((type) => type.trim()).filter(Boolean));
+    if (!filters.types) {
+      return { error: `Invalid 'types'. Expected a comma-separated list of: ${[...EventStream.EVENT_CATEGORIES, ...EventStream.EVENT_TYPES].join(", ")}.` };
+    }
+  }
+  if (clientId) filters.clientId = clientId;
+  if (tabId !== undefined) {
+    filters.tabId = Number(tabId);
+    if (!Number.isInteger(filters.tabId)) {
+      return { error: "Invalid 'tabId'. It should be an integer." };
+    }
+  }
+  if (url !== undefined) {
+    try {
+      filters.url = TabManager.patternToRegExp(String(url));
+    } catch (error) {
+      return { error: `Invalid 'url': ${error.message}` };
+    }
+  }
+  if (afterId !== undefined) {
+    filters.afterId = Number(afterId);
+    if (!Number.isInteger(filters.afterId) || filters.afterId < 0) {
+      return { error: "Invalid 'afterId'. It should be the id of an event." };
     }
+  }
+  return { filters };
+}
+
+// ------------------------------------
+// 61. Stream Tab, Window and Task Events as Server-Sent Events (see parseEventQuery for filters;
+//     Last-Event-ID or ?afterId= first replays the missed events)
+app.get("/events", auth.requireScope(), (req, res) => {
+  const { filters, error } = parseEventQuery({ ...req.query, afterId: req.get("Last-Event-ID") ?? req.query.afterId });
+  if (error) {
+    return res.status(400).json({ success: false, error });
+  }
+
+  // Tab and window events need tabs:read, task events tasks:read; without a types filter the key gets what it may see
+  const { types, error: scopeError } = authorizeEventTypes(req.apiKey, filters.types);
+  if (scopeError) {
+    return res.status(403).json({ success: false, error: scopeError });
+  }
+  filters.types = types;
 
-    // If this was a close-tab command, data includes { closedTabId }
-    if (data && data.closedTabId) {
-      tabManager.removeClosedTab(data.closedTabId);
-      logger.info(`Removed tab ${data.closedTabId}`);
+  const send = openSseStream(req, res);
+  if (filters.afterId !== undefined) {
+    if (eventStream.canReplayAfter(filters.afterId)) {
+      eventStream.getEvents(filters).forEach((event) => send(event.id, event.type, event));
+    } else {
+      // The missed events were dropped or the API restarted: the subscriber has to reload the state it tracks
+      const lastEventId = eventStream.getLastEventId();
+      send(lastEventId, "reset", { lastEventId, reason: "Events after the given ID are no longer available." });
     }
+  }
+  const { afterId, ...liveFilters } = filters;
+  const onEvent = (event) => {
+    if (eventStream.matches(event, liveFilters)) send(event.id, event.type, event);
+  };
+  eventStream.on("event", onEvent);
+  req.on("close", () => eventStream.off("event", onEvent));
+});
+
+/**
+ * Describe a webhook for the API; its secret is only returned when it is created.
+ * @param {Object} webhook - The webhook.
+ * @returns {Object} - The webhook without its secret.
+ */
+function describeWebhook(webhook) {
+  const { secret, ...rest } = webhook;
+  return rest;
+}
 
-    // Resolve the pending task if it exists
-    if (pendingTasks.has(taskId)) {
-      const { resolve, timeout } = pendingTasks.get(taskId);
-      clearTimeout(timeout); // Clear the timeout
-      resolve(data);
-      pendingTasks.delete(taskId);
+/**
+ * Validate the body of POST or PATCH /webhooks and limit its event types to those the API key may receive.
+ * @param {Object} body - The webhook fields.
+ * @param {Object} apiKey - The API key record.
+ * @param {boolean} partial - True on update.
+ * @returns {Object} - { details } with types expanded, or { status, error }.
+ */
+function parseWebhookBody(body, apiKey, partial) {
+  const error = validateWebhook(body, { partial });
+  if (error) {
+    return { status: 400, error };
+  }
+  const details = { ...body };
+  // On update the event types are only checked again when they change
+  if (!partial || body.types !== undefined) {
+    const { types, error: scopeError } = authorizeEventTypes(apiKey, body.types && EventStream.resolveEventTypes(body.types));
+    if (scopeError) {
+      return { status: 403, error: scopeError };
     }
+    details.types = types;
+  }
+  return { details };
+}
 
-    res.json({ success: true });
+// ------------------------------------
+// 62. List the Webhooks
+app.get("/webhooks", auth.requireScope("webhooks:manage"), (req, res) => {
+  try {
+    res.json({ success: true, webhooks: webhookManager.listWebhooks().map(describeWebhook) });
   } catch (error) {
-    logger.error(`Error in /report-result: ${error.message}`);
+    logger.error(`Error in GET /webhooks: ${error.message}`);
     res.status(500).json({ success: false, error: error.message });
   }
 });
 
 // ------------------------------------
-// 4. Get All Opened Tabs (Public Endpoint)
-app.get("/opened-tabs", (req, res) => {
+// 63. Add a Webhook (types, clientId, tabId and urlPattern filter the events; the secret is only shown in this response)
+app.post("/webhooks", auth.requireScope("webhooks:manage"), (req, res) => {
   try {
-    const allTabs = tabManager.getAllOpenedTabs();
-    res.json({ success: true, tabs: allTabs });
+    const { details, status, error } = parseWebhookBody(req.body, req.apiKey, false);
+    if (error) {
+      return res.status(status).json({ success: false, error });
+    }
+
+    const webhook = webhookManager.createWebhook(details);
+    logger.info(`Added webhook ${webhook.id} for ${webhook.url}`);
+    res.status(201).json({ success: true, webhook });
   } catch (error) {
-    logger.error(`Error in /opened-tabs: ${error.message}`);
+    logger.error(`Error in POST /webhooks: ${error.message}`);
     res.status(500).json({ success: false, error: error.message });
   }
 });
 
 // ------------------------------------
-// 5. Report an Error
-app.post("/report-result/error", (req, res) => {
+// 64. Get a Webhook
+app.get("/webhooks/:id", auth.requireScope("webhooks:manage"), (req, res) => {
   try {
-    const { taskId, error: errorMsg } = req.body;
-    logger.error(`Task ${taskId} failed with error: ${errorMsg}`);
+    const webhook = webhookManager.getWebhook(req.params.id);
+    if (!webhook) {
+      return res.status(404).json({ success: false, error: `Webhook not found: ${req.params.id}` });
+    }
+    res.json({ success: true, webhook: describeWebhook(webhook) });
+  } catch (error) {
+    logger.error(`Error in GET /webhooks/:id: ${error.message}`);
+    res.status(500).json({ success: false, error: error.message });
+  }
+});
 
-    // Reject the pending task if it exists
-    if (pendingTasks.has(taskId)) {
-      const { reject, timeout } = pendingTasks.get(taskId);
-      clearTimeout(timeout); // Clear the timeout
-      reject(new Error(errorMsg));
-      pendingTasks.delete(taskId);
+// ------------------------------------
+// 65. Update a Webhook (only the given fields change; null removes the clientId, tabId or urlPattern filter)
+app.patch("/webhooks/:id", auth.requireScope("webhooks:manage"), (req, res) => {
+  try {
+    if (!webhookManager.getWebhook(req.params.id)) {
+      return res.status(404).json({ success: false, error: `Webhook not found: ${req.params.id}` });
+    }
+    const { details, status, error } = parseWebhookBody(req.body, req.apiKey, true);
+    if (error) {
+      return res.status(status).json({ success: false, error });
     }
 
-    res.json({ success: true });
+    const webhook = webhookManager.updateWebhook(req.params.id, details);
+    logger.info(`Updated webhook ${webhook.id}`);
+    res.json({ success: true, webhook: describeWebhook(webhook) });
   } catch (error) {
-    logger.error(`Error in /report-result/error: ${error.message}`);
+    logger.error(`Error in PATCH /webhooks/:id: ${error.message}`);
     res.status(500).json({ success: false, error: error.message });
   }
 });
 
 // ------------------------------------
-// 6. Sync Opened Tabs (New Endpoint)
-app.post("/sync-tabs", async (req, res) => {
+// 66. Delete a Webhook with its pending deliveries and dead letters
+app.delete("/webhooks/:id", auth.requireScope("webhooks:manage"), (req, res) => {
   try {
-    const { tabs } = req.body; // Expecting an array of { tabId, windowId, url }
+    const webhook = webhookManager.deleteWebhook(req.params.id);
+    if (!webhook) {
+      return res.status(404).json({ success: false, error: `Webhook not found: ${req.params.id}` });
+    }
+    logger.info(`Deleted webhook ${webhook.id}`);
+    res.json({ success: true, webhook: describeWebhook(webhook) });
+  } catch (error) {
+    logger.error(`Error in DELETE /webhooks/:id: ${error.message}`);
+    res.status(500).json({ success: false, error: error.message });
+  }
+});
 
-    if (!Array.isArray(tabs)) {
-      return res.status(400).json({ success: false, error: "Invalid tabs format. Expected an array." });
+// ------------------------------------
+// 67. Send a Test Event to a Webhook, whatever its filters
+app.post("/webhooks/:id/test", auth.requireScope("webhooks:manage"), (req, res) => {
+  try {
+    const webhook = webhookManager.getWebhook(req.params.id);
+    if (!webhook) {
+      return res.status(404).json({ success: false, error: `Webhook not found: ${req.params.id}` });
     }
+    const event = { id: null, type: "ping", timestamp: new Date().toISOString(), data: { webhookId: webhook.id } };
+    const delivery = webhookManager.startDelivery(webhook, event);
+    res.status(202).json({ success: true, deliveryId: delivery.deliveryId });
+  } catch (error) {
+    logger.error(`Error in POST /webhooks/:id/test: ${error.message}`);
+    res.status(500).json({ success: false, error: error.message });
+  }
+});
 
-    // Replace the entire list of opened tabs and windows
-    tabManager.replaceAllTabs(tabs);
+const DELIVERY_STATUSES = ["pending", "succeeded", "failed"];
 
-    logger.info(`Synchronized ${tabs.length} tabs from the extension.`);
+// ------------------------------------
+// 68. List the Latest Deliveries of a Webhook, newest first (?status= pending, succeeded or failed; ?limit=)
+app.get("/webhooks/:id/deliveries", auth.requireScope("webhooks:manage"), (req, res) => {
+  try {
+    const { status } = req.query;
+    const limit = req.query.limit !== undefined ? parseInt(req.query.limit, 10) : undefined;
+    if (!webhookManager.getWebhook(req.params.id)) {
+      return res.status(404).json({ success: false, error: `Webhook not found: ${req.params.id}` });
+    }
+    if (status && !DELIVERY_STATUSES.includes(status)) {
+      return res.status(400).json({ success: false, error: `Invalid status: ${status}` });
+    }
+    if (limit !== undefined && (!Number.isInteger(limit) || limit < 1)) {
+      return res.status(400).json({ success: false, error: "Invalid 'limit'. It should be a positive integer." });
+    }
 
-    res.json({ success: true, syncedTabs: tabs });
+    res.json({ success: true, deliveries: webhookManager.listDeliveries(req.params.id, { status, limit }) });
   } catch (error) {
-    logger.error(`Error in /sync-tabs: ${error.message}`);
+    logger.error(`Error in GET /webhooks/:id/deliveries: ${error.message}`);
     res.status(500).json({ success: false, error: error.message });
   }
 });
 
 // ------------------------------------
-// 7. New Endpoint: Switch Tab by tabId
-app.post("/switch-tab", async (req, res) => {
+// 69. List the Dead Letters of a Webhook: deliveries that failed every attempt, newest first
+app.get("/webhooks/:id/dead-letters", auth.requireScope("webhooks:manage"), (req, res) => {
   try {
-    const { tabId } = req.body;
-
-    if (typeof tabId !== 'number') {
-      return res.status(400).json({ success: false, error: "Invalid or missing 'tabId'. It should be a number." });
+    if (!webhookManager.getWebhook(req.params.id)) {
+      return res.status(404).json({ success: false, error: `Webhook not found: ${req.params.id}` });
     }
+    res.json({ success: true, deadLetters: webhookManager.listDeadLetters(req.params.id) });
+  } catch (error) {
+    logger.error(`Error in GET /webhooks/:id/dead-letters: ${error.message}`);
+    res.status(500).json({ success: false, error: error.message });
+  }
+});
 
-    // Check for existing switch-tab tasks for the same tabId to prevent duplicates
-    const existingTask = taskQueue.queue.find(task => task.command === "switch-tab" && task.tabId === tabId);
-    if (existingTask) {
-      return res.status(409).json({ success: false, error: `A switch-tab task for tabId ${tabId} is already pending.` });
+// ------------------------------------
+// 70. Redeliver a Dead Letter as a new delivery with a fresh set of attempts
+app.post("/webhooks/:id/dead-letters/:deliveryId/redeliver", auth.requireScope("webhooks:manage"), (req, res) => {
+  try {
+    const delivery = webhookManager.redeliver(req.params.id, req.params.deliveryId);
+    if (!delivery) {
+      return res.status(404).json({ success: false, error: `Dead letter not found: ${req.params.deliveryId}` });
     }
+    logger.info(`Redelivering ${req.params.deliveryId} of webhook ${req.params.id} as ${delivery.deliveryId}`);
+    res.status(202).json({ success: true, deliveryId: delivery.deliveryId });
+  } catch (error) {
+    logger.error(`Error in POST /webhooks/:id/dead-letters/:deliveryId/redeliver: ${error.message}`);
+    res.status(500).json({ success: false, error: error.message });
+  }
+});
 
-    // Create a new task to switch the tab
-    const newTaskId = `switch-tab-${tabId}-${Date.now()}`;
-    const task = {
-      taskId: newTaskId,
-      command: "switch-tab",
-      tabId,
-    };
-
-    taskQueue.addTask(task);
-    logger.info(`Added switch-tab task: ${JSON.stringify(task)}`);
-
-    // Wait for the task to be completed
-    try {
-      const result = await waitForTaskCompletion(newTaskId);
-      res.json({ success: true, task, result });
-    } catch (error) {
-      logger.error(`Task ${newTaskId} failed: ${error.message}`);
-      res.status(500).json({ success: false, error: error.message });
+// ------------------------------------
+// 71. Discard a Dead Letter
+app.delete("/webhooks/:id/dead-letters/:deliveryId", auth.requireScope("webhooks:manage"), (req, res) => {
+  try {
+    const delivery = webhookManager.removeDeadLetter(req.params.id, req.params.deliveryId);
+    if (!delivery) {
+      return res.status(404).json({ success: false, error: `Dead letter not found: ${req.params.deliveryId}` });
     }
-
+    res.json({ success: true, deadLetter: delivery });
   } catch (error) {
-    logger.error(`Error in /switch-tab: ${error.message}`);
-    res.status(400).json({ success: false, error: error.message });
+    logger.error(`Error in DELETE /webhooks/:id/dead-letters/:deliveryId: ${error.message}`);
+    res.status(500).json({ success: false, error: error.message });
   }
 });
 
 // ------------------------------------
-// 8. New Endpoint: Execute JS Function by tabId
-app.post("/execute-js", async (req, res) => {
+// 72. Report a Batch of Browser Events (protocol v1; HTTP fallback for the WebSocket "browser-events" message)
+app.post("/v1/browser-events", auth.requireExtension, (req, res) => {
   try {
-    const { tabId, jsFunction } = req.body;
+    const { version = BROWSER_EVENT_VERSION, events, sessionId } = req.body; // Expecting an array of { eventId, type, timestamp, data }
+    const clientId = resolveClientId(req);
 
-    if (typeof tabId !== 'number') {
-      return res.status(400).json({ success: false, error: "Invalid or missing 'tabId'. It should be a number." });
+    if (version !== BROWSER_EVENT_VERSION) {
+      return res.status(400).json({ success: false, error: `Unsupported browser event version: ${version}. Expected ${BROWSER_EVENT_VERSION}.` });
     }
-
-    if (typeof jsFunction !== 'string') {
-      return res.status(400).json({ success: false, error: "Invalid or missing 'jsFunction'. It should be a string." });
+    if (!Array.isArray(events)) {
+      return res.status(400).json({ success: false, error: "Invalid events format. Expected an array." });
+    }
+    if (sessionId !== undefined && validateSessionId(sessionId)) {
+      return res.status(400).json({ success: false, error: validateSessionId(sessionId) });
     }
 
-    // Create a new task to execute the JS function
-    const newTaskId = `execute-js-${tabId}-${Date.now()}`;
-    const task = {
-      taskId: newTaskId,
-      command: "execute-js",
-      tabId,
-      jsFunction,
-    };
+    const { accepted, rejected } = handleBrowserEvents(clientId, events, sessionId);
+    res.json({ success: true, accepted, rejected });
+  } catch (error) {
+    logger.error(`Error in /v1/browser-events: ${error.message}`);
+    res.status(500).json({ success: false, error: error.message });
+  }
+});
 
-    taskQueue.addTask(task);
-    logger.info(`Added execute-js task: ${JSON.stringify(task)}`);
+const DEFAULT_HISTORY_LIMIT = 100;
+const MAX_HISTORY_LIMIT = 1000;
+const HISTORY_STATES = ["open", "closed", "all"];
 
-    // Wait for the task to be completed
+/**
+ * Read the filters of GET /history/tabs and GET /history/visits from the query string.
+ * @param {Object} query - { state, clientId, windowId, tabId, url, minOpenHours, limit } and the ISO dates
+ * openedSince, openedUntil, closedSince, closedUntil, since and until.
+ * @returns {Object} - { filters } for TabManager.queryTabHistory or queryVisits, or { error } if a filter is invalid.
+ */
+function parseHistoryQuery({ state, clientId, windowId, tabId, url, minOpenHours, limit, ...dates }) {
+  const filters = { limit: DEFAULT_HISTORY_LIMIT };
+  if (clientId) filters.clientId = clientId;
+  if (state !== undefined) {
+    if (!HISTORY_STATES.includes(state)) return { error: `Invalid 'state'. Expected one of: ${HISTORY_STATES.join(", ")}.` };
+    filters.state = state;
+  }
+  for (const [name, value] of Object.entries({ windowId, tabId })) {
+    if (value === undefined) continue;
+    filters[name] = Number(value);
+    if (!Number.isInteger(filters[name])) return { error: `Invalid '${name}'. It should be a number.` };
+  }
+  if (url !== undefined) {
     try {
-      const result = await waitForTaskCompletion(newTaskId);
-      res.json({ success: true, task, result });
+      TabManager.patternToRegExp(url);
     } catch (error) {
-      logger.error(`Task ${newTaskId} failed: ${error.message}`);
-      res.status(500).json({ success: false, error: error.message });
+      return { error: `Invalid 'url' pattern: ${error.message}` };
+    }
+    filters.url = url;
+  }
+  for (const name of ["openedSince", "openedUntil", "closedSince", "closedUntil", "since", "until"]) {
+    if (dates[name] === undefined) continue;
+    const date = new Date(dates[name]);
+    if (Number.isNaN(date.getTime())) return { error: `Invalid '${name}'. It should be an ISO date.` };
+    filters[name] = date.toISOString();
+  }
+  if (minOpenHours !== undefined) {
+    filters.minOpenHours = Number(minOpenHours);
+    if (!Number.isFinite(filters.minOpenHours) || filters.minOpenHours < 0) {
+      return { error: "Invalid 'minOpenHours'. It should be a number of hours." };
+    }
+  }
+  if (limit !== undefined) {
+    filters.limit = Number(limit);
+    if (!Number.isInteger(filters.limit) || filters.limit < 1 || filters.limit > MAX_HISTORY_LIMIT) {
+      return { error: `Invalid 'limit'. It should be an integer between 1 and ${MAX_HISTORY_LIMIT}.` };
+    }
+  }
+  return { filters };
+}
+
+// ------------------------------------
+// 73. Query Open and Closed Tabs, most recently opened first (see parseHistoryQuery for filters)
+app.get("/history/tabs", auth.requireScope("tabs:read"), (req, res) => {
+  try {
+    const { filters, error } = parseHistoryQuery(req.query);
+    if (error) {
+      return res.status(400).json({ success: false, error });
     }
 
+    const tabs = tabManager.queryTabHistory(filters);
+    res.json({ success: true, count: tabs.length, tabs });
   } catch (error) {
-    logger.error(`Error in /execute-js: ${error.message}`);
-    res.status(400).json({ success: false, error: error.message });
+    logger.error(`Error in /history/tabs: ${error.message}`);
+    res.status(500).json({ success: false, error: error.message });
+  }
+});
+
+// ------------------------------------
+// 74. Query the URLs Visited by Open and Closed Tabs, most recent first (see parseHistoryQuery for filters)
+app.get("/history/visits", auth.requireScope("tabs:read"), (req, res) => {
+  try {
+    const { filters, error } = parseHistoryQuery(req.query);
+    if (error) {
+      return res.status(400).json({ success: false, error });
+    }
+
+    const visits = tabManager.queryVisits(filters);
+    res.json({ success: true, count: visits.length, visits });
+  } catch (error) {
+    logger.error(`Error in /history/visits: ${error.message}`);
+    res.status(500).json({ success: false, error: error.message });
   }
 });
 
 // ------------------------------------
+// Bootstrap credentials: an admin key on first start, and a pairing code for the extension.
+// They are printed to the console only: the logger also writes to server.log.
+if (!authManager.hasApiKeys()) {
+  const { key } = authManager.createApiKey("admin", ["admin"]);
+  console.log(`No API keys configured. Created an admin API key (shown only once): ${key}`);
+}
+const { code: pairingCode, expiresAt: pairingExpiresAt } = authManager.createPairingCode();
+console.log(`Extension pairing code: ${pairingCode} (valid until ${pairingExpiresAt})`);
+
+recoverTasks();
+webhookManager.resumeDeliveries();
+
 const PORT = 3000;
-app.listen(PORT, () => {
+server.listen(PORT, () => {
   logger.info(`Node.js API listening on port ${PORT}`);
 });
+
+// Write the tab store's pending changes before exiting; nodemon restarts the API with SIGUSR2
+["SIGINT", "SIGTERM", "SIGUSR2"].forEach((signal) => {
+  process.once(signal, () => {
+    logger.info(`Received ${signal}; shutting down.`);
+    try {
+      tabManager.close();
+    } catch (error) {
+      logger.error(`Error closing the tab store: ${error.message}`);
+    }
+    process.exit(0);
+  });
+});
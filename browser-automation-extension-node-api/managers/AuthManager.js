@@ -0,0 +1,225 @@
+// managers/AuthManager.js
+
+const fs = require("fs");
+const path = require("path");
+const crypto = require("crypto");
+const writeFileAtomic = require("../utils/writeFileAtomic");
+
+const SCOPES = [
+  "tasks:read", "tasks:write", "tabs:read", "tabs:control", "tabs:capture", "dom:interact", "js:execute",
+  "storage:read", "storage:write", "network:capture", "network:rules", "logs:read", "webhooks:manage",
+  "clients:read", "admin",
+];
+const PAIRING_CODE_TTL = 10 * 60 * 1000; // 10 minutes
+const MAX_PAIRING_ATTEMPTS = 5;
+
+/**
+ * Hash a secret for storage and comparison; plaintext keys and tokens are never written to disk.
+ * @param {string} secret - The API key or extension token.
+ * @returns {string} - Hex encoded SHA-256 digest.
+ */
+function hashSecret(secret) {
+  return crypto.createHash("sha256").update(secret).digest("hex");
+}
+
+/**
+ * Compare two hex digests in constant time.
+ * @param {string} a - First digest.
+ * @param {string} b - Second digest.
+ * @returns {boolean} - True if both digests are equal.
+ */
+function digestsEqual(a, b) {
+  const bufferA = Buffer.from(a, "hex");
+  const bufferB = Buffer.from(b, "hex");
+  return bufferA.length === bufferB.length && crypto.timingSafeEqual(bufferA, bufferB);
+}
+
+/**
+ * AuthManager holds the credentials that protect the API:
+ * - API keys with scopes for external callers (sent as a Bearer token or X-API-Key header)
+ * - Extension tokens, issued through a pairing code or replaced by a shared secret
+ * Credentials are persisted (hashed) to auth.json.
+ */
+class AuthManager {
+  /**
+   * @param {Object} options - { sharedSecret } shared secret the extension may use instead of pairing.
+   */
+  constructor({ sharedSecret } = {}) {
+    this.dbFilePath = path.join(__dirname, "..", "auth.json");
+    this.sharedSecretHash = sharedSecret ? hashSecret(sharedSecret) : null;
+    this.apiKeys = [];
+    this.extensionTokens = [];
+    this.pairingCode = null;
+
+    this.loadData();
+  }
+
+  /**
+   * Load API keys and extension tokens from the JSON file.
+   */
+  loadData() {
+    if (!fs.existsSync(this.dbFilePath)) return;
+    try {
+      const data = JSON.parse(fs.readFileSync(this.dbFilePath, "utf-8"));
+      this.apiKeys = data.apiKeys || [];
+      this.extensionTokens = data.extensionTokens || [];
+      console.log(`Loaded ${this.apiKeys.length} API keys and ${this.extensionTokens.length} extension tokens from ${this.dbFilePath}`);
+    } catch (error) {
+      console.error("Error reading auth.json:", error);
+    }
+  }
+
+  /**
+   * Persist API keys and extension tokens to the JSON file atomically.
+   */
+  saveData() {
+    const data = { apiKeys: this.apiKeys, extensionTokens: this.extensionTokens };
+    writeFileAtomic(this.dbFilePath, JSON.stringify(data, null, 2), (err) => {
+      if (err) {
+        console.error("Error writing to auth.json:", err);
+      }
+    });
+  }
+
+  /**
+   * Check whether any API key exists.
+   * @returns {boolean} - True if at least one API key is configured.
+   */
+  hasApiKeys() {
+    return this.apiKeys.length > 0;
+  }
+
+  /**
+   * Create an API key. The plaintext key is only returned here.
+   * @param {string} name - A label for the key.
+   * @param {Array<string>} scopes - Scopes granted to the key.
+   * @returns {Object} - { id, name, scopes, createdAt, key }.
+   */
+  createApiKey(name, scopes) {
+    const invalid = scopes.filter((scope) => !SCOPES.includes(scope));
+    if (invalid.length > 0) {
+      throw new Error(`Invalid scopes: ${invalid.join(", ")}`);
+    }
+
+    const key = `bak_${crypto.randomBytes(24).toString("hex")}`;
+    const record = {
+      id: crypto.randomBytes(6).toString("hex"),
+      name,
+      scopes,
+      hash: hashSecret(key),
+      createdAt: new Date().toISOString(),
+    };
+    this.apiKeys.push(record);
+    this.saveData();
+    return { ...this.describeApiKey(record), key };
+  }
+
+  /**
+   * List API keys without their hashes.
+   * @returns {Array} - Array of { id, name, scopes, createdAt }.
+   */
+  listApiKeys() {
+    return this.apiKeys.map((record) => this.describeApiKey(record));
+  }
+
+  /**
+   * Revoke an API key.
+   * @param {string} id - The key ID.
+   * @returns {boolean} - True if the key existed and was removed.
+   */
+  revokeApiKey(id) {
+    const index = this.apiKeys.findIndex((record) => record.id === id);
+    if (index === -1) return false;
+    this.apiKeys.splice(index, 1);
+    this.saveData();
+    return true;
+  }
+
+  /**
+   * Strip the hash from a key record before returning it to callers.
+   * @param {Object} record - The key record.
+   * @returns {Object} - { id, name, scopes, createdAt }.
+   */
+  describeApiKey({ id, name, scopes, createdAt }) {
+    return { id, name, scopes, createdAt };
+  }
+
+  /**
+   * Look up the API key matching a presented secret.
+   * @param {string} key - The key sent by the caller.
+   * @returns {Object|null} - The key record or null if it is unknown.
+   */
+  authenticateApiKey(key) {
+    if (!key) return null;
+    const hash = hashSecret(key);
+    return this.apiKeys.find((record) => digestsEqual(record.hash, hash)) || null;
+  }
+
+  /**
+   * Check whether a key record grants a scope. The admin scope grants everything.
+   * @param {Object} apiKey - The key record.
+   * @param {string} scope - The required scope.
+   * @returns {boolean} - True if the scope is granted.
+   */
+  hasScope(apiKey, scope) {
+    return apiKey.scopes.includes("admin") || apiKey.scopes.includes(scope);
+  }
+
+  /**
+   * Create a one-time pairing code for the extension, replacing any previous code.
+   * @returns {Object} - { code, expiresAt }.
+   */
+  createPairingCode() {
+    const code = crypto.randomInt(0, 1e8).toString().padStart(8, "0");
+    this.pairingCode = { code, expiresAt: Date.now() + PAIRING_CODE_TTL, attempts: 0 };
+    return { code, expiresAt: new Date(this.pairingCode.expiresAt).toISOString() };
+  }
+
+  /**
+   * Exchange a pairing code for an extension token bound to a clientId.
+   * The code is single use and is discarded after too many wrong attempts.
+   * @param {string} code - The pairing code entered in the extension.
+   * @param {string} clientId - The extension instance being paired.
+   * @returns {string|null} - The extension token, or null if the code is invalid.
+   */
+  pairExtension(code, clientId) {
+    const pairing = this.pairingCode;
+    if (!pairing || Date.now() > pairing.expiresAt) {
+      this.pairingCode = null;
+      return null;
+    }
+    if (!digestsEqual(hashSecret(String(code)), hashSecret(pairing.code))) {
+      pairing.attempts++;
+      if (pairing.attempts >= MAX_PAIRING_ATTEMPTS) this.pairingCode = null;
+      return null;
+    }
+
+    this.pairingCode = null;
+    const token = `bat_${crypto.randomBytes(24).toString("hex")}`;
+    // One token per client; pairing again replaces the old token
+    this.extensionTokens = this.extensionTokens.filter((record) => record.clientId !== clientId);
+    this.extensionTokens.push({ clientId, hash: hashSecret(token), pairedAt: new Date().toISOString() });
+    this.saveData();
+    return token;
+  }
+
+  /**
+   * Validate an extension token or the shared secret.
+   * @param {string} token - The token sent by the extension.
+   * @returns {Object|null} - { clientId } for a paired token, { clientId: null } for the shared secret,
+   *   or null if the token is invalid.
+   */
+  authenticateExtension(token) {
+    if (!token) return null;
+    const hash = hashSecret(token);
+    if (this.sharedSecretHash && digestsEqual(this.sharedSecretHash, hash)) {
+      return { clientId: null };
+    }
+    const record = this.extensionTokens.find((entry) => digestsEqual(entry.hash, hash));
+    return record ? { clientId: record.clientId } : null;
+  }
+}
+
+AuthManager.SCOPES = SCOPES;
+
+module.exports = AuthManager;
@@ -0,0 +1,78 @@
+// managers/CaptureStore.js
+
+const fs = require("fs");
+const path = require("path");
+const crypto = require("crypto");
+
+const MAX_CAPTURES = 200; // Oldest captures are deleted beyond this count
+const FILE_EXTENSIONS = {
+  "image/png": "png",
+  "image/jpeg": "jpg",
+  "application/pdf": "pdf",
+  "application/json": "har",
+};
+const CAPTURE_ID_PATTERN = /^[0-9a-f-]{36}\.(png|jpg|pdf|har)$/;
+
+/**
+ * CaptureStore keeps screenshots, PDFs and HAR files reported by the extension in the captures/ directory,
+ * so task records can hold a download URL instead of the data.
+ */
+class CaptureStore {
+  constructor() {
+    this.dirPath = path.join(__dirname, "..", "captures");
+    fs.mkdirSync(this.dirPath, { recursive: true });
+  }
+
+  /**
+   * Write a capture to disk.
+   * @param {string} contentType - "image/png", "image/jpeg", "application/pdf" or "application/json" (HAR).
+   * @param {string|Buffer} data - The capture encoded as base64, or its raw bytes.
+   * @returns {Promise<Object>} - { captureId, contentType, size }.
+   */
+  async save(contentType, data) {
+    const extension = FILE_EXTENSIONS[contentType];
+    if (!extension) {
+      throw new Error(`Unsupported capture type: ${contentType}`);
+    }
+
+    // IDs are generated here rather than taken from the taskId, which callers choose freely
+    const captureId = `${crypto.randomUUID()}.${extension}`;
+    const buffer = Buffer.isBuffer(data) ? data : Buffer.from(data, "base64");
+    await fs.promises.writeFile(path.join(this.dirPath, captureId), buffer);
+    console.log(`Stored capture ${captureId} (${buffer.length} bytes)`);
+
+    this.pruneCaptures().catch((error) => console.error("Error pruning captures:", error));
+    return { captureId, contentType, size: buffer.length };
+  }
+
+  /**
+   * Resolve a capture ID to its file.
+   * @param {string} captureId - The ID returned by save().
+   * @returns {Object|null} - { filePath, contentType }, or null if the ID is invalid or the file is gone.
+   */
+  getCapture(captureId) {
+    if (!CAPTURE_ID_PATTERN.test(captureId)) return null;
+    const filePath = path.join(this.dirPath, captureId);
+    if (!fs.existsSync(filePath)) return null;
+    const extension = path.extname(captureId).slice(1);
+    const contentType = Object.keys(FILE_EXTENSIONS).find((type) => FILE_EXTENSIONS[type] === extension);
+    return { filePath, contentType };
+  }
+
+  /**
+   * Delete the oldest captures beyond MAX_CAPTURES.
+   */
+  async pruneCaptures() {
+    const fileNames = (await fs.promises.readdir(this.dirPath)).filter((name) => CAPTURE_ID_PATTERN.test(name));
+    if (fileNames.length <= MAX_CAPTURES) return;
+
+    const files = await Promise.all(fileNames.map(async (name) => {
+      const { mtimeMs } = await fs.promises.stat(path.join(this.dirPath, name));
+      return { name, mtimeMs };
+    }));
+    files.sort((a, b) => a.mtimeMs - b.mtimeMs);
+    await Promise.all(files.slice(0, files.length - MAX_CAPTURES).map(({ name }) => fs.promises.unlink(path.join(this.dirPath, name))));
+  }
+}
+
+module.exports = CaptureStore;
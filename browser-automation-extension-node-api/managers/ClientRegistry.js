@@ -0,0 +1,103 @@
+// managers/ClientRegistry.js
+
+const HEARTBEAT_TIMEOUT = 60000; // A client is offline after a minute without heartbeats
+const DEFAULT_CLIENT_ID = "default";
+
+/**
+ * ClientRegistry tracks every extension instance (browser profile or machine) that talks to the API.
+ * Each instance registers with a stable clientId and the commands it supports, then keeps itself
+ * online with heartbeats (WebSocket pings or polling requests).
+ */
+class ClientRegistry {
+  constructor() {
+    this.clients = new Map();
+  }
+
+  /**
+   * Register a client, or refresh its details if it is already known.
+   * @param {string} clientId - The stable identifier generated by the extension.
+   * @param {Object} details - { name, capabilities, userAgent, version }.
+   * @returns {Object} - The client record.
+   */
+  register(clientId, { name, capabilities, userAgent, version } = {}) {
+    const now = new Date().toISOString();
+    const client = this.clients.get(clientId) || { clientId, registeredAt: now };
+
+    Object.assign(client, {
+      name: name || client.name || null,
+      capabilities: Array.isArray(capabilities) ? capabilities : client.capabilities || null,
+      userAgent: userAgent || client.userAgent || null,
+      version: version || client.version || null,
+      lastSeen: now,
+    });
+    this.clients.set(clientId, client);
+    console.log(`Registered client ${clientId}${client.name ? ` (${client.name})` : ""}`);
+    return client;
+  }
+
+  /**
+   * Record a heartbeat, registering the client on the fly if it is unknown
+   * (e.g. an extension that only polls).
+   * @param {string} clientId - The client identifier.
+   * @returns {Object} - The client record.
+   */
+  heartbeat(clientId) {
+    const client = this.clients.get(clientId);
+    if (!client) return this.register(clientId);
+    client.lastSeen = new Date().toISOString();
+    return client;
+  }
+
+  /**
+   * Record the outcome of a tab reconciliation, so the drift it found shows in the client's details.
+   * @param {string} clientId - The client identifier.
+   * @param {Object} drift - The drift report of TabManager.reconcileTabs.
+   * @returns {Object} - The client record.
+   */
+  recordSync(clientId, drift) {
+    const client = this.clients.get(clientId) || this.register(clientId);
+    client.lastSync = { syncedAt: new Date().toISOString(), ...drift };
+    return client;
+  }
+
+  /**
+   * Get a client record.
+   * @param {string} clientId - The client identifier.
+   * @returns {Object|null} - The client record or null if it never registered.
+   */
+  getClient(clientId) {
+    return this.clients.get(clientId) || null;
+  }
+
+  /**
+   * List all known clients.
+   * @returns {Array} - Array of client records.
+   */
+  listClients() {
+    return [...this.clients.values()];
+  }
+
+  /**
+   * Check whether a client sent a heartbeat recently.
+   * @param {Object} client - The client record.
+   * @returns {boolean} - True if the client is online, else false.
+   */
+  isOnline(client) {
+    return Date.now() - Date.parse(client.lastSeen) < HEARTBEAT_TIMEOUT;
+  }
+
+  /**
+   * Check whether a client can run a command. Clients that did not report capabilities accept everything.
+   * @param {string} clientId - The client identifier.
+   * @param {string} command - The task command.
+   * @returns {boolean} - True if the client supports the command, else false.
+   */
+  supports(clientId, command) {
+    const client = this.clients.get(clientId);
+    return !client || !client.capabilities || client.capabilities.includes(command);
+  }
+}
+
+ClientRegistry.DEFAULT_CLIENT_ID = DEFAULT_CLIENT_ID;
+
+module.exports = ClientRegistry;
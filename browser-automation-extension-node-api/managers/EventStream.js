@@ -0,0 +1,110 @@
+// managers/EventStream.js
+
+const { EventEmitter } = require("events");
+
+// Tab and window changes come from TabManager, task events from TaskTracker status changes
+const EVENT_TYPES = [
+  "tab-created", "tab-updated", "tab-moved", "tab-closed",
+  "window-opened", "window-closed",
+  "task-queued", "task-started", "task-succeeded", "task-failed", "task-cancelled",
+];
+// Names accepted in type filters for every event of a kind
+const EVENT_CATEGORIES = ["tab", "window", "task"];
+const MAX_EVENTS = 5000; // Oldest events are dropped beyond this count
+
+/**
+ * Expand a type filter into event types.
+ * @param {Array<string>} requested - Event types and/or EVENT_CATEGORIES.
+ * @returns {Array<string>|null} - The matching EVENT_TYPES, or null if the list is empty or has unknown names.
+ */
+function resolveEventTypes(requested) {
+  if (!Array.isArray(requested) || requested.length === 0) return null;
+  if (!requested.every((item) => EVENT_TYPES.includes(item) || EVENT_CATEGORIES.includes(item))) return null;
+  return EVENT_TYPES.filter((type) => requested.some((item) => type === item || type.startsWith(`${item}-`)));
+}
+
+/**
+ * EventStream numbers the tab, window and task events of every client and keeps the latest ones in memory,
+ * so subscribers that reconnect can replay what they missed. Every published event is emitted as "event".
+ * Event IDs restart at 1 when the API restarts.
+ */
+class EventStream extends EventEmitter {
+  constructor() {
+    super();
+    this.setMaxListeners(0); // Every open event stream subscribes to "event"
+    this.events = [];
+    this.nextEventId = 1;
+  }
+
+  /**
+   * Record an event and hand it to live subscribers.
+   * @param {string} type - One of EVENT_TYPES.
+   * @param {Object} subject - { clientId, tabId, windowId, url } the event is about; used by filters.
+   * @param {Object} data - The event details, e.g. { tab, changes } or { taskId, command, status }.
+   * @returns {Object} - The event { id, type, timestamp, clientId, tabId, windowId, url, data }.
+   */
+  publish(type, { clientId = null, tabId = null, windowId = null, url = null }, data) {
+    const event = {
+      id: this.nextEventId++,
+      type,
+      timestamp: new Date().toISOString(),
+      clientId,
+      tabId,
+      windowId,
+      url,
+      data,
+    };
+    this.events.push(event);
+    if (this.events.length > MAX_EVENTS) this.events.shift();
+    this.emit("event", event);
+    return event;
+  }
+
+  /**
+   * Check whether an event matches a subscription.
+   * @param {Object} event - The event.
+   * @param {Object} filters - { types, clientId, tabId, url (RegExp), afterId }; all optional.
+   * @returns {boolean} - True if the event matches every given filter.
+   */
+  matches(event, { types, clientId, tabId, url, afterId } = {}) {
+    if (types && !types.includes(event.type)) return false;
+    if (clientId && event.clientId !== clientId) return false;
+    if (tabId !== undefined && event.tabId !== tabId) return false;
+    if (url && !url.test(event.url || "")) return false;
+    if (afterId !== undefined && event.id <= afterId) return false;
+    return true;
+  }
+
+  /**
+   * Get the buffered events matching a subscription, oldest first.
+   * @param {Object} filters - See matches.
+   * @returns {Array} - Array of events.
+   */
+  getEvents(filters = {}) {
+    return this.events.filter((event) => this.matches(event, filters));
+  }
+
+  /**
+   * Check whether every event after an ID is still buffered, so a subscriber can resume without a gap.
+   * IDs above the last event were handed out before the API restarted.
+   * @param {number} afterId - The ID of the last event the subscriber received.
+   * @returns {boolean} - True if the missed events can be replayed.
+   */
+  canReplayAfter(afterId) {
+    const oldestId = this.events.length > 0 ? this.events[0].id : this.nextEventId;
+    return afterId >= oldestId - 1 && afterId < this.nextEventId;
+  }
+
+  /**
+   * Get the ID of the newest event.
+   * @returns {number} - The ID, or 0 if no event was published yet.
+   */
+  getLastEventId() {
+    return this.nextEventId - 1;
+  }
+}
+
+module.exports = EventStream;
+module.exports.EVENT_TYPES = EVENT_TYPES;
+module.exports.EVENT_CATEGORIES = EVENT_CATEGORIES;
+module.exports.resolveEventTypes = resolveEventTypes;
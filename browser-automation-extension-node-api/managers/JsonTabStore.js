@@ -0,0 +1,320 @@
+// managers/JsonTabStore.js
+
+const fs = require("fs");
+const path = require("path");
+const writeFileAtomic = require("../utils/writeFileAtomic");
+const { DEFAULT_CLIENT_ID } = require("./ClientRegistry");
+
+/**
+ * Read a JSON file, falling back to a default value if it is missing or unreadable.
+ * @param {string} filePath - The file to read.
+ * @param {*} fallback - The value returned if the file cannot be used.
+ * @returns {*} - The parsed content.
+ */
+function readJsonFile(filePath, fallback) {
+  if (!fs.existsSync(filePath)) return fallback;
+  try {
+    return JSON.parse(fs.readFileSync(filePath, "utf-8"));
+  } catch (error) {
+    console.error(`Error reading ${filePath}:`, error);
+    return fallback;
+  }
+}
+
+/**
+ * Read a JSON Lines file (one JSON value per line), skipping lines that cannot be parsed, e.g. a line
+ * cut short by a crash during an append.
+ * @param {string} filePath - The file to read.
+ * @returns {Array} - The parsed values, in file order.
+ */
+function readJsonLinesFile(filePath) {
+  if (!fs.existsSync(filePath)) return [];
+  const values = [];
+  fs.readFileSync(filePath, "utf-8").split("\n").forEach((line, index) => {
+    if (!line.trim()) return;
+    try {
+      values.push(JSON.parse(line));
+    } catch (error) {
+      console.error(`Skipping unreadable line ${index + 1} of ${filePath}: ${error.message}`);
+    }
+  });
+  return values;
+}
+
+/**
+ * Serialize records as JSON Lines.
+ * @param {Array} records - The records.
+ * @returns {string} - One JSON line per record.
+ */
+function toJsonLines(records) {
+  return records.map((record) => `${JSON.stringify(record)}\n`).join("");
+}
+
+/**
+ * Build a writer that replaces a file atomically with the latest content. Writes requested while one is
+ * in progress are coalesced into a single follow-up write; flush() writes synchronously if one is pending.
+ * @param {string} filePath - The file to write.
+ * @param {Function} serialize - Returns the current content of the file.
+ * @returns {Function} - Schedules a write.
+ */
+function createCoalescedWriter(filePath, serialize) {
+  let inProgress = false;
+  let queued = false;
+  const write = () => {
+    if (inProgress) {
+      queued = true;
+      return;
+    }
+    inProgress = true;
+    writeFileAtomic(filePath, serialize(), (err) => {
+      if (err) {
+        console.error(`Error writing to ${filePath}:`, err);
+      }
+      inProgress = false;
+      if (queued) {
+        queued = false;
+        write();
+      }
+    });
+  };
+  write.flush = () => {
+    if (!inProgress && !queued) return;
+    queued = false;
+    writeFileAtomic.sync(filePath, serialize());
+  };
+  return write;
+}
+
+/**
+ * JsonTabStore persists the state of TabManager in openedTabs.json and the closed tabs in tabHistory.jsonl.
+ * Every state change rewrites openedTabs.json, which is simple and fine for a few dozen tabs; closed tabs are
+ * appended to tabHistory.jsonl, which is only rewritten when the history is pruned.
+ * SqliteTabStore only writes the rows that changed. See TabStore.js for the interface.
+ */
+class JsonTabStore {
+  /**
+   * @param {string} directory - The directory holding the JSON files.
+   */
+  constructor(directory) {
+    this.stateFilePath = path.join(directory, "openedTabs.json");
+    this.historyFilePath = path.join(directory, "tabHistory.jsonl");
+    // Closed tabs used to be rewritten to a single JSON document; it is read once and converted
+    this.legacyHistoryFilePath = path.join(directory, "tabHistory.json");
+    // Records are kept by reference, so a write always has their latest state
+    this.tabs = new Map(); // "clientId:tabId" -> tab record
+    this.windows = new Map(); // "clientId:windowId" -> window record
+    this.groups = new Map(); // "clientId:groupId" -> group record
+    this.sessions = {};
+    this.closedTabs = []; // Oldest closed first
+    this.unsavedClosedTabs = []; // Closed tabs not yet appended to the history file
+    this.historyRewriteNeeded = false; // The history file must be rewritten from closedTabs (pruned, or an append failed)
+    this.historyWriteInProgress = false;
+    this.historyWriteQueued = false;
+    this.saveState = createCoalescedWriter(this.stateFilePath, () => JSON.stringify({
+      openedTabs: [...this.tabs.values()],
+      openedWindows: [...this.windows.values()],
+      tabGroups: [...this.groups.values()],
+      sessions: this.sessions,
+    }, null, 2));
+  }
+
+  /**
+   * Load the stored state.
+   * @returns {Object} - { tabs, windows, groups, sessions }.
+   */
+  load() {
+    const state = readJsonFile(this.stateFilePath, {});
+    const legacyHistory = readJsonFile(this.legacyHistoryFilePath, null);
+    // Records written before clients were namespaced belong to the default client
+    (state.openedTabs || [])
+      .map((tab) => ({ clientId: DEFAULT_CLIENT_ID, ...tab }))
+      .forEach((tab) => this.tabs.set(`${tab.clientId}:${tab.tabId}`, tab));
+    (state.openedWindows || [])
+      .map((window) => ({ clientId: DEFAULT_CLIENT_ID, ...window }))
+      .forEach((window) => this.windows.set(`${window.clientId}:${window.windowId}`, window));
+    (state.tabGroups || []).forEach((group) => this.groups.set(`${group.clientId}:${group.groupId}`, group));
+    this.sessions = state.sessions || {};
+    this.closedTabs = [...((legacyHistory && legacyHistory.closedTabs) || []), ...readJsonLinesFile(this.historyFilePath)];
+    if (legacyHistory) {
+      writeFileAtomic.sync(this.historyFilePath, toJsonLines(this.closedTabs));
+      fs.rmSync(this.legacyHistoryFilePath, { force: true });
+    }
+    console.log(`Loaded ${this.tabs.size} tabs, ${this.windows.size} windows and ${this.closedTabs.length} closed tabs from ${this.stateFilePath}`);
+    return {
+      tabs: [...this.tabs.values()],
+      windows: [...this.windows.values()],
+      groups: [...this.groups.values()],
+      sessions: { ...this.sessions },
+    };
+  }
+
+  /**
+   * Store a tab record, replacing the stored one with the same clientId and tabId.
+   * @param {Object} tab - The tab record.
+   */
+  putTab(tab) {
+    this.tabs.set(`${tab.clientId}:${tab.tabId}`, tab);
+    this.saveState();
+  }
+
+  /**
+   * Delete a stored tab record.
+   * @param {string} clientId - The extension instance the tab belongs to.
+   * @param {number} tabId - The Chrome tab ID.
+   */
+  deleteTab(clientId, tabId) {
+    this.tabs.delete(`${clientId}:${tabId}`);
+    this.saveState();
+  }
+
+  /**
+   * Store a window record, replacing the stored one with the same clientId and windowId.
+   * @param {Object} window - The window record.
+   */
+  putWindow(window) {
+    this.windows.set(`${window.clientId}:${window.windowId}`, window);
+    this.saveState();
+  }
+
+  /**
+   * Delete a stored window record.
+   * @param {string} clientId - The extension instance the window belongs to.
+   * @param {number} windowId - The Chrome window ID.
+   */
+  deleteWindow(clientId, windowId) {
+    this.windows.delete(`${clientId}:${windowId}`);
+    this.saveState();
+  }
+
+  /**
+   * Store a tab group record, replacing the stored one with the same clientId and groupId.
+   * @param {Object} group - The group record.
+   */
+  putGroup(group) {
+    this.groups.set(`${group.clientId}:${group.groupId}`, group);
+    this.saveState();
+  }
+
+  /**
+   * Delete a stored tab group record.
+   * @param {string} clientId - The extension instance the group belongs to.
+   * @param {number} groupId - The Chrome tab group ID.
+   */
+  deleteGroup(clientId, groupId) {
+    this.groups.delete(`${clientId}:${groupId}`);
+    this.saveState();
+  }
+
+  /**
+   * Store the browser session a client reports from.
+   * @param {string} clientId - The extension instance.
+   * @param {string} sessionId - The session marker.
+   */
+  putSession(clientId, sessionId) {
+    this.sessions[clientId] = sessionId;
+    this.saveState();
+  }
+
+  /**
+   * Delete every stored tab, window, group and session; the closed tabs are kept.
+   */
+  clearState() {
+    this.tabs.clear();
+    this.windows.clear();
+    this.groups.clear();
+    this.sessions = {};
+    this.saveState();
+  }
+
+  /**
+   * Add a closed tab to the history.
+   * @param {Object} record - The tab record with its closedAt.
+   */
+  addClosedTab(record) {
+    this.closedTabs.push(record);
+    this.unsavedClosedTabs.push(record);
+    this.saveHistory();
+  }
+
+  /**
+   * Append the unsaved closed tabs to the history file, or rewrite it from closedTabs. Closed tabs added
+   * while a write is in progress are batched into a single follow-up write.
+   * @param {Object} options - { rewrite }: true to rewrite the whole file, e.g. after pruning.
+   */
+  saveHistory({ rewrite = false } = {}) {
+    if (rewrite) this.historyRewriteNeeded = true;
+    if (this.historyWriteInProgress) {
+      this.historyWriteQueued = true;
+      return;
+    }
+    const rewriteFile = this.historyRewriteNeeded;
+    const records = rewriteFile ? this.closedTabs : this.unsavedClosedTabs;
+    if (!rewriteFile && records.length === 0) return;
+    this.historyRewriteNeeded = false;
+    this.unsavedClosedTabs = [];
+
+    this.historyWriteInProgress = true;
+    const done = (err) => {
+      if (err) {
+        console.error(`Error writing to ${this.historyFilePath}:`, err);
+        // The file may be missing some closed tabs now; the next write replaces it
+        this.historyRewriteNeeded = true;
+      }
+      this.historyWriteInProgress = false;
+      if (this.historyWriteQueued) {
+        this.historyWriteQueued = false;
+        this.saveHistory();
+      }
+    };
+    if (rewriteFile) {
+      writeFileAtomic(this.historyFilePath, toJsonLines(records), done);
+    } else {
+      fs.appendFile(this.historyFilePath, toJsonLines(records), done);
+    }
+  }
+
+  /**
+   * Find closed tabs, most recently closed first.
+   * @param {Object} filters - { clientId, closedSince, openedUntil }: ISO dates; all optional.
+   * @returns {Array} - The closed tab records.
+   */
+  findClosedTabs({ clientId, closedSince, openedUntil } = {}) {
+    return this.closedTabs
+      .filter((tab) => {
+        if (clientId && tab.clientId !== clientId) return false;
+        if (closedSince && tab.closedAt < closedSince) return false;
+        if (openedUntil && tab.openedAt > openedUntil) return false;
+        return true;
+      })
+      .reverse();
+  }
+
+  /**
+   * Drop the closed tabs that are past the retention period, then the oldest ones beyond the maximum count.
+   * @param {Object} retention - { closedBefore: ISO date, maxEntries }.
+   * @returns {number} - The number of dropped closed tabs.
+   */
+  pruneClosedTabs({ closedBefore, maxEntries }) {
+    const count = this.closedTabs.length;
+    this.closedTabs = this.closedTabs.filter((tab) => tab.closedAt >= closedBefore).slice(-maxEntries);
+    const removed = count - this.closedTabs.length;
+    if (removed > 0) this.saveHistory({ rewrite: true });
+    return removed;
+  }
+
+  /**
+   * Write the pending changes synchronously when the API shuts down: writes still in flight do not complete
+   * once the process exits.
+   */
+  close() {
+    this.saveState.flush();
+    if (this.historyWriteInProgress || this.historyRewriteNeeded || this.unsavedClosedTabs.length > 0) {
+      // An append in flight may or may not have landed, so the whole history is written
+      writeFileAtomic.sync(this.historyFilePath, toJsonLines(this.closedTabs));
+      this.unsavedClosedTabs = [];
+      this.historyRewriteNeeded = false;
+    }
+  }
+}
+
+module.exports = JsonTabStore;
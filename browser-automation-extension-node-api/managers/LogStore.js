@@ -0,0 +1,115 @@
+// managers/LogStore.js
+
+const { EventEmitter } = require("events");
+const { LOG_TYPES, LOG_LEVELS } = require("../utils/logParams");
+
+const MAX_ENTRIES_PER_TAB = 1000; // Oldest entries of a tab are dropped beyond this count
+const MAX_TABS = 500; // Buffers of the tabs that logged least recently are dropped beyond this count
+const MAX_TEXT_LENGTH = 10000;
+
+/**
+ * LogStore buffers the console messages, uncaught exceptions and failed resource loads the extension
+ * reports for subscribed tabs. Entries are kept in memory per client and tab, and every stored entry
+ * is emitted as an "entry" event for live streams. Entry IDs increase across all tabs, so streams can resume.
+ */
+class LogStore extends EventEmitter {
+  constructor() {
+    super();
+    this.setMaxListeners(0); // Every open log stream subscribes to "entry"
+    this.buffers = new Map(); // "clientId:tabId" -> entries, least recently logged first
+    this.nextEntryId = 1;
+  }
+
+  /**
+   * Store a batch of entries reported by the extension, skipping malformed ones.
+   * @param {string} clientId - The extension instance that reported the entries.
+   * @param {Array} entries - Array of { tabId, type, level, text, url, lineNumber, columnNumber, stackTrace, timestamp }.
+   * @returns {number} - The number of entries stored.
+   */
+  addEntries(clientId, entries) {
+    let stored = 0;
+    entries.forEach((raw) => {
+      const entry = this.normalizeEntry(clientId, raw);
+      if (!entry) return;
+
+      const key = `${clientId}:${entry.tabId}`;
+      const buffer = this.buffers.get(key) || [];
+      buffer.push(entry);
+      if (buffer.length > MAX_ENTRIES_PER_TAB) buffer.shift();
+      // Re-inserting keeps the Map ordered by last activity
+      this.buffers.delete(key);
+      this.buffers.set(key, buffer);
+      if (this.buffers.size > MAX_TABS) {
+        this.buffers.delete(this.buffers.keys().next().value);
+      }
+
+      stored++;
+      this.emit("entry", entry);
+    });
+    return stored;
+  }
+
+  /**
+   * Build a stored entry from a reported one.
+   * @param {string} clientId - The extension instance that reported the entry.
+   * @param {Object} raw - The reported entry.
+   * @returns {Object|null} - The entry, or null if it is malformed.
+   */
+  normalizeEntry(clientId, raw) {
+    if (!raw || typeof raw !== "object" || !Number.isInteger(raw.tabId) || !LOG_TYPES.includes(raw.type)) {
+      return null;
+    }
+    const timestamp = new Date(raw.timestamp);
+    const entry = {
+      id: this.nextEntryId++,
+      clientId,
+      tabId: raw.tabId,
+      type: raw.type,
+      level: LOG_LEVELS.includes(raw.level) ? raw.level : "log",
+      text: String(raw.text ?? "").slice(0, MAX_TEXT_LENGTH),
+      timestamp: Number.isNaN(timestamp.getTime()) ? new Date().toISOString() : timestamp.toISOString(),
+      receivedAt: new Date().toISOString(),
+    };
+    if (typeof raw.url === "string" && raw.url) entry.url = raw.url;
+    if (Number.isInteger(raw.lineNumber)) entry.lineNumber = raw.lineNumber;
+    if (Number.isInteger(raw.columnNumber)) entry.columnNumber = raw.columnNumber;
+    if (typeof raw.stackTrace === "string" && raw.stackTrace) entry.stackTrace = raw.stackTrace.slice(0, MAX_TEXT_LENGTH);
+    return entry;
+  }
+
+  /**
+   * Check whether an entry matches a query. Dates are compared as ISO strings.
+   * since applies to the time in the page, receivedSince to the API's clock (used for the slices attached to tasks).
+   * @param {Object} entry - The stored entry.
+   * @param {Object} filters - { tabId, clientId, since, receivedSince, afterId, types, levels }; all optional.
+   * @returns {boolean} - True if the entry matches every given filter.
+   */
+  matches(entry, { tabId, clientId, since, receivedSince, afterId, types, levels } = {}) {
+    if (tabId !== undefined && entry.tabId !== tabId) return false;
+    if (clientId && entry.clientId !== clientId) return false;
+    if (since && entry.timestamp < since) return false;
+    if (receivedSince && entry.receivedAt < receivedSince) return false;
+    if (afterId !== undefined && entry.id <= afterId) return false;
+    if (types && !types.includes(entry.type)) return false;
+    if (levels && !levels.includes(entry.level)) return false;
+    return true;
+  }
+
+  /**
+   * Get the buffered entries of a tab, oldest first.
+   * @param {number} tabId - The tab ID.
+   * @param {Object} filters - { clientId, since, receivedSince, afterId, types, levels, limit }; without a clientId the tab is looked up in every client.
+   * @returns {Array} - The newest `limit` matching entries, in the order they were received.
+   */
+  getEntries(tabId, { limit, ...filters } = {}) {
+    let entries = [];
+    this.buffers.forEach((buffer, key) => {
+      if (filters.clientId && key !== `${filters.clientId}:${tabId}`) return;
+      entries = entries.concat(buffer.filter((entry) => this.matches(entry, { ...filters, tabId })));
+    });
+    entries.sort((a, b) => a.id - b.id);
+    return limit ? entries.slice(-limit) : entries;
+  }
+}
+
+module.exports = LogStore;
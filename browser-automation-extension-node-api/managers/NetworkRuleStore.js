@@ -0,0 +1,113 @@
+// managers/NetworkRuleStore.js
+
+const fs = require("fs");
+const path = require("path");
+const writeFileAtomic = require("../utils/writeFileAtomic");
+
+// Fields of a rule as given by the caller; anything else in the request body is ignored
+const RULE_FIELDS = ["action", "urlPattern", "resourceTypes", "tabIds", "clientId", "priority", "requestHeaders", "responseHeaders", "response"];
+
+/**
+ * NetworkRuleStore keeps the request blocking, header and mock rules configured through the API.
+ * The extension gets the full list of rules that apply to it whenever they change or it registers.
+ * Rules are persisted to networkRules.json.
+ */
+class NetworkRuleStore {
+  constructor() {
+    this.dbFilePath = path.join(__dirname, "..", "networkRules.json");
+    this.rules = [];
+    // Rule IDs double as declarativeNetRequest rule IDs, which must be positive integers
+    this.nextRuleId = 1;
+    this.revision = 0;
+
+    this.loadData();
+  }
+
+  /**
+   * Load the rules from the JSON file.
+   */
+  loadData() {
+    if (!fs.existsSync(this.dbFilePath)) return;
+    try {
+      const data = JSON.parse(fs.readFileSync(this.dbFilePath, "utf-8"));
+      this.rules = data.rules || [];
+      this.nextRuleId = data.nextRuleId || 1;
+      this.revision = data.revision || 0;
+      console.log(`Loaded ${this.rules.length} network rules from ${this.dbFilePath}`);
+    } catch (error) {
+      console.error("Error reading networkRules.json:", error);
+    }
+  }
+
+  /**
+   * Persist the rules to the JSON file atomically.
+   */
+  saveData() {
+    const data = { rules: this.rules, nextRuleId: this.nextRuleId, revision: this.revision };
+    writeFileAtomic(this.dbFilePath, JSON.stringify(data, null, 2), (err) => {
+      if (err) {
+        console.error("Error writing to networkRules.json:", err);
+      }
+    });
+  }
+
+  /**
+   * Add a validated rule.
+   * @param {Object} details - The rule fields, see RULE_FIELDS.
+   * @returns {Object} - The stored rule with its id and createdAt.
+   */
+  addRule(details) {
+    const rule = { id: this.nextRuleId++ };
+    RULE_FIELDS.forEach((field) => {
+      if (details[field] !== undefined) rule[field] = details[field];
+    });
+    rule.createdAt = new Date().toISOString();
+    this.rules.push(rule);
+    this.revision++;
+    this.saveData();
+    return rule;
+  }
+
+  /**
+   * Delete a rule.
+   * @param {number} ruleId - The rule ID.
+   * @returns {Object|null} - The deleted rule, or null if there is no such rule.
+   */
+  deleteRule(ruleId) {
+    const rule = this.getRule(ruleId);
+    if (!rule) return null;
+    this.rules.splice(this.rules.indexOf(rule), 1);
+    this.revision++;
+    this.saveData();
+    return rule;
+  }
+
+  /**
+   * Get a rule by ID.
+   * @param {number} ruleId - The rule ID.
+   * @returns {Object|undefined} - The rule.
+   */
+  getRule(ruleId) {
+    return this.rules.find((rule) => rule.id === ruleId);
+  }
+
+  /**
+   * List the rules, optionally only those that apply to one client.
+   * @param {string} clientId - Optional client; rules without a clientId apply to every client.
+   * @returns {Array} - Array of rules.
+   */
+  listRules(clientId) {
+    if (!clientId) return this.rules;
+    return this.rules.filter((rule) => !rule.clientId || rule.clientId === clientId);
+  }
+
+  /**
+   * Check whether rules were ever configured, so clients that may hold stale rules are brought up to date.
+   * @returns {boolean} - True once a rule was added.
+   */
+  isInUse() {
+    return this.revision > 0;
+  }
+}
+
+module.exports = NetworkRuleStore;
@@ -0,0 +1,175 @@
+// managers/SocketManager.js
+
+const { EventEmitter } = require("events");
+const { WebSocketServer, WebSocket } = require("ws");
+
+const HEARTBEAT_INTERVAL = 30000;
+
+/**
+ * SocketManager owns the WebSocket channels between the API and the extension instances.
+ * Incoming messages are parsed and re-emitted as "message" events. Once a socket registers,
+ * it is bound to its clientId and the API uses sendToClient() to push tasks the moment they are queued.
+ */
+class SocketManager extends EventEmitter {
+  /**
+   * @param {http.Server} server - The HTTP server to attach the WebSocket endpoint to.
+   * @param {Object} logger - Winston logger instance.
+   * @param {Object} options - { path, authenticate }. authenticate(req) returns auth info for the
+   *   upgrade request, or null to refuse the connection.
+   */
+  constructor(server, logger, { path = "/ws", authenticate = () => ({}) } = {}) {
+    super();
+    this.logger = logger;
+    this.sockets = new Set();
+    this.clientSockets = new Map(); // clientId -> socket
+    this.wss = new WebSocketServer({
+      server,
+      path,
+      verifyClient: (info, callback) => {
+        const auth = authenticate(info.req);
+        if (!auth) {
+          this.logger.warn("Refused unauthenticated WebSocket connection.");
+          return callback(false, 401, "Unauthorized");
+        }
+        info.req.auth = auth;
+        callback(true);
+      },
+    });
+
+    this.wss.on("connection", (socket, req) => {
+      socket.auth = req.auth;
+      this.handleConnection(socket);
+    });
+
+    // Drop connections that stopped answering pings (e.g. a suspended service worker)
+    this.heartbeatTimer = setInterval(() => this.checkHeartbeats(), HEARTBEAT_INTERVAL);
+    this.wss.on("close", () => clearInterval(this.heartbeatTimer));
+  }
+
+  /**
+   * Register a new extension connection.
+   * @param {WebSocket} socket - The connected socket.
+   */
+  handleConnection(socket) {
+    socket.isAlive = true;
+    this.sockets.add(socket);
+    this.logger.info(`Extension connected via WebSocket (${this.sockets.size} open).`);
+
+    socket.on("pong", () => {
+      socket.isAlive = true;
+    });
+
+    socket.on("message", (raw) => {
+      socket.isAlive = true;
+      let message;
+      try {
+        message = JSON.parse(raw.toString());
+      } catch (error) {
+        this.logger.error(`Ignoring malformed WebSocket message: ${error.message}`);
+        return;
+      }
+
+      if (message.type === "ping") {
+        this.sendTo(socket, { type: "pong" });
+        if (socket.clientId) this.emit("heartbeat", socket.clientId);
+        return;
+      }
+
+      this.emit("message", message, socket);
+    });
+
+    socket.on("close", () => {
+      this.sockets.delete(socket);
+      if (socket.clientId && this.clientSockets.get(socket.clientId) === socket) {
+        this.clientSockets.delete(socket.clientId);
+      }
+      this.logger.info(`Extension WebSocket closed${socket.clientId ? ` for client ${socket.clientId}` : ""} (${this.sockets.size} open).`);
+      this.emit("disconnected", socket);
+    });
+
+    socket.on("error", (error) => {
+      this.logger.error(`WebSocket error: ${error.message}`);
+    });
+
+    this.emit("connected", socket);
+  }
+
+  /**
+   * Terminate sockets that did not answer the previous ping.
+   */
+  checkHeartbeats() {
+    this.sockets.forEach((socket) => {
+      if (!socket.isAlive) {
+        this.logger.warn("Terminating unresponsive extension WebSocket.");
+        socket.terminate();
+        return;
+      }
+      socket.isAlive = false;
+      socket.ping();
+    });
+  }
+
+  /**
+   * Bind a socket to the client that registered on it, replacing any older connection of that client.
+   * @param {WebSocket} socket - The registered socket.
+   * @param {string} clientId - The client identifier.
+   */
+  bindClient(socket, clientId) {
+    const previous = this.clientSockets.get(clientId);
+    if (previous && previous !== socket) {
+      this.logger.warn(`Client ${clientId} reconnected; closing its previous WebSocket.`);
+      previous.close();
+    }
+    socket.clientId = clientId;
+    this.clientSockets.set(clientId, socket);
+  }
+
+  /**
+   * Get the IDs of clients with an open, registered socket.
+   * @returns {Array<string>} - Array of client IDs.
+   */
+  getConnectedClientIds() {
+    return [...this.clientSockets.entries()]
+      .filter(([, socket]) => socket.readyState === WebSocket.OPEN)
+      .map(([clientId]) => clientId);
+  }
+
+  /**
+   * Check whether a client has an open socket.
+   * @param {string} clientId - The client identifier.
+   * @returns {boolean} - True if the client is connected, else false.
+   */
+  isClientConnected(clientId) {
+    const socket = this.clientSockets.get(clientId);
+    return Boolean(socket) && socket.readyState === WebSocket.OPEN;
+  }
+
+  /**
+   * Send a message to a specific socket.
+   * @param {WebSocket} socket - The target socket.
+   * @param {Object} message - The message to serialize and send.
+   * @returns {boolean} - True if the message was handed to the socket, else false.
+   */
+  sendTo(socket, message) {
+    if (!socket || socket.readyState !== WebSocket.OPEN) return false;
+    try {
+      socket.send(JSON.stringify(message));
+      return true;
+    } catch (error) {
+      this.logger.error(`Failed to send WebSocket message: ${error.message}`);
+      return false;
+    }
+  }
+
+  /**
+   * Send a message to a registered client.
+   * @param {string} clientId - The client identifier.
+   * @param {Object} message - The message to serialize and send.
+   * @returns {boolean} - True if the message was sent, else false.
+   */
+  sendToClient(clientId, message) {
+    return this.sendTo(this.clientSockets.get(clientId), message);
+  }
+}
+
+module.exports = SocketManager;
@@ -0,0 +1,257 @@
+// managers/SqliteTabStore.js
+
+const path = require("path");
+
+// Tables of the open state: each record is stored as JSON under its key
+const RECORD_TABLES = {
+  tab: { table: "tabs", idColumn: "tab_id" },
+  window: { table: "windows", idColumn: "window_id" },
+  group: { table: "tab_groups", idColumn: "group_id" },
+};
+
+const SCHEMA = `
+  CREATE TABLE IF NOT EXISTS tabs (
+    client_id TEXT NOT NULL, tab_id INTEGER NOT NULL, data TEXT NOT NULL, PRIMARY KEY (client_id, tab_id)
+  );
+  CREATE TABLE IF NOT EXISTS windows (
+    client_id TEXT NOT NULL, window_id INTEGER NOT NULL, data TEXT NOT NULL, PRIMARY KEY (client_id, window_id)
+  );
+  CREATE TABLE IF NOT EXISTS tab_groups (
+    client_id TEXT NOT NULL, group_id INTEGER NOT NULL, data TEXT NOT NULL, PRIMARY KEY (client_id, group_id)
+  );
+  CREATE TABLE IF NOT EXISTS sessions (client_id TEXT PRIMARY KEY, session_id TEXT NOT NULL);
+  CREATE TABLE IF NOT EXISTS closed_tabs (
+    id INTEGER PRIMARY KEY AUTOINCREMENT,
+    client_id TEXT NOT NULL,
+    tab_id INTEGER NOT NULL,
+    opened_at TEXT NOT NULL,
+    closed_at TEXT NOT NULL,
+    data TEXT NOT NULL
+  );
+  CREATE INDEX IF NOT EXISTS closed_tabs_by_closed_at ON closed_tabs (closed_at);
+  CREATE INDEX IF NOT EXISTS closed_tabs_by_client ON closed_tabs (client_id, closed_at);
+`;
+
+/**
+ * SqliteTabStore persists the state of TabManager and the closed tabs in an embedded SQLite database (tabs.db),
+ * using the optional better-sqlite3 package. Changes are batched and written in one transaction on the next
+ * tick, and only the records that changed are written. See TabStore.js for the interface.
+ */
+class SqliteTabStore {
+  /**
+   * @param {string} directory - The directory holding the database file.
+   */
+  constructor(directory) {
+    let Database;
+    try {
+      Database = require("better-sqlite3");
+    } catch (error) {
+      throw new Error("The sqlite tab store needs the better-sqlite3 package. Install it with: npm install better-sqlite3");
+    }
+    this.dbFilePath = path.join(directory, "tabs.db");
+    this.db = new Database(this.dbFilePath);
+    this.db.pragma("journal_mode = WAL");
+    this.db.exec(SCHEMA);
+
+    // Records are kept by reference until the batch is written, so it has their latest state
+    this.pendingRecords = new Map(); // "kind:clientId:id" -> { kind, clientId, id, record }; record is null for deletions
+    this.pendingClosedTabs = [];
+    this.flushScheduled = false;
+
+    this.statements = {
+      insertClosedTab: this.db.prepare(
+        "INSERT INTO closed_tabs (client_id, tab_id, opened_at, closed_at, data) VALUES (?, ?, ?, ?, ?)"
+      ),
+      putSession: this.db.prepare("INSERT OR REPLACE INTO sessions (client_id, session_id) VALUES (?, ?)"),
+      findClosedTabs: this.db.prepare(`
+        SELECT data FROM closed_tabs
+        WHERE (@clientId IS NULL OR client_id = @clientId)
+          AND (@closedSince IS NULL OR closed_at >= @closedSince)
+          AND (@openedUntil IS NULL OR opened_at <= @openedUntil)
+        ORDER BY closed_at DESC, id DESC
+      `),
+      pruneExpired: this.db.prepare("DELETE FROM closed_tabs WHERE closed_at < ?"),
+      pruneExcess: this.db.prepare(
+        "DELETE FROM closed_tabs WHERE id NOT IN (SELECT id FROM closed_tabs ORDER BY closed_at DESC, id DESC LIMIT ?)"
+      ),
+    };
+    Object.entries(RECORD_TABLES).forEach(([kind, { table, idColumn }]) => {
+      this.statements[`put-${kind}`] = this.db.prepare(`INSERT OR REPLACE INTO ${table} (client_id, ${idColumn}, data) VALUES (?, ?, ?)`);
+      this.statements[`delete-${kind}`] = this.db.prepare(`DELETE FROM ${table} WHERE client_id = ? AND ${idColumn} = ?`);
+    });
+    this.writeBatch = this.db.transaction((records, closedTabs) => {
+      records.forEach(({ kind, clientId, id, record }) => {
+        if (record) this.statements[`put-${kind}`].run(clientId, id, JSON.stringify(record));
+        else this.statements[`delete-${kind}`].run(clientId, id);
+      });
+      closedTabs.forEach((tab) => {
+        this.statements.insertClosedTab.run(tab.clientId, tab.tabId, tab.openedAt, tab.closedAt, JSON.stringify(tab));
+      });
+    });
+  }
+
+  /**
+   * Load the stored state.
+   * @returns {Object} - { tabs, windows, groups, sessions }.
+   */
+  load() {
+    const [tabs, windows, groups] = Object.values(RECORD_TABLES).map(({ table }) => (
+      this.db.prepare(`SELECT data FROM ${table}`).all().map((row) => JSON.parse(row.data))
+    ));
+    const sessions = Object.fromEntries(
+      this.db.prepare("SELECT client_id, session_id FROM sessions").all().map((row) => [row.client_id, row.session_id])
+    );
+    const { count } = this.db.prepare("SELECT COUNT(*) AS count FROM closed_tabs").get();
+    console.log(`Loaded ${tabs.length} tabs, ${windows.length} windows and ${count} closed tabs from ${this.dbFilePath}`);
+    return { tabs, windows, groups, sessions };
+  }
+
+  /**
+   * Queue a record change for the next batch.
+   * @param {string} kind - "tab", "window" or "group".
+   * @param {string} clientId - The extension instance the record belongs to.
+   * @param {number} id - The Chrome tab, window or group ID.
+   * @param {Object|null} record - The record, or null to delete it.
+   */
+  queueRecord(kind, clientId, id, record) {
+    const key = `${kind}:${clientId}:${id}`;
+    // Re-inserting keeps the batch in the order of the latest changes
+    this.pendingRecords.delete(key);
+    this.pendingRecords.set(key, { kind, clientId, id, record });
+    this.scheduleFlush();
+  }
+
+  /**
+   * Write the queued changes on the next tick, so a burst of changes shares one transaction.
+   */
+  scheduleFlush() {
+    if (this.flushScheduled) return;
+    this.flushScheduled = true;
+    setImmediate(() => this.flush());
+  }
+
+  /**
+   * Write the queued changes in one transaction.
+   */
+  flush() {
+    this.flushScheduled = false;
+    if (this.pendingRecords.size === 0 && this.pendingClosedTabs.length === 0) return;
+    const records = [...this.pendingRecords.values()];
+    const closedTabs = this.pendingClosedTabs;
+    this.pendingRecords = new Map();
+    this.pendingClosedTabs = [];
+    try {
+      this.writeBatch(records, closedTabs);
+    } catch (error) {
+      console.error(`Error writing to ${this.dbFilePath}:`, error);
+    }
+  }
+
+  /**
+   * Store a tab record, replacing the stored one with the same clientId and tabId.
+   * @param {Object} tab - The tab record.
+   */
+  putTab(tab) {
+    this.queueRecord("tab", tab.clientId, tab.tabId, tab);
+  }
+
+  /**
+   * Delete a stored tab record.
+   * @param {string} clientId - The extension instance the tab belongs to.
+   * @param {number} tabId - The Chrome tab ID.
+   */
+  deleteTab(clientId, tabId) {
+    this.queueRecord("tab", clientId, tabId, null);
+  }
+
+  /**
+   * Store a window record, replacing the stored one with the same clientId and windowId.
+   * @param {Object} window - The window record.
+   */
+  putWindow(window) {
+    this.queueRecord("window", window.clientId, window.windowId, window);
+  }
+
+  /**
+   * Delete a stored window record.
+   * @param {string} clientId - The extension instance the window belongs to.
+   * @param {number} windowId - The Chrome window ID.
+   */
+  deleteWindow(clientId, windowId) {
+    this.queueRecord("window", clientId, windowId, null);
+  }
+
+  /**
+   * Store a tab group record, replacing the stored one with the same clientId and groupId.
+   * @param {Object} group - The group record.
+   */
+  putGroup(group) {
+    this.queueRecord("group", group.clientId, group.groupId, group);
+  }
+
+  /**
+   * Delete a stored tab group record.
+   * @param {string} clientId - The extension instance the group belongs to.
+   * @param {number} groupId - The Chrome tab group ID.
+   */
+  deleteGroup(clientId, groupId) {
+    this.queueRecord("group", clientId, groupId, null);
+  }
+
+  /**
+   * Store the browser session a client reports from.
+   * @param {string} clientId - The extension instance.
+   * @param {string} sessionId - The session marker.
+   */
+  putSession(clientId, sessionId) {
+    this.statements.putSession.run(clientId, sessionId);
+  }
+
+  /**
+   * Delete every stored tab, window, group and session; the closed tabs are kept.
+   */
+  clearState() {
+    this.pendingRecords = new Map();
+    this.flush();
+    this.db.exec("DELETE FROM tabs; DELETE FROM windows; DELETE FROM tab_groups; DELETE FROM sessions;");
+  }
+
+  /**
+   * Add a closed tab to the history.
+   * @param {Object} record - The tab record with its closedAt.
+   */
+  addClosedTab(record) {
+    this.pendingClosedTabs.push(record);
+    this.scheduleFlush();
+  }
+
+  /**
+   * Find closed tabs, most recently closed first.
+   * @param {Object} filters - { clientId, closedSince, openedUntil }: ISO dates; all optional.
+   * @returns {Array} - The closed tab records.
+   */
+  findClosedTabs({ clientId = null, closedSince = null, openedUntil = null } = {}) {
+    this.flush();
+    return this.statements.findClosedTabs.all({ clientId, closedSince, openedUntil }).map((row) => JSON.parse(row.data));
+  }
+
+  /**
+   * Drop the closed tabs that are past the retention period, then the oldest ones beyond the maximum count.
+   * @param {Object} retention - { closedBefore: ISO date, maxEntries }.
+   * @returns {number} - The number of dropped closed tabs.
+   */
+  pruneClosedTabs({ closedBefore, maxEntries }) {
+    this.flush();
+    return this.statements.pruneExpired.run(closedBefore).changes + this.statements.pruneExcess.run(maxEntries).changes;
+  }
+
+  /**
+   * Write the queued changes and close the database when the API shuts down.
+   */
+  close() {
+    this.flush();
+    this.db.close();
+  }
+}
+
+module.exports = SqliteTabStore;
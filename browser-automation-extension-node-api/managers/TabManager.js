@@ -1,238 +1,936 @@
 // managers/TabManager.js
 
-const fs = require("fs");
 const path = require("path");
+const { EventEmitter } = require("events");
+const { createTabStore } = require("./TabStore");
 
 /**
- * TabManager now tracks tabs and their associated windows with optimized file writes.
+ * Convert a find-tab pattern into a RegExp.
+ * Patterns written as /source/flags are treated as regular expressions, anything else as a glob
+ * where "*" matches any run of characters and "?" a single character.
+ * @param {string} pattern - The glob or regex pattern.
+ * @returns {RegExp} - The compiled expression.
  */
-class TabManager {
-  constructor() {
-    this.dbFilePath = path.join(__dirname, "..", "openedTabs.json");
+function patternToRegExp(pattern) {
+  const regexMatch = /^\/(.+)\/([a-z]*)$/.exec(pattern);
+  if (regexMatch) {
+    return new RegExp(regexMatch[1], regexMatch[2]);
+  }
+  const escaped = pattern.replace(/[.+^${}()|[\]\\]/g, "\\$&");
+  return new RegExp(`^${escaped.replace(/\*/g, ".*").replace(/\?/g, ".")}$`);
+}
+
+/**
+ * Check whether a tab matches every criterion given to find-tab.
+ * @param {Object} tab - Object with url and (optionally) title.
+ * @param {Object} criteria - { url, urlPrefix, pattern, title }.
+ * @returns {boolean} - True if the tab matches, else false.
+ */
+function tabMatches(tab, { url, urlPrefix, pattern, title }) {
+  const tabUrl = tab.url || "";
+  if (url && tabUrl !== url) return false;
+  if (urlPrefix && !tabUrl.startsWith(urlPrefix)) return false;
+  if (pattern && !patternToRegExp(pattern).test(tabUrl)) return false;
+  if (title && !(tab.title || "").toLowerCase().includes(title.toLowerCase())) return false;
+  return true;
+}
+
+// Tab details reported by the extension besides tabId, windowId and url; tabs added before they were reported have them set to null
+// groupId is -1 for tabs outside any tab group
+const TAB_DETAIL_FIELDS = [
+  "title", "status", "active", "pinned", "audible", "muted", "favIconUrl", "index", "incognito", "discarded", "groupId",
+];
+
+// Fields whose changes are reported as "tab-updated"; index changes with every neighbour, so moves are reported on their own
+const TAB_CHANGE_FIELDS = ["url", ...TAB_DETAIL_FIELDS.filter((field) => field !== "index")];
+
+// Events emitted by TabManager as the tracked state changes
+const TAB_CHANGE_EVENTS = ["tab-created", "tab-updated", "tab-moved", "tab-closed", "window-opened", "window-closed"];
+
+const MAX_URL_TRAIL = 100; // Oldest visits of a tab are dropped beyond this count
+const HISTORY_PRUNE_INTERVAL = 60 * 60 * 1000; // 1 hour
+const DEFAULT_HISTORY_RETENTION_DAYS = 30;
+const DEFAULT_MAX_HISTORY_ENTRIES = 10000;
+
+/**
+ * Add a visit to the URL trail of a tab.
+ * @param {Object} tab - The tab record.
+ * @param {string} url - The URL the tab navigated to.
+ * @param {number} windowId - The window the tab was in.
+ * @param {string} now - ISO timestamp of the visit.
+ */
+function recordVisit(tab, url, windowId, now) {
+  tab.urlTrail.push({ url, windowId, visitedAt: now });
+  if (tab.urlTrail.length > MAX_URL_TRAIL) tab.urlTrail.shift();
+}
+
+/**
+ * Copy a tab record for an event or the history, so later changes to the record do not alter it.
+ * @param {Object} tab - The tab record.
+ * @returns {Object} - The copy.
+ */
+function copyTab(tab) {
+  return { ...tab, urlTrail: [...tab.urlTrail] };
+}
+
+/**
+ * List the tracked fields that differ between two states of a tab.
+ * @param {Object} before - The earlier tab record (or a copy of it).
+ * @param {Object} after - The current tab record.
+ * @returns {Array<string>} - The changed fields, see TAB_CHANGE_FIELDS.
+ */
+function changedTabFields(before, after) {
+  return TAB_CHANGE_FIELDS.filter((field) => before[field] !== after[field]);
+}
+
+// Fields /opened-tabs can sort by
+const TAB_SORT_FIELDS = ["index", "tabId", "title", "url", "openedAt", "lastUpdated"];
+
+/**
+ * Copy the tab details that were reported onto a tab record.
+ * @param {Object} tab - The tab record.
+ * @param {Object} details - Reported fields; undefined fields are left unchanged.
+ */
+function assignTabDetails(tab, details) {
+  TAB_DETAIL_FIELDS.forEach((field) => {
+    if (details[field] !== undefined) tab[field] = details[field];
+  });
+}
+
+/**
+ * Compare two tabs by a sort field. Sorting by index keeps the tabs of each window together.
+ * @param {Object} a - A tab record.
+ * @param {Object} b - A tab record.
+ * @param {string} field - One of TAB_SORT_FIELDS.
+ * @returns {number} - Negative, zero or positive, as for Array.prototype.sort.
+ */
+function compareTabs(a, b, field) {
+  if (field === "index" && a.windowId !== b.windowId) return a.windowId - b.windowId;
+  const left = a[field];
+  const right = b[field];
+  if (left === right) return 0;
+  if (left === null || left === undefined) return 1;
+  if (right === null || right === undefined) return -1;
+  return left < right ? -1 : 1;
+}
+
+// Window details reported by the extension; windows only inferred from tab events have them set to null
+const WINDOW_DETAIL_FIELDS = ["type", "state", "focused", "incognito", "left", "top", "width", "height"];
+
+/**
+ * Build the record of a newly tracked window.
+ * @param {string} clientId - The extension instance the window belongs to.
+ * @param {number} windowId - The Chrome window ID.
+ * @param {string} now - ISO timestamp of the event that revealed the window.
+ * @returns {Object} - The window record.
+ */
+function createWindowRecord(clientId, windowId, now) {
+  return {
+    clientId,
+    windowId,
+    tabs: [],
+    ...Object.fromEntries(WINDOW_DETAIL_FIELDS.map((field) => [field, null])),
+    openedAt: now,
+    lastUpdated: now,
+  };
+}
+
+/**
+ * Copy a window record for an event, so later changes to the record do not alter it.
+ * @param {Object} window - The window record.
+ * @returns {Object} - The copy.
+ */
+function copyWindow(window) {
+  return { ...window, tabs: [...window.tabs] };
+}
+
+// Tab group details reported by the extension
+const GROUP_DETAIL_FIELDS = ["windowId", "title", "color", "collapsed"];
+
+// Tab fields compared during reconciliation
+const TAB_SYNC_FIELDS = ["windowId", "url", ...TAB_DETAIL_FIELDS];
+
+/**
+ * List the fields a reported state sets to another value than the tracked record. Fields it leaves out are not compared.
+ * @param {Object} record - The tracked tab, window or group.
+ * @param {Object} details - The state reported by the browser.
+ * @param {Array<string>} fields - The fields to compare.
+ * @returns {Array<string>} - The differing fields.
+ */
+function driftedFields(record, details, fields) {
+  return fields.filter((field) => details[field] !== undefined && details[field] !== record[field]);
+}
+
+/**
+ * TabManager tracks tabs and their associated windows in memory and writes every changed record to its store
+ * (see TabStore.js). Closed tabs move to the store's history with their closedAt and the URLs they visited.
+ * Tabs and windows are namespaced by the clientId of the extension instance that reported them.
+ * Emits the TAB_CHANGE_EVENTS with a copy of the tab ({ tab }) or window ({ window }) that changed;
+ * "tab-updated" also carries the changed fields, "tab-moved" the previous windowId and index.
+ */
+class TabManager extends EventEmitter {
+  /**
+   * @param {Object} store - The storage backend; defaults to the JSON files next to the API.
+   * @param {Object} options - { historyRetentionDays, maxHistoryEntries }: how long and how many closed tabs are kept.
+   */
+  constructor(store = createTabStore("json", path.join(__dirname, "..")), options = {}) {
+    super();
+    this.store = store;
     this.openedTabs = [];
     this.openedWindows = [];
-    this.saveInProgress = false;
-    this.saveQueued = false;
+    this.tabGroups = [];
+    this.sessions = {}; // clientId -> the browser session the client last reported from
+    this.sessionChanges = new Map(); // clientId -> { previousSessionId, droppedTabIds } until the next reconciliation
+    // "clientId|tab|12" -> browser time (ms) of the latest event that changed that tab, window or group, so a
+    // reconciliation with a snapshot taken before it does not undo the change; dropped once a later snapshot is applied
+    this.changeTimes = new Map();
+    this.historyRetentionDays = options.historyRetentionDays || DEFAULT_HISTORY_RETENTION_DAYS;
+    this.maxHistoryEntries = options.maxHistoryEntries || DEFAULT_MAX_HISTORY_ENTRIES;
 
     this.loadData();
+    this.pruneHistory();
+    // Pruning alone does not keep the process running
+    setInterval(() => this.pruneHistory(), HISTORY_PRUNE_INTERVAL).unref();
   }
 
   /**
-   * Load opened tabs and windows from the JSON file.
+   * Load opened tabs, windows and tab groups from the store.
    */
   loadData() {
-    if (fs.existsSync(this.dbFilePath)) {
-      try {
-        const jsonData = fs.readFileSync(this.dbFilePath, "utf-8");
-        const data = JSON.parse(jsonData);
-        this.openedTabs = data.openedTabs || [];
-        this.openedWindows = data.openedWindows || [];
-        console.log(`Loaded ${this.openedTabs.length} tabs and ${this.openedWindows.length} windows from ${this.dbFilePath}`);
-      } catch (error) {
-        console.error("Error reading openedTabs.json:", error);
-        this.openedTabs = [];
-        this.openedWindows = [];
-      }
-    } else {
-      this.openedTabs = [];
-      this.openedWindows = [];
-    }
+    const { tabs, windows, groups, sessions } = this.store.load();
+    // Tabs tracked before URL trails were kept start their trail with their current URL
+    tabs.filter((t) => !t.urlTrail).forEach((t) => {
+      t.urlTrail = t.url ? [{ url: t.url, windowId: t.windowId, visitedAt: t.openedAt }] : [];
+    });
+    this.openedTabs = tabs;
+    this.openedWindows = windows;
+    this.tabGroups = groups;
+    this.sessions = sessions;
   }
 
   /**
-   * Persist the opened tabs and windows to the JSON file asynchronously.
+   * Move a closed tab to the history.
+   * @param {Object} tab - The tab record, already removed from openedTabs.
    */
-  saveData() {
-    const data = {
-      openedTabs: this.openedTabs,
-      openedWindows: this.openedWindows,
-    };
-    fs.writeFile(this.dbFilePath, JSON.stringify(data, null, 2), (err) => {
-      if (err) {
-        console.error("Error writing to openedTabs.json:", err);
-      } else {
-        console.log(`Successfully saved data to ${this.dbFilePath}`);
-      }
-      this.saveInProgress = false;
-      if (this.saveQueued) {
-        this.saveQueued = false;
-        this.scheduleSave();
-      }
-    });
+  archiveTab(tab) {
+    this.store.deleteTab(tab.clientId, tab.tabId);
+    this.store.addClosedTab({ ...copyTab(tab), closedAt: new Date().toISOString() });
   }
 
   /**
-   * Schedule a save operation with debouncing to optimize file writes.
+   * Drop the closed tabs past the retention period or beyond the maximum count.
    */
-  scheduleSave() {
-    if (this.saveInProgress) {
-      this.saveQueued = true;
-      return;
-    }
-
-    this.saveInProgress = true;
-    this.saveData();
+  pruneHistory() {
+    const closedBefore = new Date(Date.now() - this.historyRetentionDays * 24 * 60 * 60 * 1000).toISOString();
+    const removed = this.store.pruneClosedTabs({ closedBefore, maxEntries: this.maxHistoryEntries });
+    if (removed > 0) console.log(`Dropped ${removed} closed tabs from the history.`);
   }
 
   /**
    * Add or update an opened tab.
+   * @param {string} clientId - The extension instance the tab belongs to.
    * @param {number} tabId - The Chrome tab ID.
    * @param {number} windowId - The Chrome window ID.
    * @param {string} url - The tab's URL.
+   * @param {Object} details - Optional tab details (title, status, active, pinned, ...), see TAB_DETAIL_FIELDS.
    */
-  addOrUpdateTab(tabId, windowId, url) {
+  addOrUpdateTab(clientId, tabId, windowId, url, details = {}) {
     const now = new Date().toISOString();
-    const tabIndex = this.openedTabs.findIndex((t) => t.tabId === tabId);
-
-    if (tabIndex !== -1) {
-      // Update existing tab
-      this.openedTabs[tabIndex].url = url;
-      this.openedTabs[tabIndex].windowId = windowId;
-      this.openedTabs[tabIndex].lastUpdated = now;
-      console.log(`Updated tab ${tabId} with new URL: ${url}`);
+    let tab = this.findTab(clientId, tabId);
+    const before = tab ? copyTab(tab) : null;
+
+    if (tab) {
+      // Update existing tab, moving it between windows if needed
+      if (tab.windowId !== windowId) {
+        this.dissociateTabFromWindow(clientId, tabId, tab.windowId);
+      }
+      if (url && url !== tab.url) recordVisit(tab, url, windowId, now);
+      tab.url = url;
+      tab.windowId = windowId;
+      assignTabDetails(tab, details);
+      tab.lastUpdated = now;
+      console.log(`Updated tab ${tabId} of client ${clientId} with new URL: ${url}`);
     } else {
       // Add new tab
-      this.openedTabs.push({
-        tabId,
-        windowId,
-        url,
-        openedAt: now,
-        lastUpdated: now,
-      });
-      console.log(`Added new tab ${tabId} with URL: ${url}`);
+      tab = this.createTabRecord(clientId, { ...details, tabId, windowId, url }, now);
+      this.openedTabs.push(tab);
+      console.log(`Added new tab ${tabId} of client ${clientId} with URL: ${url}`);
     }
 
     // Update window association
-    this.associateTabWithWindow(tabId, windowId);
+    this.associateTabWithWindow(clientId, tabId, windowId);
+
+    if (!before) {
+      this.emit("tab-created", { tab: copyTab(tab) });
+    } else {
+      // A replaced tab has no window until it is re-associated here
+      if (before.windowId !== null && before.windowId !== windowId) {
+        this.emit("tab-moved", { tab: copyTab(tab), fromWindowId: before.windowId, fromIndex: before.index });
+      }
+      const changes = changedTabFields(before, tab);
+      if (changes.length > 0) this.emit("tab-updated", { tab: copyTab(tab), changes });
+    }
+
+    this.store.putTab(tab);
+  }
+
+  /**
+   * Build the record of a newly tracked tab.
+   * @param {string} clientId - The extension instance the tab belongs to.
+   * @param {Object} details - { tabId, windowId, url } plus any reported tab details.
+   * @param {string} now - ISO timestamp used for openedAt and lastUpdated.
+   * @returns {Object} - The tab record.
+   */
+  createTabRecord(clientId, { tabId, windowId, url, ...details }, now) {
+    const tab = {
+      clientId,
+      tabId,
+      windowId,
+      url,
+      ...Object.fromEntries(TAB_DETAIL_FIELDS.map((field) => [field, null])),
+      openedAt: now,
+      lastUpdated: now,
+      urlTrail: url ? [{ url, windowId, visitedAt: now }] : [],
+    };
+    assignTabDetails(tab, details);
+    return tab;
+  }
+
+  /**
+   * Mark the active tab of a window; the window's other tabs become inactive.
+   * @param {string} clientId - The extension instance the tab belongs to.
+   * @param {number} windowId - The Chrome window ID.
+   * @param {number} tabId - The activated tab.
+   */
+  setActiveTab(clientId, windowId, tabId) {
+    const now = new Date().toISOString();
+    this.openedTabs
+      .filter((t) => t.clientId === clientId && t.windowId === windowId)
+      .forEach((t) => {
+        const active = t.tabId === tabId;
+        if (t.active !== active) {
+          t.active = active;
+          t.lastUpdated = now;
+          this.store.putTab(t);
+          this.emit("tab-updated", { tab: copyTab(t), changes: ["active"] });
+        }
+      });
+  }
+
+  /**
+   * Update the index of every tab of a window from its current tab order.
+   * Moving, inserting or removing one tab shifts the index of its neighbours.
+   * @param {string} clientId - The extension instance the tabs belong to.
+   * @param {number} windowId - The Chrome window ID.
+   * @param {Array<number>} tabIds - The window's tab IDs from left to right.
+   * @param {number} movedTabId - Optional tab whose move caused the new order; it is reported as "tab-moved".
+   */
+  setTabOrder(clientId, windowId, tabIds, movedTabId) {
+    tabIds.forEach((tabId, index) => {
+      const tab = this.findTab(clientId, tabId);
+      if (!tab || tab.windowId !== windowId || tab.index === index) return;
+      const fromIndex = tab.index;
+      tab.index = index;
+      this.store.putTab(tab);
+      if (tabId === movedTabId) {
+        this.emit("tab-moved", { tab: copyTab(tab), fromWindowId: windowId, fromIndex });
+      }
+    });
+  }
+
+  /**
+   * Replace a tab that Chrome swapped for another one (prerendering, discarding), keeping its history.
+   * @param {string} clientId - The extension instance the tab belongs to.
+   * @param {number} removedTabId - The ID of the replaced tab.
+   * @param {Object} details - { tabId, windowId, url, ...details } of the tab that took its place.
+   */
+  replaceTab(clientId, removedTabId, details) {
+    const tab = this.findTab(clientId, removedTabId);
+    if (tab) {
+      this.dissociateTabFromWindow(clientId, removedTabId, tab.windowId);
+      this.store.deleteTab(clientId, removedTabId);
+      tab.tabId = details.tabId;
+      tab.windowId = null; // Re-associated below
+    }
+    this.addOrUpdateTab(clientId, details.tabId, details.windowId, details.url, details);
+    if (tab) {
+      this.emit("tab-updated", { tab: copyTab(tab), changes: ["tabId"], replacedTabId: removedTabId });
+    }
+    console.log(`Replaced tab ${removedTabId} of client ${clientId} with tab ${details.tabId}`);
+  }
 
-    // Schedule an asynchronous save
-    this.scheduleSave();
+  /**
+   * Find a tracked tab. Chrome tab IDs are only unique within one browser, so tabs are keyed by client.
+   * @param {string} clientId - The extension instance the tab belongs to.
+   * @param {number} tabId - The Chrome tab ID.
+   * @returns {Object|undefined} - The tab record.
+   */
+  findTab(clientId, tabId) {
+    return this.openedTabs.find((t) => t.clientId === clientId && t.tabId === tabId);
+  }
+
+  /**
+   * Find a tracked window.
+   * @param {string} clientId - The extension instance the window belongs to.
+   * @param {number} windowId - The Chrome window ID.
+   * @returns {Object|undefined} - The window record.
+   */
+  findWindow(clientId, windowId) {
+    return this.openedWindows.find((w) => w.clientId === clientId && w.windowId === windowId);
   }
 
   /**
    * Associate a tab with a window.
+   * @param {string} clientId - The extension instance the tab belongs to.
    * @param {number} tabId - The Chrome tab ID.
    * @param {number} windowId - The Chrome window ID.
    */
-  associateTabWithWindow(tabId, windowId) {
-    const window = this.openedWindows.find((w) => w.windowId === windowId);
+  associateTabWithWindow(clientId, tabId, windowId) {
+    const window = this.findWindow(clientId, windowId);
     if (window) {
       if (!window.tabs.includes(tabId)) {
         window.tabs.push(tabId);
-        console.log(`Associated tab ${tabId} with existing window ${windowId}`);
+        this.store.putWindow(window);
+        console.log(`Associated tab ${tabId} with existing window ${windowId} of client ${clientId}`);
       }
     } else {
       // Add new window
-      this.openedWindows.push({
-        windowId,
-        tabs: [tabId],
-        openedAt: new Date().toISOString(),
+      const record = createWindowRecord(clientId, windowId, new Date().toISOString());
+      record.tabs.push(tabId);
+      this.openedWindows.push(record);
+      this.store.putWindow(record);
+      console.log(`Created new window ${windowId} of client ${clientId} and associated tab ${tabId}`);
+      this.emit("window-opened", { window: copyWindow(record) });
+    }
+  }
+
+  /**
+   * Add or update a window with the details reported by the extension.
+   * @param {string} clientId - The extension instance the window belongs to.
+   * @param {Object} details - { windowId, type, state, focused, incognito, left, top, width, height }.
+   */
+  addOrUpdateWindow(clientId, details) {
+    const now = new Date().toISOString();
+    let window = this.findWindow(clientId, details.windowId);
+    const isNew = !window;
+    if (isNew) {
+      window = createWindowRecord(clientId, details.windowId, now);
+      this.openedWindows.push(window);
+      console.log(`Added new window ${details.windowId} of client ${clientId}`);
+    }
+
+    WINDOW_DETAIL_FIELDS.forEach((field) => {
+      if (details[field] !== undefined) window[field] = details[field];
+    });
+    window.lastUpdated = now;
+    this.store.putWindow(window);
+    if (isNew) this.emit("window-opened", { window: copyWindow(window) });
+
+    // Only one window of a browser has the focus
+    if (details.focused) {
+      this.setFocusedWindow(clientId, details.windowId);
+    }
+  }
+
+  /**
+   * Mark the window that has the focus; every other window of the client loses it.
+   * @param {string} clientId - The extension instance the windows belong to.
+   * @param {number} windowId - The focused window, or -1 when no browser window has the focus.
+   */
+  setFocusedWindow(clientId, windowId) {
+    this.openedWindows
+      .filter((w) => w.clientId === clientId)
+      .forEach((w) => {
+        const focused = w.windowId === windowId;
+        if (w.focused === focused) return;
+        w.focused = focused;
+        this.store.putWindow(w);
       });
-      console.log(`Created new window ${windowId} and associated tab ${tabId}`);
+  }
+
+  /**
+   * Remove a closed window together with its tabs.
+   * @param {string} clientId - The extension instance the window belongs to.
+   * @param {number} windowId - The Chrome window ID.
+   */
+  removeClosedWindow(clientId, windowId) {
+    const window = this.findWindow(clientId, windowId);
+    if (window) {
+      this.openedWindows.splice(this.openedWindows.indexOf(window), 1);
+      this.store.deleteWindow(clientId, windowId);
+    }
+    // The tabs and groups of a closed window are gone even if their own removal events are still on their way
+    this.openedTabs = this.openedTabs.filter((t) => {
+      if (t.clientId !== clientId || t.windowId !== windowId) return true;
+      this.archiveTab(t);
+      this.emit("tab-closed", { tab: copyTab(t) });
+      return false;
+    });
+    this.tabGroups = this.tabGroups.filter((g) => {
+      if (g.clientId !== clientId || g.windowId !== windowId) return true;
+      this.store.deleteGroup(clientId, g.groupId);
+      return false;
+    });
+    console.log(`Removed window ${windowId} of client ${clientId}`);
+    if (window) this.emit("window-closed", { window: copyWindow(window) });
+  }
+
+  /**
+   * Find a tracked tab group.
+   * @param {string} clientId - The extension instance the group belongs to.
+   * @param {number} groupId - The Chrome tab group ID.
+   * @returns {Object|undefined} - The group record.
+   */
+  findGroup(clientId, groupId) {
+    return this.tabGroups.find((g) => g.clientId === clientId && g.groupId === groupId);
+  }
+
+  /**
+   * Add or update a tab group with the details reported by the extension.
+   * @param {string} clientId - The extension instance the group belongs to.
+   * @param {Object} details - { groupId, windowId, title, color, collapsed }.
+   */
+  addOrUpdateGroup(clientId, details) {
+    const now = new Date().toISOString();
+    let group = this.findGroup(clientId, details.groupId);
+    if (!group) {
+      group = {
+        clientId,
+        groupId: details.groupId,
+        ...Object.fromEntries(GROUP_DETAIL_FIELDS.map((field) => [field, null])),
+        createdAt: now,
+        lastUpdated: now,
+      };
+      this.tabGroups.push(group);
+      console.log(`Added new tab group ${details.groupId} of client ${clientId}`);
+    }
+
+    GROUP_DETAIL_FIELDS.forEach((field) => {
+      if (details[field] !== undefined) group[field] = details[field];
+    });
+    group.lastUpdated = now;
+    this.store.putGroup(group);
+  }
+
+  /**
+   * Set the group of some tabs, e.g. right after group-tabs or ungroup-tabs, before their update events arrive.
+   * @param {string} clientId - The extension instance the tabs belong to.
+   * @param {Array<number>} tabIds - The Chrome tab IDs.
+   * @param {number} groupId - The group the tabs now belong to, or -1 if they were ungrouped.
+   */
+  setTabsGroup(clientId, tabIds, groupId) {
+    const now = new Date().toISOString();
+    tabIds.forEach((tabId) => {
+      const tab = this.findTab(clientId, tabId);
+      if (tab && tab.groupId !== groupId) {
+        tab.groupId = groupId;
+        tab.lastUpdated = now;
+        this.store.putTab(tab);
+        this.emit("tab-updated", { tab: copyTab(tab), changes: ["groupId"] });
+      }
+    });
+  }
+
+  /**
+   * Remove a tab group that Chrome closed (its last tab was ungrouped or closed).
+   * @param {string} clientId - The extension instance the group belongs to.
+   * @param {number} groupId - The Chrome tab group ID.
+   */
+  removeGroup(clientId, groupId) {
+    this.tabGroups = this.tabGroups.filter((g) => g.clientId !== clientId || g.groupId !== groupId);
+    this.store.deleteGroup(clientId, groupId);
+    console.log(`Removed tab group ${groupId} of client ${clientId}`);
+  }
+
+  /**
+   * Get the tab groups, each with the IDs of its tabs from left to right.
+   * @param {string} clientId - Optional client to restrict the list to.
+   * @returns {Array} - Array of group objects.
+   */
+  getTabGroups(clientId) {
+    return this.tabGroups
+      .filter((g) => !clientId || g.clientId === clientId)
+      .map((group) => ({
+        ...group,
+        tabIds: this.openedTabs
+          .filter((t) => t.clientId === group.clientId && t.groupId === group.groupId)
+          .sort((a, b) => compareTabs(a, b, "index"))
+          .map((t) => t.tabId),
+      }));
+  }
+
+  /**
+   * Remove a tab from a window, dropping the window once it has no tabs left.
+   * @param {string} clientId - The extension instance the tab belongs to.
+   * @param {number} tabId - The Chrome tab ID.
+   * @param {number} windowId - The Chrome window ID.
+   */
+  dissociateTabFromWindow(clientId, tabId, windowId) {
+    const window = this.findWindow(clientId, windowId);
+    if (!window) return;
+
+    window.tabs = window.tabs.filter((id) => id !== tabId);
+    if (window.tabs.length === 0) {
+      // Remove window if no tabs remain
+      this.openedWindows.splice(this.openedWindows.indexOf(window), 1);
+      this.store.deleteWindow(clientId, windowId);
+      console.log(`Removed window ${windowId} of client ${clientId} as it has no more tabs.`);
+      this.emit("window-closed", { window: copyWindow(window) });
+    } else {
+      this.store.putWindow(window);
     }
   }
 
   /**
    * Remove a closed tab.
+   * @param {string} clientId - The extension instance the tab belongs to.
    * @param {number} tabId - The Chrome tab ID.
    */
-  removeClosedTab(tabId) {
-    const tabIndex = this.openedTabs.findIndex((t) => t.tabId === tabId);
-    if (tabIndex !== -1) {
-      const [removedTab] = this.openedTabs.splice(tabIndex, 1);
-      console.log(`Removed tab ${tabId}`);
+  removeClosedTab(clientId, tabId) {
+    const tab = this.findTab(clientId, tabId);
+    if (tab) {
+      this.openedTabs.splice(this.openedTabs.indexOf(tab), 1);
+      this.archiveTab(tab);
+      console.log(`Removed tab ${tabId} of client ${clientId}`);
+      this.emit("tab-closed", { tab: copyTab(tab) });
 
       // Remove tab from its window
-      const window = this.openedWindows.find((w) => w.windowId === removedTab.windowId);
-      if (window) {
-        window.tabs = window.tabs.filter((id) => id !== tabId);
-        if (window.tabs.length === 0) {
-          // Remove window if no tabs remain
-          const windowIndex = this.openedWindows.findIndex((w) => w.windowId === removedTab.windowId);
-          if (windowIndex !== -1) {
-            this.openedWindows.splice(windowIndex, 1);
-            console.log(`Removed window ${removedTab.windowId} as it has no more tabs.`);
-          }
-        }
-      }
-
-      // Schedule an asynchronous save
-      this.scheduleSave();
+      this.dissociateTabFromWindow(clientId, tabId, tab.windowId);
     } else {
-      console.warn(`Attempted to remove non-existent tab ${tabId}`);
+      console.warn(`Attempted to remove non-existent tab ${tabId} of client ${clientId}`);
     }
   }
 
   /**
    * Bulk add or update opened tabs (used during synchronization).
+   * @param {string} clientId - The extension instance the tabs belong to.
    * @param {Array} tabs - Array of { tabId, windowId, url }.
    */
-  bulkAddOrUpdateTabs(tabs) {
-    tabs.forEach(({ tabId, windowId, url }) => {
-      this.addOrUpdateTab(tabId, windowId, url);
+  bulkAddOrUpdateTabs(clientId, tabs) {
+    tabs.forEach(({ tabId, windowId, url, ...details }) => {
+      this.addOrUpdateTab(clientId, tabId, windowId, url, details);
     });
-    console.log(`Bulk added/updated ${tabs.length} tabs.`);
+    console.log(`Bulk added/updated ${tabs.length} tabs for client ${clientId}.`);
   }
 
   /**
-   * Replace all existing tabs and windows with the new set.
-   * This is used during full synchronization to ensure data integrity.
-   * @param {Array} tabs - Array of { tabId, windowId, url }.
+   * Record the browser session a client reports from. Chrome hands out tab and window IDs again after a restart,
+   * so when the session changes the state tracked for the previous one is dropped: a reused tab ID is another tab.
+   * @param {string} clientId - The extension instance.
+   * @param {string} sessionId - The marker the extension generates when the browser starts.
+   * @returns {boolean} - True if the session changed and the previous session's tabs were dropped.
    */
-  replaceAllTabs(tabs) {
-    // Clear existing data
-    this.openedTabs = [];
-    this.openedWindows = [];
+  setSession(clientId, sessionId) {
+    const previousSessionId = this.sessions[clientId];
+    if (previousSessionId === sessionId) return false;
+    this.sessions[clientId] = sessionId;
+    this.store.putSession(clientId, sessionId);
+    // Tabs tracked before the client reported sessions are kept and reconciled by tab ID
+    if (!previousSessionId) return false;
 
-    // Add all new tabs
-    tabs.forEach(({ tabId, windowId, url }) => {
-      const now = new Date().toISOString();
-      this.openedTabs.push({
-        tabId,
-        windowId,
-        url,
-        openedAt: now,
-        lastUpdated: now,
-      });
+    const droppedTabIds = this.getAllOpenedTabs(clientId).map((t) => t.tabId);
+    this.getAllOpenedWindows(clientId).map((w) => w.windowId).forEach((windowId) => this.removeClosedWindow(clientId, windowId));
+    this.getAllOpenedTabs(clientId).map((t) => t.tabId).forEach((tabId) => this.removeClosedTab(clientId, tabId));
+    this.tabGroups
+      .filter((g) => g.clientId === clientId)
+      .map((g) => g.groupId)
+      .forEach((groupId) => this.removeGroup(clientId, groupId));
 
-      // Associate with window
-      const window = this.openedWindows.find((w) => w.windowId === windowId);
-      if (window) {
-        if (!window.tabs.includes(tabId)) {
-          window.tabs.push(tabId);
-        }
+    this.clearChangeTimes(clientId);
+
+    const change = this.sessionChanges.get(clientId);
+    this.sessionChanges.set(clientId, {
+      previousSessionId: change ? change.previousSessionId : previousSessionId,
+      droppedTabIds: change ? [...new Set([...change.droppedTabIds, ...droppedTabIds])] : droppedTabIds,
+    });
+    console.log(`Browser session of client ${clientId} changed; dropped ${droppedTabIds.length} tabs of session ${previousSessionId}`);
+    return true;
+  }
+
+  /**
+   * Record the time of a browser event for the tabs, windows and tab groups it changed.
+   * @param {string} clientId - The extension instance that reported the event.
+   * @param {Object} targets - { tabIds, windowIds, groupIds } changed by the event.
+   * @param {string} timestamp - When the event happened, as an ISO date by the browser's clock.
+   */
+  recordChangeTime(clientId, { tabIds = [], windowIds = [], groupIds = [] }, timestamp) {
+    const time = Date.parse(timestamp);
+    const record = (kind, id) => {
+      const key = `${clientId}|${kind}|${id}`;
+      if (!(this.changeTimes.get(key) >= time)) this.changeTimes.set(key, time);
+    };
+    tabIds.forEach((tabId) => record("tab", tabId));
+    windowIds.forEach((windowId) => record("window", windowId));
+    groupIds.forEach((groupId) => record("group", groupId));
+  }
+
+  /**
+   * Forget the change times of a client, all of them or those older than a time.
+   * @param {string} clientId - The extension instance.
+   * @param {number} before - Optional browser time (ms); only older change times are dropped.
+   */
+  clearChangeTimes(clientId, before = Infinity) {
+    this.changeTimes.forEach((time, key) => {
+      if (key.startsWith(`${clientId}|`) && time < before) this.changeTimes.delete(key);
+    });
+  }
+
+  /**
+   * Reconcile the tabs, windows and tab groups of one client with the full state reported by its browser.
+   * Only the differences are applied, so tabs that are still open keep their openedAt. Every difference is drift:
+   * a change the tab events missed, e.g. while the service worker was suspended. Tab events travel separately from
+   * the snapshot, so with snapshotAt the tabs, windows and groups that events changed at or after that time are
+   * left as they are and reported as conflicts: the snapshot is older than what the API tracks for them.
+   * @param {string} clientId - The extension instance the state belongs to.
+   * @param {Object} state - { tabs, windows, groups, sessionId, snapshotAt }: tab details ({ tabId, windowId, url, ... }),
+   * window details ({ windowId, type, state, ... }), group details ({ groupId, windowId, title, ... }), the optional
+   * browser session and the optional time the browser took the snapshot (ISO date, by the browser's clock).
+   * @returns {Object} - The drift: { inSync, session, tabs, windows, groups, conflicts }, where tabs, windows and groups
+   * list the added and removed IDs and the updated ones with their changed fields; session is { previousSessionId,
+   * droppedTabIds, reusedTabIds } if the browser restarted since the last reconciliation, else null; conflicts lists the
+   * skipped tab, window and group IDs (they are not drift).
+   */
+  reconcileTabs(clientId, { tabs, windows = [], groups = [], sessionId, snapshotAt } = {}) {
+    if (sessionId) this.setSession(clientId, sessionId);
+
+    const drift = {
+      inSync: true,
+      session: null,
+      tabs: { added: [], removed: [], updated: [], unchanged: 0 },
+      windows: { added: [], removed: [], updated: [] },
+      groups: { added: [], removed: [], updated: [] },
+      conflicts: { tabs: [], windows: [], groups: [] },
+    };
+
+    // Whether an event changed the item since the snapshot; such an item is listed as a conflict and skipped
+    const snapshotTime = snapshotAt ? Date.parse(snapshotAt) : null;
+    const isConflict = (kind, id) => {
+      if (snapshotTime === null || !(this.changeTimes.get(`${clientId}|${kind}|${id}`) >= snapshotTime)) return false;
+      drift.conflicts[`${kind}s`].push(id);
+      return true;
+    };
+
+    const change = this.sessionChanges.get(clientId);
+    if (change) {
+      this.sessionChanges.delete(clientId);
+      const reportedTabIds = new Set(tabs.map((t) => t.tabId));
+      drift.session = { ...change, reusedTabIds: change.droppedTabIds.filter((tabId) => reportedTabIds.has(tabId)) };
+    }
+
+    // Windows first, so tabs join windows that already have their details
+    windows.forEach((details) => {
+      if (isConflict("window", details.windowId)) return;
+      const window = this.findWindow(clientId, details.windowId);
+      const changes = window ? driftedFields(window, details, WINDOW_DETAIL_FIELDS) : null;
+      if (!window) drift.windows.added.push(details.windowId);
+      else if (changes.length > 0) drift.windows.updated.push({ windowId: details.windowId, changes });
+      else return;
+      this.addOrUpdateWindow(clientId, details);
+    });
+
+    tabs.forEach((details) => {
+      const { tabId, windowId, url } = details;
+      if (isConflict("tab", tabId)) return;
+      const tab = this.findTab(clientId, tabId);
+      const changes = tab ? driftedFields(tab, details, TAB_SYNC_FIELDS) : null;
+      if (!tab) {
+        drift.tabs.added.push(tabId);
+      } else if (changes.length > 0) {
+        drift.tabs.updated.push({ tabId, changes });
       } else {
-        this.openedWindows.push({
-          windowId,
-          tabs: [tabId],
-          openedAt: now,
-        });
+        drift.tabs.unchanged++;
+        return;
       }
+      this.addOrUpdateTab(clientId, tabId, windowId, url || "", details);
     });
 
-    console.log(`Replaced all tabs and windows with ${tabs.length} tabs.`);
+    // Tabs and windows the browser no longer has were closed without an event.
+    // Older extensions do not report window details, so a window is also open while it has a reported tab
+    const tabIds = new Set(tabs.map((t) => t.tabId));
+    const windowIds = new Set([...windows.map((w) => w.windowId), ...tabs.map((t) => t.windowId)]);
+    // Listed before the tabs are removed, since a window is dropped with its last tab
+    const closedWindowIds = this.getAllOpenedWindows(clientId)
+      .map((w) => w.windowId)
+      .filter((windowId) => !windowIds.has(windowId) && !isConflict("window", windowId));
+    this.getAllOpenedTabs(clientId)
+      .map((t) => t.tabId)
+      .filter((tabId) => !tabIds.has(tabId) && !isConflict("tab", tabId))
+      .forEach((tabId) => {
+        drift.tabs.removed.push(tabId);
+        this.removeClosedTab(clientId, tabId);
+      });
+    closedWindowIds.forEach((windowId) => {
+      drift.windows.removed.push(windowId);
+      if (this.findWindow(clientId, windowId)) this.removeClosedWindow(clientId, windowId);
+    });
 
-    // Schedule an asynchronous save
-    this.scheduleSave();
+    groups.forEach((details) => {
+      if (isConflict("group", details.groupId)) return;
+      const group = this.findGroup(clientId, details.groupId);
+      const changes = group ? driftedFields(group, details, GROUP_DETAIL_FIELDS) : null;
+      if (!group) drift.groups.added.push(details.groupId);
+      else if (changes.length > 0) drift.groups.updated.push({ groupId: details.groupId, changes });
+      else return;
+      this.addOrUpdateGroup(clientId, details);
+    });
+    const groupIds = new Set(groups.map((g) => g.groupId));
+    this.tabGroups
+      .filter((g) => g.clientId === clientId && !groupIds.has(g.groupId))
+      .map((g) => g.groupId)
+      .filter((groupId) => !isConflict("group", groupId))
+      .forEach((groupId) => {
+        drift.groups.removed.push(groupId);
+        this.removeGroup(clientId, groupId);
+      });
+
+    drift.inSync = !drift.session && [drift.tabs, drift.windows, drift.groups].every(
+      ({ added, removed, updated }) => added.length + removed.length + updated.length === 0
+    );
+    // Later snapshots are newer than the events that came before this one
+    if (snapshotTime !== null) this.clearChangeTimes(clientId, snapshotTime);
+    console.log(`Reconciled ${tabs.length} tabs of client ${clientId}${drift.inSync ? "; no drift" : ""}.`);
+    return drift;
   }
 
   /**
    * Get all opened tabs.
+   * @param {string} clientId - Optional client to restrict the list to.
    * @returns {Array} - Array of opened tab objects.
    */
-  getAllOpenedTabs() {
-    return this.openedTabs;
+  getAllOpenedTabs(clientId) {
+    if (!clientId) return this.openedTabs;
+    return this.openedTabs.filter((t) => t.clientId === clientId);
   }
 
   /**
-   * Clear all tracked tabs and windows (for testing or full resync).
+   * Query the opened tabs with filters and an optional sort order.
+   * @param {Object} query - { clientId, windowId, groupId, url (glob or /regex/), title, active, status, pinned, audible, sort, order }.
+   * @returns {Array} - Array of matching tab objects.
+   */
+  queryTabs({ clientId, windowId, groupId, url, title, active, status, pinned, audible, sort, order = "asc" } = {}) {
+    const urlPattern = url ? patternToRegExp(url) : null;
+    const tabs = this.getAllOpenedTabs(clientId).filter((tab) => {
+      if (windowId !== undefined && tab.windowId !== windowId) return false;
+      if (groupId !== undefined && tab.groupId !== groupId) return false;
+      if (urlPattern && !urlPattern.test(tab.url || "")) return false;
+      if (title && !(tab.title || "").toLowerCase().includes(title.toLowerCase())) return false;
+      if (active !== undefined && Boolean(tab.active) !== active) return false;
+      if (status !== undefined && tab.status !== status) return false;
+      if (pinned !== undefined && Boolean(tab.pinned) !== pinned) return false;
+      if (audible !== undefined && Boolean(tab.audible) !== audible) return false;
+      return true;
+    });
+
+    if (sort) {
+      const direction = order === "desc" ? -1 : 1;
+      tabs.sort((a, b) => direction * compareTabs(a, b, sort));
+    }
+    return tabs;
+  }
+
+  /**
+   * Get all opened windows.
+   * @param {string} clientId - Optional client to restrict the list to.
+   * @returns {Array} - Array of window objects.
+   */
+  getAllOpenedWindows(clientId) {
+    if (!clientId) return this.openedWindows;
+    return this.openedWindows.filter((w) => w.clientId === clientId);
+  }
+
+  /**
+   * Find tracked tabs matching the find-tab criteria.
+   * @param {Object} criteria - { url, urlPrefix, pattern, title }; omitted fields are ignored.
+   * @param {string} clientId - Optional client to restrict the search to.
+   * @returns {Array} - Array of { clientId, tabId, windowId, url, title } for every match.
+   */
+  findTabs(criteria, clientId) {
+    return this.getAllOpenedTabs(clientId)
+      .filter((tab) => tabMatches(tab, criteria))
+      .map((tab) => ({ clientId: tab.clientId, tabId: tab.tabId, windowId: tab.windowId, url: tab.url, title: tab.title || null }));
+  }
+
+  /**
+   * Query the open and closed tabs, most recently opened first.
+   * @param {Object} query - { state ("open", "closed" or "all"), clientId, windowId, url (glob or /regex/, matched against
+   * every URL the tab visited), openedSince, openedUntil, closedSince, closedUntil (ISO dates), minOpenHours, limit }.
+   * @returns {Array} - Tab records with closedAt (null for open tabs) and urlTrail.
+   */
+  queryTabHistory({ state = "all", clientId, windowId, url, openedSince, openedUntil, closedSince, closedUntil, minOpenHours, limit } = {}) {
+    const urlPattern = url ? patternToRegExp(url) : null;
+    const now = Date.now();
+    // Open tabs cannot match a filter on their closing time
+    const openTabs = state === "closed" || closedSince || closedUntil
+      ? []
+      : this.getAllOpenedTabs(clientId).map((tab) => ({ ...copyTab(tab), closedAt: null }));
+    const closedTabs = state === "open" ? [] : this.store.findClosedTabs({ clientId, closedSince, openedUntil });
+
+    const tabs = [...openTabs, ...closedTabs].filter((tab) => {
+      if (windowId !== undefined && tab.windowId !== windowId) return false;
+      if (urlPattern && !tab.urlTrail.some((visit) => urlPattern.test(visit.url))) return false;
+      if (openedSince && tab.openedAt < openedSince) return false;
+      if (openedUntil && tab.openedAt > openedUntil) return false;
+      if (closedUntil && tab.closedAt > closedUntil) return false;
+      if (minOpenHours !== undefined) {
+        const openFor = (tab.closedAt ? Date.parse(tab.closedAt) : now) - Date.parse(tab.openedAt);
+        if (openFor < minOpenHours * 60 * 60 * 1000) return false;
+      }
+      return true;
+    });
+    tabs.sort((a, b) => compareTabs(b, a, "openedAt"));
+    return limit ? tabs.slice(0, limit) : tabs;
+  }
+
+  /**
+   * Query the URLs visited by open and closed tabs, most recent first.
+   * @param {Object} query - { clientId, windowId (the window the tab was in at the time), tabId, url (glob or /regex/),
+   * since, until (ISO dates), limit }.
+   * @returns {Array} - Array of { clientId, tabId, windowId, url, visitedAt, closedAt }.
+   */
+  queryVisits({ clientId, windowId, tabId, url, since, until, limit } = {}) {
+    const urlPattern = url ? patternToRegExp(url) : null;
+    // A tab closed before the period started visited nothing in it
+    const closedTabs = this.store.findClosedTabs({ clientId, closedSince: since, openedUntil: until });
+    const tabs = [...this.getAllOpenedTabs(clientId).map((tab) => ({ ...tab, closedAt: null })), ...closedTabs];
+
+    const visits = [];
+    tabs
+      .filter((tab) => tabId === undefined || tab.tabId === tabId)
+      .forEach((tab) => {
+        tab.urlTrail.forEach((visit) => {
+          if (windowId !== undefined && visit.windowId !== windowId) return;
+          if (urlPattern && !urlPattern.test(visit.url)) return;
+          if (since && visit.visitedAt < since) return;
+          if (until && visit.visitedAt > until) return;
+          visits.push({ clientId: tab.clientId, tabId: tab.tabId, ...visit, closedAt: tab.closedAt });
+        });
+      });
+    visits.sort((a, b) => (a.visitedAt < b.visitedAt ? 1 : a.visitedAt > b.visitedAt ? -1 : 0));
+    return limit ? visits.slice(0, limit) : visits;
+  }
+
+  /**
+   * Clear all tracked tabs, windows and tab groups (for testing or full resync). The history is kept.
    */
   clearAll() {
     this.openedTabs = [];
     this.openedWindows = [];
-    this.saveData();
+    this.tabGroups = [];
+    this.sessions = {};
+    this.sessionChanges.clear();
+    this.store.clearState();
     console.log("Cleared all opened tabs and windows.");
   }
+
+  /**
+   * Write pending changes and release the store.
+   */
+  close() {
+    this.store.close();
+  }
 }
 
 module.exports = TabManager;
+module.exports.patternToRegExp = patternToRegExp;
+module.exports.TAB_SORT_FIELDS = TAB_SORT_FIELDS;
+module.exports.TAB_CHANGE_EVENTS = TAB_CHANGE_EVENTS;
@@ -0,0 +1,35 @@
+// managers/TabStore.js
+
+const JsonTabStore = require("./JsonTabStore");
+const SqliteTabStore = require("./SqliteTabStore");
+
+/**
+ * Storage backends of TabManager. Every backend implements the same interface:
+ * - load() -> { tabs, windows, groups, sessions }: the state saved before the API restarted
+ * - putTab(tab), deleteTab(clientId, tabId), putWindow(window), deleteWindow(clientId, windowId),
+ *   putGroup(group), deleteGroup(clientId, groupId), putSession(clientId, sessionId), clearState()
+ * - addClosedTab(record), findClosedTabs({ clientId, closedSince, openedUntil }), pruneClosedTabs({ closedBefore, maxEntries })
+ * - close()
+ * TabManager hands its records to the put methods by reference and keeps changing them afterwards,
+ * so a backend that writes later always writes their latest state.
+ */
+const TAB_STORE_BACKENDS = {
+  json: JsonTabStore,
+  sqlite: SqliteTabStore,
+};
+
+/**
+ * Create the storage backend of TabManager.
+ * @param {string} backend - One of TAB_STORE_BACKENDS.
+ * @param {string} directory - The directory holding the backend's files.
+ * @returns {Object} - The store.
+ */
+function createTabStore(backend, directory) {
+  const Store = TAB_STORE_BACKENDS[backend];
+  if (!Store) {
+    throw new Error(`Unknown tab store '${backend}'. Expected one of: ${Object.keys(TAB_STORE_BACKENDS).join(", ")}.`);
+  }
+  return new Store(directory);
+}
+
+module.exports = { TAB_STORE_BACKENDS, createTabStore };
@@ -1,37 +1,97 @@
 // managers/TaskQueue.js
 
+const { EventEmitter } = require("events");
+
+const MAX_TIMER_DELAY = 2 ** 31 - 1; // setTimeout overflows beyond ~24.8 days
+
 /**
- * Simple TaskQueue implementation using an array.
+ * TaskQueue orders tasks by priority (higher first, FIFO within the same priority)
+ * and holds back scheduled tasks until their notBefore time.
+ * Emits "task-added" whenever a task is queued and "task-ready" when a scheduled task becomes due,
+ * so it can be pushed to the extension.
  */
-class TaskQueue {
+class TaskQueue extends EventEmitter {
   constructor() {
+    super();
     this.queue = [];
+    this.wakeUpTimer = null;
   }
 
   /**
    * Add a task to the queue.
-   * @param {Object} task - The task object to add.
+   * @param {Object} task - The task object to add. Optional fields: priority (number), notBefore (ISO date).
    */
   addTask(task) {
-    this.queue.push(task);
+    // Insert after every task of equal or higher priority
+    const priority = task.priority || 0;
+    const index = this.queue.findIndex((queued) => (queued.priority || 0) < priority);
+    if (index === -1) {
+      this.queue.push(task);
+    } else {
+      this.queue.splice(index, 0, task);
+    }
+    this.scheduleWakeUp();
+    this.emit("task-added", task);
+  }
+
+  /**
+   * Put a task back at the front of its priority level (e.g. when it could not be delivered).
+   * @param {Object} task - The task object to requeue.
+   */
+  requeueTask(task) {
+    const priority = task.priority || 0;
+    const index = this.queue.findIndex((queued) => (queued.priority || 0) <= priority);
+    if (index === -1) {
+      this.queue.push(task);
+    } else {
+      this.queue.splice(index, 0, task);
+    }
+  }
+
+  /**
+   * Remove a task from the queue (e.g. when it is cancelled before being dispatched).
+   * @param {string} taskId - The unique identifier for the task.
+   * @returns {boolean} - True if the task was queued and has been removed, else false.
+   */
+  removeTask(taskId) {
+    const index = this.queue.findIndex((task) => task.taskId === taskId);
+    if (index === -1) return false;
+    this.queue.splice(index, 1);
+    this.scheduleWakeUp();
+    return true;
   }
 
   /**
-   * Get the next task from the queue.
-   * @returns {Object|null} - The next task or null if the queue is empty.
+   * Check whether a task may be dispatched now.
+   * @param {Object} task - The queued task.
+   * @param {number} now - Current time in milliseconds.
+   * @returns {boolean} - True if the task has no notBefore time or it has passed.
    */
-  getNextTask() {
-    if (this.queue.length === 0) return null;
-    return this.queue.shift();
+  isReady(task, now = Date.now()) {
+    return !task.notBefore || Date.parse(task.notBefore) <= now;
   }
 
   /**
-   * Peek at the next task without removing it.
-   * @returns {Object|null} - The next task or null if the queue is empty.
+   * Get the next task that is ready to run from the queue.
+   * @param {Function} predicate - Optional filter, e.g. tasks a given client may run.
+   * @returns {Object|null} - The next task or null if no task is ready.
    */
-  peekNextTask() {
-    if (this.queue.length === 0) return null;
-    return this.queue[0];
+  getNextTask(predicate = () => true) {
+    const now = Date.now();
+    const index = this.queue.findIndex((task) => this.isReady(task, now) && predicate(task));
+    if (index === -1) return null;
+    const [task] = this.queue.splice(index, 1);
+    return task;
+  }
+
+  /**
+   * Peek at the next ready task without removing it.
+   * @param {Function} predicate - Optional filter, e.g. tasks a given client may run.
+   * @returns {Object|null} - The next task or null if no task is ready.
+   */
+  peekNextTask(predicate = () => true) {
+    const now = Date.now();
+    return this.queue.find((task) => this.isReady(task, now) && predicate(task)) || null;
   }
 
   /**
@@ -42,6 +102,28 @@ class TaskQueue {
   hasTask(predicate) {
     return this.queue.some(predicate);
   }
+
+  /**
+   * Arm a timer for the earliest scheduled task so "task-ready" fires when it becomes due.
+   */
+  scheduleWakeUp() {
+    if (this.wakeUpTimer) {
+      clearTimeout(this.wakeUpTimer);
+      this.wakeUpTimer = null;
+    }
+
+    const now = Date.now();
+    const dueTimes = this.queue
+      .filter((task) => !this.isReady(task, now))
+      .map((task) => Date.parse(task.notBefore));
+    if (dueTimes.length === 0) return;
+
+    this.wakeUpTimer = setTimeout(() => {
+      this.wakeUpTimer = null;
+      this.scheduleWakeUp();
+      this.emit("task-ready");
+    }, Math.min(Math.min(...dueTimes) - now, MAX_TIMER_DELAY));
+  }
 }
 
 module.exports = TaskQueue;
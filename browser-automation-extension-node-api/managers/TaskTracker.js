@@ -0,0 +1,335 @@
+// managers/TaskTracker.js
+
+const fs = require("fs");
+const path = require("path");
+const { EventEmitter } = require("events");
+const writeFileAtomic = require("../utils/writeFileAtomic");
+const { STORAGE_COMMANDS, STORAGE_READ_COMMANDS, redactStorageResult } = require("../utils/storageParams");
+
+const TASK_STATUSES = ["queued", "dispatched", "running", "succeeded", "failed", "timed-out", "cancelled"];
+const TERMINAL_STATUSES = ["succeeded", "failed", "timed-out", "cancelled"];
+const MAX_FINISHED_TASKS = 1000;
+// Commands whose params carry cookie values, storage values or session bundles, never written to tasks.json
+const SECRET_PARAM_COMMANDS = STORAGE_COMMANDS.filter((command) => !STORAGE_READ_COMMANDS.includes(command));
+// Results larger than this (e.g. base64 captures, big extractions) are not written to tasks.json
+const MAX_STORED_RESULT_BYTES = 256 * 1024;
+// Stored copies of result objects, so each result is redacted and measured once rather than on every save
+const storedResults = new WeakMap();
+
+/**
+ * Build the copy of a task result written to tasks.json.
+ * @param {string} command - The task's command.
+ * @param {*} result - The task result.
+ * @returns {*} - The result, redacted for storage commands, or undefined if it is larger than MAX_STORED_RESULT_BYTES.
+ */
+function toStoredResult(command, result) {
+  const cacheable = typeof result === "object";
+  if (cacheable && storedResults.has(result)) return storedResults.get(result);
+  let storedResult = STORAGE_COMMANDS.includes(command) ? redactStorageResult(command, result) : result;
+  if (Buffer.byteLength(JSON.stringify(storedResult) || "") > MAX_STORED_RESULT_BYTES) storedResult = undefined;
+  if (cacheable) storedResults.set(result, storedResult);
+  return storedResult;
+}
+
+/**
+ * Build the copy of a task record written to tasks.json. Results and logs are kept, with the cookie and storage
+ * values of storage commands redacted; a result larger than MAX_STORED_RESULT_BYTES is replaced with null and
+ * flagged with resultDropped. Finished tasks lose their params and script, and the params of commands that write
+ * cookies, storage or sessions are never written (such a task cannot resume after a restart).
+ * @param {Object} record - The task record.
+ * @returns {Object} - The record to persist.
+ */
+function toStoredRecord(record) {
+  const { task, result, ...metadata } = record;
+  const { params, jsFunction, ...taskFields } = task;
+  const stored = { ...metadata, task: taskFields, result: null };
+  if (result !== null && result !== undefined) {
+    const storedResult = toStoredResult(record.command, result);
+    if (storedResult === undefined) {
+      stored.resultDropped = true;
+    } else {
+      stored.result = storedResult;
+    }
+  }
+  if (TERMINAL_STATUSES.includes(record.status)) return stored;
+
+  // Unfinished tasks keep what they need to be dispatched again after a restart
+  if (SECRET_PARAM_COMMANDS.includes(record.command)) {
+    stored.payloadDropped = true;
+  } else {
+    Object.assign(stored.task, { params, jsFunction });
+  }
+  return stored;
+}
+
+/**
+ * TaskTracker keeps a record of every task and its lifecycle:
+ * queued -> dispatched -> running -> succeeded | failed | timed-out | cancelled.
+ * Emits "task-updated" on every status change and "task-finished" once a task reaches a terminal status.
+ * Records are persisted to tasks.json so queued tasks and history survive API restarts.
+ */
+class TaskTracker extends EventEmitter {
+  constructor() {
+    super();
+    this.setMaxListeners(0); // Every waiting HTTP request subscribes to "task-finished"
+    this.dbFilePath = path.join(__dirname, "..", "tasks.json");
+    this.tasks = new Map();
+    this.saveInProgress = false;
+    this.saveQueued = false;
+
+    this.loadData();
+  }
+
+  /**
+   * Load task records from the JSON file.
+   */
+  loadData() {
+    if (!fs.existsSync(this.dbFilePath)) return;
+    try {
+      const data = JSON.parse(fs.readFileSync(this.dbFilePath, "utf-8"));
+      (data.tasks || []).forEach((record) => this.tasks.set(record.taskId, record));
+      console.log(`Loaded ${this.tasks.size} tasks from ${this.dbFilePath}`);
+    } catch (error) {
+      console.error("Error reading tasks.json:", error);
+      this.tasks = new Map();
+    }
+  }
+
+  /**
+   * Persist the metadata of all task records (see toStoredRecord) to the JSON file asynchronously and atomically.
+   */
+  saveData() {
+    const data = { tasks: [...this.tasks.values()].map(toStoredRecord) };
+    writeFileAtomic(this.dbFilePath, JSON.stringify(data, null, 2), (err) => {
+      if (err) {
+        console.error("Error writing to tasks.json:", err);
+      }
+      this.saveInProgress = false;
+      if (this.saveQueued) {
+        this.saveQueued = false;
+        this.scheduleSave();
+      }
+    });
+  }
+
+  /**
+   * Schedule a save operation, coalescing changes made while a write is in progress.
+   */
+  scheduleSave() {
+    if (this.saveInProgress) {
+      this.saveQueued = true;
+      return;
+    }
+
+    this.saveInProgress = true;
+    this.saveData();
+  }
+
+  /**
+   * Get the records of tasks that had not finished when they were loaded from disk.
+   * @returns {Array} - Array of task records in creation order.
+   */
+  getUnfinishedTasks() {
+    return [...this.tasks.values()].filter((record) => !this.isFinished(record));
+  }
+
+  /**
+   * Create a record for a newly queued task. A finished task's record may be replaced by a new task with its ID.
+   * @param {Object} task - The task object as it is queued for the extension.
+   * @returns {Object} - The task record.
+   * @throws {Error} - If an unfinished task already has this ID.
+   */
+  createTask(task) {
+    const existing = this.tasks.get(task.taskId);
+    if (existing && !this.isFinished(existing)) {
+      throw new Error(`Task ${task.taskId} is already ${existing.status}.`);
+    }
+    const now = new Date().toISOString();
+    const record = {
+      taskId: task.taskId,
+      command: task.command,
+      status: "queued",
+      task,
+      result: null,
+      error: null,
+      errorCode: null, // Machine-readable code reported with the error, e.g. SELECTOR_NOT_FOUND
+      errorDetails: null, // Structured error, e.g. { name, message, stack } of a script error
+      logs: null, // Log entries of the task's tab received while its last attempt ran, attached if it fails
+      clientId: null, // The client the task was dispatched to
+      attempts: 0,
+      retries: 0,
+      maxRetries: task.maxRetries || 0,
+      createdAt: now,
+      updatedAt: now,
+      dispatchedAt: null,
+      startedAt: null,
+      finishedAt: null,
+      history: [{ status: "queued", at: now }],
+    };
+    // Re-insert a reused ID so the Map's insertion order, which listTasks relies on, stays the creation order
+    this.tasks.delete(task.taskId);
+    this.tasks.set(task.taskId, record);
+    this.pruneFinishedTasks();
+    this.scheduleSave();
+    this.emit("task-updated", record);
+    return record;
+  }
+
+  /**
+   * Move a task to a new status. Terminal tasks are never updated again.
+   * @param {string} taskId - The unique identifier for the task.
+   * @param {string} status - One of TASK_STATUSES.
+   * @param {Object} fields - Extra fields to store on the record (e.g. result, error).
+   * @returns {Object|null} - The updated record, or null if the task is unknown or already finished.
+   */
+  updateStatus(taskId, status, fields = {}) {
+    if (!TASK_STATUSES.includes(status)) {
+      throw new Error(`Invalid task status: ${status}`);
+    }
+    const record = this.tasks.get(taskId);
+    if (!record || this.isFinished(record)) return null;
+
+    const now = new Date().toISOString();
+    Object.assign(record, fields);
+    record.status = status;
+    record.updatedAt = now;
+    record.history.push({ status, at: now });
+
+    if (status === "dispatched") {
+      record.dispatchedAt = now;
+      record.attempts++;
+    }
+    if (status === "running") record.startedAt = now;
+    if (this.isFinished(record)) {
+      record.finishedAt = now;
+      this.pruneFinishedTasks();
+    }
+
+    this.scheduleSave();
+    this.emit("task-updated", record);
+    if (this.isFinished(record)) {
+      this.emit("task-finished", record);
+    }
+    return record;
+  }
+
+  /**
+   * Record a failed attempt and move the task back to queued for another try.
+   * @param {string} taskId - The unique identifier for the task.
+   * @param {string} failedStatus - How the attempt ended ("failed" or "timed-out").
+   * @param {string} error - The error of the failed attempt.
+   * @param {string} notBefore - ISO date before which the retry will not be dispatched.
+   * @param {Object} errorInfo - Optional { errorCode, errorDetails } of the error.
+   * @returns {Object|null} - The updated record, or null if the task is unknown or already finished.
+   */
+  retryTask(taskId, failedStatus, error, notBefore, { errorCode = null, errorDetails = null } = {}) {
+    const record = this.tasks.get(taskId);
+    if (!record || this.isFinished(record)) return null;
+
+    const now = new Date().toISOString();
+    record.retries++;
+    record.error = error;
+    record.errorCode = errorCode;
+    record.errorDetails = errorDetails;
+    record.status = "queued";
+    record.updatedAt = now;
+    record.history.push({ status: failedStatus, at: now, error, errorCode });
+    record.history.push({ status: "queued", at: now, retry: record.retries, notBefore });
+
+    this.scheduleSave();
+    this.emit("task-updated", record);
+    return record;
+  }
+
+  /**
+   * Check whether a task record has reached a terminal status.
+   * @param {Object} record - The task record.
+   * @returns {boolean} - True if the task succeeded, failed, timed out or was cancelled.
+   */
+  isFinished(record) {
+    return TERMINAL_STATUSES.includes(record.status);
+  }
+
+  /**
+   * Get a task record by its ID.
+   * @param {string} taskId - The unique identifier for the task.
+   * @returns {Object|null} - The task record or null if it is unknown.
+   */
+  getTask(taskId) {
+    return this.tasks.get(taskId) || null;
+  }
+
+  /**
+   * Count the tasks a client is currently working on.
+   * @param {string} clientId - The client identifier.
+   * @returns {number} - Number of dispatched or running tasks assigned to the client.
+   */
+  countActiveTasks(clientId) {
+    let count = 0;
+    this.tasks.forEach((record) => {
+      if (record.clientId === clientId && (record.status === "dispatched" || record.status === "running")) count++;
+    });
+    return count;
+  }
+
+  /**
+   * List task records, newest first.
+   * @param {Object} filters - { status, command, clientId, limit }.
+   * @returns {Array} - Array of task records.
+   */
+  listTasks({ status, command, clientId, limit } = {}) {
+    let records = [...this.tasks.values()].reverse();
+    if (status) records = records.filter((record) => record.status === status);
+    if (command) records = records.filter((record) => record.command === command);
+    if (clientId) records = records.filter((record) => record.clientId === clientId);
+    if (limit) records = records.slice(0, limit);
+    return records;
+  }
+
+  /**
+   * Wait until a task reaches a terminal status.
+   * @param {string} taskId - The unique identifier for the task.
+   * @param {number} timeoutMs - Optional time to wait; resolves with the current record when it elapses.
+   * @returns {Promise<Object>} - Resolves with the task record.
+   */
+  waitForCompletion(taskId, timeoutMs) {
+    const record = this.tasks.get(taskId);
+    if (!record) return Promise.reject(new Error(`Unknown task: ${taskId}`));
+    if (this.isFinished(record)) return Promise.resolve(record);
+
+    return new Promise((resolve) => {
+      let timer = null;
+      const onFinished = (finished) => {
+        if (finished.taskId !== taskId) return;
+        clearTimeout(timer);
+        this.off("task-finished", onFinished);
+        resolve(finished);
+      };
+      this.on("task-finished", onFinished);
+
+      if (timeoutMs) {
+        timer = setTimeout(() => {
+          this.off("task-finished", onFinished);
+          resolve(record);
+        }, timeoutMs);
+      }
+    });
+  }
+
+  /**
+   * Drop the tasks that finished first once the history grows past MAX_FINISHED_TASKS.
+   */
+  pruneFinishedTasks() {
+    const finished = [...this.tasks.values()]
+      .filter((record) => this.isFinished(record))
+      .sort((a, b) => (a.finishedAt < b.finishedAt ? -1 : a.finishedAt > b.finishedAt ? 1 : 0));
+    const excess = finished.length - MAX_FINISHED_TASKS;
+    for (let i = 0; i < excess; i++) {
+      this.tasks.delete(finished[i].taskId);
+    }
+  }
+}
+
+TaskTracker.TASK_STATUSES = TASK_STATUSES;
+
+module.exports = TaskTracker;
@@ -0,0 +1,383 @@
+// managers/WebhookManager.js
+
+const fs = require("fs");
+const path = require("path");
+const crypto = require("crypto");
+const writeFileAtomic = require("../utils/writeFileAtomic");
+const { patternToRegExp } = require("./TabManager");
+
+// Fields of a webhook as given by the caller; the secret is handled on its own
+const WEBHOOK_FIELDS = ["url", "types", "clientId", "tabId", "urlPattern", "active", "maxAttempts", "retryBackoffMs"];
+const DEFAULT_MAX_ATTEMPTS = 6;
+const DEFAULT_RETRY_BACKOFF = 1000;
+const DELIVERY_TIMEOUT = 10000; // 10 seconds per attempt
+const MAX_LOGGED_DELIVERIES = 100; // Finished deliveries kept per webhook
+const MAX_DEAD_LETTERS = 500; // Oldest dead letters of a webhook are dropped beyond this count
+const MAX_RESPONSE_LENGTH = 1000; // Characters of a response body kept with each attempt
+
+/**
+ * Sign a delivery body: HMAC-SHA256 over "<timestamp>.<body>" with the webhook's secret.
+ * @param {string} secret - The webhook secret.
+ * @param {number} timestamp - Unix time in seconds, sent as X-Webhook-Timestamp.
+ * @param {string} body - The JSON body.
+ * @returns {string} - The X-Webhook-Signature header value, "sha256=<hex>".
+ */
+function signPayload(secret, timestamp, body) {
+  return `sha256=${crypto.createHmac("sha256", secret).update(`${timestamp}.${body}`).digest("hex")}`;
+}
+
+/**
+ * WebhookManager keeps the webhook subscriptions and POSTs every matching tab, window and task event to them.
+ * Failed deliveries are retried with exponential backoff; once out of attempts they go to the webhook's dead letters,
+ * from where they can be redelivered. Webhooks, deliveries waiting for a retry and dead letters are persisted
+ * to webhooks.json; the log of finished deliveries is kept in memory.
+ */
+class WebhookManager {
+  constructor(logger) {
+    this.logger = logger;
+    this.dbFilePath = path.join(__dirname, "..", "webhooks.json");
+    this.webhooks = [];
+    this.deliveries = new Map(); // webhookId -> deliveries, oldest first
+    this.deadLetters = new Map(); // webhookId -> deliveries that ran out of attempts, oldest first
+    this.retryTimers = new Map(); // deliveryId -> timer of the next attempt
+    this.saveInProgress = false;
+    this.saveQueued = false;
+
+    this.loadData();
+  }
+
+  /**
+   * Load webhooks, pending deliveries and dead letters from the JSON file.
+   */
+  loadData() {
+    if (!fs.existsSync(this.dbFilePath)) return;
+    try {
+      const data = JSON.parse(fs.readFileSync(this.dbFilePath, "utf-8"));
+      this.webhooks = data.webhooks || [];
+      (data.pendingDeliveries || []).forEach((delivery) => this.logDelivery(delivery));
+      (data.deadLetters || []).forEach((delivery) => {
+        const list = this.deadLetters.get(delivery.webhookId) || [];
+        list.push(delivery);
+        this.deadLetters.set(delivery.webhookId, list);
+      });
+      console.log(`Loaded ${this.webhooks.length} webhooks from ${this.dbFilePath}`);
+    } catch (error) {
+      console.error("Error reading webhooks.json:", error);
+    }
+  }
+
+  /**
+   * Persist webhooks, pending deliveries and dead letters to the JSON file atomically.
+   */
+  saveData() {
+    const data = {
+      webhooks: this.webhooks,
+      pendingDeliveries: [...this.deliveries.values()].flat().filter((delivery) => delivery.status === "pending"),
+      deadLetters: [...this.deadLetters.values()].flat(),
+    };
+    writeFileAtomic(this.dbFilePath, JSON.stringify(data, null, 2), (err) => {
+      if (err) {
+        console.error("Error writing to webhooks.json:", err);
+      }
+      this.saveInProgress = false;
+      if (this.saveQueued) {
+        this.saveQueued = false;
+        this.scheduleSave();
+      }
+    });
+  }
+
+  /**
+   * Schedule a save operation, coalescing changes made while a write is in progress.
+   */
+  scheduleSave() {
+    if (this.saveInProgress) {
+      this.saveQueued = true;
+      return;
+    }
+
+    this.saveInProgress = true;
+    this.saveData();
+  }
+
+  /**
+   * Schedule the next attempt of the deliveries that were pending when the API stopped.
+   */
+  resumeDeliveries() {
+    [...this.deliveries.values()].flat()
+      .filter((delivery) => delivery.status === "pending")
+      .forEach((delivery) => this.scheduleAttempt(delivery));
+  }
+
+  /**
+   * Add a validated webhook.
+   * @param {Object} details - The webhook fields, see WEBHOOK_FIELDS, plus an optional secret.
+   * @returns {Object} - The stored webhook, including its secret.
+   */
+  createWebhook(details) {
+    const webhook = {
+      id: `wh_${crypto.randomBytes(6).toString("hex")}`,
+      active: true,
+      maxAttempts: DEFAULT_MAX_ATTEMPTS,
+      retryBackoffMs: DEFAULT_RETRY_BACKOFF,
+    };
+    WEBHOOK_FIELDS.forEach((field) => {
+      if (details[field] !== undefined && details[field] !== null) webhook[field] = details[field];
+    });
+    webhook.secret = details.secret || `whsec_${crypto.randomBytes(24).toString("hex")}`;
+    webhook.createdAt = new Date().toISOString();
+    webhook.updatedAt = webhook.createdAt;
+    this.webhooks.push(webhook);
+    this.scheduleSave();
+    return webhook;
+  }
+
+  /**
+   * Update the given fields of a webhook; null removes the clientId, tabId or urlPattern filter.
+   * @param {string} webhookId - The webhook ID.
+   * @param {Object} details - The validated fields to change, see WEBHOOK_FIELDS, plus an optional new secret.
+   * @returns {Object|null} - The updated webhook, or null if there is no such webhook.
+   */
+  updateWebhook(webhookId, details) {
+    const webhook = this.getWebhook(webhookId);
+    if (!webhook) return null;
+    [...WEBHOOK_FIELDS, "secret"].forEach((field) => {
+      if (details[field] === null) delete webhook[field];
+      else if (details[field] !== undefined) webhook[field] = details[field];
+    });
+    webhook.updatedAt = new Date().toISOString();
+    this.scheduleSave();
+    return webhook;
+  }
+
+  /**
+   * Delete a webhook together with its pending deliveries, delivery log and dead letters.
+   * @param {string} webhookId - The webhook ID.
+   * @returns {Object|null} - The deleted webhook, or null if there is no such webhook.
+   */
+  deleteWebhook(webhookId) {
+    const webhook = this.getWebhook(webhookId);
+    if (!webhook) return null;
+    this.webhooks.splice(this.webhooks.indexOf(webhook), 1);
+    (this.deliveries.get(webhookId) || []).forEach((delivery) => {
+      clearTimeout(this.retryTimers.get(delivery.deliveryId));
+      this.retryTimers.delete(delivery.deliveryId);
+    });
+    this.deliveries.delete(webhookId);
+    this.deadLetters.delete(webhookId);
+    this.scheduleSave();
+    return webhook;
+  }
+
+  /**
+   * Get a webhook by ID.
+   * @param {string} webhookId - The webhook ID.
+   * @returns {Object|undefined} - The webhook, including its secret.
+   */
+  getWebhook(webhookId) {
+    return this.webhooks.find((webhook) => webhook.id === webhookId);
+  }
+
+  /**
+   * List the webhooks.
+   * @returns {Array} - Array of webhooks, including their secrets.
+   */
+  listWebhooks() {
+    return this.webhooks;
+  }
+
+  /**
+   * Check whether an event passes a webhook's filters.
+   * @param {Object} webhook - The webhook.
+   * @param {Object} event - The event, see EventStream.publish.
+   * @returns {boolean} - True if the event should be delivered to the webhook.
+   */
+  matches(webhook, event) {
+    if (webhook.types && !webhook.types.includes(event.type)) return false;
+    if (webhook.clientId && event.clientId !== webhook.clientId) return false;
+    if (webhook.tabId !== undefined && event.tabId !== webhook.tabId) return false;
+    if (webhook.urlPattern && !patternToRegExp(webhook.urlPattern).test(event.url || "")) return false;
+    return true;
+  }
+
+  /**
+   * Deliver an event to every active webhook whose filters it passes.
+   * @param {Object} event - The event, see EventStream.publish.
+   */
+  handleEvent(event) {
+    this.webhooks
+      .filter((webhook) => webhook.active && this.matches(webhook, event))
+      .forEach((webhook) => this.startDelivery(webhook, event));
+  }
+
+  /**
+   * Create a delivery of an event to one webhook and make its first attempt.
+   * @param {Object} webhook - The webhook.
+   * @param {Object} event - The event to deliver.
+   * @param {string} redeliveryOf - Optional ID of the dead letter this delivery retries.
+   * @returns {Object} - The delivery.
+   */
+  startDelivery(webhook, event, redeliveryOf = null) {
+    const delivery = {
+      deliveryId: `dlv_${crypto.randomBytes(8).toString("hex")}`,
+      webhookId: webhook.id,
+      eventId: event.id,
+      eventType: event.type,
+      event,
+      status: "pending",
+      attempts: [],
+      nextAttemptAt: new Date().toISOString(),
+      createdAt: new Date().toISOString(),
+      finishedAt: null,
+    };
+    if (redeliveryOf) delivery.redeliveryOf = redeliveryOf;
+    this.logDelivery(delivery);
+    this.attemptDelivery(delivery);
+    return delivery;
+  }
+
+  /**
+   * Add a delivery to its webhook's log, dropping the oldest finished deliveries beyond MAX_LOGGED_DELIVERIES.
+   * @param {Object} delivery - The delivery.
+   */
+  logDelivery(delivery) {
+    const log = this.deliveries.get(delivery.webhookId) || [];
+    log.push(delivery);
+    const finished = log.filter((entry) => entry.status !== "pending");
+    if (finished.length > MAX_LOGGED_DELIVERIES) {
+      log.splice(log.indexOf(finished[0]), 1);
+    }
+    this.deliveries.set(delivery.webhookId, log);
+  }
+
+  /**
+   * Arm the timer of a delivery's next attempt.
+   * @param {Object} delivery - A pending delivery.
+   */
+  scheduleAttempt(delivery) {
+    clearTimeout(this.retryTimers.get(delivery.deliveryId));
+    const delay = Math.max(0, Date.parse(delivery.nextAttemptAt) - Date.now());
+    this.retryTimers.set(delivery.deliveryId, setTimeout(() => this.attemptDelivery(delivery), delay));
+  }
+
+  /**
+   * POST a delivery to its webhook. A 2xx response completes it; anything else schedules a retry
+   * with exponential backoff, or moves it to the dead letters once the webhook's maxAttempts are used up.
+   * @param {Object} delivery - A pending delivery.
+   */
+  async attemptDelivery(delivery) {
+    this.retryTimers.delete(delivery.deliveryId);
+    const webhook = this.getWebhook(delivery.webhookId);
+    if (!webhook || delivery.status !== "pending") return;
+
+    const body = JSON.stringify({ deliveryId: delivery.deliveryId, webhookId: webhook.id, event: delivery.event });
+    const timestamp = Math.floor(Date.now() / 1000);
+    const attempt = { at: new Date().toISOString(), statusCode: null, error: null, response: null, durationMs: 0 };
+    const startedAt = Date.now();
+    try {
+      const response = await fetch(webhook.url, {
+        method: "POST",
+        headers: {
+          "Content-Type": "application/json",
+          "User-Agent": "browser-automation-webhooks",
+          "X-Webhook-Id": webhook.id,
+          "X-Webhook-Delivery": delivery.deliveryId,
+          "X-Webhook-Event": delivery.eventType,
+          "X-Webhook-Timestamp": String(timestamp),
+          "X-Webhook-Signature": signPayload(webhook.secret, timestamp, body),
+        },
+        body,
+        signal: AbortSignal.timeout(DELIVERY_TIMEOUT),
+      });
+      attempt.statusCode = response.status;
+      attempt.response = (await response.text()).slice(0, MAX_RESPONSE_LENGTH);
+      if (!response.ok) attempt.error = `HTTP ${response.status}`;
+    } catch (error) {
+      attempt.error = error.name === "TimeoutError" ? `No response within ${DELIVERY_TIMEOUT}ms` : error.message;
+    }
+    attempt.durationMs = Date.now() - startedAt;
+    delivery.attempts.push(attempt);
+
+    if (!attempt.error) {
+      this.finishDelivery(delivery, "succeeded");
+    } else if (delivery.attempts.length < webhook.maxAttempts) {
+      const backoff = webhook.retryBackoffMs * 2 ** (delivery.attempts.length - 1);
+      delivery.nextAttemptAt = new Date(Date.now() + backoff).toISOString();
+      this.logger.warn(`Webhook ${webhook.id} delivery ${delivery.deliveryId} failed (${attempt.error}); retry ${delivery.attempts.length}/${webhook.maxAttempts - 1} in ${backoff}ms.`);
+      this.scheduleAttempt(delivery);
+    } else {
+      this.logger.error(`Webhook ${webhook.id} delivery ${delivery.deliveryId} failed after ${delivery.attempts.length} attempts: ${attempt.error}`);
+      this.finishDelivery(delivery, "failed");
+      const deadLetters = this.deadLetters.get(webhook.id) || [];
+      deadLetters.push(delivery);
+      if (deadLetters.length > MAX_DEAD_LETTERS) deadLetters.shift();
+      this.deadLetters.set(webhook.id, deadLetters);
+    }
+    // A delivery that succeeds at once was never persisted
+    if (delivery.status !== "succeeded" || delivery.attempts.length > 1) {
+      this.scheduleSave();
+    }
+  }
+
+  /**
+   * Mark a delivery as finished.
+   * @param {Object} delivery - The delivery.
+   * @param {string} status - "succeeded" or "failed".
+   */
+  finishDelivery(delivery, status) {
+    delivery.status = status;
+    delivery.nextAttemptAt = null;
+    delivery.finishedAt = new Date().toISOString();
+  }
+
+  /**
+   * List the logged deliveries of a webhook, newest first.
+   * @param {string} webhookId - The webhook ID.
+   * @param {Object} filters - { status, limit }; both optional.
+   * @returns {Array} - Array of deliveries.
+   */
+  listDeliveries(webhookId, { status, limit } = {}) {
+    let deliveries = [...(this.deliveries.get(webhookId) || [])].reverse();
+    if (status) deliveries = deliveries.filter((delivery) => delivery.status === status);
+    return limit ? deliveries.slice(0, limit) : deliveries;
+  }
+
+  /**
+   * List the dead letters of a webhook, newest first.
+   * @param {string} webhookId - The webhook ID.
+   * @returns {Array} - Array of failed deliveries.
+   */
+  listDeadLetters(webhookId) {
+    return [...(this.deadLetters.get(webhookId) || [])].reverse();
+  }
+
+  /**
+   * Remove a dead letter from its webhook's list.
+   * @param {string} webhookId - The webhook ID.
+   * @param {string} deliveryId - The delivery ID of the dead letter.
+   * @returns {Object|null} - The removed dead letter, or null if there is none with this ID.
+   */
+  removeDeadLetter(webhookId, deliveryId) {
+    const deadLetters = this.deadLetters.get(webhookId) || [];
+    const delivery = deadLetters.find((entry) => entry.deliveryId === deliveryId);
+    if (!delivery) return null;
+    deadLetters.splice(deadLetters.indexOf(delivery), 1);
+    this.scheduleSave();
+    return delivery;
+  }
+
+  /**
+   * Deliver the event of a dead letter again, with a fresh set of attempts.
+   * @param {string} webhookId - The webhook ID.
+   * @param {string} deliveryId - The delivery ID of the dead letter.
+   * @returns {Object|null} - The new delivery, or null if there is no such webhook or dead letter.
+   */
+  redeliver(webhookId, deliveryId) {
+    const webhook = this.getWebhook(webhookId);
+    const deadLetter = webhook ? this.removeDeadLetter(webhookId, deliveryId) : null;
+    if (!deadLetter) return null;
+    return this.startDelivery(webhook, deadLetter.event, deliveryId);
+  }
+}
+
+module.exports = WebhookManager;
@@ -0,0 +1,360 @@
+// managers/WorkflowRunner.js
+
+const { EventEmitter } = require("events");
+const { TASK_FIELDS } = require("../utils/workflowDefinition");
+const { createWorkflowError, resolveTemplates, evaluateCondition } = require("../utils/workflowTemplate");
+
+const WORKFLOW_STATUSES = ["running", "succeeded", "failed", "cancelled"];
+const MAX_FINISHED_WORKFLOWS = 100;
+const MAX_LOOP_ITERATIONS = 1000;
+const DEFAULT_STEP_RETRIES = 3;
+// Commands that do not run in an existing tab, so they never inherit the workflow's current tab
+const TABLESS_COMMANDS = [
+  "open-tab", "find-tab", "create-window", "close-window", "focus-window", "update-window", "update-group",
+  "get-cookies", "set-cookies", "delete-cookies",
+];
+
+/**
+ * WorkflowRunner runs multi-step workflows: each command step becomes a task, and the runner waits
+ * for it before resolving the ${...} references of the next step. Runs are kept in memory;
+ * the tasks they queue are tracked (and persisted) by TaskTracker like any other task.
+ * Emits "workflow-finished" once a run reaches a terminal status.
+ */
+class WorkflowRunner extends EventEmitter {
+  /**
+   * @param {Object} logger - Winston logger instance.
+   * @param {Function} cancelTask - cancelTask(taskId) stops a step's task when its workflow is cancelled.
+   */
+  constructor(logger, cancelTask) {
+    super();
+    this.setMaxListeners(0); // Every waiting HTTP request subscribes to "workflow-finished"
+    this.logger = logger;
+    this.cancelTask = cancelTask;
+    this.runs = new Map();
+    this.contexts = new Map(); // workflowId -> execution state of a running workflow
+    this.nextRunNumber = 1;
+  }
+
+  /**
+   * Start a workflow. The returned record is updated as the steps run.
+   * @param {Object} definition - A validated workflow definition.
+   * @param {Function} runTask - runTask(body) queues a task on behalf of the caller and resolves with its finished record.
+   * @returns {Object} - The workflow record.
+   */
+  start(definition, runTask) {
+    const now = new Date();
+    const run = {
+      workflowId: `wf-${now.getTime()}-${this.nextRunNumber++}`,
+      name: definition.name || null,
+      status: "running",
+      vars: definition.vars || {},
+      steps: [],
+      output: null,
+      error: null,
+      errorCode: null,
+      summary: { succeeded: 0, failed: 0, skipped: 0 },
+      startedAt: now.toISOString(),
+      finishedAt: null,
+      durationMs: null,
+    };
+    this.runs.set(run.workflowId, run);
+    this.pruneFinishedWorkflows();
+
+    // The root scope has no prototype, so references like ${toString} resolve to nothing
+    const scope = Object.assign(Object.create(null), { vars: run.vars });
+    const context = {
+      run,
+      runTask,
+      definition,
+      root: scope,
+      taskCount: 0,
+      currentTaskId: null,
+      cancelRequested: false,
+    };
+    this.contexts.set(run.workflowId, context);
+
+    this.logger.info(`Started workflow ${run.workflowId}${run.name ? ` (${run.name})` : ""}.`);
+    this.execute(context).catch((error) => {
+      this.logger.error(`Workflow ${run.workflowId} crashed: ${error.message}`);
+      this.finish(run, "failed", error);
+    });
+    return run;
+  }
+
+  /**
+   * Run all steps, then resolve the workflow output.
+   * @param {Object} context - The run's execution context.
+   */
+  async execute(context) {
+    const { run, definition, root } = context;
+    try {
+      await this.runSteps(context, definition.steps, root, run.steps);
+      if (definition.output !== undefined) {
+        run.output = resolveTemplates(definition.output, root);
+      }
+      this.finish(run, "succeeded");
+    } catch (error) {
+      if (context.cancelRequested) {
+        this.finish(run, "cancelled", createWorkflowError("WORKFLOW_CANCELLED", "Workflow was cancelled."));
+        return;
+      }
+      this.finish(run, "failed", error);
+    }
+  }
+
+  /**
+   * Run a list of steps in order. Throws to abort the workflow.
+   * @param {Object} context - The run's execution context.
+   * @param {Array} steps - The steps to run.
+   * @param {Object} scope - Variables and step outputs visible to these steps.
+   * @param {Array} entries - The report entries to append to.
+   */
+  async runSteps(context, steps, scope, entries) {
+    for (const step of steps) {
+      if (context.cancelRequested) {
+        throw createWorkflowError("WORKFLOW_CANCELLED", "Workflow was cancelled.");
+      }
+
+      const entry = {
+        id: step.id || null,
+        ...(step.command !== undefined ? { command: step.command } : { type: "forEach" }),
+        status: "running",
+        startedAt: new Date().toISOString(),
+        finishedAt: null,
+        durationMs: null,
+      };
+      entries.push(entry);
+
+      try {
+        if (step.if !== undefined && !evaluateCondition(step.if, scope)) {
+          this.endStep(context, entry, "skipped");
+          continue;
+        }
+
+        const output = step.command !== undefined
+          ? await this.runCommandStep(context, step, scope, entry)
+          : await this.runLoopStep(context, step, scope, entry);
+        if (step.id) scope[step.id] = output;
+        this.endStep(context, entry, "succeeded");
+      } catch (error) {
+        Object.assign(entry, { error: error.message, code: error.code || null });
+        if (error.details !== undefined) entry.details = error.details;
+        this.endStep(context, entry, "failed");
+
+        const onError = step.onError || context.definition.onError || "abort";
+        if (context.cancelRequested || onError !== "continue") throw error;
+
+        this.logger.warn(`Workflow ${context.run.workflowId}: step ${step.id || step.command} failed (${error.message}); continuing.`);
+        if (step.id) scope[step.id] = null;
+      }
+    }
+  }
+
+  /**
+   * Queue the task of a command step and wait for it.
+   * @param {Object} context - The run's execution context.
+   * @param {Object} step - The command step.
+   * @param {Object} scope - Variables and step outputs visible to the step.
+   * @param {Object} entry - The step's report entry.
+   * @returns {Promise<*>} - The task result, stored as the step's output.
+   */
+  async runCommandStep(context, step, scope, entry) {
+    const { run, root } = context;
+    const body = {};
+    TASK_FIELDS.forEach((field) => {
+      if (step[field] === undefined) return;
+      // Scripts keep their own ${...} template literals; pass values to them through params.args
+      body[field] = field === "jsFunction" ? step[field] : resolveTemplates(step[field], scope);
+    });
+
+    // Tab-bound steps default to the tab the workflow last opened, found or ran in
+    if (body.tabId === undefined && root.tabId !== undefined && !TABLESS_COMMANDS.includes(body.command)) {
+      body.tabId = root.tabId;
+    }
+    if (body.clientId === undefined && context.definition.clientId) {
+      body.clientId = context.definition.clientId;
+    }
+    // A step's own maxRetries wins; retries is its shorthand, with a default for onError "retry"
+    if (step.onError === "retry" && body.maxRetries === undefined) {
+      body.maxRetries = step.retries || DEFAULT_STEP_RETRIES;
+    }
+
+    context.taskCount++;
+    body.taskId = `${run.workflowId}-${context.taskCount}${step.id ? `-${step.id}` : ""}`;
+    entry.taskId = body.taskId;
+    context.currentTaskId = body.taskId;
+
+    let record;
+    try {
+      record = await context.runTask(body);
+    } finally {
+      context.currentTaskId = null;
+    }
+    entry.attempts = record.attempts;
+
+    if (record.status !== "succeeded") {
+      const error = createWorkflowError(record.errorCode || "STEP_FAILED", record.error || `Task ${record.status}.`);
+      if (record.errorDetails) error.details = record.errorDetails;
+      throw error;
+    }
+
+    entry.result = record.result;
+    const resultTabId = record.result && record.result.tabId;
+    if (Number.isInteger(resultTabId)) {
+      root.tabId = resultTabId;
+    } else if (Number.isInteger(body.tabId)) {
+      root.tabId = body.tabId;
+    }
+    return record.result;
+  }
+
+  /**
+   * Run the steps of a loop once per item. Each iteration gets its own scope, so step outputs
+   * inside the loop refer to the current iteration; the loop's output lists them per iteration.
+   * @param {Object} context - The run's execution context.
+   * @param {Object} step - The loop step.
+   * @param {Object} scope - Variables and step outputs visible to the loop.
+   * @param {Object} entry - The loop's report entry.
+   * @returns {Promise<Array<Object>>} - The step outputs of every iteration.
+   */
+  async runLoopStep(context, step, scope, entry) {
+    const items = resolveTemplates(step.forEach, scope);
+    if (!Array.isArray(items)) {
+      throw createWorkflowError("INVALID_LOOP", `forEach resolved to ${typeof items}, expected an array.`);
+    }
+    if (items.length > MAX_LOOP_ITERATIONS) {
+      throw createWorkflowError("INVALID_LOOP", `forEach has ${items.length} items; the limit is ${MAX_LOOP_ITERATIONS}.`);
+    }
+
+    const itemName = step.as || "item";
+    entry.iterations = [];
+    const outputs = [];
+    for (const [index, item] of items.entries()) {
+      const iterationScope = Object.assign(Object.create(scope), { [itemName]: item, index });
+      const iteration = { index, item, steps: [] };
+      entry.iterations.push(iteration);
+      await this.runSteps(context, step.steps, iterationScope, iteration.steps);
+
+      const { [itemName]: ignoredItem, index: ignoredIndex, ...stepOutputs } = iterationScope;
+      outputs.push(stepOutputs);
+    }
+    return outputs;
+  }
+
+  /**
+   * Close a step's report entry and count it in the summary.
+   * @param {Object} context - The run's execution context.
+   * @param {Object} entry - The step's report entry.
+   * @param {string} status - "succeeded", "failed" or "skipped".
+   */
+  endStep(context, entry, status) {
+    entry.status = status;
+    entry.finishedAt = new Date().toISOString();
+    entry.durationMs = Date.parse(entry.finishedAt) - Date.parse(entry.startedAt);
+    context.run.summary[status]++;
+  }
+
+  /**
+   * Move a run to its terminal status.
+   * @param {Object} run - The workflow record.
+   * @param {string} status - One of WORKFLOW_STATUSES except "running".
+   * @param {Error} error - The error that ended the run, if any.
+   */
+  finish(run, status, error = null) {
+    if (run.status !== "running") return;
+    run.status = status;
+    run.finishedAt = new Date().toISOString();
+    run.durationMs = Date.parse(run.finishedAt) - Date.parse(run.startedAt);
+    if (error) {
+      run.error = error.message;
+      run.errorCode = error.code || null;
+    }
+    this.contexts.delete(run.workflowId);
+
+    const log = status === "succeeded" ? "info" : "warn";
+    this.logger[log](`Workflow ${run.workflowId} ${status}${error ? `: ${error.message}` : ""}`);
+    this.emit("workflow-finished", run);
+  }
+
+  /**
+   * Cancel a running workflow: its current task is cancelled and no further steps run.
+   * @param {string} workflowId - The workflow identifier.
+   * @returns {Object|null} - The workflow record, or null if it is unknown or already finished.
+   */
+  cancel(workflowId) {
+    const run = this.runs.get(workflowId);
+    if (!run || run.status !== "running") return null;
+
+    const context = this.contexts.get(workflowId);
+    context.cancelRequested = true;
+    if (context.currentTaskId) {
+      this.cancelTask(context.currentTaskId);
+    }
+    return run;
+  }
+
+  /**
+   * Get a workflow record.
+   * @param {string} workflowId - The workflow identifier.
+   * @returns {Object|null} - The workflow record, or null if it is unknown.
+   */
+  getWorkflow(workflowId) {
+    return this.runs.get(workflowId) || null;
+  }
+
+  /**
+   * List workflow records, newest first, without their step reports.
+   * @param {Object} filters - Optional { status, limit }.
+   * @returns {Array} - Array of workflow summaries.
+   */
+  listWorkflows({ status, limit } = {}) {
+    let runs = [...this.runs.values()].reverse();
+    if (status) runs = runs.filter((run) => run.status === status);
+    if (limit) runs = runs.slice(0, limit);
+    return runs.map(({ steps, ...summary }) => summary);
+  }
+
+  /**
+   * Wait until a workflow finishes.
+   * @param {string} workflowId - The workflow identifier.
+   * @param {number} timeoutMs - Optional time to wait; resolves with the current record when it elapses.
+   * @returns {Promise<Object>} - Resolves with the workflow record.
+   */
+  waitForCompletion(workflowId, timeoutMs) {
+    const run = this.runs.get(workflowId);
+    if (!run) return Promise.reject(new Error(`Unknown workflow: ${workflowId}`));
+    if (run.status !== "running") return Promise.resolve(run);
+
+    return new Promise((resolve) => {
+      let timer = null;
+      const onFinished = (finished) => {
+        if (finished.workflowId !== workflowId) return;
+        clearTimeout(timer);
+        this.off("workflow-finished", onFinished);
+        resolve(finished);
+      };
+      this.on("workflow-finished", onFinished);
+
+      if (timeoutMs) {
+        timer = setTimeout(() => {
+          this.off("workflow-finished", onFinished);
+          resolve(run);
+        }, timeoutMs);
+      }
+    });
+  }
+
+  /**
+   * Drop the oldest finished runs once the history grows past MAX_FINISHED_WORKFLOWS.
+   */
+  pruneFinishedWorkflows() {
+    const finished = [...this.runs.values()].filter((run) => run.status !== "running");
+    finished.slice(0, Math.max(0, finished.length - MAX_FINISHED_WORKFLOWS)).forEach((run) => {
+      this.runs.delete(run.workflowId);
+    });
+  }
+}
+
+WorkflowRunner.WORKFLOW_STATUSES = WORKFLOW_STATUSES;
+
+module.exports = WorkflowRunner;
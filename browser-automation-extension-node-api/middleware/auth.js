@@ -0,0 +1,98 @@
+// middleware/auth.js
+
+const EXTENSION_ORIGIN = /^chrome-extension:\/\/([a-z]+)$/;
+
+/**
+ * Read the credential sent with a request: "Authorization: Bearer <token>" or "X-API-Key: <key>".
+ * @param {Object} req - Express (or WebSocket upgrade) request.
+ * @returns {string|null} - The presented credential.
+ */
+function getCredential(req) {
+  const authorization = req.headers.authorization || "";
+  if (authorization.startsWith("Bearer ")) {
+    return authorization.slice("Bearer ".length).trim();
+  }
+  return req.headers["x-api-key"] || null;
+}
+
+/**
+ * Build the authentication middleware around an AuthManager.
+ * @param {AuthManager} authManager - Holds API keys and extension tokens.
+ * @param {Object} options - { allowedExtensionIds, logger }. An empty allow-list accepts any extension origin.
+ * @returns {Object} - { isAllowedOrigin, checkOrigin, requireScope, requireExtension, authenticateSocket }.
+ */
+function createAuthMiddleware(authManager, { allowedExtensionIds = [], logger }) {
+  /**
+   * Browser requests must come from an allowed extension; requests without an Origin
+   * (curl, other services) are judged by their credentials alone.
+   * @param {string} origin - The Origin header.
+   * @returns {boolean} - True if the origin may call the API.
+   */
+  function isAllowedOrigin(origin) {
+    if (!origin) return true;
+    const match = EXTENSION_ORIGIN.exec(origin);
+    if (!match) return false;
+    return allowedExtensionIds.length === 0 || allowedExtensionIds.includes(match[1]);
+  }
+
+  // Reject requests from web pages and unknown extensions before they reach any route
+  function checkOrigin(req, res, next) {
+    if (!isAllowedOrigin(req.headers.origin)) {
+      logger.warn(`Rejected ${req.method} ${req.path} from origin ${req.headers.origin}`);
+      return res.status(403).json({ success: false, error: "Origin not allowed." });
+    }
+    next();
+  }
+
+  /**
+   * Require an API key granting every listed scope.
+   * @param {...string} scopes - Required scopes.
+   * @returns {Function} - Express middleware; stores the key record on req.apiKey.
+   */
+  function requireScope(...scopes) {
+    return (req, res, next) => {
+      const apiKey = authManager.authenticateApiKey(getCredential(req));
+      if (!apiKey) {
+        return res.status(401).json({ success: false, error: "Missing or invalid API key." });
+      }
+      const missing = scopes.filter((scope) => !authManager.hasScope(apiKey, scope));
+      if (missing.length > 0) {
+        return res.status(403).json({ success: false, error: `API key lacks scope: ${missing.join(", ")}` });
+      }
+      req.apiKey = apiKey;
+      next();
+    };
+  }
+
+  /**
+   * Require an extension token (or the shared secret). A token paired to a client pins req.clientId,
+   * so one extension cannot report results or tabs on behalf of another.
+   */
+  function requireExtension(req, res, next) {
+    const extension = authManager.authenticateExtension(getCredential(req));
+    if (!extension) {
+      return res.status(401).json({ success: false, error: "Missing or invalid extension token." });
+    }
+    req.extension = extension;
+    next();
+  }
+
+  /**
+   * Authenticate a WebSocket upgrade. Browsers cannot set headers on WebSocket requests,
+   * so the extension passes its token as the "token" query parameter.
+   * @param {http.IncomingMessage} req - The upgrade request.
+   * @returns {Object|null} - The extension auth info, or null to reject the connection.
+   */
+  function authenticateSocket(req) {
+    if (!isAllowedOrigin(req.headers.origin)) {
+      logger.warn(`Rejected WebSocket from origin ${req.headers.origin}`);
+      return null;
+    }
+    const token = new URL(req.url, "http://localhost").searchParams.get("token") || getCredential(req);
+    return authManager.authenticateExtension(token);
+  }
+
+  return { isAllowedOrigin, checkOrigin, requireScope, requireExtension, authenticateSocket };
+}
+
+module.exports = createAuthMiddleware;
@@ -0,0 +1,123 @@
+// utils/browserEventSchema.js
+
+// Version of the browser event protocol (POST /v1/browser-events, WebSocket "browser-events" messages)
+const BROWSER_EVENT_VERSION = 1;
+const MAX_EVENT_ID_LENGTH = 200;
+const MAX_SESSION_ID_LENGTH = 200;
+
+// Value checks for the fields of the objects carried by events; null is accepted for every optional field
+const isInteger = (value) => Number.isInteger(value);
+const isString = (value) => typeof value === "string";
+const isBoolean = (value) => typeof value === "boolean";
+const isIntegerArray = (value) => Array.isArray(value) && value.every(Number.isInteger);
+
+// Each object has required fields and optional ones, with the check their values must pass
+const OBJECT_SCHEMAS = {
+  tab: {
+    required: { tabId: isInteger, windowId: isInteger, url: isString },
+    optional: {
+      title: isString, status: (value) => ["unloaded", "loading", "complete"].includes(value), active: isBoolean,
+      pinned: isBoolean, audible: isBoolean, muted: isBoolean, favIconUrl: isString, index: isInteger,
+      incognito: isBoolean, discarded: isBoolean, groupId: isInteger,
+    },
+  },
+  window: {
+    required: { windowId: isInteger },
+    optional: {
+      type: isString, state: isString, focused: isBoolean, incognito: isBoolean,
+      left: isInteger, top: isInteger, width: isInteger, height: isInteger,
+    },
+  },
+  group: {
+    required: { groupId: isInteger },
+    optional: { windowId: isInteger, title: isString, color: isString, collapsed: isBoolean },
+  },
+};
+
+// The data of each event type: a field is either an object of OBJECT_SCHEMAS or a value check; "?" marks optional fields
+const BROWSER_EVENT_SCHEMAS = {
+  "tab-created": { tab: "tab" },
+  "tab-updated": { tab: "tab" },
+  "tab-replaced": { tab: "tab", replacedTabId: isInteger },
+  "tab-closed": { tabId: isInteger, "windowId?": isInteger, "isWindowClosing?": isBoolean },
+  "tab-activated": { tabId: isInteger, windowId: isInteger },
+  "tab-order": { windowId: isInteger, tabIds: isIntegerArray, "movedTabId?": isInteger },
+  "window-created": { window: "window" },
+  "window-updated": { window: "window" },
+  "window-closed": { windowId: isInteger },
+  "window-focused": { windowId: isInteger }, // -1 when no browser window has the focus
+  "group-created": { group: "group" },
+  "group-updated": { group: "group" },
+  "group-removed": { groupId: isInteger },
+};
+const BROWSER_EVENT_TYPES = Object.keys(BROWSER_EVENT_SCHEMAS);
+
+/**
+ * Validate an object carried by an event against OBJECT_SCHEMAS.
+ * @param {*} value - The object.
+ * @param {string} kind - "tab", "window" or "group".
+ * @param {string} path - Location of the object in the event, used in error messages.
+ * @returns {string|null} - An error message, or null if the object is valid.
+ */
+function validateObject(value, kind, path) {
+  if (value === null || typeof value !== "object" || Array.isArray(value)) {
+    return `${path}: expected a ${kind} object.`;
+  }
+  const { required, optional } = OBJECT_SCHEMAS[kind];
+  for (const [field, check] of Object.entries(required)) {
+    if (!check(value[field])) return `${path}.${field}: missing or invalid.`;
+  }
+  for (const [field, check] of Object.entries(optional)) {
+    if (value[field] !== undefined && value[field] !== null && !check(value[field])) return `${path}.${field}: invalid.`;
+  }
+  return null;
+}
+
+/**
+ * Validate a browser event reported by the extension.
+ * @param {*} event - { eventId, type, timestamp, data }; timestamp is the optional ISO time of the browser event.
+ * @returns {string|null} - An error message, or null if the event is valid.
+ */
+function validateBrowserEvent(event) {
+  if (event === null || typeof event !== "object" || Array.isArray(event)) {
+    return "An event must be an object.";
+  }
+  const { eventId, type, timestamp, data } = event;
+  if (typeof eventId !== "string" || eventId.length === 0 || eventId.length > MAX_EVENT_ID_LENGTH) {
+    return `Invalid or missing 'eventId'. It should be a string of 1 to ${MAX_EVENT_ID_LENGTH} characters.`;
+  }
+  const schema = BROWSER_EVENT_SCHEMAS[type];
+  if (!schema) {
+    return `Invalid or missing 'type'. Expected one of: ${BROWSER_EVENT_TYPES.join(", ")}.`;
+  }
+  if (timestamp !== undefined && (typeof timestamp !== "string" || Number.isNaN(Date.parse(timestamp)))) {
+    return "Invalid 'timestamp'. It should be an ISO date.";
+  }
+  if (data === null || typeof data !== "object" || Array.isArray(data)) {
+    return "Invalid or missing 'data'. It should be an object.";
+  }
+  for (const [key, rule] of Object.entries(schema)) {
+    const optional = key.endsWith("?");
+    const field = optional ? key.slice(0, -1) : key;
+    if (optional && data[field] === undefined) continue;
+    const error = typeof rule === "string"
+      ? validateObject(data[field], rule, `data.${field}`)
+      : (rule(data[field]) ? null : `data.${field}: missing or invalid.`);
+    if (error) return `${type} ${error}`;
+  }
+  return null;
+}
+
+/**
+ * Validate the browser session marker sent with registrations, event batches and synchronizations.
+ * @param {*} sessionId - The marker the extension generates when the browser starts.
+ * @returns {string|null} - An error message, or null if the marker is valid.
+ */
+function validateSessionId(sessionId) {
+  if (typeof sessionId !== "string" || sessionId.length === 0 || sessionId.length > MAX_SESSION_ID_LENGTH) {
+    return `Invalid 'sessionId'. It should be a string of 1 to ${MAX_SESSION_ID_LENGTH} characters.`;
+  }
+  return null;
+}
+
+module.exports = { BROWSER_EVENT_VERSION, BROWSER_EVENT_TYPES, validateBrowserEvent, validateSessionId };
@@ -0,0 +1,83 @@
+// utils/captureParams.js
+
+const CAPTURE_COMMANDS = ["screenshot", "pdf"];
+const IMAGE_FORMATS = ["png", "jpeg"];
+// "url" stores the capture on the API and returns a download URL; "base64" returns the data in the result
+const OUTPUT_MODES = ["url", "base64"];
+
+/**
+ * Check that a value is a positive finite number.
+ * @param {*} value - The value to check.
+ * @returns {boolean} - True for a positive number.
+ */
+function isPositiveNumber(value) {
+  return typeof value === "number" && Number.isFinite(value) && value > 0;
+}
+
+/**
+ * Validate the params of a screenshot task.
+ * @param {Object} params - { format, quality, selector, fullPage, output }.
+ * @returns {string|null} - An error message, or null if the params are valid.
+ */
+function validateScreenshotParams({ format, quality, selector, fullPage }) {
+  if (format !== undefined && !IMAGE_FORMATS.includes(format)) {
+    return `Invalid 'format'. Expected one of: ${IMAGE_FORMATS.join(", ")}.`;
+  }
+  if (quality !== undefined) {
+    if (!Number.isInteger(quality) || quality < 0 || quality > 100) {
+      return "Invalid 'quality'. It should be an integer between 0 and 100.";
+    }
+    if (format !== "jpeg") {
+      return "'quality' only applies to the jpeg format.";
+    }
+  }
+  if (selector !== undefined && (typeof selector !== "string" || selector.length === 0)) {
+    return "Invalid 'selector'. It should be a non-empty CSS selector.";
+  }
+  if (fullPage !== undefined && typeof fullPage !== "boolean") {
+    return "Invalid 'fullPage'. It should be a boolean.";
+  }
+  if (selector !== undefined && fullPage) {
+    return "'selector' cannot be combined with 'fullPage'.";
+  }
+  return null;
+}
+
+/**
+ * Validate the params of a pdf task (a subset of the DevTools Page.printToPDF options).
+ * @param {Object} params - { landscape, printBackground, scale, paperWidth, paperHeight, pageRanges, output }.
+ * @returns {string|null} - An error message, or null if the params are valid.
+ */
+function validatePdfParams({ landscape, printBackground, scale, paperWidth, paperHeight, pageRanges }) {
+  if (landscape !== undefined && typeof landscape !== "boolean") {
+    return "Invalid 'landscape'. It should be a boolean.";
+  }
+  if (printBackground !== undefined && typeof printBackground !== "boolean") {
+    return "Invalid 'printBackground'. It should be a boolean.";
+  }
+  if (scale !== undefined && (typeof scale !== "number" || scale < 0.1 || scale > 2)) {
+    return "Invalid 'scale'. It should be a number between 0.1 and 2.";
+  }
+  if ((paperWidth !== undefined && !isPositiveNumber(paperWidth)) || (paperHeight !== undefined && !isPositiveNumber(paperHeight))) {
+    return "Invalid 'paperWidth'/'paperHeight'. They should be positive numbers (inches).";
+  }
+  if (pageRanges !== undefined && (typeof pageRanges !== "string" || !/^\s*\d+(\s*-\s*\d+)?(\s*,\s*\d+(\s*-\s*\d+)?)*\s*$/.test(pageRanges))) {
+    return "Invalid 'pageRanges'. Expected a list like \"1-3, 5\".";
+  }
+  return null;
+}
+
+/**
+ * Validate the params of a screenshot or pdf task.
+ * @param {string} command - "screenshot" or "pdf".
+ * @param {Object} params - The task params.
+ * @returns {string|null} - An error message, or null if the params are valid.
+ */
+function validateCaptureParams(command, params) {
+  if (params.output !== undefined && !OUTPUT_MODES.includes(params.output)) {
+    return `Invalid 'output'. Expected one of: ${OUTPUT_MODES.join(", ")}.`;
+  }
+  return command === "pdf" ? validatePdfParams(params) : validateScreenshotParams(params);
+}
+
+module.exports = { CAPTURE_COMMANDS, validateCaptureParams };
@@ -0,0 +1,119 @@
+// utils/domCommands.js
+
+// Commands that interact with elements of a page. The extension runs them in the tab given by tabId.
+const DOM_COMMANDS = [
+  "click",
+  "type",
+  "select-option",
+  "check",
+  "uncheck",
+  "scroll-into-view",
+  "hover",
+  "submit",
+  "wait-for-selector",
+  "wait-for-text",
+];
+
+const DEFAULT_ELEMENT_TIMEOUT = 5000; // How long commands wait for their element to appear
+const MAX_ELEMENT_TIMEOUT = 5 * 60 * 1000;
+const MAX_TYPE_DELAY = 1000;
+const CLICK_BUTTONS = ["left", "middle", "right"];
+const SCROLL_BLOCKS = ["start", "center", "end", "nearest"];
+const WAIT_STATES = ["attached", "detached", "visible", "hidden"];
+
+/**
+ * Check that a value is a non-empty string.
+ * @param {*} value - The value to check.
+ * @returns {boolean} - True for a non-empty string.
+ */
+function isNonEmptyString(value) {
+  return typeof value === "string" && value.length > 0;
+}
+
+/**
+ * Validate the params of a DOM command before it is queued.
+ * @param {string} command - One of DOM_COMMANDS.
+ * @param {Object} params - The task params.
+ * @returns {string|null} - An error message, or null if the params are valid.
+ */
+function validateDomCommandParams(command, params) {
+  const { selector, timeout } = params;
+
+  // wait-for-text searches the whole page unless a selector narrows it down
+  if (command === "wait-for-text" ? selector !== undefined && !isNonEmptyString(selector) : !isNonEmptyString(selector)) {
+    return "Invalid or missing 'selector'. It should be a non-empty CSS selector.";
+  }
+  if (timeout !== undefined && (!Number.isInteger(timeout) || timeout < 0 || timeout > MAX_ELEMENT_TIMEOUT)) {
+    return `Invalid 'timeout'. It should be an integer between 0 and ${MAX_ELEMENT_TIMEOUT}.`;
+  }
+
+  switch (command) {
+    case "click":
+      if (params.button !== undefined && !CLICK_BUTTONS.includes(params.button)) {
+        return `Invalid 'button'. Expected one of: ${CLICK_BUTTONS.join(", ")}.`;
+      }
+      if (params.clickCount !== undefined && ![1, 2, 3].includes(params.clickCount)) {
+        return "Invalid 'clickCount'. It should be 1, 2 or 3.";
+      }
+      break;
+    case "type":
+      if (typeof params.text !== "string") {
+        return "Invalid or missing 'text'. It should be a string.";
+      }
+      if (params.delay !== undefined && (!Number.isInteger(params.delay) || params.delay < 0 || params.delay > MAX_TYPE_DELAY)) {
+        return `Invalid 'delay'. It should be an integer between 0 and ${MAX_TYPE_DELAY} (milliseconds per key).`;
+      }
+      if (params.clear !== undefined && typeof params.clear !== "boolean") {
+        return "Invalid 'clear'. It should be a boolean.";
+      }
+      break;
+    case "select-option": {
+      const given = ["value", "label", "index"].filter((key) => params[key] !== undefined);
+      if (given.length !== 1) {
+        return "select-option needs exactly one of 'value', 'label' or 'index'.";
+      }
+      const { value, label, index } = params;
+      const isStringList = (list) => (Array.isArray(list) ? list : [list]).every((item) => typeof item === "string");
+      const isIndexList = (list) => (Array.isArray(list) ? list : [list]).every((item) => Number.isInteger(item) && item >= 0);
+      if ((value !== undefined && !isStringList(value)) || (label !== undefined && !isStringList(label))) {
+        return "Invalid 'value'/'label'. It should be a string or an array of strings.";
+      }
+      if (index !== undefined && !isIndexList(index)) {
+        return "Invalid 'index'. It should be a non-negative integer or an array of them.";
+      }
+      break;
+    }
+    case "scroll-into-view":
+      if (params.block !== undefined && !SCROLL_BLOCKS.includes(params.block)) {
+        return `Invalid 'block'. Expected one of: ${SCROLL_BLOCKS.join(", ")}.`;
+      }
+      break;
+    case "wait-for-selector":
+      if (params.state !== undefined && !WAIT_STATES.includes(params.state)) {
+        return `Invalid 'state'. Expected one of: ${WAIT_STATES.join(", ")}.`;
+      }
+      break;
+    case "wait-for-text":
+      if (!isNonEmptyString(params.text)) {
+        return "Invalid or missing 'text'. It should be a non-empty string.";
+      }
+      break;
+    default:
+      break;
+  }
+  return null;
+}
+
+/**
+ * How long a DOM command may spend inside the page (waiting for its element, typing key by key),
+ * so the task timeout can leave room for it.
+ * @param {string} command - One of DOM_COMMANDS.
+ * @param {Object} params - The task params.
+ * @returns {number} - The time in milliseconds.
+ */
+function getPageTime(command, params) {
+  const typingTime = command === "type" ? params.text.length * (params.delay || 0) : 0;
+  return (params.timeout ?? DEFAULT_ELEMENT_TIMEOUT) + typingTime;
+}
+
+module.exports = { DOM_COMMANDS, validateDomCommandParams, getPageTime };
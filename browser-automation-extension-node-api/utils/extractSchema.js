@@ -0,0 +1,129 @@
+// utils/extractSchema.js
+
+// Value types a schema field can be converted to; "string" (the trimmed visible text) is the default
+const FIELD_TYPES = ["string", "html", "number", "integer", "boolean", "url", "date"];
+const MAX_SCHEMA_DEPTH = 10;
+const DEFAULT_ELEMENT_TIMEOUT = 5000; // How long extract waits for the root selector to match
+const MAX_ELEMENT_TIMEOUT = 5 * 60 * 1000;
+const DEFAULT_MAX_PAGES = 5;
+const MAX_PAGES = 100;
+const DEFAULT_PAGE_WAIT = 1000;
+const MAX_PAGE_WAIT = 60000;
+
+/**
+ * Validate one node of an extraction schema and, recursively, its nested fields.
+ * A node is either a CSS selector string (shorthand for { selector }) or an object:
+ * { selector | xpath, attribute, type, list, fields, default }.
+ * @param {*} spec - The schema node.
+ * @param {string} path - Location of the node, used in error messages.
+ * @param {number} depth - Nesting depth of the node.
+ * @returns {string|null} - An error message, or null if the node is valid.
+ */
+function validateSchemaNode(spec, path, depth = 0) {
+  if (depth > MAX_SCHEMA_DEPTH) {
+    return `${path}: schemas can be nested at most ${MAX_SCHEMA_DEPTH} levels deep.`;
+  }
+  if (typeof spec === "string") {
+    return spec.length > 0 ? null : `${path}: a selector string must not be empty.`;
+  }
+  if (typeof spec !== "object" || spec === null || Array.isArray(spec)) {
+    return `${path}: expected a selector string or an object.`;
+  }
+
+  const { selector, xpath, attribute, type, list, fields } = spec;
+  if (selector !== undefined && xpath !== undefined) {
+    return `${path}: use either 'selector' or 'xpath', not both.`;
+  }
+  if ((selector !== undefined && (typeof selector !== "string" || selector.length === 0))
+    || (xpath !== undefined && (typeof xpath !== "string" || xpath.length === 0))) {
+    return `${path}: 'selector' and 'xpath' must be non-empty strings.`;
+  }
+  if (attribute !== undefined && (typeof attribute !== "string" || attribute.length === 0)) {
+    return `${path}: 'attribute' must be a non-empty string.`;
+  }
+  if (type !== undefined && !FIELD_TYPES.includes(type)) {
+    return `${path}: invalid 'type' ${JSON.stringify(type)}. Expected one of: ${FIELD_TYPES.join(", ")}.`;
+  }
+  if (list !== undefined && typeof list !== "boolean") {
+    return `${path}: 'list' must be a boolean.`;
+  }
+
+  if (fields !== undefined) {
+    if (typeof fields !== "object" || fields === null || Array.isArray(fields) || Object.keys(fields).length === 0) {
+      return `${path}: 'fields' must be a non-empty object.`;
+    }
+    if (type !== undefined || attribute !== undefined) {
+      return `${path}: a node with 'fields' builds an object and cannot have a 'type' or 'attribute'.`;
+    }
+    for (const [name, field] of Object.entries(fields)) {
+      const error = validateSchemaNode(field, `${path}.fields.${name}`, depth + 1);
+      if (error) return error;
+    }
+  }
+  return null;
+}
+
+/**
+ * Validate the params of an extract task.
+ * @param {Object} params - { schema, pagination, timeout }.
+ * @returns {string|null} - An error message, or null if the params are valid.
+ */
+function validateExtractParams({ schema, pagination, timeout }) {
+  if (schema === undefined) {
+    return "Missing 'schema'.";
+  }
+  const schemaError = validateSchemaNode(schema, "schema");
+  if (schemaError) return `Invalid schema: ${schemaError}`;
+
+  if (timeout !== undefined && (!Number.isInteger(timeout) || timeout < 0 || timeout > MAX_ELEMENT_TIMEOUT)) {
+    return `Invalid 'timeout'. It should be an integer between 0 and ${MAX_ELEMENT_TIMEOUT}.`;
+  }
+
+  if (pagination !== undefined) {
+    if (typeof pagination !== "object" || pagination === null || Array.isArray(pagination)) {
+      return "Invalid 'pagination'. It should be an object.";
+    }
+    const { nextSelector, maxPages, waitMs, waitForSelector } = pagination;
+    if (typeof nextSelector !== "string" || nextSelector.length === 0) {
+      return "Invalid or missing 'pagination.nextSelector'. It should be a non-empty CSS selector.";
+    }
+    if (maxPages !== undefined && (!Number.isInteger(maxPages) || maxPages < 1 || maxPages > MAX_PAGES)) {
+      return `Invalid 'pagination.maxPages'. It should be an integer between 1 and ${MAX_PAGES}.`;
+    }
+    if (waitMs !== undefined && (!Number.isInteger(waitMs) || waitMs < 0 || waitMs > MAX_PAGE_WAIT)) {
+      return `Invalid 'pagination.waitMs'. It should be an integer between 0 and ${MAX_PAGE_WAIT}.`;
+    }
+    if (waitForSelector !== undefined && (typeof waitForSelector !== "string" || waitForSelector.length === 0)) {
+      return "Invalid 'pagination.waitForSelector'. It should be a non-empty CSS selector.";
+    }
+  }
+  return null;
+}
+
+/**
+ * Fill in the pagination defaults so the extension and the task timeout agree on them.
+ * @param {Object} pagination - The pagination params given by the caller.
+ * @returns {Object|undefined} - { nextSelector, maxPages, waitMs, waitForSelector }, or undefined without pagination.
+ */
+function normalizePagination(pagination) {
+  if (!pagination) return undefined;
+  return {
+    maxPages: DEFAULT_MAX_PAGES,
+    waitMs: DEFAULT_PAGE_WAIT,
+    ...pagination,
+  };
+}
+
+/**
+ * How long an extract task may spend in the page: waiting for the root selector and,
+ * with pagination, turning every page.
+ * @param {Object} params - Normalized extract params.
+ * @returns {number} - The time in milliseconds.
+ */
+function getExtractTime({ pagination, timeout = DEFAULT_ELEMENT_TIMEOUT }) {
+  const pages = pagination ? pagination.maxPages : 1;
+  const pageWait = pagination ? pagination.waitMs : 0;
+  return pages * (timeout + pageWait);
+}
+
+module.exports = { validateExtractParams, normalizePagination, getExtractTime };
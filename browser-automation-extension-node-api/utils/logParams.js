@@ -0,0 +1,41 @@
+// utils/logParams.js
+
+// Commands that subscribe a tab's console, exceptions and failed resource loads, or end the subscription
+const LOG_CAPTURE_COMMANDS = ["start-log-capture", "stop-log-capture"];
+
+// console: console.* calls, exception: uncaught errors and rejections, network: failed resource loads
+const LOG_TYPES = ["console", "exception", "network"];
+const LOG_LEVELS = ["debug", "log", "info", "warning", "error"];
+
+/**
+ * Validate a list of log types or levels.
+ * @param {*} values - The list to check.
+ * @param {Array<string>} allowed - The accepted values.
+ * @param {string} field - "types" or "levels", used in error messages.
+ * @returns {string|null} - An error message, or null if the list is valid.
+ */
+function validateLogFilter(values, allowed, field) {
+  if (!Array.isArray(values) || values.length === 0 || !values.every((value) => allowed.includes(value))) {
+    return `Invalid '${field}'. Expected a non-empty array of: ${allowed.join(", ")}.`;
+  }
+  return null;
+}
+
+/**
+ * Validate the params of a log capture command before it is queued.
+ * @param {string} command - One of LOG_CAPTURE_COMMANDS.
+ * @param {Object} params - { types } to start.
+ * @param {number} tabId - The subscribed tab.
+ * @returns {string|null} - An error message, or null if the params are valid.
+ */
+function validateLogCaptureParams(command, params, tabId) {
+  if (!Number.isInteger(tabId)) {
+    return `Invalid or missing 'tabId'. ${command} subscribes to the logs of one tab.`;
+  }
+  if (command === "start-log-capture" && params.types !== undefined) {
+    return validateLogFilter(params.types, LOG_TYPES, "types");
+  }
+  return null;
+}
+
+module.exports = { LOG_CAPTURE_COMMANDS, LOG_TYPES, LOG_LEVELS, validateLogFilter, validateLogCaptureParams };
@@ -0,0 +1,52 @@
+// utils/navigationParams.js
+
+// Commands that load a URL: open-tab in a new tab, navigate in the tab given by tabId
+const NAVIGATION_COMMANDS = ["open-tab", "navigate"];
+
+// Load states the extension can wait for; { selector } waits for an element instead
+const WAIT_UNTIL_STATES = ["load", "domcontentloaded", "networkidle", "none"];
+const DEFAULT_NAVIGATION_TIMEOUT = 30000;
+const MAX_NAVIGATION_TIMEOUT = 5 * 60 * 1000;
+
+/**
+ * Validate the url and params of a navigation command before it is queued.
+ * @param {string} command - One of NAVIGATION_COMMANDS.
+ * @param {string} url - The URL to load.
+ * @param {Object} params - { waitUntil, timeout }.
+ * @returns {string|null} - An error message, or null if the request is valid.
+ */
+function validateNavigationParams(command, url, { waitUntil, timeout }) {
+  if (command === "navigate" && (typeof url !== "string" || url.length === 0)) {
+    return "Invalid or missing 'url'. navigate needs the URL to load.";
+  }
+  if (url) {
+    try {
+      new URL(url);
+    } catch (error) {
+      return `Invalid 'url': ${url}. It should be an absolute URL.`;
+    }
+  }
+
+  if (waitUntil !== undefined) {
+    const isSelector = typeof waitUntil === "object" && waitUntil !== null
+      && typeof waitUntil.selector === "string" && waitUntil.selector.length > 0 && Object.keys(waitUntil).length === 1;
+    if (!WAIT_UNTIL_STATES.includes(waitUntil) && !isSelector) {
+      return `Invalid 'waitUntil'. Expected one of: ${WAIT_UNTIL_STATES.join(", ")}, or { selector }.`;
+    }
+  }
+  if (timeout !== undefined && (!Number.isInteger(timeout) || timeout < 0 || timeout > MAX_NAVIGATION_TIMEOUT)) {
+    return `Invalid 'timeout'. It should be an integer between 0 and ${MAX_NAVIGATION_TIMEOUT}.`;
+  }
+  return null;
+}
+
+/**
+ * How long a navigation command may wait for the page, so the task timeout can leave room for it.
+ * @param {Object} params - The task params.
+ * @returns {number} - The time in milliseconds.
+ */
+function getNavigationTime({ waitUntil, timeout = DEFAULT_NAVIGATION_TIMEOUT } = {}) {
+  return waitUntil === "none" ? 0 : timeout;
+}
+
+module.exports = { NAVIGATION_COMMANDS, validateNavigationParams, getNavigationTime };
@@ -0,0 +1,163 @@
+// utils/networkParams.js
+
+const { patternToRegExp } = require("../managers/TabManager");
+
+// Commands that record the requests of a tab; stop and get return the recording as HAR
+const NETWORK_CAPTURE_COMMANDS = ["start-network-capture", "stop-network-capture", "get-network-capture"];
+
+// Rule actions: block and modify-headers become declarativeNetRequest session rules, mock is answered through the debugger
+const RULE_ACTIONS = ["block", "modify-headers", "mock"];
+// Values of declarativeNetRequest.ResourceType
+const RESOURCE_TYPES = [
+  "main_frame", "sub_frame", "stylesheet", "script", "image", "font", "object", "xmlhttprequest",
+  "ping", "csp_report", "media", "websocket", "webtransport", "webbundle", "other",
+];
+const HEADER_OPERATIONS = ["set", "append", "remove"];
+// "url" stores the HAR on the API and returns a download URL; "inline" returns it in the result
+const HAR_OUTPUT_MODES = ["url", "inline"];
+const MAX_CAPTURE_ENTRIES = 5000;
+const MAX_MOCK_BODY_LENGTH = 5 * 1024 * 1024;
+
+/**
+ * Validate the params of a network capture command before it is queued.
+ * @param {string} command - One of NETWORK_CAPTURE_COMMANDS.
+ * @param {Object} params - { urlPattern, maxEntries } to start, { output } to stop or get.
+ * @param {number} tabId - The captured tab.
+ * @returns {string|null} - An error message, or null if the params are valid.
+ */
+function validateNetworkCaptureParams(command, params, tabId) {
+  if (!Number.isInteger(tabId)) {
+    return `Invalid or missing 'tabId'. ${command} records the requests of one tab.`;
+  }
+  if (command === "start-network-capture") {
+    const { urlPattern, maxEntries } = params;
+    if (urlPattern !== undefined) {
+      if (typeof urlPattern !== "string" || urlPattern.length === 0) {
+        return "Invalid 'urlPattern'. It should be a glob or a regex written as /source/flags.";
+      }
+      try {
+        patternToRegExp(urlPattern);
+      } catch (error) {
+        return `Invalid 'urlPattern': ${error.message}`;
+      }
+    }
+    if (maxEntries !== undefined && (!Number.isInteger(maxEntries) || maxEntries < 1 || maxEntries > MAX_CAPTURE_ENTRIES)) {
+      return `Invalid 'maxEntries'. It should be an integer between 1 and ${MAX_CAPTURE_ENTRIES}.`;
+    }
+    return null;
+  }
+  if (params.output !== undefined && !HAR_OUTPUT_MODES.includes(params.output)) {
+    return `Invalid 'output'. Expected one of: ${HAR_OUTPUT_MODES.join(", ")}.`;
+  }
+  return null;
+}
+
+/**
+ * Validate a list of header modifications.
+ * @param {*} headers - Array of { header, operation, value }.
+ * @param {string} field - "requestHeaders" or "responseHeaders", used in error messages.
+ * @returns {string|null} - An error message, or null if the modifications are valid.
+ */
+function validateHeaderModifications(headers, field) {
+  if (!Array.isArray(headers)) {
+    return `Invalid '${field}'. It should be an array of { header, operation, value }.`;
+  }
+  for (const [index, modification] of headers.entries()) {
+    const path = `${field}[${index}]`;
+    if (modification === null || typeof modification !== "object" || typeof modification.header !== "string" || modification.header.length === 0) {
+      return `${path}: expected { header, operation, value } with a header name.`;
+    }
+    if (!HEADER_OPERATIONS.includes(modification.operation)) {
+      return `${path}: invalid 'operation'. Expected one of: ${HEADER_OPERATIONS.join(", ")}.`;
+    }
+    if (modification.operation === "remove" ? modification.value !== undefined : typeof modification.value !== "string") {
+      return `${path}: 'value' is required for set and append, and not allowed for remove.`;
+    }
+  }
+  return null;
+}
+
+/**
+ * Validate the mocked response of a mock rule.
+ * @param {*} response - { status, headers, body }.
+ * @returns {string|null} - An error message, or null if the response is valid.
+ */
+function validateMockResponse(response) {
+  if (response === null || typeof response !== "object" || Array.isArray(response)) {
+    return "Invalid or missing 'response'. A mock rule needs { status, headers, body }.";
+  }
+  const { status = 200, headers = {}, body = "" } = response;
+  if (!Number.isInteger(status) || status < 100 || status > 599) {
+    return "Invalid 'response.status'. It should be an HTTP status between 100 and 599.";
+  }
+  if (headers === null || typeof headers !== "object" || Array.isArray(headers) || !Object.values(headers).every((value) => typeof value === "string")) {
+    return "Invalid 'response.headers'. It should be an object of string values.";
+  }
+  if (typeof body !== "string" || body.length > MAX_MOCK_BODY_LENGTH) {
+    return `Invalid 'response.body'. It should be a string of at most ${MAX_MOCK_BODY_LENGTH} characters.`;
+  }
+  return null;
+}
+
+/**
+ * Validate a network rule before it is stored and pushed to the extension.
+ * @param {Object} rule - { action, urlPattern, resourceTypes, tabIds, clientId, priority, requestHeaders, responseHeaders, response }.
+ * @returns {string|null} - An error message, or null if the rule is valid.
+ */
+function validateNetworkRule(rule) {
+  if (rule === null || typeof rule !== "object" || Array.isArray(rule)) {
+    return "A network rule must be an object.";
+  }
+  const { action, urlPattern, resourceTypes, tabIds, clientId, priority, requestHeaders, responseHeaders, response } = rule;
+  if (!RULE_ACTIONS.includes(action)) {
+    return `Invalid or missing 'action'. Expected one of: ${RULE_ACTIONS.join(", ")}.`;
+  }
+  if (typeof urlPattern !== "string" || urlPattern.length === 0) {
+    return "Invalid or missing 'urlPattern'. It should be a glob or a regex written as /source/flags.";
+  }
+  try {
+    patternToRegExp(urlPattern);
+  } catch (error) {
+    return `Invalid 'urlPattern': ${error.message}`;
+  }
+  if (resourceTypes !== undefined) {
+    if (action === "mock") {
+      return "'resourceTypes' does not apply to mock rules; narrow the urlPattern instead.";
+    }
+    if (!Array.isArray(resourceTypes) || resourceTypes.length === 0 || !resourceTypes.every((type) => RESOURCE_TYPES.includes(type))) {
+      return `Invalid 'resourceTypes'. Expected a non-empty array of: ${RESOURCE_TYPES.join(", ")}.`;
+    }
+  }
+  if (tabIds !== undefined && (!Array.isArray(tabIds) || tabIds.length === 0 || !tabIds.every(Number.isInteger))) {
+    return "Invalid 'tabIds'. It should be a non-empty array of tab IDs.";
+  }
+  if (action === "mock" && tabIds === undefined) {
+    return "Mock rules need 'tabIds': responses are mocked through the debugger, which attaches to each tab.";
+  }
+  if (clientId !== undefined && (typeof clientId !== "string" || clientId.length === 0)) {
+    return "Invalid 'clientId'. It should be a non-empty string.";
+  }
+  if (priority !== undefined && (!Number.isInteger(priority) || priority < 1)) {
+    return "Invalid 'priority'. It should be a positive integer.";
+  }
+
+  if (action === "modify-headers") {
+    if (requestHeaders === undefined && responseHeaders === undefined) {
+      return "modify-headers rules need 'requestHeaders' and/or 'responseHeaders'.";
+    }
+    for (const [field, headers] of Object.entries({ requestHeaders, responseHeaders })) {
+      if (headers === undefined) continue;
+      const error = validateHeaderModifications(headers, field);
+      if (error) return error;
+    }
+  } else if (requestHeaders !== undefined || responseHeaders !== undefined) {
+    return "'requestHeaders' and 'responseHeaders' only apply to modify-headers rules.";
+  }
+
+  if (action === "mock") {
+    return validateMockResponse(response);
+  }
+  return response === undefined ? null : "'response' only applies to mock rules.";
+}
+
+module.exports = { NETWORK_CAPTURE_COMMANDS, validateNetworkCaptureParams, validateNetworkRule };
@@ -0,0 +1,260 @@
+// utils/storageParams.js
+
+// Commands that read or write cookies, Web Storage and whole session bundles
+const STORAGE_COMMANDS = ["get-cookies", "set-cookies", "delete-cookies", "get-storage", "set-storage", "export-session", "import-session"];
+
+// Of STORAGE_COMMANDS, those that only read (storage:read); the others need storage:write
+const STORAGE_READ_COMMANDS = ["get-cookies", "get-storage", "export-session"];
+
+const STORAGE_TYPES = ["local", "session"];
+// Values of chrome.cookies.SameSiteStatus
+const SAME_SITE_VALUES = ["no_restriction", "lax", "strict", "unspecified"];
+const MAX_COOKIES = 1000;
+const MAX_ORIGINS = 50;
+
+/**
+ * Check that a value is an absolute URL with the given protocols.
+ * @param {*} value - The value to check.
+ * @param {Array<string>} protocols - Accepted protocols, e.g. ["http:", "https:"].
+ * @returns {boolean} - True if the value is such a URL.
+ */
+function isUrl(value, protocols) {
+  if (typeof value !== "string") return false;
+  try {
+    return protocols.includes(new URL(value).protocol);
+  } catch (error) {
+    return false;
+  }
+}
+
+/**
+ * Validate the url, domain and name that select cookies to read or delete.
+ * @param {Object} params - { url, domain, name, path, storeId }.
+ * @returns {string|null} - An error message, or null if the filter is valid.
+ */
+function validateCookieFilter({ url, domain, name, path, storeId }) {
+  if (url !== undefined && !isUrl(url, ["http:", "https:"])) {
+    return "Invalid 'url'. It should be an absolute http(s) URL.";
+  }
+  for (const [field, value] of Object.entries({ domain, name, path, storeId })) {
+    if (value !== undefined && (typeof value !== "string" || value.length === 0)) {
+      return `Invalid '${field}'. It should be a non-empty string.`;
+    }
+  }
+  return null;
+}
+
+/**
+ * Validate one cookie to set. Cookies exported by export-session (with hostOnly, session, ...) are accepted as they are.
+ * @param {Object} cookie - { url or domain, name, value, path, secure, httpOnly, sameSite, expirationDate, storeId }.
+ * @param {string} path - Location of the cookie, used in error messages.
+ * @returns {string|null} - An error message, or null if the cookie is valid.
+ */
+function validateCookie(cookie, path) {
+  if (cookie === null || typeof cookie !== "object" || Array.isArray(cookie)) {
+    return `${path}: a cookie must be an object.`;
+  }
+  const { url, domain, name, value, path: cookiePath, secure, httpOnly, sameSite, expirationDate, storeId } = cookie;
+  if (url === undefined && (typeof domain !== "string" || domain.length === 0)) {
+    return `${path}: a cookie needs a 'url' or a 'domain'.`;
+  }
+  if (url !== undefined && !isUrl(url, ["http:", "https:"])) {
+    return `${path}: invalid 'url'. It should be an absolute http(s) URL.`;
+  }
+  if (typeof name !== "string" || typeof value !== "string") {
+    return `${path}: 'name' and 'value' must be strings.`;
+  }
+  for (const [field, fieldValue] of Object.entries({ domain, path: cookiePath, storeId })) {
+    if (fieldValue !== undefined && typeof fieldValue !== "string") {
+      return `${path}: invalid '${field}'. It should be a string.`;
+    }
+  }
+  for (const [field, fieldValue] of Object.entries({ secure, httpOnly })) {
+    if (fieldValue !== undefined && typeof fieldValue !== "boolean") {
+      return `${path}: invalid '${field}'. It should be a boolean.`;
+    }
+  }
+  if (sameSite !== undefined && !SAME_SITE_VALUES.includes(sameSite)) {
+    return `${path}: invalid 'sameSite'. Expected one of: ${SAME_SITE_VALUES.join(", ")}.`;
+  }
+  if (expirationDate !== undefined && (typeof expirationDate !== "number" || expirationDate <= 0)) {
+    return `${path}: invalid 'expirationDate'. It should be a time in seconds since the epoch.`;
+  }
+  return null;
+}
+
+/**
+ * Validate a list of cookies to set.
+ * @param {*} cookies - The cookies.
+ * @param {string} path - Location of the list, used in error messages.
+ * @returns {string|null} - An error message, or null if the cookies are valid.
+ */
+function validateCookies(cookies, path) {
+  if (!Array.isArray(cookies) || cookies.length > MAX_COOKIES) {
+    return `Invalid '${path}'. It should be an array of at most ${MAX_COOKIES} cookies.`;
+  }
+  for (const [index, cookie] of cookies.entries()) {
+    const error = validateCookie(cookie, `${path}[${index}]`);
+    if (error) return error;
+  }
+  return null;
+}
+
+/**
+ * Validate an object of Web Storage items.
+ * @param {*} items - Item names mapped to string values.
+ * @param {string} path - Location of the items, used in error messages.
+ * @returns {string|null} - An error message, or null if the items are valid.
+ */
+function validateStorageItems(items, path) {
+  if (items === null || typeof items !== "object" || Array.isArray(items) || !Object.values(items).every((value) => typeof value === "string")) {
+    return `Invalid '${path}'. It should be an object of string values.`;
+  }
+  return null;
+}
+
+/**
+ * Validate a session bundle produced by export-session.
+ * @param {*} session - { cookies, origins: [{ origin, localStorage, sessionStorage }] }.
+ * @returns {string|null} - An error message, or null if the bundle is valid.
+ */
+function validateSessionBundle(session) {
+  if (session === null || typeof session !== "object" || Array.isArray(session)) {
+    return "Invalid or missing 'session'. It should be a bundle returned by export-session.";
+  }
+  const { cookies = [], origins = [] } = session;
+  const cookiesError = validateCookies(cookies, "session.cookies");
+  if (cookiesError) return cookiesError;
+
+  if (!Array.isArray(origins) || origins.length > MAX_ORIGINS) {
+    return `Invalid 'session.origins'. It should be an array of at most ${MAX_ORIGINS} origins.`;
+  }
+  for (const [index, entry] of origins.entries()) {
+    const path = `session.origins[${index}]`;
+    if (entry === null || typeof entry !== "object" || !isUrl(entry.origin, ["http:", "https:"])) {
+      return `${path}: expected { origin, localStorage, sessionStorage } with an http(s) origin.`;
+    }
+    for (const field of ["localStorage", "sessionStorage"]) {
+      if (entry[field] !== undefined) {
+        const itemsError = validateStorageItems(entry[field], `${path}.${field}`);
+        if (itemsError) return itemsError;
+      }
+    }
+  }
+  return null;
+}
+
+/**
+ * Validate the params of a cookie, storage or session command before it is queued.
+ * @param {string} command - One of STORAGE_COMMANDS.
+ * @param {Object} params - The task params.
+ * @param {number} tabId - The task's tabId (get-storage, set-storage, optionally export-session and import-session).
+ * @returns {string|null} - An error message, or null if the params are valid.
+ */
+function validateStorageParams(command, params, tabId) {
+  switch (command) {
+    case "get-cookies":
+      return validateCookieFilter(params);
+    case "delete-cookies":
+      if (params.url === undefined && params.domain === undefined) {
+        return "delete-cookies needs a 'url' or a 'domain'.";
+      }
+      return validateCookieFilter(params);
+    case "set-cookies":
+      if (!Array.isArray(params.cookies) || params.cookies.length === 0) {
+        return "Invalid or missing 'cookies'. It should be a non-empty array.";
+      }
+      return validateCookies(params.cookies, "cookies");
+    case "get-storage":
+    case "set-storage": {
+      if (!Number.isInteger(tabId)) {
+        return `Invalid or missing 'tabId'. ${command} uses the storage of the page open in that tab.`;
+      }
+      if (params.type !== undefined && !STORAGE_TYPES.includes(params.type)) {
+        return `Invalid 'type'. Expected one of: ${STORAGE_TYPES.join(", ")}.`;
+      }
+      const { keys, items, remove, clear } = params;
+      if (command === "get-storage") {
+        return keys === undefined || (Array.isArray(keys) && keys.every((key) => typeof key === "string"))
+          ? null
+          : "Invalid 'keys'. It should be an array of item names.";
+      }
+      if (items === undefined && remove === undefined && clear === undefined) {
+        return "set-storage needs at least one of: items, remove, clear.";
+      }
+      if (items !== undefined) {
+        const itemsError = validateStorageItems(items, "items");
+        if (itemsError) return itemsError;
+      }
+      if (remove !== undefined && (!Array.isArray(remove) || !remove.every((key) => typeof key === "string"))) {
+        return "Invalid 'remove'. It should be an array of item names.";
+      }
+      if (clear !== undefined && typeof clear !== "boolean") {
+        return "Invalid 'clear'. It should be a boolean.";
+      }
+      return null;
+    }
+    case "export-session": {
+      const { domains, tabIds } = params;
+      if (domains !== undefined && (!Array.isArray(domains) || !domains.every((domain) => typeof domain === "string" && domain.length > 0))) {
+        return "Invalid 'domains'. It should be an array of domains.";
+      }
+      if (tabIds !== undefined && (!Array.isArray(tabIds) || !tabIds.every(Number.isInteger))) {
+        return "Invalid 'tabIds'. It should be an array of tab IDs.";
+      }
+      return null;
+    }
+    case "import-session":
+      return validateSessionBundle(params.session);
+    default:
+      return null;
+  }
+}
+
+/**
+ * Replace each value of a storage item map with a placeholder, keeping the names.
+ * @param {Object} items - Item names mapped to values.
+ * @returns {Object} - The names mapped to "[redacted]".
+ */
+function redactItems(items) {
+  return Object.fromEntries(Object.keys(items || {}).map((key) => [key, "[redacted]"]));
+}
+
+/**
+ * Copy the result of a cookie, storage or session command without its secrets: cookie values and Web Storage values
+ * are replaced with "[redacted]", while names, domains and counts are kept.
+ * @param {string} command - One of STORAGE_COMMANDS.
+ * @param {Object} result - The result reported by the extension.
+ * @returns {Object} - The redacted copy of the result.
+ */
+function redactStorageResult(command, result) {
+  if (!result || typeof result !== "object") return result;
+  const redactCookies = (cookies) => (Array.isArray(cookies) ? cookies.map((cookie) => ("value" in cookie ? { ...cookie, value: "[redacted]" } : cookie)) : cookies);
+  switch (command) {
+    case "get-cookies":
+    case "set-cookies":
+      return { ...result, cookies: redactCookies(result.cookies) };
+    case "get-storage":
+      return { ...result, items: redactItems(result.items) };
+    case "export-session": {
+      if (!result.session) return result;
+      const { cookies, origins } = result.session;
+      return {
+        ...result,
+        session: {
+          ...result.session,
+          cookies: redactCookies(cookies),
+          origins: (origins || []).map((entry) => ({
+            ...entry,
+            localStorage: redactItems(entry.localStorage),
+            sessionStorage: redactItems(entry.sessionStorage),
+          })),
+        },
+      };
+    }
+    default:
+      return result;
+  }
+}
+
+module.exports = { STORAGE_COMMANDS, STORAGE_READ_COMMANDS, validateStorageParams, redactStorageResult };
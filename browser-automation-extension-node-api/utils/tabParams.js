@@ -0,0 +1,90 @@
+// utils/tabParams.js
+
+const { validateNavigationParams } = require("./navigationParams");
+
+// Commands that act on existing tabs; update-group is the only one addressed by groupId instead of tabId
+const TAB_COMMANDS = [
+  "reload-tab", "go-back", "go-forward", "pin-tab", "mute-tab", "duplicate-tab", "discard-tab",
+  "group-tabs", "ungroup-tabs", "update-group",
+];
+
+// Tab commands that load a page and accept the waitUntil and timeout of open-tab and navigate
+const LOADING_TAB_COMMANDS = ["reload-tab", "go-back", "go-forward"];
+
+// Colors of chrome.tabGroups.Color
+const GROUP_COLORS = ["grey", "blue", "red", "yellow", "green", "pink", "purple", "cyan", "orange"];
+
+/**
+ * Validate the title, color and collapsed state of a tab group.
+ * @param {Object} params - { title, color, collapsed }.
+ * @returns {string|null} - An error message, or null if the fields are valid.
+ */
+function validateGroupProperties({ title, color, collapsed }) {
+  if (title !== undefined && typeof title !== "string") {
+    return "Invalid 'title'. It should be a string.";
+  }
+  if (color !== undefined && !GROUP_COLORS.includes(color)) {
+    return `Invalid 'color'. Expected one of: ${GROUP_COLORS.join(", ")}.`;
+  }
+  if (collapsed !== undefined && typeof collapsed !== "boolean") {
+    return "Invalid 'collapsed'. It should be a boolean.";
+  }
+  return null;
+}
+
+/**
+ * Validate the params of a tab command before it is queued.
+ * group-tabs and ungroup-tabs act on params.tabIds, or on the task's tabId when tabIds is omitted.
+ * @param {string} command - One of TAB_COMMANDS.
+ * @param {Object} params - The task params.
+ * @param {number} tabId - The task's tabId.
+ * @returns {string|null} - An error message, or null if the params are valid.
+ */
+function validateTabParams(command, params, tabId) {
+  if (command === "update-group") {
+    if (!Number.isInteger(params.groupId)) {
+      return "Invalid or missing 'groupId'. It should be a number.";
+    }
+    if (!["title", "color", "collapsed"].some((field) => params[field] !== undefined)) {
+      return "update-group needs at least one of: title, color, collapsed.";
+    }
+    return validateGroupProperties(params);
+  }
+
+  if (command === "group-tabs" || command === "ungroup-tabs") {
+    const { tabIds } = params;
+    if (tabIds !== undefined && (!Array.isArray(tabIds) || tabIds.length === 0 || !tabIds.every(Number.isInteger))) {
+      return "Invalid 'tabIds'. It should be a non-empty array of tab IDs.";
+    }
+    if (tabIds === undefined && !Number.isInteger(tabId)) {
+      return `Missing 'tabIds' or 'tabId'. ${command} needs the tabs to ${command === "group-tabs" ? "group" : "ungroup"}.`;
+    }
+    if (command === "ungroup-tabs") return null;
+    if (params.groupId !== undefined && !Number.isInteger(params.groupId)) {
+      return "Invalid 'groupId'. It should be the ID of an existing group.";
+    }
+    return validateGroupProperties(params);
+  }
+
+  if (!Number.isInteger(tabId)) {
+    return `Invalid or missing 'tabId'. ${command} acts on an existing tab.`;
+  }
+  switch (command) {
+    case "reload-tab":
+      if (params.bypassCache !== undefined && typeof params.bypassCache !== "boolean") {
+        return "Invalid 'bypassCache'. It should be a boolean.";
+      }
+      return validateNavigationParams(command, undefined, params);
+    case "go-back":
+    case "go-forward":
+      return validateNavigationParams(command, undefined, params);
+    case "pin-tab":
+      return params.pinned === undefined || typeof params.pinned === "boolean" ? null : "Invalid 'pinned'. It should be a boolean.";
+    case "mute-tab":
+      return params.muted === undefined || typeof params.muted === "boolean" ? null : "Invalid 'muted'. It should be a boolean.";
+    default:
+      return null;
+  }
+}
+
+module.exports = { TAB_COMMANDS, LOADING_TAB_COMMANDS, validateTabParams };
@@ -0,0 +1,68 @@
+// utils/webhookParams.js
+
+const { patternToRegExp } = require("../managers/TabManager");
+const { EVENT_TYPES, EVENT_CATEGORIES, resolveEventTypes } = require("../managers/EventStream");
+
+const MAX_DELIVERY_ATTEMPTS = 10;
+const MIN_RETRY_BACKOFF = 100;
+const MAX_RETRY_BACKOFF = 60 * 60 * 1000; // 1 hour
+const MIN_SECRET_LENGTH = 16;
+
+/**
+ * Validate the fields of a webhook subscription before it is created or updated.
+ * @param {Object} details - { url, types, clientId, tabId, urlPattern, secret, active, maxAttempts, retryBackoffMs }.
+ * @param {Object} options - { partial }: on update, only the given fields are checked and url may be left out.
+ * @returns {string|null} - An error message, or null if the fields are valid.
+ */
+function validateWebhook(details, { partial = false } = {}) {
+  if (details === null || typeof details !== "object" || Array.isArray(details)) {
+    return "A webhook must be an object.";
+  }
+  const { url, types, clientId, tabId, urlPattern, secret, active, maxAttempts, retryBackoffMs } = details;
+  if (url !== undefined || !partial) {
+    let parsed = null;
+    try {
+      parsed = new URL(url);
+    } catch (error) {
+      // Reported below
+    }
+    if (!parsed || !["http:", "https:"].includes(parsed.protocol)) {
+      return "Invalid or missing 'url'. It should be an http or https URL.";
+    }
+  }
+  if (types !== undefined && !resolveEventTypes(types)) {
+    return `Invalid 'types'. Expected a non-empty array of: ${[...EVENT_CATEGORIES, ...EVENT_TYPES].join(", ")}.`;
+  }
+  // null clears a filter on update
+  if (clientId !== undefined && clientId !== null && (typeof clientId !== "string" || clientId.length === 0)) {
+    return "Invalid 'clientId'. It should be a non-empty string.";
+  }
+  if (tabId !== undefined && tabId !== null && !Number.isInteger(tabId)) {
+    return "Invalid 'tabId'. It should be an integer.";
+  }
+  if (urlPattern !== undefined && urlPattern !== null) {
+    if (typeof urlPattern !== "string" || urlPattern.length === 0) {
+      return "Invalid 'urlPattern'. It should be a glob or a regex written as /source/flags.";
+    }
+    try {
+      patternToRegExp(urlPattern);
+    } catch (error) {
+      return `Invalid 'urlPattern': ${error.message}`;
+    }
+  }
+  if (secret !== undefined && (typeof secret !== "string" || secret.length < MIN_SECRET_LENGTH)) {
+    return `Invalid 'secret'. It should be a string of at least ${MIN_SECRET_LENGTH} characters.`;
+  }
+  if (active !== undefined && typeof active !== "boolean") {
+    return "Invalid 'active'. It should be a boolean.";
+  }
+  if (maxAttempts !== undefined && (!Number.isInteger(maxAttempts) || maxAttempts < 1 || maxAttempts > MAX_DELIVERY_ATTEMPTS)) {
+    return `Invalid 'maxAttempts'. It should be an integer between 1 and ${MAX_DELIVERY_ATTEMPTS}.`;
+  }
+  if (retryBackoffMs !== undefined && (!Number.isInteger(retryBackoffMs) || retryBackoffMs < MIN_RETRY_BACKOFF || retryBackoffMs > MAX_RETRY_BACKOFF)) {
+    return `Invalid 'retryBackoffMs'. It should be an integer between ${MIN_RETRY_BACKOFF} and ${MAX_RETRY_BACKOFF}.`;
+  }
+  return null;
+}
+
+module.exports = { validateWebhook };
@@ -0,0 +1,91 @@
+// utils/windowParams.js
+
+// Commands that manage browser windows; move-tab moves the tab given by tabId into params.windowId
+const WINDOW_COMMANDS = ["create-window", "close-window", "focus-window", "update-window", "move-tab"];
+
+const WINDOW_TYPES = ["normal", "popup"];
+const WINDOW_STATES = ["normal", "minimized", "maximized", "fullscreen"];
+const BOUNDS_FIELDS = ["left", "top", "width", "height"];
+
+/**
+ * Validate the bounds and state of a window to create or update.
+ * Chrome rejects bounds combined with a minimized, maximized or fullscreen state.
+ * @param {Object} params - { left, top, width, height, state, focused }.
+ * @returns {string|null} - An error message, or null if the fields are valid.
+ */
+function validateWindowBounds(params) {
+  for (const field of ["left", "top"]) {
+    if (params[field] !== undefined && !Number.isInteger(params[field])) {
+      return `Invalid '${field}'. It should be an integer (screen pixels).`;
+    }
+  }
+  for (const field of ["width", "height"]) {
+    if (params[field] !== undefined && (!Number.isInteger(params[field]) || params[field] < 1)) {
+      return `Invalid '${field}'. It should be a positive integer (screen pixels).`;
+    }
+  }
+  if (params.state !== undefined && !WINDOW_STATES.includes(params.state)) {
+    return `Invalid 'state'. Expected one of: ${WINDOW_STATES.join(", ")}.`;
+  }
+  if (params.state !== undefined && params.state !== "normal" && BOUNDS_FIELDS.some((field) => params[field] !== undefined)) {
+    return `'${params.state}' windows cannot be given a position or size.`;
+  }
+  if (params.focused !== undefined && typeof params.focused !== "boolean") {
+    return "Invalid 'focused'. It should be a boolean.";
+  }
+  return null;
+}
+
+/**
+ * Validate the params of a window command before it is queued.
+ * @param {string} command - One of WINDOW_COMMANDS.
+ * @param {Object} params - The task params.
+ * @param {number} tabId - The task's tabId (move-tab only).
+ * @returns {string|null} - An error message, or null if the params are valid.
+ */
+function validateWindowParams(command, params, tabId) {
+  const { windowId } = params;
+
+  switch (command) {
+    case "create-window": {
+      const { url, type, incognito } = params;
+      const urls = Array.isArray(url) ? url : [url];
+      if (url !== undefined && (urls.length === 0 || !urls.every((item) => typeof item === "string" && item.length > 0))) {
+        return "Invalid 'url'. It should be a URL or an array of URLs.";
+      }
+      if (type !== undefined && !WINDOW_TYPES.includes(type)) {
+        return `Invalid 'type'. Expected one of: ${WINDOW_TYPES.join(", ")}.`;
+      }
+      if (incognito !== undefined && typeof incognito !== "boolean") {
+        return "Invalid 'incognito'. It should be a boolean.";
+      }
+      return validateWindowBounds(params);
+    }
+    case "close-window":
+    case "focus-window":
+      return Number.isInteger(windowId) ? null : "Invalid or missing 'windowId'. It should be a number.";
+    case "update-window":
+      if (!Number.isInteger(windowId)) {
+        return "Invalid or missing 'windowId'. It should be a number.";
+      }
+      if (![...BOUNDS_FIELDS, "state", "focused"].some((field) => params[field] !== undefined)) {
+        return "update-window needs at least one of: left, top, width, height, state, focused.";
+      }
+      return validateWindowBounds(params);
+    case "move-tab":
+      if (!Number.isInteger(tabId)) {
+        return "Invalid or missing 'tabId'. move-tab moves an existing tab.";
+      }
+      if (windowId !== undefined && !Number.isInteger(windowId)) {
+        return "Invalid 'windowId'. It should be a number.";
+      }
+      if (params.index !== undefined && (!Number.isInteger(params.index) || params.index < -1)) {
+        return "Invalid 'index'. It should be a position in the window, or -1 for the end.";
+      }
+      return null;
+    default:
+      return null;
+  }
+}
+
+module.exports = { WINDOW_COMMANDS, validateWindowParams };
@@ -0,0 +1,135 @@
+// utils/workflowDefinition.js
+
+const { validateCondition } = require("./workflowTemplate");
+
+const ON_ERROR_ACTIONS = ["abort", "continue", "retry"];
+// Fields of a command step that are passed on to the task (after their ${...} references are resolved)
+const TASK_FIELDS = ["command", "url", "jsFunction", "tabId", "params", "clientId", "priority", "timeoutMs", "maxRetries", "retryBackoffMs"];
+const COMMAND_STEP_FIELDS = ["id", "if", "onError", "retries", ...TASK_FIELDS];
+const LOOP_STEP_FIELDS = ["id", "if", "onError", "forEach", "as", "steps"];
+// Names the template scope already uses, so steps and loop variables cannot shadow them
+const RESERVED_NAMES = ["vars", "tabId", "index"];
+const NAME_PATTERN = /^[A-Za-z_][A-Za-z0-9_]*$/;
+const MAX_STEPS = 200;
+const MAX_NESTING = 5;
+const MAX_STEP_RETRIES = 10;
+
+/**
+ * Validate a list of steps and, recursively, the steps of its loops.
+ * @param {Array} steps - The steps to validate.
+ * @param {string} path - Location of the list, used in error messages.
+ * @param {Object} state - { ids, count, depth } shared across the whole workflow.
+ * @returns {string|null} - An error message, or null if the steps are valid.
+ */
+function validateSteps(steps, path, state) {
+  if (!Array.isArray(steps) || steps.length === 0) {
+    return `${path}: expected a non-empty array of steps.`;
+  }
+  if (state.depth > MAX_NESTING) {
+    return `${path}: loops can be nested at most ${MAX_NESTING} levels deep.`;
+  }
+
+  for (const [index, step] of steps.entries()) {
+    const stepPath = `${path}[${index}]`;
+    state.count++;
+    if (state.count > MAX_STEPS) {
+      return `A workflow can have at most ${MAX_STEPS} steps.`;
+    }
+    if (step === null || typeof step !== "object" || Array.isArray(step)) {
+      return `${stepPath}: a step must be an object.`;
+    }
+    if ((step.command === undefined) === (step.forEach === undefined)) {
+      return `${stepPath}: a step needs either 'command' or 'forEach'.`;
+    }
+
+    const allowedFields = step.command !== undefined ? COMMAND_STEP_FIELDS : LOOP_STEP_FIELDS;
+    const unknownField = Object.keys(step).find((field) => !allowedFields.includes(field));
+    if (unknownField) {
+      return `${stepPath}: unknown field '${unknownField}'.`;
+    }
+
+    if (step.id !== undefined) {
+      if (typeof step.id !== "string" || !NAME_PATTERN.test(step.id) || RESERVED_NAMES.includes(step.id)) {
+        return `${stepPath}: 'id' must be an identifier (letters, digits, _) other than ${RESERVED_NAMES.join(", ")}.`;
+      }
+      if (state.ids.has(step.id)) {
+        return `${stepPath}: duplicate step id '${step.id}'.`;
+      }
+      state.ids.add(step.id);
+    }
+
+    if (step.if !== undefined) {
+      const conditionError = validateCondition(step.if, `${stepPath}.if`);
+      if (conditionError) return conditionError;
+    }
+    if (step.onError !== undefined && !ON_ERROR_ACTIONS.includes(step.onError)) {
+      return `${stepPath}: invalid 'onError'. Expected one of: ${ON_ERROR_ACTIONS.join(", ")}.`;
+    }
+
+    if (step.command !== undefined) {
+      if (typeof step.command !== "string") {
+        return `${stepPath}: 'command' must be a string; it cannot be a reference.`;
+      }
+      if (step.retries !== undefined) {
+        if (step.onError !== "retry") {
+          return `${stepPath}: 'retries' only applies with onError "retry".`;
+        }
+        if (!Number.isInteger(step.retries) || step.retries < 1 || step.retries > MAX_STEP_RETRIES) {
+          return `${stepPath}: 'retries' must be an integer between 1 and ${MAX_STEP_RETRIES}.`;
+        }
+      }
+      continue;
+    }
+
+    if (step.onError === "retry") {
+      return `${stepPath}: a loop cannot be retried; set onError on its steps instead.`;
+    }
+    if (!Array.isArray(step.forEach) && typeof step.forEach !== "string") {
+      return `${stepPath}: 'forEach' must be an array or a reference like "\${vars.items}".`;
+    }
+    if (step.as !== undefined && (typeof step.as !== "string" || !NAME_PATTERN.test(step.as) || RESERVED_NAMES.includes(step.as))) {
+      return `${stepPath}: 'as' must be an identifier other than ${RESERVED_NAMES.join(", ")}.`;
+    }
+    state.depth++;
+    const nestedError = validateSteps(step.steps, `${stepPath}.steps`, state);
+    state.depth--;
+    if (nestedError) return nestedError;
+  }
+  return null;
+}
+
+/**
+ * Validate the structure of a workflow. Task params are validated per step once their references are resolved.
+ * @param {Object} definition - { name, vars, clientId, onError, steps, output }.
+ * @returns {string|null} - An error message, or null if the workflow is valid.
+ */
+function validateWorkflow(definition) {
+  if (definition === null || typeof definition !== "object" || Array.isArray(definition)) {
+    return "A workflow must be an object with 'steps'.";
+  }
+  const { name, vars, clientId, onError, steps } = definition;
+  if (name !== undefined && typeof name !== "string") {
+    return "Invalid 'name'. It should be a string.";
+  }
+  if (vars !== undefined && (vars === null || typeof vars !== "object" || Array.isArray(vars))) {
+    return "Invalid 'vars'. It should be an object.";
+  }
+  if (clientId !== undefined && (typeof clientId !== "string" || clientId.length === 0)) {
+    return "Invalid 'clientId'. It should be a non-empty string.";
+  }
+  if (onError !== undefined && !["abort", "continue"].includes(onError)) {
+    return "Invalid 'onError'. The workflow default should be abort or continue.";
+  }
+  return validateSteps(steps, "steps", { ids: new Set(), count: 0, depth: 0 });
+}
+
+/**
+ * List the commands a workflow runs, so the caller's API key can be checked before it starts.
+ * @param {Array} steps - The workflow steps.
+ * @returns {Array<Object>} - The command steps, including those inside loops.
+ */
+function collectCommandSteps(steps) {
+  return steps.flatMap((step) => (step.forEach !== undefined ? collectCommandSteps(step.steps) : [step]));
+}
+
+module.exports = { TASK_FIELDS, validateWorkflow, collectCommandSteps };
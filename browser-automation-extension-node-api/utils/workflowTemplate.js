@@ -0,0 +1,182 @@
+// utils/workflowTemplate.js
+
+// ${path} references inside workflow steps; "$${" escapes a literal "${"
+const TEMPLATE_PATTERN = /\$(\$?)\{\s*([^}]*?)\s*\}/g;
+const WHOLE_TEMPLATE_PATTERN = /^\$\{\s*([^}]*?)\s*\}$/;
+const COMPARISONS = ["equals", "notEquals", "gt", "gte", "lt", "lte", "contains", "matches"];
+const CONDITION_OPERATORS = [...COMPARISONS, "exists", "not", "and", "or"];
+
+/**
+ * Build an error carrying a machine-readable code, like the errors the extension reports.
+ * @param {string} code - The error code, e.g. TEMPLATE_ERROR.
+ * @param {string} message - The error message.
+ * @returns {Error} - The error.
+ */
+function createWorkflowError(code, message) {
+  const error = new Error(message);
+  error.code = code;
+  return error;
+}
+
+/**
+ * Look up a dotted path such as "open.tabId" or "extract.data.items[0].title" in a scope.
+ * The first segment is resolved through the scope's prototype chain, so loop iterations see outer steps.
+ * @param {Object} scope - The variables and step outputs visible to the step.
+ * @param {string} path - The path to resolve.
+ * @returns {Object} - { found, value }.
+ */
+function lookupPath(scope, path) {
+  const segments = path.replace(/\[(\d+)\]/g, ".$1").split(".");
+  if (segments.some((segment) => segment.length === 0)) {
+    throw createWorkflowError("TEMPLATE_ERROR", `Invalid reference: \${${path}}`);
+  }
+
+  let value = scope;
+  for (const [index, segment] of segments.entries()) {
+    const isObject = value !== null && typeof value === "object";
+    // Only the root scope is searched through its prototypes; results are plain JSON
+    if (!isObject || !(index === 0 ? segment in value : Object.prototype.hasOwnProperty.call(value, segment))) {
+      return { found: false, value: undefined };
+    }
+    value = value[segment];
+  }
+  return { found: true, value };
+}
+
+/**
+ * Resolve one reference, failing if it points at nothing.
+ * @param {Object} scope - The variables and step outputs visible to the step.
+ * @param {string} path - The path to resolve.
+ * @returns {*} - The referenced value.
+ */
+function resolvePath(scope, path) {
+  const { found, value } = lookupPath(scope, path);
+  if (!found || value === undefined) {
+    throw createWorkflowError("TEMPLATE_ERROR", `Unresolved reference: \${${path}}`);
+  }
+  return value;
+}
+
+/**
+ * Replace ${path} references in a value, recursing into arrays and objects.
+ * A string that is a single reference keeps the referenced value's type (e.g. a numeric tabId);
+ * references inside longer strings are interpolated, objects as JSON.
+ * @param {*} value - The value from the workflow definition.
+ * @param {Object} scope - The variables and step outputs visible to the step.
+ * @returns {*} - The resolved value.
+ */
+function resolveTemplates(value, scope) {
+  if (typeof value === "string") {
+    const whole = WHOLE_TEMPLATE_PATTERN.exec(value);
+    if (whole) return resolvePath(scope, whole[1]);
+
+    return value.replace(TEMPLATE_PATTERN, (match, escaped, path) => {
+      if (escaped) return match.slice(1);
+      const resolved = resolvePath(scope, path);
+      return typeof resolved === "object" ? JSON.stringify(resolved) : String(resolved);
+    });
+  }
+  if (Array.isArray(value)) {
+    return value.map((item) => resolveTemplates(item, scope));
+  }
+  if (value !== null && typeof value === "object") {
+    return Object.fromEntries(Object.entries(value).map(([key, item]) => [key, resolveTemplates(item, scope)]));
+  }
+  return value;
+}
+
+/**
+ * Validate a step condition without evaluating it.
+ * @param {*} condition - A boolean, a template string, or an object with one operator.
+ * @param {string} path - Location of the condition, used in error messages.
+ * @returns {string|null} - An error message, or null if the condition is valid.
+ */
+function validateCondition(condition, path) {
+  if (typeof condition === "boolean" || typeof condition === "string") return null;
+  if (condition === null || typeof condition !== "object" || Array.isArray(condition)) {
+    return `${path}: a condition is a boolean, a string or an object with one operator.`;
+  }
+
+  const keys = Object.keys(condition);
+  if (keys.length !== 1 || !CONDITION_OPERATORS.includes(keys[0])) {
+    return `${path}: expected exactly one operator out of: ${CONDITION_OPERATORS.join(", ")}.`;
+  }
+  const [operator] = keys;
+  const operand = condition[operator];
+
+  if (COMPARISONS.includes(operator)) {
+    return Array.isArray(operand) && operand.length === 2 ? null : `${path}.${operator}: expected an array of two values.`;
+  }
+  if (operator === "exists") {
+    return typeof operand === "string" && WHOLE_TEMPLATE_PATTERN.test(operand) ? null : `${path}.exists: expected a single reference like "\${step.field}".`;
+  }
+  if (operator === "not") {
+    return validateCondition(operand, `${path}.not`);
+  }
+  if (!Array.isArray(operand) || operand.length === 0) {
+    return `${path}.${operator}: expected a non-empty array of conditions.`;
+  }
+  for (const [index, item] of operand.entries()) {
+    const error = validateCondition(item, `${path}.${operator}[${index}]`);
+    if (error) return error;
+  }
+  return null;
+}
+
+/**
+ * Evaluate a step condition against the current scope.
+ * @param {*} condition - A validated condition.
+ * @param {Object} scope - The variables and step outputs visible to the step.
+ * @returns {boolean} - True if the step should run.
+ */
+function evaluateCondition(condition, scope) {
+  if (typeof condition !== "object" || condition === null) {
+    return Boolean(resolveTemplates(condition, scope));
+  }
+
+  const [operator] = Object.keys(condition);
+  const operand = condition[operator];
+  switch (operator) {
+    case "exists": {
+      const { found, value } = lookupPath(scope, WHOLE_TEMPLATE_PATTERN.exec(operand)[1]);
+      return found && value !== undefined && value !== null;
+    }
+    case "not":
+      return !evaluateCondition(operand, scope);
+    case "and":
+      return operand.every((item) => evaluateCondition(item, scope));
+    case "or":
+      return operand.some((item) => evaluateCondition(item, scope));
+    default:
+      break;
+  }
+
+  const [left, right] = resolveTemplates(operand, scope);
+  switch (operator) {
+    case "equals":
+      return JSON.stringify(left) === JSON.stringify(right);
+    case "notEquals":
+      return JSON.stringify(left) !== JSON.stringify(right);
+    case "gt":
+      return Number(left) > Number(right);
+    case "gte":
+      return Number(left) >= Number(right);
+    case "lt":
+      return Number(left) < Number(right);
+    case "lte":
+      return Number(left) <= Number(right);
+    case "contains":
+      if (Array.isArray(left)) return left.some((item) => JSON.stringify(item) === JSON.stringify(right));
+      return typeof left === "string" && left.includes(String(right));
+    case "matches":
+      try {
+        return new RegExp(String(right)).test(String(left));
+      } catch (error) {
+        throw createWorkflowError("TEMPLATE_ERROR", `Invalid pattern in condition: ${error.message}`);
+      }
+    default:
+      return false;
+  }
+}
+
+module.exports = { createWorkflowError, resolveTemplates, validateCondition, evaluateCondition };
@@ -0,0 +1,46 @@
+// utils/writeFileAtomic.js
+
+const fs = require("fs");
+
+/**
+ * Write a file atomically: the data goes to a temporary file next to the target,
+ * which is then renamed over it. A crash mid-write leaves the previous file intact.
+ * @param {string} filePath - The file to write.
+ * @param {string} data - The file contents.
+ * @param {Function} callback - Called with an error, or null once the file is in place.
+ */
+function writeFileAtomic(filePath, data, callback) {
+  const tempPath = `${filePath}.${process.pid}.tmp`;
+  fs.writeFile(tempPath, data, (writeError) => {
+    if (writeError) {
+      return callback(writeError);
+    }
+    fs.rename(tempPath, filePath, (renameError) => {
+      if (renameError) {
+        fs.unlink(tempPath, () => callback(renameError));
+        return;
+      }
+      callback(null);
+    });
+  });
+}
+
+/**
+ * Write a file atomically and synchronously, for the last writes before the process exits.
+ * Its temporary file differs from writeFileAtomic's, so an asynchronous write still in flight does not clash with it.
+ * @param {string} filePath - The file to write.
+ * @param {string} data - The file contents.
+ */
+function writeFileAtomicSync(filePath, data) {
+  const tempPath = `${filePath}.${process.pid}.sync.tmp`;
+  fs.writeFileSync(tempPath, data);
+  try {
+    fs.renameSync(tempPath, filePath);
+  } catch (error) {
+    fs.rmSync(tempPath, { force: true });
+    throw error;
+  }
+}
+
+module.exports = writeFileAtomic;
+module.exports.sync = writeFileAtomicSync;
@@ -3,39 +3,385 @@
 const API_BASE_URL = "http://localhost:3000"; 
 // Update to your actual Node.js API base URL
 
+const WS_URL = `${API_BASE_URL.replace(/^http/, "ws")}/ws`;
+
+// Commands this extension can execute, sent to the API when registering
+const CAPABILITIES = [
+  "open-tab",
+  "close-tab",
+  "navigate",
+  "switch-tab",
+  "find-tab",
+  "execute-js",
+  "click",
+  "type",
+  "select-option",
+  "check",
+  "uncheck",
+  "scroll-into-view",
+  "hover",
+  "submit",
+  "wait-for-selector",
+  "wait-for-text",
+  "extract",
+  "screenshot",
+  "pdf",
+  "create-window",
+  "close-window",
+  "focus-window",
+  "update-window",
+  "move-tab",
+  "reload-tab",
+  "go-back",
+  "go-forward",
+  "pin-tab",
+  "mute-tab",
+  "duplicate-tab",
+  "discard-tab",
+  "group-tabs",
+  "ungroup-tabs",
+  "update-group",
+  "get-cookies",
+  "set-cookies",
+  "delete-cookies",
+  "get-storage",
+  "set-storage",
+  "export-session",
+  "import-session",
+  "start-network-capture",
+  "stop-network-capture",
+  "get-network-capture",
+  "set-network-rules",
+  "start-log-capture",
+  "stop-log-capture",
+];
+
+// How long open-tab, navigate, reload-tab, go-back, go-forward and extract's pagination wait for a page to finish loading
+const PAGE_LOAD_TIMEOUT = 30000;
+
+// Main-frame navigation state per tab, fed by webRequest and webNavigation events
+const NETWORK_IDLE_TIME = 500; // networkidle: no request in flight for this long
+const tabNavigations = new Map(); // tabId -> navigation record, see createNavigationRecord()
+
+// Screenshot and PDF capture
+const CAPTURE_SETTLE_DELAY = 300; // Lets a tab that was just activated paint before it is captured
+const FULL_PAGE_CAPTURE_INTERVAL = 600; // captureVisibleTab is limited to two calls per second
+const MAX_FULL_PAGE_HEIGHT = 16000; // CSS pixels; taller pages are cut off to stay within canvas limits
+const DEBUGGER_PROTOCOL_VERSION = "1.3";
+
+// Per-tab network capture, recorded from webRequest events and exported as HAR
+const DEFAULT_CAPTURE_ENTRIES = 1000;
+const networkCaptures = new Map(); // tabId -> capture, see startNetworkCapture()
+
+// Network rules pushed by the API. block and modify-headers run as declarativeNetRequest session rules;
+// mock rules answer matching requests through the debugger's Fetch domain in the tabs they name.
+const NETWORK_RULES_KEY = "networkRules";
+let mockRules = [];
+
+// Tabs the debugger is attached to and what for ("mock", "logs", "execute-js 3"); it is detached once no use remains
+const debuggerUses = new Map(); // tabId -> Set of uses
+// Attaching and releasing run one at a time per tab, so concurrent uses never detach the debugger under each other
+const debuggerLocks = new Map(); // tabId -> Promise of the last attach or release
+let debuggerScriptCount = 0; // Numbers the execute-js uses of the debugger, which can run side by side
+
+// Log capture: console messages, uncaught exceptions and failed resource loads of subscribed tabs,
+// read through the debugger and sent to the API in batches like tab events
+const LOG_TYPES = ["console", "exception", "network"];
+const CONSOLE_LOG_LEVELS = { debug: "debug", log: "log", info: "info", warning: "warning", error: "error", assert: "error" };
+const BROWSER_LOG_LEVELS = { verbose: "debug", info: "info", warning: "warning", error: "error" };
+const LOG_FLUSH_DELAY = 500;
+const MAX_BUFFERED_LOG_ENTRIES = 1000; // Oldest unsent entries are dropped beyond this count
+const MAX_LOG_TEXT_LENGTH = 10000;
+const logCaptures = new Map(); // tabId -> Set of reported types
+let logBuffer = [];
+let logFlushTimer = null;
+
+const CLIENT_ID_KEY = "clientId";
+let clientIdPromise = null;
+
+// Marker of the current browser session, renewed when the browser starts. Chrome hands out tab IDs again
+// after a restart, so the API uses it to tell a reused tab ID from a tab it already tracks
+const SESSION_ID_KEY = "browserSessionId";
+let sessionIdPromise = null;
+
+// Token sent with every request, obtained by pairing on the options page (or the server's shared secret)
+const AUTH_TOKEN_KEY = "authToken";
+let authToken = null;
+const authTokenReady = chrome.storage.local.get(AUTH_TOKEN_KEY).then(({ [AUTH_TOKEN_KEY]: storedToken }) => {
+  authToken = storedToken || null;
+});
+
 const POLL_INTERVAL = 3000;
+
+// Name of the isolated world execute-js scripts run in when they do not target the page's own world
+const EXECUTE_JS_WORLD_NAME = "Browser Automation execute-js";
+
 let pollingTimer = null;
 
-// Event Listeners for Installation and Startup
+// WebSocket channel used to receive tasks and send results back
+const KEEPALIVE_INTERVAL = 20000; // Keeps the MV3 service worker from being suspended
+const RECONNECT_BASE_DELAY = 1000;
+const RECONNECT_MAX_DELAY = 30000;
+const KEEPALIVE_ALARM = "socket-keepalive";
+// Full synchronizations repair drift left by missed tab events (e.g. while the service worker was suspended)
+const SYNC_ALARM = "tab-sync";
+const SYNC_INTERVAL_MINUTES = 5;
+let socket = null;
+let keepAliveTimer = null;
+let reconnectTimer = null;
+let reconnectAttempts = 0;
+
+// Event Listeners for Installation and Startup; opened tabs are synced once the socket is connected
 chrome.runtime.onInstalled.addListener(() => {
-  console.log("Extension installed. Starting polling and syncing opened tabs...");
-  syncOpenedTabs(); // Sync opened tabs on installation
-  startPollingTasks();
+  console.log("Extension installed. Connecting to the API and syncing opened tabs...");
+  authTokenReady.then(() => {
+    connectSocket();
+  });
 });
 
-// Sync on browser startup
+// A browser restart starts a new session before anything is reported
 chrome.runtime.onStartup.addListener(() => {
   console.log("Browser started. Syncing opened tabs...");
-  syncOpenedTabs();
-  startPollingTasks();
+  startBrowserSession();
+  authTokenReady.then(() => {
+    connectSocket();
+  });
 });
 
-// Debounce function to prevent flooding the server with rapid requests
-const debounce = (func, delay) => {
-  let timerId;
-  return (...args) => {
-    if (timerId) clearTimeout(timerId);
-    timerId = setTimeout(() => {
-      func.apply(null, args);
-      timerId = null;
-    }, delay);
+// The alarm wakes a suspended service worker so the socket is re-established after a restart
+chrome.alarms.create(KEEPALIVE_ALARM, { periodInMinutes: 0.5 });
+chrome.alarms.create(SYNC_ALARM, { periodInMinutes: SYNC_INTERVAL_MINUTES });
+chrome.alarms.onAlarm.addListener((alarm) => {
+  if (alarm.name === KEEPALIVE_ALARM) {
+    authTokenReady.then(connectSocket);
+  } else if (alarm.name === SYNC_ALARM) {
+    authTokenReady.then(syncOpenedTabs);
+  }
+});
+
+// Task reports awaiting acknowledgment from the API, keyed by taskId. They are resent until the API
+// acknowledges or rejects them, and persisted in session storage so a service-worker restart does not lose them.
+const REPORT_ACK_TIMEOUT = 5000;
+const REPORT_MAX_DELAY = 30000;
+const REPORT_OUTBOX_KEY = "reportOutbox";
+const REPORT_OUTBOX_MAX_BYTES = 8 * 1024 * 1024; // Below the 10 MB quota of chrome.storage.session
+const pendingReports = new Map(); // taskId -> { report, size, persisted, attempts, timer }
+
+// Tasks the API cancelled after dispatching them; their outcome is no longer reported
+const cancelledTasks = new Set();
+
+// Tab events are batched separately so they can never delay or replace a task report
+const TAB_EVENT_FLUSH_DELAY = 500;
+// Version of the browser event protocol the API validates events against
+const BROWSER_EVENT_VERSION = 1;
+// Oldest unsent events are dropped beyond this count; the periodic full sync repairs the state they carried
+const MAX_BUFFERED_TAB_EVENTS = 1000;
+let tabEventBuffer = [];
+let tabEventFlushTimer = null;
+let tabEventCounter = 0;
+
+// Get the stable identifier of this browser profile, generating it on first use
+function getClientId() {
+  if (!clientIdPromise) {
+    clientIdPromise = chrome.storage.local.get(CLIENT_ID_KEY).then(async ({ [CLIENT_ID_KEY]: storedId }) => {
+      if (storedId) return storedId;
+      const clientId = crypto.randomUUID();
+      await chrome.storage.local.set({ [CLIENT_ID_KEY]: clientId });
+      console.log(`Generated client ID ${clientId}`);
+      return clientId;
+    });
+  }
+  return clientIdPromise;
+}
+
+// Get the marker of the current browser session, generating it on first use
+function getSessionId() {
+  if (!sessionIdPromise) {
+    sessionIdPromise = chrome.storage.local.get(SESSION_ID_KEY).then(({ [SESSION_ID_KEY]: storedId }) => {
+      return storedId || startBrowserSession();
+    });
+  }
+  return sessionIdPromise;
+}
+
+// Generate a new session marker; it outlives service-worker restarts and extension updates, not browser restarts
+function startBrowserSession() {
+  const sessionId = crypto.randomUUID();
+  sessionIdPromise = chrome.storage.local.set({ [SESSION_ID_KEY]: sessionId }).then(() => {
+    console.log(`Started browser session ${sessionId}`);
+    return sessionId;
+  });
+  return sessionIdPromise;
+}
+
+// Headers for API requests, including the extension token
+function getRequestHeaders() {
+  const headers = { "Content-Type": "application/json" };
+  if (authToken) {
+    headers.Authorization = `Bearer ${authToken}`;
+  }
+  return headers;
+}
+
+// Exchange a pairing code (shown in the API log or created via /auth/pairing-codes) for a token
+async function pairWithApi(code) {
+  const response = await fetch(`${API_BASE_URL}/auth/pair`, {
+    method: "POST",
+    headers: getRequestHeaders(),
+    body: JSON.stringify({ code, clientId: await getClientId() }),
+  });
+  const result = await response.json();
+  if (!response.ok || !result.success) {
+    throw new Error(result.error || response.statusText);
+  }
+  await chrome.storage.local.set({ [AUTH_TOKEN_KEY]: result.token });
+}
+
+// The options page asks the service worker to pair, since it owns the API settings
+chrome.runtime.onMessage.addListener((message, sender, sendResponse) => {
+  if (message.type !== "pair") return false;
+  pairWithApi(message.code)
+    .then(() => sendResponse({ success: true }))
+    .catch((error) => sendResponse({ success: false, error: error.message }));
+  return true; // Respond asynchronously
+});
+
+// Reconnect with the new credentials whenever the token changes
+chrome.storage.onChanged.addListener((changes, areaName) => {
+  if (areaName !== "local" || !changes[AUTH_TOKEN_KEY]) return;
+  authToken = changes[AUTH_TOKEN_KEY].newValue || null;
+  console.log("Extension token changed. Reconnecting...");
+  reconnectAttempts = 0;
+  if (socket) {
+    socket.close(); // onclose schedules the reconnect
+  } else {
+    connectSocket();
+  }
+});
+
+// Open the WebSocket channel (no-op if it is already open or connecting)
+function connectSocket() {
+  if (socket && (socket.readyState === WebSocket.OPEN || socket.readyState === WebSocket.CONNECTING)) {
+    return;
+  }
+  if (reconnectTimer) {
+    clearTimeout(reconnectTimer);
+    reconnectTimer = null;
+  }
+
+  // Browsers cannot set headers on a WebSocket, so the token travels in the query string
+  const url = authToken ? `${WS_URL}?token=${encodeURIComponent(authToken)}` : WS_URL;
+  console.log(`Connecting to ${WS_URL}...`);
+  try {
+    socket = new WebSocket(url);
+  } catch (error) {
+    console.error("Failed to create WebSocket:", error);
+    handleSocketClosed();
+    return;
+  }
+
+  socket.onopen = async () => {
+    console.log("WebSocket connected. Registering with the server...");
+    reconnectAttempts = 0;
+    // The server only pushes tasks to registered clients
+    sendMessage({
+      type: "register",
+      clientId: await getClientId(),
+      sessionId: await getSessionId(),
+      capabilities: CAPABILITIES,
+      userAgent: navigator.userAgent,
+      version: chrome.runtime.getManifest().version,
+    });
+    stopPollingTasks();
+    keepAliveTimer = setInterval(() => sendMessage({ type: "ping" }), KEEPALIVE_INTERVAL);
+    retryPendingReports(); // Don't wait out the backoff for reports queued while disconnected
+    // Catch up with tab changes missed while disconnected or suspended
+    syncOpenedTabs();
+  };
+
+  socket.onmessage = (event) => {
+    let message;
+    try {
+      message = JSON.parse(event.data);
+    } catch (error) {
+      console.error("Ignoring malformed WebSocket message:", error);
+      return;
+    }
+    handleSocketMessage(message);
+  };
+
+  socket.onerror = (error) => {
+    console.error("WebSocket error:", error);
   };
-};
 
-// Debounced version of reportResult
-const debouncedReportResult = debounce(reportResult, 500);
+  socket.onclose = () => {
+    console.warn("WebSocket closed.");
+    handleSocketClosed();
+  };
+}
+
+// Fall back to polling and schedule a reconnect with exponential backoff
+function handleSocketClosed() {
+  socket = null;
+  if (keepAliveTimer) {
+    clearInterval(keepAliveTimer);
+    keepAliveTimer = null;
+  }
+  startPollingTasks();
+
+  if (!reconnectTimer) {
+    const delay = Math.min(RECONNECT_BASE_DELAY * 2 ** reconnectAttempts, RECONNECT_MAX_DELAY);
+    reconnectAttempts++;
+    console.log(`Reconnecting WebSocket in ${delay / 1000} seconds...`);
+    reconnectTimer = setTimeout(() => {
+      reconnectTimer = null;
+      connectSocket();
+    }, delay);
+  }
+}
+
+// Dispatch a message pushed by the server
+function handleSocketMessage(message) {
+  switch (message.type) {
+    case "task":
+      executeTask(message.task);
+      break;
+    case "registered":
+      console.log(`Registered as client ${message.clientId}. Tasks will be pushed by the server.`);
+      break;
+    case "ack":
+      if (message.error) {
+        console.warn(`API rejected the report for task ${message.taskId}: ${message.error}`);
+      }
+      acknowledgeReport(message.taskId);
+      break;
+    case "cancel":
+      console.log(`Task ${message.taskId} was cancelled by the API.`);
+      cancelledTasks.add(message.taskId);
+      acknowledgeReport(message.taskId);
+      break;
+    case "pong":
+      break;
+    default:
+      console.warn("Unknown WebSocket message type:", message.type);
+  }
+}
+
+// Send a message over the WebSocket; returns false if the socket is not open
+function sendMessage(message) {
+  if (!socket || socket.readyState !== WebSocket.OPEN) {
+    return false;
+  }
+  try {
+    socket.send(JSON.stringify(message));
+    return true;
+  } catch (error) {
+    console.error("Failed to send WebSocket message:", error);
+    return false;
+  }
+}
 
-// Start polling for tasks
+// Start polling for tasks (fallback while the WebSocket is down)
 function startPollingTasks() {
   if (!pollingTimer) {
     pollingTimer = setInterval(fetchTask, POLL_INTERVAL);
@@ -43,11 +389,24 @@ function startPollingTasks() {
   }
 }
 
+// Stop polling once the WebSocket delivers tasks
+function stopPollingTasks() {
+  if (pollingTimer) {
+    clearInterval(pollingTimer);
+    pollingTimer = null;
+    console.log("Stopped polling.");
+  }
+}
+
 // Fetch the next available task
 async function fetchTask() {
   try {
     console.log("Polling /get-task for new tasks...");
-    const response = await fetch(`${API_BASE_URL}/get-task`);
+    // Polling with our clientId also serves as the heartbeat while the socket is down
+    const clientId = await getClientId();
+    const response = await fetch(`${API_BASE_URL}/get-task?clientId=${encodeURIComponent(clientId)}`, {
+      headers: getRequestHeaders(),
+    });
     if (!response.ok) {
       console.error("Failed to fetch task:", response.statusText);
       return;
@@ -69,56 +428,263 @@ async function fetchTask() {
 
 // Execute the fetched task
 async function executeTask(task) {
-  const { taskId, command, tabId, url, jsFunction } = task;
+  const { taskId, command, tabId, url, jsFunction, params } = task;
   console.log(`Executing task ${taskId}: ${command}`);
+  reportStarted(taskId);
   try {
     let result;
 
     switch (command) {
       case "open-tab":
         // tabId is not provided by the API in this scenario
-        result = await openTab(url);
+        result = await openTab(url, params);
+        break;
+      case "navigate":
+        result = await navigateTab(tabId, url, params);
+        break;
+      case "create-window":
+        result = await createWindow(params);
+        break;
+      case "close-window":
+        result = await closeWindow(params);
+        break;
+      case "focus-window":
+        result = await updateWindow({ windowId: params.windowId, focused: true });
+        break;
+      case "update-window":
+        result = await updateWindow(params);
+        break;
+      case "move-tab":
+        result = await moveTab(tabId, params);
+        break;
+      case "reload-tab":
+        result = await reloadTab(tabId, params);
+        break;
+      case "go-back":
+        result = await goThroughHistory(tabId, "back", params);
+        break;
+      case "go-forward":
+        result = await goThroughHistory(tabId, "forward", params);
+        break;
+      case "pin-tab":
+        result = await updateTab(tabId, { pinned: params.pinned !== false });
+        break;
+      case "mute-tab":
+        result = await updateTab(tabId, { muted: params.muted !== false });
+        break;
+      case "duplicate-tab":
+        result = await duplicateTab(tabId);
+        break;
+      case "discard-tab":
+        result = await discardTab(tabId);
+        break;
+      case "group-tabs":
+        result = await groupTabs(tabId, params);
+        break;
+      case "ungroup-tabs":
+        result = await ungroupTabs(tabId, params);
+        break;
+      case "update-group":
+        result = await updateGroup(params);
+        break;
+      case "get-cookies":
+        result = { cookies: await chrome.cookies.getAll(pickCookieFilter(params)) };
+        break;
+      case "set-cookies":
+        result = await setCookies(params.cookies);
+        break;
+      case "delete-cookies":
+        result = await deleteCookies(params);
+        break;
+      case "get-storage":
+        result = await getStorage(tabId, params);
+        break;
+      case "set-storage":
+        result = await setStorage(tabId, params);
+        break;
+      case "export-session":
+        result = await exportSession(tabId, params);
+        break;
+      case "import-session":
+        result = await importSession(tabId, params);
+        break;
+      case "start-network-capture":
+        result = await startNetworkCapture(tabId, params);
+        break;
+      case "stop-network-capture":
+        result = getNetworkCapture(tabId, true);
+        break;
+      case "get-network-capture":
+        result = getNetworkCapture(tabId, false);
+        break;
+      case "set-network-rules":
+        result = await setNetworkRules(params.rules);
+        break;
+      case "start-log-capture":
+        result = await startLogCapture(tabId, params);
+        break;
+      case "stop-log-capture":
+        result = await stopLogCapture(tabId);
         break;
       case "close-tab":
         result = await closeTab(tabId);
         break;
       case "execute-js":
-        result = await executeJSInTab(tabId, jsFunction);
+        result = await executeJSInTab(tabId, jsFunction, params);
         break;
       case "switch-tab":
         result = await switchTab(tabId);
         break;
+      case "find-tab":
+        result = await findTab({ url: url || undefined, ...params });
+        break;
+      case "click":
+      case "type":
+      case "select-option":
+      case "check":
+      case "uncheck":
+      case "scroll-into-view":
+      case "hover":
+      case "submit":
+      case "wait-for-selector":
+      case "wait-for-text":
+        result = await runDomCommand(tabId, command, params);
+        break;
+      case "extract":
+        result = await extractFromTab(tabId, params);
+        break;
+      case "screenshot":
+        result = await captureScreenshot(tabId, params);
+        break;
+      case "pdf":
+        result = await printToPdf(tabId, params);
+        break;
       default:
         throw new Error(`Unknown command: ${command}`);
     }
 
     console.log(`Task ${taskId} executed successfully:`, result);
+    if (cancelledTasks.delete(taskId)) return;
     // Report success
-    await debouncedReportResult(taskId, result);
+    reportResult(taskId, result);
   } catch (error) {
     console.error(`Task execution error for ${taskId}:`, error);
+    if (cancelledTasks.delete(taskId)) return;
+    // Send the pending log entries first, so the API can attach them to the failed task
+    await flushTabLogs();
     // Report error
-    await reportError(taskId, error.message);
+    reportError(taskId, error.message, error.code, error.details);
   }
 }
 
-// Open a new tab (no existing tabId)
-function openTab(url) {
-  return new Promise((resolve, reject) => {
-    chrome.tabs.create({ url }, (tab) => {
-      if (chrome.runtime.lastError) {
-        return reject(chrome.runtime.lastError.message);
-      }
-      // Fetch window details
-      chrome.windows.get(tab.windowId, {}, (window) => {
-        if (chrome.runtime.lastError) {
-          return reject(chrome.runtime.lastError.message);
-        }
-        // Return tab details including windowId
-        resolve({ tabId: tab.id, windowId: tab.windowId, url: tab.url });
-      });
+// Open a new tab (no existing tabId) and wait for it to reach params.waitUntil
+async function openTab(url, params = {}) {
+  let tab;
+  try {
+    tab = await chrome.tabs.create(url ? { url } : {});
+  } catch (error) {
+    throw createTaskError("NAVIGATION_FAILED", `Failed to open tab: ${error.message}`);
+  }
+  // The main-frame request may already have been seen; otherwise the next one belongs to this navigation
+  if (!tabNavigations.has(tab.id)) {
+    tabNavigations.set(tab.id, createNavigationRecord(true));
+  }
+  await waitForNavigation(tab.id, url || tab.pendingUrl, params);
+  return describeNavigation(tab.id);
+}
+
+// Load a URL in an existing tab and wait for it to reach params.waitUntil
+async function navigateTab(tabId, url, params = {}) {
+  if (!tabId) {
+    throw createTaskError("INVALID_PARAMS", "No tabId provided to navigate command");
+  }
+  tabNavigations.set(tabId, createNavigationRecord(true));
+  try {
+    await chrome.tabs.update(tabId, { url });
+  } catch (error) {
+    throw createTaskError("NAVIGATION_FAILED", `Failed to navigate tab ${tabId}: ${error.message}`);
+  }
+  await waitForNavigation(tabId, url, params);
+  return describeNavigation(tabId);
+}
+
+// A pending record stands for a navigation that was started but whose first event has not arrived yet
+function createNavigationRecord(pending = false) {
+  return {
+    pending,
+    requestId: null,
+    url: null,
+    statusCode: null,
+    redirectChain: [],
+    error: null,
+    domContentLoaded: false,
+    loaded: false,
+    inflightRequests: new Set(),
+    lastNetworkActivity: Date.now(),
+  };
+}
+
+// Wait until the tab's current navigation reaches a load state, or until a selector matches
+async function waitForNavigation(tabId, url, { waitUntil = "load", timeout = PAGE_LOAD_TIMEOUT } = {}) {
+  if (waitUntil === "none") return;
+
+  // webRequest and webNavigation do not see chrome:// pages or the new tab page; fall back to the tab status for those
+  const observable = /^(https?|file):/i.test(url || "");
+  const loadState = waitUntil.selector ? "domcontentloaded" : waitUntil;
+  const deadline = Date.now() + timeout;
+
+  while (!(await isLoadStateReached(tabId, loadState, observable))) {
+    if (Date.now() >= deadline) {
+      throw createTaskError("NAVIGATION_TIMEOUT", `Tab ${tabId} did not reach "${loadState}" within ${timeout} ms.`);
+    }
+    await sleep(100);
+  }
+
+  if (waitUntil.selector) {
+    await runDomCommand(tabId, "wait-for-selector", {
+      selector: waitUntil.selector,
+      state: "attached",
+      timeout: Math.max(0, deadline - Date.now()),
     });
-  });
+  }
+}
+
+async function isLoadStateReached(tabId, loadState, observable) {
+  if (!observable) {
+    return (await chrome.tabs.get(tabId)).status === "complete";
+  }
+
+  const record = tabNavigations.get(tabId);
+  if (!record || record.pending) return false;
+  if (record.error) {
+    throw createTaskError("NAVIGATION_FAILED", `Navigation to ${record.url} failed: ${record.error}`, {
+      url: record.url,
+      redirectChain: record.redirectChain,
+    });
+  }
+
+  switch (loadState) {
+    case "domcontentloaded":
+      return record.domContentLoaded;
+    case "networkidle":
+      return record.loaded && record.inflightRequests.size === 0 && Date.now() - record.lastNetworkActivity >= NETWORK_IDLE_TIME;
+    default:
+      return record.loaded;
+  }
+}
+
+// Final URL, title, HTTP status and redirects of the tab's latest navigation
+async function describeNavigation(tabId) {
+  const tab = await chrome.tabs.get(tabId);
+  const record = tabNavigations.get(tabId);
+  return {
+    tabId: tab.id,
+    windowId: tab.windowId,
+    url: tab.url || tab.pendingUrl,
+    title: tab.title,
+    status: record ? record.statusCode : null,
+    redirectChain: record ? record.redirectChain : [],
+  };
 }
 
 // Close an existing tab by tabId (if we have it)
@@ -136,184 +702,2296 @@ function closeTab(tabId) {
   });
 }
 
-// Execute a JavaScript function string in a specified tab
-async function executeJSInTab(tabId, jsFunction) {
-  if (!tabId) {
-    throw new Error("No tabId provided to execute-js command");
+// The window details the API tracks in openedWindows
+function describeWindow(window) {
+  return {
+    windowId: window.id,
+    type: window.type,
+    state: window.state,
+    focused: window.focused,
+    incognito: window.incognito,
+    left: window.left,
+    top: window.top,
+    width: window.width,
+    height: window.height,
+  };
+}
+
+// Only the bounds, state and focus a caller gave; Chrome treats a missing field as "leave unchanged"
+function pickWindowOptions(params) {
+  const options = {};
+  ["left", "top", "width", "height", "state", "focused"].forEach((field) => {
+    if (params[field] !== undefined) options[field] = params[field];
+  });
+  return options;
+}
+
+// Open a new window (normal, popup or incognito) with optional URLs, bounds and state
+async function createWindow(params = {}) {
+  const { url, type = "normal", incognito = false } = params;
+  if (incognito && !(await chrome.extension.isAllowedIncognitoAccess())) {
+    throw createTaskError("INCOGNITO_NOT_ALLOWED", "The extension is not allowed in incognito windows. Enable it on chrome://extensions.");
   }
-  if (!jsFunction) {
-    throw new Error("No jsFunction provided for execution");
+
+  let window;
+  try {
+    window = await chrome.windows.create({ url, type, incognito, ...pickWindowOptions(params) });
+  } catch (error) {
+    throw createTaskError("WINDOW_FAILED", `Failed to create window: ${error.message}`);
+  }
+  const [firstTab] = window.tabs || [];
+  return {
+    windowId: window.id,
+    tabId: firstTab ? firstTab.id : null,
+    tabIds: (window.tabs || []).map((tab) => tab.id),
+    window: describeWindow(window),
+  };
+}
+
+async function closeWindow({ windowId } = {}) {
+  try {
+    await chrome.windows.remove(windowId);
+  } catch (error) {
+    throw createTaskError("WINDOW_NOT_FOUND", `Failed to close window ${windowId}: ${error.message}`);
   }
+  return { closedWindowId: windowId };
+}
+
+// Focus, move, resize or change the state of a window
+async function updateWindow(params = {}) {
+  const { windowId } = params;
+  let window;
   try {
-    const injectionResults = await chrome.scripting.executeScript({
-      target: { tabId },
-      func: new Function(jsFunction), // Convert string to function
-    });
-    return { result: injectionResults[0]?.result };
+    window = await chrome.windows.update(windowId, pickWindowOptions(params));
   } catch (error) {
-    throw new Error(`Failed to execute JS in tab ${tabId}: ${error.message}`);
+    throw createTaskError("WINDOW_FAILED", `Failed to update window ${windowId}: ${error.message}`);
   }
+  return { windowId: window.id, window: describeWindow(window) };
 }
 
-// New Function: Switch Tab by tabId
-async function switchTab(tabId) {
+// Move a tab to another window (or another position in its own window); index -1 appends it
+async function moveTab(tabId, { windowId, index = -1 } = {}) {
   if (!tabId) {
-    throw new Error("No tabId provided to switch-tab command");
+    throw createTaskError("INVALID_PARAMS", "No tabId provided to move-tab command");
   }
+  let tab;
   try {
-    // Query the tab to ensure it exists
-    const tab = await chrome.tabs.get(tabId);
-    if (!tab) {
-      throw new Error(`Tab with ID ${tabId} does not exist.`);
-    }
-    // Update the tab to make it active (focused)
-    await chrome.tabs.update(tabId, { active: true });
-    return { switchedToTabId: tabId };
+    tab = await chrome.tabs.move(tabId, { windowId, index });
   } catch (error) {
-    throw new Error(`Failed to switch to tab ${tabId}: ${error.message}`);
+    throw createTaskError("TAB_MOVE_FAILED", `Failed to move tab ${tabId}: ${error.message}`);
   }
+  return { tabId: tab.id, windowId: tab.windowId, index: tab.index, url: tab.url };
 }
 
-// Report success to the API
-async function reportResult(taskId, data) {
+// Reload a tab, optionally bypassing the cache, and wait for it to reach params.waitUntil
+async function reloadTab(tabId, params = {}) {
+  let tab;
   try {
-    const response = await fetch(`${API_BASE_URL}/report-result`, {
-      method: "POST",
-      headers: { 
-        "Content-Type": "application/json"
-      },
-      body: JSON.stringify({ taskId, data }),
-    });
+    tab = await chrome.tabs.get(tabId);
+    tabNavigations.set(tabId, createNavigationRecord(true));
+    await chrome.tabs.reload(tabId, { bypassCache: params.bypassCache === true });
+  } catch (error) {
+    tabNavigations.delete(tabId);
+    throw createTaskError("NAVIGATION_FAILED", `Failed to reload tab ${tabId}: ${error.message}`);
+  }
+  await waitForNavigation(tabId, tab.url, params);
+  return describeNavigation(tabId);
+}
 
-    if (!response.ok) {
-      console.error(`Failed to report result for task ${taskId}:`, response.statusText);
-    } else {
-      console.log(`Reported result for task ${taskId}`);
-    }
+// Go one entry back or forward in a tab's history and wait for it to reach params.waitUntil
+async function goThroughHistory(tabId, direction, params = {}) {
+  let tab;
+  try {
+    tab = await chrome.tabs.get(tabId);
+    tabNavigations.set(tabId, createNavigationRecord(true));
+    await (direction === "back" ? chrome.tabs.goBack(tabId) : chrome.tabs.goForward(tabId));
   } catch (error) {
-    console.error(`Error reporting result for task ${taskId}:`, error);
+    // Also raised when there is no history entry in that direction
+    tabNavigations.delete(tabId);
+    throw createTaskError("NAVIGATION_FAILED", `Failed to go ${direction} in tab ${tabId}: ${error.message}`);
   }
+  await waitForNavigation(tabId, tab.url, params);
+  return describeNavigation(tabId);
 }
 
-// Report error to the API
-async function reportError(taskId, errorMessage) {
+// Pin/unpin or mute/unmute a tab
+async function updateTab(tabId, properties) {
+  let tab;
   try {
-    const response = await fetch(`${API_BASE_URL}/report-result/error`, {
-      method: "POST",
-      headers: { 
-        "Content-Type": "application/json"
-      },
-      body: JSON.stringify({ taskId, error: errorMessage }),
-    });
+    tab = await chrome.tabs.update(tabId, properties);
+  } catch (error) {
+    throw createTaskError("TAB_UPDATE_FAILED", `Failed to update tab ${tabId}: ${error.message}`);
+  }
+  return { tabId: tab.id, tab: describeTab(tab) };
+}
 
-    if (!response.ok) {
-      console.error(`Failed to report error for task ${taskId}:`, response.statusText);
-    } else {
-      console.log(`Reported error for task ${taskId}`);
-    }
+async function duplicateTab(tabId) {
+  let tab;
+  try {
+    tab = await chrome.tabs.duplicate(tabId);
   } catch (error) {
-    console.error(`Error reporting error for task ${taskId}:`, error);
+    throw createTaskError("TAB_UPDATE_FAILED", `Failed to duplicate tab ${tabId}: ${error.message}`);
   }
+  return { tabId: tab.id, sourceTabId: tabId, tab: describeTab(tab) };
 }
 
-/**
- * Sync all currently opened browser tabs with the Node.js API.
- * This function sends all open tabs and windows to the server, effectively overwriting openedTabs.json.
- */
-async function syncOpenedTabs() {
+// Unload a tab from memory; it stays in the tab strip and reloads when activated. Chrome refuses to discard the active tab.
+async function discardTab(tabId) {
+  let tab;
   try {
-    console.log("Syncing opened tabs with the server...");
-    // Query all currently open tabs
-    chrome.tabs.query({}, async (tabs) => {
-      const tabsToSync = tabs.map((tab) => ({
-        tabId: tab.id,
-        windowId: tab.windowId,
-        url: tab.url,
-      }));
+    tab = await chrome.tabs.discard(tabId);
+  } catch (error) {
+    throw createTaskError("TAB_UPDATE_FAILED", `Failed to discard tab ${tabId}: ${error.message}`);
+  }
+  if (!tab) {
+    throw createTaskError("TAB_UPDATE_FAILED", `Tab ${tabId} could not be discarded. Active tabs cannot be discarded.`);
+  }
+  const result = { tabId: tab.id, tab: describeTab(tab) };
+  // Older Chrome versions give the discarded tab a new ID
+  if (tab.id !== tabId) result.replacedTabId = tabId;
+  return result;
+}
 
-      // Send the list to the server
-      const response = await fetch(`${API_BASE_URL}/sync-tabs`, {
-        method: "POST",
-        headers: { 
-          "Content-Type": "application/json"
-        },
-        body: JSON.stringify({ tabs: tabsToSync }),
-      });
+// The tab group details the API tracks in tabGroups
+function describeGroup(group) {
+  return {
+    groupId: group.id,
+    windowId: group.windowId,
+    title: group.title || "",
+    color: group.color,
+    collapsed: group.collapsed,
+  };
+}
 
-      if (!response.ok) {
-        console.error("Failed to sync opened tabs:", response.statusText);
-        return;
-      }
+// Only the group properties a caller gave
+function pickGroupProperties(params) {
+  const properties = {};
+  ["title", "color", "collapsed"].forEach((field) => {
+    if (params[field] !== undefined) properties[field] = params[field];
+  });
+  return properties;
+}
 
-      const result = await response.json();
-      if (result.success) {
-        console.log(`Successfully synced ${tabsToSync.length} tabs with the server.`);
-      } else {
-        console.error("Sync opened tabs failed:", result.error);
-      }
-    });
+// Add tabs (params.tabIds, or the task's tab) to a new group, or to params.groupId, then apply the title, color and collapsed state
+async function groupTabs(tabId, params = {}) {
+  const tabIds = params.tabIds || [tabId];
+  let group;
+  try {
+    const groupId = await chrome.tabs.group(params.groupId !== undefined ? { tabIds, groupId: params.groupId } : { tabIds });
+    const properties = pickGroupProperties(params);
+    group = Object.keys(properties).length > 0
+      ? await chrome.tabGroups.update(groupId, properties)
+      : await chrome.tabGroups.get(groupId);
   } catch (error) {
-    console.error("Error syncing opened tabs:", error);
+    throw createTaskError("TAB_GROUP_FAILED", `Failed to group tabs ${tabIds.join(", ")}: ${error.message}`);
   }
+  return { groupId: group.id, tabIds, group: describeGroup(group) };
 }
 
-/**
- * Listen to tab creation and removal events to sync in real-time.
- */
-chrome.tabs.onCreated.addListener((tab) => {
-  console.log(`Tab created: ID=${tab.id}, WindowID=${tab.windowId}, URL=${tab.url}`);
-  // Report the new tab to the server
-  // Using a unique taskId for auto-generated events
-  const autoTaskId = `auto-open-${tab.id}-${Date.now()}`;
-  debouncedReportResult(autoTaskId, { tabId: tab.id, windowId: tab.windowId, url: tab.url });
-});
+// Remove tabs from their groups; Chrome deletes a group once its last tab leaves it
+async function ungroupTabs(tabId, params = {}) {
+  const tabIds = params.tabIds || [tabId];
+  try {
+    await chrome.tabs.ungroup(tabIds);
+  } catch (error) {
+    throw createTaskError("TAB_GROUP_FAILED", `Failed to ungroup tabs ${tabIds.join(", ")}: ${error.message}`);
+  }
+  return { ungroupedTabIds: tabIds };
+}
 
-chrome.tabs.onRemoved.addListener((tabId, removeInfo) => {
-  console.log(`Tab closed: ID=${tabId}`);
-  // Report the closed tab to the server
-  const autoTaskId = `auto-close-${tabId}-${Date.now()}`;
-  debouncedReportResult(autoTaskId, { closedTabId: tabId });
-});
+async function updateGroup(params = {}) {
+  const { groupId } = params;
+  let group;
+  try {
+    group = await chrome.tabGroups.update(groupId, pickGroupProperties(params));
+  } catch (error) {
+    throw createTaskError("TAB_GROUP_FAILED", `Failed to update tab group ${groupId}: ${error.message}`);
+  }
+  return { groupId: group.id, group: describeGroup(group) };
+}
 
-/**
- * Listen to tab updates (e.g., URL changes) to sync in real-time.
+// Execute a caller-supplied function body in a tab. The body receives the task's args as `args`,
+// may use await, and its result (or thrown error) is serialized in the page by runScriptInPage.
+// The service worker never compiles the body (its CSP forbids eval): MAIN-world scripts are compiled by
+// the page, ISOLATED-world scripts (content-script worlds forbid eval too) through the DevTools protocol.
+async function executeJSInTab(tabId, jsFunction, { args = [], world = "MAIN", allFrames = false, frameIds } = {}) {
+  if (!tabId) {
+    throw new Error("No tabId provided to execute-js command");
+  }
+  if (!jsFunction) {
+    throw new Error("No jsFunction provided for execution");
+  }
+
+  const multiFrame = Boolean(allFrames || frameIds);
+  if (world === "ISOLATED") {
+    if (multiFrame) {
+      throw createTaskError("INVALID_PARAMS", "allFrames and frameIds cannot be used with world ISOLATED");
+    }
+    return { result: await evaluateInTab(tabId, jsFunction, args, "ISOLATED") };
+  }
+
+  let injectionResults;
+  try {
+    injectionResults = await chrome.scripting.executeScript({
+      target: frameIds ? { tabId, frameIds } : { tabId, allFrames },
+      world,
+      func: runScriptInPage,
+      args: [jsFunction, args],
+    });
+  } catch (error) {
+    throw createTaskError("INJECTION_FAILED", `Failed to execute JS in tab ${tabId}: ${error.message}`);
+  }
+
+  const syntaxError = injectionResults.find(({ result: outcome }) => outcome && outcome.compileError && outcome.error.name === "SyntaxError");
+  if (syntaxError) {
+    const { name, message } = syntaxError.result.error;
+    throw createTaskError("SCRIPT_SYNTAX_ERROR", `${name}: ${message}`, { name, message });
+  }
+
+  const frames = injectionResults.map(({ frameId, result: outcome }) => {
+    if (!outcome) {
+      return { frameId, error: { $type: "error", name: "Error", message: "No result; the frame may have navigated away.", stack: null } };
+    }
+    return outcome.ok ? { frameId, result: outcome.value } : { frameId, error: outcome.error };
+  });
+
+  // A single-frame script that throws fails the task; with several frames each one reports its own outcome
+  if (!multiFrame) {
+    const [{ result: outcome }] = injectionResults;
+    if (outcome && outcome.compileError) {
+      // The page's CSP forbids compiling scripts; the DevTools protocol is not bound by it
+      return { result: await evaluateInTab(tabId, jsFunction, args, "MAIN") };
+    }
+    const [frame] = frames;
+    if (frame.error) {
+      throw createTaskError("SCRIPT_ERROR", `${frame.error.name}: ${frame.error.message}`, frame.error);
+    }
+    return { result: frame.result };
+  }
+  const mainFrame = frames.find((frame) => frame.frameId === 0);
+  return { result: mainFrame ? mainFrame.result ?? null : null, frames };
+}
+
+// Run an execute-js script in the top frame of a tab through the DevTools protocol, in the page's own
+// world or in an isolated world of its own. Chrome compiles the expression, so no CSP applies.
+async function evaluateInTab(tabId, jsFunction, args, world) {
+  const target = { tabId };
+  // A use of its own: the debugger is shared with mock rules, log captures and other scripts of the tab
+  const use = `execute-js ${++debuggerScriptCount}`;
+  try {
+    await attachDebugger(tabId, use, []);
+  } catch (error) {
+    throw createTaskError("DEBUGGER_ATTACH_FAILED", `Cannot attach the debugger to tab ${tabId}: ${error.message}`);
+  }
+
+  let evaluation;
+  try {
+    let contextId;
+    if (world === "ISOLATED") {
+      const { frameTree } = await chrome.debugger.sendCommand(target, "Page.getFrameTree");
+      ({ executionContextId: contextId } = await chrome.debugger.sendCommand(target, "Page.createIsolatedWorld", {
+        frameId: frameTree.frame.id,
+        worldName: EXECUTE_JS_WORLD_NAME,
+      }));
+    }
+    evaluation = await chrome.debugger.sendCommand(target, "Runtime.evaluate", {
+      expression: `(${runScriptInPage.toString()})(async function (...args) {\n${jsFunction}\n}, ${JSON.stringify(args)})`,
+      contextId,
+      awaitPromise: true,
+      returnByValue: true,
+    });
+  } catch (error) {
+    throw createTaskError("INJECTION_FAILED", `Failed to execute JS in tab ${tabId}: ${error.message}`);
+  } finally {
+    await releaseDebugger(tabId, use, []);
+  }
+
+  // runScriptInPage catches what the script throws, so an exception here is a script that does not compile
+  if (evaluation.exceptionDetails) {
+    const { exception, text } = evaluation.exceptionDetails;
+    const name = (exception && exception.className) || "SyntaxError";
+    const message = ((exception && exception.description) || text).split("\n")[0].replace(`${name}: `, "");
+    throw createTaskError("SCRIPT_SYNTAX_ERROR", `${name}: ${message}`, { name, message });
+  }
+  const outcome = evaluation.result.value;
+  if (!outcome.ok) {
+    throw createTaskError("SCRIPT_ERROR", `${outcome.error.name}: ${outcome.error.message}`, outcome.error);
+  }
+  return outcome.value;
+}
+
+// Injected into the page, so it must not reference anything outside its body. Runs an execute-js script,
+// given as source (compiled here, in the page) or as a function, and serializes its result or error.
+async function runScriptInPage(script, args) {
+  // Converts a value to JSON, tagging what JSON cannot represent with "$type": errors, DOM nodes, Maps, Sets, dates, ...
+  function serializeInPage(value) {
+    const MAX_DEPTH = 20;
+    const MAX_HTML_LENGTH = 1000;
+    const ancestors = new Set(); // Objects on the current path, to detect cycles
+
+    const convert = (item, depth) => {
+      if (item === null || item === undefined) return null;
+      if (typeof item === "string" || typeof item === "boolean") return item;
+      if (typeof item === "number") return Number.isFinite(item) ? item : { $type: "number", value: String(item) };
+      if (typeof item === "bigint") return { $type: "bigint", value: item.toString() };
+      if (typeof item === "symbol") return { $type: "symbol", description: item.description ?? null };
+      if (typeof item === "function") return { $type: "function", name: item.name || null };
+      if (ancestors.has(item)) return { $type: "circular" };
+      if (depth > MAX_DEPTH) return { $type: "truncated" };
+
+      if (item instanceof Error) {
+        const error = { $type: "error", name: item.name, message: item.message, stack: item.stack ?? null };
+        if (item.cause !== undefined) error.cause = convert(item.cause, depth + 1);
+        return error;
+      }
+      if (item instanceof Date) return { $type: "date", value: Number.isNaN(item.getTime()) ? null : item.toISOString() };
+      if (item instanceof RegExp) return { $type: "regexp", source: item.source, flags: item.flags };
+      if (item instanceof Promise) return { $type: "promise" };
+      if (item instanceof ArrayBuffer) return { $type: "arraybuffer", byteLength: item.byteLength };
+      if (item === window) return { $type: "window", url: location.href };
+      if (item instanceof Document) return { $type: "document", url: item.URL, title: item.title };
+      if (item instanceof Element) {
+        return {
+          $type: "element",
+          tagName: item.tagName.toLowerCase(),
+          id: item.id || null,
+          className: item.getAttribute("class"),
+          text: (item.textContent || "").trim().slice(0, 200),
+          outerHTML: item.outerHTML.slice(0, MAX_HTML_LENGTH),
+        };
+      }
+      if (item instanceof Node) return { $type: "node", nodeName: item.nodeName, text: (item.textContent || "").slice(0, 200) };
+
+      ancestors.add(item);
+      try {
+        if (item instanceof Map) {
+          return { $type: "map", entries: [...item].map(([key, entry]) => [convert(key, depth + 1), convert(entry, depth + 1)]) };
+        }
+        if (item instanceof Set) return { $type: "set", values: [...item].map((entry) => convert(entry, depth + 1)) };
+        if (ArrayBuffer.isView(item) && !(item instanceof DataView)) {
+          return { $type: item.constructor.name, values: Array.from(item, (entry) => convert(entry, depth + 1)) };
+        }
+        if (Array.isArray(item) || item instanceof NodeList || item instanceof HTMLCollection) {
+          return Array.from(item, (entry) => convert(entry, depth + 1));
+        }
+        if (typeof item.toJSON === "function") return convert(item.toJSON(), depth + 1); // e.g. URL, DOMRect
+
+        const output = {};
+        Object.keys(item).forEach((key) => {
+          try {
+            if (item[key] !== undefined) output[key] = convert(item[key], depth + 1);
+          } catch (error) {
+            output[key] = { $type: "unreadable", message: error.message }; // e.g. throwing getters
+          }
+        });
+        return output;
+      } finally {
+        ancestors.delete(item);
+      }
+    };
+
+    return convert(value, 0);
+  }
+
+  let userFunction = script;
+  if (typeof script === "string") {
+    const AsyncFunction = Object.getPrototypeOf(async function () {}).constructor;
+    try {
+      userFunction = new AsyncFunction("...args", script);
+    } catch (error) {
+      // A SyntaxError, or an EvalError when the page's CSP forbids compiling scripts
+      return { ok: false, compileError: true, error: serializeInPage(error) };
+    }
+  }
+  try {
+    return { ok: true, value: serializeInPage(await userFunction.apply(globalThis, args)) };
+  } catch (error) {
+    return { ok: false, error: serializeInPage(error) };
+  }
+}
+
+// New Function: Switch Tab by tabId
+async function switchTab(tabId) {
+  if (!tabId) {
+    throw new Error("No tabId provided to switch-tab command");
+  }
+  try {
+    // Query the tab to ensure it exists
+    const tab = await chrome.tabs.get(tabId);
+    if (!tab) {
+      throw new Error(`Tab with ID ${tabId} does not exist.`);
+    }
+    // Update the tab to make it active (focused)
+    await chrome.tabs.update(tabId, { active: true });
+    return { switchedToTabId: tabId };
+  } catch (error) {
+    throw new Error(`Failed to switch to tab ${tabId}: ${error.message}`);
+  }
+}
+
+// Convert a find-tab pattern (/regex/flags or a glob with * and ?) into a RegExp
+function patternToRegExp(pattern) {
+  const regexMatch = /^\/(.+)\/([a-z]*)$/.exec(pattern);
+  if (regexMatch) {
+    return new RegExp(regexMatch[1], regexMatch[2]);
+  }
+  const escaped = pattern.replace(/[.+^${}()|[\]\\]/g, "\\$&");
+  return new RegExp(`^${escaped.replace(/\*/g, ".*").replace(/\?/g, ".")}$`);
+}
+
+// Find open tabs by exact URL, URL prefix, glob/regex pattern or title, optionally activating the first match
+async function findTab({ url, urlPrefix, pattern, title, activate = false, focusWindow = true } = {}) {
+  if (!url && !urlPrefix && !pattern && !title) {
+    throw new Error("No search criteria provided to find-tab command");
+  }
+  const regex = pattern ? patternToRegExp(pattern) : null;
+  const titleNeedle = title ? title.toLowerCase() : null;
+
+  const tabs = await chrome.tabs.query({});
+  const matches = tabs
+    .filter((tab) => {
+      const tabUrl = tab.url || tab.pendingUrl || "";
+      if (url && tabUrl !== url) return false;
+      if (urlPrefix && !tabUrl.startsWith(urlPrefix)) return false;
+      if (regex && !regex.test(tabUrl)) return false;
+      if (titleNeedle && !(tab.title || "").toLowerCase().includes(titleNeedle)) return false;
+      return true;
+    })
+    .map((tab) => ({ tabId: tab.id, windowId: tab.windowId, url: tab.url || tab.pendingUrl, title: tab.title }));
+
+  let activatedTabId = null;
+  if (activate && matches.length > 0) {
+    const [match] = matches;
+    await chrome.tabs.update(match.tabId, { active: true });
+    if (focusWindow) {
+      await chrome.windows.update(match.windowId, { focused: true });
+    }
+    activatedTabId = match.tabId;
+  }
+
+  return { tabs: matches, activatedTabId };
+}
+
+// DOM commands (click, type, select-option, ...) run inside the page through chrome.scripting
+
+// Create an error carrying a machine-readable code (and optional structured details), reported to the API alongside the message
+function createTaskError(code, message, details) {
+  const error = new Error(message);
+  error.code = code;
+  error.details = details;
+  return error;
+}
+
+// Run a DOM command in a tab
+async function runDomCommand(tabId, command, params) {
+  if (!tabId) {
+    throw createTaskError("INVALID_PARAMS", `No tabId provided to ${command} command`);
+  }
+  return runInPage(tabId, command, domCommandInPage, [command, params]);
+}
+
+// Inject a function that resolves to { ok, value } or { ok: false, code, message } and turn a failed outcome into a coded error
+async function runInPage(tabId, command, func, args) {
+  let injectionResults;
+  try {
+    injectionResults = await chrome.scripting.executeScript({ target: { tabId }, func, args });
+  } catch (error) {
+    throw createTaskError("INJECTION_FAILED", `Failed to run ${command} in tab ${tabId}: ${error.message}`);
+  }
+
+  const outcome = injectionResults[0]?.result;
+  if (!outcome) {
+    throw createTaskError("COMMAND_FAILED", `${command} returned no result; the page may have navigated away.`);
+  }
+  if (!outcome.ok) {
+    throw createTaskError(outcome.code, outcome.message);
+  }
+  return outcome.value;
+}
+
+// Injected into the page, so it must not reference anything outside its own body.
+// Resolves to { ok, value } or { ok: false, code, message } rather than throwing, which keeps the code intact.
+async function domCommandInPage(command, params) {
+  const POLL_INTERVAL = 100;
+  const { selector } = params;
+  const timeout = params.timeout ?? 5000;
+
+  const sleep = (ms) => new Promise((resolve) => setTimeout(resolve, ms));
+  const failure = (code, message) => Object.assign(new Error(message), { code });
+
+  const isVisible = (element) => {
+    if (!element.isConnected || !element.checkVisibility({ checkVisibilityCSS: true })) return false;
+    const rect = element.getBoundingClientRect();
+    return rect.width > 0 && rect.height > 0;
+  };
+
+  const describe = (element) => ({
+    tagName: element.tagName.toLowerCase(),
+    id: element.id || null,
+    text: (element.innerText || element.value || "").trim().slice(0, 100),
+  });
+
+  // Poll until check() returns something truthy or the timeout expires
+  const waitFor = async (check) => {
+    const deadline = Date.now() + timeout;
+    for (;;) {
+      const value = check();
+      if (value) return value;
+      if (Date.now() >= deadline) return null;
+      await sleep(POLL_INTERVAL);
+    }
+  };
+
+  // Wait for the command's element, telling "not found" apart from "found but not visible"
+  const getElement = async ({ visible }) => {
+    const element = await waitFor(() => {
+      const match = document.querySelector(selector);
+      return match && (!visible || isVisible(match)) ? match : null;
+    });
+    if (element) return element;
+    if (!document.querySelector(selector)) {
+      throw failure("SELECTOR_NOT_FOUND", `No element matches selector: ${selector}`);
+    }
+    throw failure("ELEMENT_NOT_VISIBLE", `Element is not visible: ${selector}`);
+  };
+
+  const assertEnabled = (element) => {
+    if (element.disabled) {
+      throw failure("ELEMENT_DISABLED", `Element is disabled: ${selector}`);
+    }
+  };
+
+  // Scroll the element into view and return the viewport coordinates of its center
+  const getCenter = (element) => {
+    element.scrollIntoView({ block: "center", inline: "center", behavior: "instant" });
+    const rect = element.getBoundingClientRect();
+    return { x: rect.left + rect.width / 2, y: rect.top + rect.height / 2 };
+  };
+
+  const mouseInit = (x, y, extra = {}) => ({
+    bubbles: true,
+    cancelable: true,
+    composed: true,
+    view: window,
+    clientX: x,
+    clientY: y,
+    ...extra,
+  });
+
+  const dispatchInputEvents = (element) => {
+    element.dispatchEvent(new Event("input", { bubbles: true, composed: true }));
+    element.dispatchEvent(new Event("change", { bubbles: true }));
+  };
+
+  const commands = {
+    async click() {
+      const element = await getElement({ visible: true });
+      assertEnabled(element);
+      const { x, y } = getCenter(element);
+
+      // Refuse to click through an overlay (e.g. a cookie banner or modal) covering the element
+      const topElement = document.elementFromPoint(x, y);
+      if (topElement && topElement !== element && !element.contains(topElement)) {
+        throw failure("ELEMENT_OBSCURED", `Element is covered by <${topElement.tagName.toLowerCase()}>: ${selector}`);
+      }
+
+      const button = { left: 0, middle: 1, right: 2 }[params.button || "left"];
+      const clickCount = params.clickCount || 1;
+      for (let detail = 1; detail <= clickCount; detail++) {
+        const init = mouseInit(x, y, { button, buttons: 1 << button, detail });
+        element.dispatchEvent(new PointerEvent("pointerdown", { ...init, pointerType: "mouse" }));
+        element.dispatchEvent(new MouseEvent("mousedown", init));
+        element.focus({ preventScroll: true });
+        element.dispatchEvent(new PointerEvent("pointerup", { ...init, buttons: 0, pointerType: "mouse" }));
+        element.dispatchEvent(new MouseEvent("mouseup", { ...init, buttons: 0 }));
+        const clickType = button === 0 ? "click" : button === 2 ? "contextmenu" : "auxclick";
+        element.dispatchEvent(new MouseEvent(clickType, { ...init, buttons: 0 }));
+      }
+      if (clickCount === 2 && button === 0) {
+        element.dispatchEvent(new MouseEvent("dblclick", mouseInit(x, y, { detail: 2 })));
+      }
+      return { element: describe(element), x, y };
+    },
+
+    async type() {
+      const element = await getElement({ visible: true });
+      assertEnabled(element);
+      const isTextField = element instanceof HTMLInputElement || element instanceof HTMLTextAreaElement;
+      if ((!isTextField && !element.isContentEditable) || element.readOnly) {
+        throw failure("ELEMENT_NOT_EDITABLE", `Element does not accept text: ${selector}`);
+      }
+
+      element.focus();
+      // Set values through the native setter so frameworks that track the value (e.g. React) notice
+      const setValue = (value) => {
+        if (isTextField) {
+          Object.getOwnPropertyDescriptor(Object.getPrototypeOf(element), "value").set.call(element, value);
+        } else {
+          element.textContent = value;
+        }
+      };
+      if (params.clear) {
+        setValue("");
+        element.dispatchEvent(new InputEvent("input", { bubbles: true, composed: true, inputType: "deleteContentBackward" }));
+      }
+
+      const characters = [...params.text];
+      for (const character of characters) {
+        const keyInit = { key: character === "\n" ? "Enter" : character, bubbles: true, cancelable: true, composed: true };
+        if (element.dispatchEvent(new KeyboardEvent("keydown", keyInit))) {
+          element.dispatchEvent(new KeyboardEvent("keypress", keyInit));
+          // insertText behaves like real typing (caret position, undo stack); fall back to appending
+          if (!document.execCommand("insertText", false, character)) {
+            setValue((isTextField ? element.value : element.textContent) + character);
+            element.dispatchEvent(new InputEvent("input", { bubbles: true, composed: true, inputType: "insertText", data: character }));
+          }
+        }
+        element.dispatchEvent(new KeyboardEvent("keyup", keyInit));
+        if (params.delay) await sleep(params.delay);
+      }
+      if (isTextField) {
+        element.dispatchEvent(new Event("change", { bubbles: true }));
+      }
+      return { element: describe(element), typedCharacters: characters.length };
+    },
+
+    async "select-option"() {
+      const element = await getElement({ visible: false });
+      if (!(element instanceof HTMLSelectElement)) {
+        throw failure("ELEMENT_TYPE_MISMATCH", `select-option needs a <select> element, got <${element.tagName.toLowerCase()}>: ${selector}`);
+      }
+      assertEnabled(element);
+
+      const key = ["value", "label", "index"].find((name) => params[name] !== undefined);
+      const wanted = Array.isArray(params[key]) ? params[key] : [params[key]];
+      if (wanted.length > 1 && !element.multiple) {
+        throw failure("ELEMENT_TYPE_MISMATCH", `Cannot select several options in a single-choice <select>: ${selector}`);
+      }
+
+      const options = [...element.options];
+      const matches = wanted.map((item) => options.find((option) => {
+        if (key === "index") return option.index === item;
+        if (key === "label") return option.label.trim() === item;
+        return option.value === item;
+      }));
+      const missing = wanted.find((item, index) => !matches[index]);
+      if (missing !== undefined) {
+        throw failure("OPTION_NOT_FOUND", `No option with ${key} ${JSON.stringify(missing)}: ${selector}`);
+      }
+      if (matches.some((option) => option.disabled)) {
+        throw failure("ELEMENT_DISABLED", `Option is disabled: ${selector}`);
+      }
+
+      options.forEach((option) => {
+        option.selected = matches.includes(option);
+      });
+      dispatchInputEvents(element);
+      return { selected: matches.map((option) => ({ value: option.value, label: option.label, index: option.index })) };
+    },
+
+    async check() {
+      return setChecked(true);
+    },
+
+    async uncheck() {
+      return setChecked(false);
+    },
+
+    async "scroll-into-view"() {
+      const element = await getElement({ visible: false });
+      element.scrollIntoView({ block: params.block || "center", inline: "nearest", behavior: "instant" });
+      const rect = element.getBoundingClientRect();
+      return { element: describe(element), rect: { x: rect.x, y: rect.y, width: rect.width, height: rect.height } };
+    },
+
+    async hover() {
+      const element = await getElement({ visible: true });
+      const { x, y } = getCenter(element);
+      const init = mouseInit(x, y);
+      element.dispatchEvent(new PointerEvent("pointerover", { ...init, pointerType: "mouse" }));
+      element.dispatchEvent(new PointerEvent("pointerenter", { ...init, bubbles: false, pointerType: "mouse" }));
+      element.dispatchEvent(new MouseEvent("mouseover", init));
+      element.dispatchEvent(new MouseEvent("mouseenter", { ...init, bubbles: false }));
+      element.dispatchEvent(new PointerEvent("pointermove", { ...init, pointerType: "mouse" }));
+      element.dispatchEvent(new MouseEvent("mousemove", init));
+      return { element: describe(element), x, y };
+    },
+
+    async submit() {
+      const element = await getElement({ visible: false });
+      const form = element instanceof HTMLFormElement ? element : element.form || element.closest("form");
+      if (!form) {
+        throw failure("FORM_NOT_FOUND", `Element is not a form or inside one: ${selector}`);
+      }
+      if (!form.noValidate && !form.checkValidity()) {
+        const invalidFields = [...form.elements]
+          .filter((field) => field.willValidate && !field.checkValidity())
+          .map((field) => field.name || field.id || field.tagName.toLowerCase());
+        throw failure("FORM_INVALID", `Form has invalid fields: ${invalidFields.join(", ")}`);
+      }
+
+      // requestSubmit fires the submit event like a user would; a submit button is passed as the submitter
+      const isSubmitter = element !== form && element.form === form && ["submit", "image"].includes(element.type);
+      form.requestSubmit(isSubmitter ? element : undefined);
+      return { action: form.action, method: form.method };
+    },
+
+    async "wait-for-selector"() {
+      const state = params.state || "visible";
+      const started = Date.now();
+      const matched = await waitFor(() => {
+        const element = document.querySelector(selector);
+        switch (state) {
+          case "attached":
+            return element;
+          case "detached":
+            return !element;
+          case "hidden":
+            return !element || !isVisible(element);
+          default:
+            return element && isVisible(element) ? element : null;
+        }
+      });
+      if (!matched) {
+        throw failure("WAIT_TIMEOUT", `Timed out after ${timeout}ms waiting for ${selector} to be ${state}`);
+      }
+      return { state, elapsedMs: Date.now() - started, element: matched instanceof Element ? describe(matched) : null };
+    },
+
+    async "wait-for-text"() {
+      const started = Date.now();
+      const found = await waitFor(() => {
+        const root = selector ? document.querySelector(selector) : document.body;
+        return Boolean(root) && root.innerText.includes(params.text);
+      });
+      if (!found) {
+        throw failure("WAIT_TIMEOUT", `Timed out after ${timeout}ms waiting for text ${JSON.stringify(params.text)}${selector ? ` in ${selector}` : ""}`);
+      }
+      return { elapsedMs: Date.now() - started };
+    },
+  };
+
+  // Shared by check and uncheck: click the box like a user, then verify the new state
+  async function setChecked(checked) {
+    const element = await getElement({ visible: false });
+    if (!(element instanceof HTMLInputElement) || !["checkbox", "radio"].includes(element.type)) {
+      throw failure("ELEMENT_TYPE_MISMATCH", `${command} needs a checkbox or radio button: ${selector}`);
+    }
+    if (!checked && element.type === "radio") {
+      throw failure("ELEMENT_TYPE_MISMATCH", `A radio button cannot be unchecked; check another option instead: ${selector}`);
+    }
+    assertEnabled(element);
+
+    const changed = element.checked !== checked;
+    if (changed) element.click(); // Fires click, input and change
+    if (element.checked !== checked) {
+      throw failure("COMMAND_FAILED", `Element did not become ${checked ? "checked" : "unchecked"}; a click handler may have prevented it: ${selector}`);
+    }
+    return { checked, changed };
+  }
+
+  try {
+    return { ok: true, value: await commands[command]() };
+  } catch (error) {
+    // querySelector throws a SyntaxError DOMException for malformed selectors
+    const code = error.code && typeof error.code === "string" ? error.code : error.name === "SyntaxError" ? "INVALID_SELECTOR" : "COMMAND_FAILED";
+    return { ok: false, code, message: error.message };
+  }
+}
+
+// Extract structured data with a declarative schema, clicking the pagination's next button between pages
+async function extractFromTab(tabId, { schema, pagination, timeout }) {
+  if (!tabId) {
+    throw createTaskError("INVALID_PARAMS", "No tabId provided to extract command");
+  }
+
+  const pages = [];
+  const maxPages = pagination ? pagination.maxPages : 1;
+  for (let page = 1; page <= maxPages; page++) {
+    const { data, hasNext, url } = await runInPage(tabId, "extract", extractInPage, [schema, pagination?.nextSelector ?? null, timeout]);
+    pages.push({ data, url });
+    if (!hasNext || page === maxPages) break;
+
+    await runDomCommand(tabId, "click", { selector: pagination.nextSelector, timeout: 0 });
+    await waitForPageTurn(tabId, pagination, timeout);
+  }
+
+  // Lists are merged across pages; other schemas return one entry per page
+  const isList = typeof schema === "object" && schema.list;
+  const data = !pagination ? pages[0].data : isList ? pages.flatMap((page) => page.data) : pages.map((page) => page.data);
+  return { data, pages: pages.length, urls: pages.map((page) => page.url) };
+}
+
+// Give the page time to load the next page of results after clicking the next button
+async function waitForPageTurn(tabId, { waitMs, waitForSelector }, timeout) {
+  await new Promise((resolve) => setTimeout(resolve, waitMs));
+
+  // A full navigation is over once the tab finishes loading
+  const deadline = Date.now() + PAGE_LOAD_TIMEOUT;
+  while ((await chrome.tabs.get(tabId)).status === "loading") {
+    if (Date.now() >= deadline) {
+      throw createTaskError("NAVIGATION_TIMEOUT", `Next page did not finish loading within ${PAGE_LOAD_TIMEOUT / 1000} seconds.`);
+    }
+    await new Promise((resolve) => setTimeout(resolve, 100));
+  }
+
+  if (waitForSelector) {
+    await runDomCommand(tabId, "wait-for-selector", { selector: waitForSelector, state: "attached", timeout });
+  }
+}
+
+// Injected into the page, so it must not reference anything outside its own body.
+// Resolves to { ok, value: { data, hasNext, url } } or { ok: false, code, message }.
+async function extractInPage(schema, nextSelector, timeout = 5000) {
+  const failure = (code, message) => Object.assign(new Error(message), { code });
+  const normalize = (spec) => (typeof spec === "string" ? { selector: spec } : spec);
+
+  // Nodes matched by a schema node inside its context; a node without selector or xpath is the context itself
+  const findAll = (spec, context) => {
+    if (spec.xpath) {
+      const snapshot = document.evaluate(spec.xpath, context, null, XPathResult.ORDERED_NODE_SNAPSHOT_TYPE, null);
+      return Array.from({ length: snapshot.snapshotLength }, (_, index) => snapshot.snapshotItem(index));
+    }
+    if (spec.selector) return [...context.querySelectorAll(spec.selector)];
+    return [context];
+  };
+
+  // Parse "1,234.50", "1.234,50" or "$ 12" into a number
+  const parseNumber = (text) => {
+    let cleaned = text.replace(/[^\d.,-]/g, "");
+    const lastComma = cleaned.lastIndexOf(",");
+    const lastDot = cleaned.lastIndexOf(".");
+    if (lastComma > lastDot && (lastDot !== -1 || !/,\d{3}$/.test(cleaned))) {
+      cleaned = cleaned.replace(/\./g, "").replace(",", "."); // Comma is the decimal separator
+    } else {
+      cleaned = cleaned.replace(/,/g, "");
+    }
+    const number = parseFloat(cleaned);
+    return Number.isFinite(number) ? number : null;
+  };
+
+  // Read the text (or attribute) of a node and convert it to the field's type
+  const readValue = (spec, node) => {
+    const type = spec.type || "string";
+    if (type === "html") return node.innerHTML ?? node.textContent;
+
+    const raw = spec.attribute
+      ? node.getAttribute?.(spec.attribute) ?? null
+      : node.nodeType === Node.ELEMENT_NODE ? node.innerText : node.textContent;
+    if (type === "boolean") return raw !== null;
+    if (raw === null) return null;
+
+    const text = raw.trim();
+    switch (type) {
+      case "number":
+        return parseNumber(text);
+      case "integer": {
+        const number = parseNumber(text);
+        return number === null ? null : Math.trunc(number);
+      }
+      case "url":
+        try {
+          return new URL(text, document.baseURI).href;
+        } catch (error) {
+          return null;
+        }
+      case "date": {
+        const time = Date.parse(text);
+        return Number.isNaN(time) ? null : new Date(time).toISOString();
+      }
+      default:
+        return text;
+    }
+  };
+
+  const extractNode = (rawSpec, context) => {
+    const spec = normalize(rawSpec);
+    const matches = findAll(spec, context);
+    const build = (node) => (spec.fields
+      ? Object.fromEntries(Object.entries(spec.fields).map(([name, field]) => [name, extractNode(field, node)]))
+      : readValue(spec, node));
+
+    if (spec.list) return matches.map(build);
+    const fallback = spec.default ?? (spec.type === "boolean" ? false : null);
+    return matches.length === 0 ? fallback : build(matches[0]) ?? fallback;
+  };
+
+  try {
+    const root = normalize(schema);
+    // Wait for the root selector, so content rendered after load is not missed
+    if (root.selector || root.xpath) {
+      const deadline = Date.now() + timeout;
+      while (findAll(root, document).length === 0) {
+        if (Date.now() >= deadline) {
+          throw failure("SELECTOR_NOT_FOUND", `No element matches ${root.selector ? `selector ${root.selector}` : `XPath ${root.xpath}`}`);
+        }
+        await new Promise((resolve) => setTimeout(resolve, 100));
+      }
+    }
+
+    const next = nextSelector ? document.querySelector(nextSelector) : null;
+    const hasNext = Boolean(next) && !next.disabled && next.getAttribute("aria-disabled") !== "true";
+    return { ok: true, value: { data: extractNode(root, document), hasNext, url: location.href } };
+  } catch (error) {
+    // querySelectorAll and evaluate throw a SyntaxError DOMException for malformed selectors
+    const code = typeof error.code === "string" ? error.code : error.name === "SyntaxError" ? "INVALID_SELECTOR" : "COMMAND_FAILED";
+    return { ok: false, code, message: error.message };
+  }
+}
+
+// Capture a screenshot of a tab: the visible area, one element (by selector) or the full page
+async function captureScreenshot(tabId, { format = "png", quality, selector, fullPage = false } = {}) {
+  if (!tabId) {
+    throw createTaskError("INVALID_PARAMS", "No tabId provided to screenshot command");
+  }
+
+  // captureVisibleTab only sees the active tab of a window
+  const tab = await chrome.tabs.get(tabId);
+  if (!tab.active) {
+    await chrome.tabs.update(tabId, { active: true });
+    await sleep(CAPTURE_SETTLE_DELAY);
+  }
+
+  const captureOptions = format === "jpeg" ? { format, quality: quality ?? 90 } : { format: "png" };
+  const encodeOptions = { type: `image/${format}`, quality: (quality ?? 90) / 100 };
+
+  if (fullPage) {
+    return captureFullPage(tab, captureOptions, encodeOptions);
+  }
+
+  if (selector) {
+    const rect = await runInPage(tabId, "screenshot", getElementRectInPage, [selector]);
+    const bitmap = await captureVisibleBitmap(tab.windowId, captureOptions);
+    const scale = bitmap.width / rect.viewportWidth;
+    // Crop to the part of the element inside the viewport
+    const left = Math.max(0, Math.round(rect.x * scale));
+    const top = Math.max(0, Math.round(rect.y * scale));
+    const width = Math.min(bitmap.width - left, Math.round(rect.width * scale));
+    const height = Math.min(bitmap.height - top, Math.round(rect.height * scale));
+    const canvas = new OffscreenCanvas(width, height);
+    canvas.getContext("2d").drawImage(bitmap, left, top, width, height, 0, 0, width, height);
+    return encodeCanvas(canvas, encodeOptions);
+  }
+
+  const dataUrl = await chrome.tabs.captureVisibleTab(tab.windowId, captureOptions);
+  const bitmap = await dataUrlToBitmap(dataUrl);
+  return {
+    contentType: encodeOptions.type,
+    data: dataUrl.slice(dataUrl.indexOf(",") + 1),
+    width: bitmap.width,
+    height: bitmap.height,
+  };
+}
+
+// Scroll through the page one viewport at a time and stitch the captures into one image
+async function captureFullPage(tab, captureOptions, encodeOptions) {
+  const metrics = await runInPage(tab.id, "screenshot", scrollPageInPage, [null]);
+  const pageHeight = Math.min(metrics.scrollHeight, MAX_FULL_PAGE_HEIGHT);
+
+  let canvas = null;
+  let scale = 1;
+  try {
+    for (let offset = 0; offset < pageHeight; offset += metrics.viewportHeight) {
+      const { scrollY } = await runInPage(tab.id, "screenshot", scrollPageInPage, [offset]);
+      // Chrome allows only two captureVisibleTab calls per second
+      await sleep(FULL_PAGE_CAPTURE_INTERVAL);
+      const bitmap = await captureVisibleBitmap(tab.windowId, captureOptions);
+
+      if (!canvas) {
+        scale = bitmap.width / metrics.viewportWidth;
+        canvas = new OffscreenCanvas(bitmap.width, Math.round(pageHeight * scale));
+      }
+      // The last viewport may overlap the previous one because the page cannot scroll past its end
+      canvas.getContext("2d").drawImage(bitmap, 0, Math.round(scrollY * scale));
+    }
+  } finally {
+    await runInPage(tab.id, "screenshot", scrollPageInPage, [metrics.scrollY]);
+  }
+
+  return { ...(await encodeCanvas(canvas, encodeOptions)), truncated: metrics.scrollHeight > MAX_FULL_PAGE_HEIGHT };
+}
+
+async function captureVisibleBitmap(windowId, captureOptions) {
+  return dataUrlToBitmap(await chrome.tabs.captureVisibleTab(windowId, captureOptions));
+}
+
+async function dataUrlToBitmap(dataUrl) {
+  const blob = await (await fetch(dataUrl)).blob();
+  return createImageBitmap(blob);
+}
+
+// Encode a canvas as PNG or JPEG and return it as a base64 capture result
+async function encodeCanvas(canvas, encodeOptions) {
+  const blob = await canvas.convertToBlob(encodeOptions);
+  return {
+    contentType: encodeOptions.type,
+    data: arrayBufferToBase64(await blob.arrayBuffer()),
+    width: canvas.width,
+    height: canvas.height,
+  };
+}
+
+function arrayBufferToBase64(buffer) {
+  const bytes = new Uint8Array(buffer);
+  const chunkSize = 0x8000; // Keeps String.fromCharCode below the argument limit
+  let binary = "";
+  for (let i = 0; i < bytes.length; i += chunkSize) {
+    binary += String.fromCharCode(...bytes.subarray(i, i + chunkSize));
+  }
+  return btoa(binary);
+}
+
+function sleep(ms) {
+  return new Promise((resolve) => setTimeout(resolve, ms));
+}
+
+// Injected into the page: scroll an element into view and return its viewport rectangle
+function getElementRectInPage(selector) {
+  try {
+    const element = document.querySelector(selector);
+    if (!element) {
+      return { ok: false, code: "SELECTOR_NOT_FOUND", message: `No element matches selector: ${selector}` };
+    }
+    element.scrollIntoView({ block: "center", inline: "center", behavior: "instant" });
+    const rect = element.getBoundingClientRect();
+    if (rect.width === 0 || rect.height === 0) {
+      return { ok: false, code: "ELEMENT_NOT_VISIBLE", message: `Element is not visible: ${selector}` };
+    }
+    return { ok: true, value: { x: rect.x, y: rect.y, width: rect.width, height: rect.height, viewportWidth: window.innerWidth } };
+  } catch (error) {
+    return { ok: false, code: error.name === "SyntaxError" ? "INVALID_SELECTOR" : "COMMAND_FAILED", message: error.message };
+  }
+}
+
+// Injected into the page: scroll to a vertical offset (null keeps the position) and report the page metrics
+function scrollPageInPage(offset) {
+  if (offset !== null) {
+    window.scrollTo({ top: offset, behavior: "instant" });
+  }
+  return {
+    ok: true,
+    value: {
+      scrollY: window.scrollY,
+      scrollHeight: document.documentElement.scrollHeight,
+      viewportWidth: window.innerWidth,
+      viewportHeight: window.innerHeight,
+    },
+  };
+}
+
+// Print a tab to PDF through the DevTools protocol
+async function printToPdf(tabId, { landscape = false, printBackground = true, scale, paperWidth, paperHeight, pageRanges } = {}) {
+  if (!tabId) {
+    throw createTaskError("INVALID_PARAMS", "No tabId provided to pdf command");
+  }
+
+  const target = { tabId };
+  // Tabs with mock rules or a log capture keep the debugger attached; it is shared rather than attached twice
+  const attached = debuggerUses.has(tabId);
+  if (!attached) {
+    try {
+      await chrome.debugger.attach(target, DEBUGGER_PROTOCOL_VERSION);
+    } catch (error) {
+      throw createTaskError("DEBUGGER_ATTACH_FAILED", `Cannot attach the debugger to tab ${tabId}: ${error.message}`);
+    }
+  }
+
+  try {
+    const printOptions = { landscape, printBackground, transferMode: "ReturnAsBase64" };
+    if (scale !== undefined) printOptions.scale = scale;
+    if (paperWidth !== undefined) printOptions.paperWidth = paperWidth;
+    if (paperHeight !== undefined) printOptions.paperHeight = paperHeight;
+    if (pageRanges !== undefined) printOptions.pageRanges = pageRanges;
+
+    const { data } = await chrome.debugger.sendCommand(target, "Page.printToPDF", printOptions);
+    return { contentType: "application/pdf", data };
+  } catch (error) {
+    throw createTaskError("PDF_FAILED", `Failed to print tab ${tabId} to PDF: ${error.message}`);
+  } finally {
+    if (!attached) await chrome.debugger.detach(target).catch(() => {});
+  }
+}
+
+// The fields of a cookie filter that chrome.cookies.getAll understands
+function pickCookieFilter(params) {
+  const filter = {};
+  ["url", "domain", "name", "path", "storeId"].forEach((field) => {
+    if (params[field] !== undefined) filter[field] = params[field];
+  });
+  return filter;
+}
+
+// The URL a cookie is set or removed through, built from its domain when the caller gave none
+function getCookieUrl({ url, domain, path = "/", secure }) {
+  if (url) return url;
+  return `${secure ? "https" : "http"}://${domain.replace(/^\./, "")}${path}`;
+}
+
+// Turn a caller's cookie, or one exported by export-session, into chrome.cookies.set details
+function toCookieDetails(cookie) {
+  const details = { url: getCookieUrl(cookie), name: cookie.name, value: cookie.value };
+  // Host-only cookies (e.g. __Host- cookies) must be set without a domain
+  if (cookie.domain && !cookie.hostOnly) details.domain = cookie.domain;
+  ["path", "secure", "httpOnly", "sameSite", "storeId"].forEach((field) => {
+    if (cookie[field] !== undefined) details[field] = cookie[field];
+  });
+  if (cookie.expirationDate !== undefined && !cookie.session) details.expirationDate = cookie.expirationDate;
+  return details;
+}
+
+// Set cookies, including httpOnly ones; the task fails if any cookie is rejected
+async function setCookies(cookies) {
+  const stored = [];
+  const failed = [];
+  for (const cookie of cookies) {
+    try {
+      const result = await chrome.cookies.set(toCookieDetails(cookie));
+      if (!result) {
+        throw new Error("The cookie was rejected; check its domain, secure and sameSite attributes.");
+      }
+      stored.push(result);
+    } catch (error) {
+      failed.push({ name: cookie.name, url: getCookieUrl(cookie), error: error.message });
+    }
+  }
+  if (failed.length > 0) {
+    throw createTaskError("COOKIE_FAILED", `Failed to set ${failed.length} of ${cookies.length} cookies.`, {
+      failed,
+      setCount: stored.length,
+    });
+  }
+  return { cookies: stored };
+}
+
+// Delete every cookie matching the url or domain (and name, if given)
+async function deleteCookies(params) {
+  const cookies = await chrome.cookies.getAll(pickCookieFilter(params));
+  for (const cookie of cookies) {
+    await chrome.cookies.remove({ url: getCookieUrl(cookie), name: cookie.name, storeId: cookie.storeId });
+  }
+  return {
+    deletedCount: cookies.length,
+    cookies: cookies.map(({ name, domain, path }) => ({ name, domain, path })),
+  };
+}
+
+// Read the localStorage (default) or sessionStorage of the page open in a tab
+async function getStorage(tabId, { type = "local", keys } = {}) {
+  const { origin, items } = await runInPage(tabId, "get-storage", readStorageInPage, [type, keys ?? null]);
+  return { tabId, origin, type, items };
+}
+
+// Write, remove or clear items of the localStorage (default) or sessionStorage of the page open in a tab
+async function setStorage(tabId, { type = "local", items, remove, clear } = {}) {
+  const { origin, length } = await runInPage(tabId, "set-storage", writeStorageInPage, [null, type, { items, remove, clear }]);
+  return { tabId, origin, type, length };
+}
+
+// Bundle cookies (of params.domains, or all of them) with the Web Storage of params.tabIds (default: the task's tab)
+async function exportSession(tabId, { domains, tabIds } = {}) {
+  const cookieLists = domains
+    ? await Promise.all(domains.map((domain) => chrome.cookies.getAll({ domain })))
+    : [await chrome.cookies.getAll({})];
+  // A cookie can match several of the domains
+  const cookies = new Map();
+  cookieLists.flat().forEach((cookie) => {
+    cookies.set([cookie.storeId, cookie.domain, cookie.path, cookie.name].join("|"), cookie);
+  });
+
+  const origins = new Map();
+  for (const id of tabIds || (tabId ? [tabId] : [])) {
+    const local = await runInPage(id, "export-session", readStorageInPage, ["local", null]);
+    const session = await runInPage(id, "export-session", readStorageInPage, ["session", null]);
+    const entry = origins.get(local.origin) || { origin: local.origin, localStorage: {}, sessionStorage: {} };
+    Object.assign(entry.localStorage, local.items);
+    Object.assign(entry.sessionStorage, session.items);
+    origins.set(local.origin, entry);
+  }
+
+  return {
+    session: {
+      version: 1,
+      exportedAt: new Date().toISOString(),
+      cookies: [...cookies.values()],
+      origins: [...origins.values()],
+    },
+  };
+}
+
+// Restore a bundle from export-session: cookies, then each origin's localStorage through a background tab.
+// sessionStorage belongs to a single tab, so it is only restored into the task's tab when that tab shows the origin.
+async function importSession(tabId, { session }) {
+  const { cookies = [], origins = [] } = session;
+  if (cookies.length > 0) {
+    await setCookies(cookies);
+  }
+
+  let tabOrigin = null;
+  if (tabId) {
+    const tab = await chrome.tabs.get(tabId);
+    tabOrigin = /^https?:/.test(tab.url || "") ? new URL(tab.url).origin : null;
+  }
+
+  const imported = [];
+  for (const { origin, localStorage = {}, sessionStorage = {} } of origins) {
+    const entry = { origin, localStorage: Object.keys(localStorage).length, sessionStorage: 0 };
+    if (origin === tabOrigin) {
+      await runInPage(tabId, "import-session", writeStorageInPage, [origin, "local", { items: localStorage }]);
+      await runInPage(tabId, "import-session", writeStorageInPage, [origin, "session", { items: sessionStorage }]);
+      entry.sessionStorage = Object.keys(sessionStorage).length;
+    } else if (entry.localStorage > 0) {
+      await writeStorageInBackgroundTab(origin, localStorage);
+    }
+    entry.sessionStorageSkipped = Object.keys(sessionStorage).length - entry.sessionStorage;
+    imported.push(entry);
+  }
+  return { cookies: cookies.length, origins: imported };
+}
+
+// Open an origin in an inactive tab just long enough to write its localStorage
+async function writeStorageInBackgroundTab(origin, items) {
+  const tab = await chrome.tabs.create({ url: origin, active: false });
+  try {
+    if (!tabNavigations.has(tab.id)) {
+      tabNavigations.set(tab.id, createNavigationRecord(true));
+    }
+    await waitForNavigation(tab.id, origin, { waitUntil: "domcontentloaded" });
+    await runInPage(tab.id, "import-session", writeStorageInPage, [origin, "local", { items }]);
+  } finally {
+    await chrome.tabs.remove(tab.id).catch(() => {});
+  }
+}
+
+// Injected into the page: read localStorage or sessionStorage, only the given keys if any
+function readStorageInPage(type, keys) {
+  try {
+    const storage = type === "session" ? window.sessionStorage : window.localStorage;
+    const names = keys || Array.from({ length: storage.length }, (_, index) => storage.key(index));
+    const items = {};
+    names.forEach((name) => {
+      const value = storage.getItem(name);
+      if (value !== null) items[name] = value;
+    });
+    return { ok: true, value: { origin: location.origin, items } };
+  } catch (error) {
+    // Pages with an opaque origin (about:blank, data: URLs, sandboxed pages) have no storage
+    return { ok: false, code: "STORAGE_UNAVAILABLE", message: error.message };
+  }
+}
+
+// Injected into the page: clear, remove and then set items, refusing to write if the page left the expected origin
+function writeStorageInPage(expectedOrigin, type, { items = {}, remove = [], clear = false }) {
+  if (expectedOrigin && location.origin !== expectedOrigin) {
+    return { ok: false, code: "ORIGIN_MISMATCH", message: `The page is on ${location.origin}, not ${expectedOrigin}.` };
+  }
+  try {
+    const storage = type === "session" ? window.sessionStorage : window.localStorage;
+    if (clear) storage.clear();
+    remove.forEach((name) => storage.removeItem(name));
+    Object.entries(items).forEach(([name, value]) => storage.setItem(name, value));
+    return { ok: true, value: { origin: location.origin, length: storage.length } };
+  } catch (error) {
+    const code = error.name === "QuotaExceededError" ? "STORAGE_QUOTA_EXCEEDED" : "STORAGE_UNAVAILABLE";
+    return { ok: false, code, message: error.message };
+  }
+}
+
+// Start recording the requests of a tab; a capture already running in the tab starts over
+async function startNetworkCapture(tabId, { urlPattern, maxEntries = DEFAULT_CAPTURE_ENTRIES } = {}) {
+  try {
+    await chrome.tabs.get(tabId);
+  } catch (error) {
+    throw createTaskError("CAPTURE_FAILED", `Cannot capture the requests of tab ${tabId}: ${error.message}`);
+  }
+  const startedAt = new Date().toISOString();
+  networkCaptures.set(tabId, {
+    startedAt,
+    urlFilter: urlPattern ? patternToRegExp(urlPattern) : null,
+    maxEntries,
+    entries: [],
+    pending: new Map(), // requestId -> request still waiting for its response
+    truncated: false,
+  });
+  return { tabId, startedAt };
+}
+
+// Return the requests recorded in a tab as HAR; requests still in flight are left out
+function getNetworkCapture(tabId, stop) {
+  const capture = networkCaptures.get(tabId);
+  if (!capture) {
+    throw createTaskError("CAPTURE_NOT_STARTED", `No network capture is running in tab ${tabId}`);
+  }
+  if (stop) networkCaptures.delete(tabId);
+  return {
+    tabId,
+    startedAt: capture.startedAt,
+    entryCount: capture.entries.length,
+    pendingCount: capture.pending.size,
+    truncated: capture.truncated,
+    har: {
+      log: {
+        version: "1.2",
+        creator: { name: "Browser Automation Extension", version: chrome.runtime.getManifest().version },
+        pages: [],
+        entries: capture.entries,
+      },
+    },
+  };
+}
+
+// webRequest headers as HAR name/value pairs; binary values are left empty
+function toHarHeaders(headers = []) {
+  return headers.map(({ name, value }) => ({ name, value: value || "" }));
+}
+
+function findHeader(headers, name) {
+  const header = headers.find((candidate) => candidate.name.toLowerCase() === name);
+  return header ? header.value : undefined;
+}
+
+// The body of a recorded request in HAR postData form
+function toHarPostData(requestBody) {
+  if (requestBody.formData) {
+    const params = Object.entries(requestBody.formData).flatMap(([name, values]) => values.map((value) => ({ name, value })));
+    const text = new URLSearchParams(params.map(({ name, value }) => [name, value])).toString();
+    return { mimeType: "application/x-www-form-urlencoded", params, text };
+  }
+  const decoder = new TextDecoder();
+  const text = (requestBody.raw || []).map((part) => (part.bytes ? decoder.decode(part.bytes) : "")).join("");
+  return { mimeType: "", text };
+}
+
+// Build the HAR entry of a request that got its response (or failed); bodies are not available through webRequest
+function toHarEntry(request, details, { error, redirectURL = "" } = {}) {
+  const endedAt = details.timeStamp;
+  const sentAt = request.sentAt || request.startedAt;
+  const respondedAt = request.respondedAt || endedAt;
+  const [httpVersion = "", , ...reason] = (details.statusLine || "").split(" ");
+  const responseHeaders = toHarHeaders(details.responseHeaders);
+  const contentLength = Number(findHeader(responseHeaders, "content-length") ?? -1);
+
+  const harRequest = {
+    method: request.method,
+    url: request.url,
+    httpVersion,
+    cookies: [],
+    headers: request.headers,
+    queryString: [...new URL(request.url).searchParams].map(([name, value]) => ({ name, value })),
+    headersSize: -1,
+    bodySize: request.postData ? request.postData.text.length : 0,
+  };
+  if (request.postData) {
+    harRequest.postData = { ...request.postData, mimeType: request.postData.mimeType || findHeader(request.headers, "content-type") || "" };
+  }
+
+  const entry = {
+    startedDateTime: new Date(request.startedAt).toISOString(),
+    time: Math.max(0, endedAt - request.startedAt),
+    request: harRequest,
+    response: {
+      status: details.statusCode || 0,
+      statusText: reason.join(" "),
+      httpVersion,
+      cookies: [],
+      headers: responseHeaders,
+      content: { size: Math.max(0, contentLength), mimeType: findHeader(responseHeaders, "content-type") || "" },
+      redirectURL,
+      headersSize: -1,
+      bodySize: contentLength >= 0 ? contentLength : -1,
+    },
+    cache: {},
+    timings: {
+      blocked: Math.max(0, sentAt - request.startedAt),
+      dns: -1,
+      connect: -1,
+      send: 0,
+      wait: Math.max(0, respondedAt - sentAt),
+      receive: Math.max(0, endedAt - respondedAt),
+    },
+    _resourceType: request.type,
+    _fromCache: details.fromCache === true,
+  };
+  if (details.ip) entry.serverIPAddress = details.ip;
+  if (error) entry._error = error;
+  return entry;
+}
+
+// Move a request of a running capture from pending to its HAR entries
+function finishCapturedRequest(details, outcome) {
+  const capture = networkCaptures.get(details.tabId);
+  const request = capture && capture.pending.get(details.requestId);
+  if (!request) return;
+  capture.pending.delete(details.requestId);
+  capture.entries.push(toHarEntry(request, details, outcome));
+}
+
+// Apply the network rules pushed by the API, replacing the previous ones
+async function setNetworkRules(rules = []) {
+  const sessionRules = rules.filter((rule) => rule.action !== "mock");
+  try {
+    const existingRules = await chrome.declarativeNetRequest.getSessionRules();
+    await chrome.declarativeNetRequest.updateSessionRules({
+      removeRuleIds: existingRules.map((rule) => rule.id),
+      addRules: sessionRules.map(toDeclarativeRule),
+    });
+  } catch (error) {
+    throw createTaskError("NETWORK_RULES_FAILED", `Failed to apply the network rules: ${error.message}`);
+  }
+  mockRules = toMockRules(rules);
+  // Mock rules only live in the service worker; keep them to re-attach after it is restarted
+  await chrome.storage.session.set({ [NETWORK_RULES_KEY]: rules });
+  const unmockedTabs = await updateMockedTabs();
+  return { ruleCount: rules.length, sessionRuleCount: sessionRules.length, mockRuleCount: mockRules.length, unmockedTabs };
+}
+
+// Convert a block or modify-headers rule into a declarativeNetRequest rule; both share the API's rule ID
+function toDeclarativeRule(rule) {
+  const pattern = patternToRegExp(rule.urlPattern);
+  const condition = { regexFilter: pattern.source, isUrlFilterCaseSensitive: !pattern.flags.includes("i") };
+  if (rule.tabIds) condition.tabIds = rule.tabIds;
+  if (rule.resourceTypes) condition.resourceTypes = rule.resourceTypes;
+
+  const action = { type: rule.action === "block" ? "block" : "modifyHeaders" };
+  if (rule.requestHeaders) action.requestHeaders = rule.requestHeaders;
+  if (rule.responseHeaders) action.responseHeaders = rule.responseHeaders;
+  return { id: rule.id, priority: rule.priority || 1, condition, action };
+}
+
+// The mock rules with their compiled URL pattern, highest priority first
+function toMockRules(rules) {
+  return rules
+    .filter((rule) => rule.action === "mock")
+    .map((rule) => ({ ...rule, urlFilter: patternToRegExp(rule.urlPattern) }))
+    .sort((a, b) => (b.priority || 1) - (a.priority || 1));
+}
+
+// Attach the debugger to the tabs of the mock rules and detach it from tabs that no longer have any.
+// Returns the tabs that could not be attached (closed, or another debugger such as DevTools is attached).
+async function updateMockedTabs() {
+  const tabIds = new Set(mockRules.flatMap((rule) => rule.tabIds));
+  for (const tabId of [...debuggerUses.keys()]) {
+    if (!tabIds.has(tabId)) await releaseDebugger(tabId, "mock", [["Fetch.disable"]]);
+  }
+
+  const unmockedTabs = [];
+  for (const tabId of tabIds) {
+    if (isDebuggerUsedFor(tabId, "mock")) continue;
+    try {
+      await attachDebugger(tabId, "mock", [["Fetch.enable", { patterns: [{ urlPattern: "*", requestStage: "Request" }] }]]);
+    } catch (error) {
+      unmockedTabs.push({ tabId, error: error.message });
+    }
+  }
+  return unmockedTabs;
+}
+
+// Answer a request paused by the Fetch domain with the first matching mock rule, or let it through
+async function answerPausedRequest(tabId, { requestId, request }) {
+  const target = { tabId };
+  const rule = mockRules.find((candidate) => candidate.tabIds.includes(tabId) && candidate.urlFilter.test(request.url));
+  try {
+    if (!rule) {
+      await chrome.debugger.sendCommand(target, "Fetch.continueRequest", { requestId });
+      return;
+    }
+    const { status = 200, headers = {}, body = "" } = rule.response;
+    await chrome.debugger.sendCommand(target, "Fetch.fulfillRequest", {
+      requestId,
+      responseCode: status,
+      responseHeaders: Object.entries(headers).map(([name, value]) => ({ name, value })),
+      body: arrayBufferToBase64(new TextEncoder().encode(body)),
+    });
+  } catch (error) {
+    console.error(`Failed to answer request ${request.url} in tab ${tabId}:`, error.message);
+  }
+}
+
+// Re-apply the mock rules after a service-worker restart; session rules survive it on their own
+async function restoreNetworkRules() {
+  try {
+    const { [NETWORK_RULES_KEY]: rules = [] } = await chrome.storage.session.get(NETWORK_RULES_KEY);
+    mockRules = toMockRules(rules);
+    await updateMockedTabs();
+  } catch (error) {
+    console.error("Failed to restore network rules:", error);
+  }
+}
+
+// Subscribe to the console messages, uncaught exceptions and failed resource loads of a tab.
+// Runtime.enable replays the console messages the page logged before, so they are reported too.
+async function startLogCapture(tabId, { types = LOG_TYPES } = {}) {
+  if (logCaptures.has(tabId)) {
+    logCaptures.set(tabId, new Set(types));
+    return { tabId, types };
+  }
+  // Set first: the replayed messages arrive before Runtime.enable returns
+  logCaptures.set(tabId, new Set(types));
+  try {
+    await attachDebugger(tabId, "logs", [["Runtime.enable"], ["Log.enable"]]);
+  } catch (error) {
+    logCaptures.delete(tabId);
+    throw createTaskError("DEBUGGER_ATTACH_FAILED", `Cannot attach the debugger to tab ${tabId}: ${error.message}`);
+  }
+  return { tabId, types };
+}
+
+async function stopLogCapture(tabId) {
+  if (!logCaptures.delete(tabId)) {
+    throw createTaskError("CAPTURE_NOT_STARTED", `No log capture is running in tab ${tabId}`);
+  }
+  await releaseDebugger(tabId, "logs", [["Runtime.disable"], ["Log.disable"]]);
+  return { tabId };
+}
+
+// Run an attach or release of the debugger in a tab once the previous one has settled
+function withDebuggerLock(tabId, operation) {
+  const result = (debuggerLocks.get(tabId) || Promise.resolve()).then(operation);
+  const settled = result.catch(() => {});
+  debuggerLocks.set(tabId, settled);
+  settled.then(() => {
+    if (debuggerLocks.get(tabId) === settled) debuggerLocks.delete(tabId);
+  });
+  return result;
+}
+
+// Attach the debugger to a tab for one use ("mock", "logs" or an execute-js script) and enable the domains
+// that use needs. The debugger stays attached while the tab has any use. Attaching fails harmlessly if the
+// debugger is still attached from before a service-worker restart; the enable commands (or a probe, for a use
+// without any) tell whether it really is, and otherwise the attach error is thrown (e.g. DevTools is open).
+function attachDebugger(tabId, use, commands) {
+  return withDebuggerLock(tabId, async () => {
+    const target = { tabId };
+    let attachError = null;
+    if (!debuggerUses.has(tabId)) {
+      await chrome.debugger.attach(target, DEBUGGER_PROTOCOL_VERSION).catch((error) => {
+        attachError = error;
+      });
+    }
+    try {
+      for (const [method, params] of commands.length > 0 ? commands : [["Page.getFrameTree"]]) {
+        await chrome.debugger.sendCommand(target, method, params);
+      }
+    } catch (error) {
+      throw attachError || error;
+    }
+    if (!debuggerUses.has(tabId)) debuggerUses.set(tabId, new Set());
+    debuggerUses.get(tabId).add(use);
+  });
+}
+
+// End one use of the debugger in a tab: disable its domains, or detach once no use remains
+function releaseDebugger(tabId, use, commands) {
+  return withDebuggerLock(tabId, async () => {
+    const uses = debuggerUses.get(tabId);
+    if (!uses || !uses.delete(use)) return;
+    const target = { tabId };
+    if (uses.size > 0) {
+      for (const [method, params] of commands) {
+        await chrome.debugger.sendCommand(target, method, params).catch(() => {});
+      }
+      return;
+    }
+    debuggerUses.delete(tabId);
+    await chrome.debugger.detach(target).catch(() => {});
+  });
+}
+
+function isDebuggerUsedFor(tabId, use) {
+  const uses = debuggerUses.get(tabId);
+  return Boolean(uses) && uses.has(use);
+}
+
+// Text of a console argument or exception, as DevTools would show it on one line
+function describeRemoteObject(object) {
+  if (object.type === "string") return object.value;
+  if (object.unserializableValue !== undefined) return object.unserializableValue;
+  if (object.type === "undefined") return "undefined";
+  if (object.value !== undefined) return String(object.value);
+  if (object.subtype === "error" || !object.preview) return object.description || object.type;
+
+  const { preview } = object;
+  const isArray = preview.subtype === "array";
+  const properties = preview.properties.map((property) => (isArray ? property.value : `${property.name}: ${property.value}`));
+  if (preview.overflow) properties.push("…");
+  return isArray ? `[${properties.join(", ")}]` : `{${properties.join(", ")}}`;
+}
+
+function formatStackTrace(stackTrace) {
+  if (!stackTrace || stackTrace.callFrames.length === 0) return undefined;
+  return stackTrace.callFrames
+    .map((frame) => `    at ${frame.functionName || "(anonymous)"} (${frame.url}:${frame.lineNumber + 1}:${frame.columnNumber + 1})`)
+    .join("\n");
+}
+
+// Convert a Runtime or Log event into a log entry, or null for events that are not logged.
+// DevTools line and column numbers are 0-based; entries use 1-based ones like stack traces.
+function toLogEntry(tabId, method, params) {
+  switch (method) {
+    case "Runtime.consoleAPICalled": {
+      const frame = params.stackTrace && params.stackTrace.callFrames[0];
+      const entry = {
+        tabId,
+        type: "console",
+        level: CONSOLE_LOG_LEVELS[params.type] || "log",
+        text: params.args.map(describeRemoteObject).join(" ").slice(0, MAX_LOG_TEXT_LENGTH),
+        timestamp: new Date(params.timestamp).toISOString(),
+      };
+      if (frame) Object.assign(entry, { url: frame.url, lineNumber: frame.lineNumber + 1, columnNumber: frame.columnNumber + 1 });
+      if (entry.level === "error" || params.type === "trace") entry.stackTrace = formatStackTrace(params.stackTrace);
+      return entry;
+    }
+    case "Runtime.exceptionThrown": {
+      const { text, exception, url, lineNumber, columnNumber, stackTrace } = params.exceptionDetails;
+      // An error's description is its stack: the message line, then the frames
+      const [message, ...frames] = (exception ? describeRemoteObject(exception) : "").split("\n");
+      return {
+        tabId,
+        type: "exception",
+        level: "error",
+        text: `${text}${message ? ` ${message}` : ""}`.slice(0, MAX_LOG_TEXT_LENGTH),
+        url,
+        lineNumber: lineNumber + 1,
+        columnNumber: columnNumber + 1,
+        stackTrace: frames.length > 0 ? frames.join("\n") : formatStackTrace(stackTrace),
+        timestamp: new Date(params.timestamp).toISOString(),
+      };
+    }
+    case "Log.entryAdded": {
+      const { entry } = params;
+      if (entry.source !== "network") return null;
+      return {
+        tabId,
+        type: "network",
+        level: BROWSER_LOG_LEVELS[entry.level] || "log",
+        text: entry.text.slice(0, MAX_LOG_TEXT_LENGTH),
+        url: entry.url,
+        timestamp: new Date(entry.timestamp).toISOString(),
+      };
+    }
+    default:
+      return null;
+  }
+}
+
+// Let the API know a task started running (best effort; the final report is what counts)
+async function reportStarted(taskId) {
+  if (sendMessage({ type: "started", taskId })) return;
+  try {
+    await fetch(`${API_BASE_URL}/report-result/started`, {
+      method: "POST",
+      headers: getRequestHeaders(),
+      body: JSON.stringify({ taskId, clientId: await getClientId() }),
+    });
+  } catch (error) {
+    console.error(`Error reporting start of task ${taskId}:`, error);
+  }
+}
+
+// Report success to the API; delivery is retried until the API acknowledges it
+function reportResult(taskId, data) {
+  queueReport({ type: "result", taskId, data });
+}
+
+// Report error to the API, with its code and details if it has them; delivery is retried until the API acknowledges it
+function reportError(taskId, errorMessage, code, details) {
+  queueReport({ type: "error", taskId, error: errorMessage, code, details });
+}
+
+// Add a task report to the outbox and attempt delivery
+function queueReport(report) {
+  const existing = pendingReports.get(report.taskId);
+  if (existing && existing.timer) clearTimeout(existing.timer);
+  pendingReports.delete(report.taskId);
+
+  const size = JSON.stringify(report).length;
+  // A report larger than the whole outbox (e.g. a full-page capture) is only kept in memory
+  const persisted = size <= REPORT_OUTBOX_MAX_BYTES;
+  if (persisted) {
+    makeRoomInOutbox(size);
+  } else {
+    console.warn(`The ${report.type} for task ${report.taskId} is too large to survive a service-worker restart.`);
+  }
+  pendingReports.set(report.taskId, { report, size, persisted, attempts: 0, timer: null });
+  persistPendingReports();
+  deliverReport(report.taskId);
+}
+
+// Drop the oldest unacknowledged reports until a report of this size fits in the persisted outbox
+function makeRoomInOutbox(size) {
+  let total = 0;
+  pendingReports.forEach((entry) => {
+    if (entry.persisted) total += entry.size;
+  });
+  for (const [taskId, entry] of pendingReports) {
+    if (total + size <= REPORT_OUTBOX_MAX_BYTES) break;
+    if (!entry.persisted) continue;
+    if (entry.timer) clearTimeout(entry.timer);
+    pendingReports.delete(taskId);
+    total -= entry.size;
+    console.error(`Report outbox is full; dropped the unacknowledged ${entry.report.type} for task ${taskId}.`);
+  }
+}
+
+// Send a queued report over the WebSocket (acknowledged with an "ack" message) or via HTTP
+async function deliverReport(taskId) {
+  const entry = pendingReports.get(taskId);
+  if (!entry) return;
+
+  entry.timer = null;
+  entry.attempts++;
+  // Only the backoff is capped: the report stays in the outbox until the API acknowledges or rejects it
+  const retryDelay = Math.min(REPORT_ACK_TIMEOUT * 2 ** (entry.attempts - 1), REPORT_MAX_DELAY);
+
+  if (sendMessage(entry.report)) {
+    console.log(`Sent ${entry.report.type} for task ${taskId} over WebSocket (attempt ${entry.attempts})`);
+    // Resend if the API does not acknowledge in time
+    entry.timer = setTimeout(() => deliverReport(taskId), retryDelay);
+    return;
+  }
+
+  try {
+    if (await postReport(entry.report)) {
+      console.log(`Reported ${entry.report.type} for task ${taskId}`);
+      acknowledgeReport(taskId);
+      return;
+    }
+  } catch (error) {
+    console.error(`Error reporting ${entry.report.type} for task ${taskId}:`, error);
+  }
+
+  // The entry may have been acknowledged over the socket while the request was in flight
+  if (pendingReports.get(taskId) === entry) {
+    entry.timer = setTimeout(() => deliverReport(taskId), retryDelay);
+  }
+}
+
+// POST a report to the API; a successful response counts as the acknowledgment
+async function postReport(report) {
+  const isResult = report.type === "result";
+  const clientId = await getClientId();
+  const response = await fetch(`${API_BASE_URL}${isResult ? "/report-result" : "/report-result/error"}`, {
+    method: "POST",
+    headers: getRequestHeaders(),
+    body: JSON.stringify(isResult
+      ? { taskId: report.taskId, data: report.data, clientId }
+      : { taskId: report.taskId, error: report.error, code: report.code, details: report.details, clientId }),
+  });
+
+  // The API does not know the task (e.g. its records were cleared) or dispatched it to another client;
+  // resending would not change that
+  if (response.status === 404 || response.status === 403) {
+    const { code } = await response.json().catch(() => ({}));
+    if (code === "UNKNOWN_TASK" || code === "TASK_NOT_OWNED") {
+      console.warn(`API rejected the ${report.type} for task ${report.taskId}: ${code}`);
+      return true;
+    }
+  }
+  // A malformed or oversized report is refused however often it is sent
+  if (response.status === 400 || response.status === 413) {
+    console.error(`API rejected the ${report.type} for task ${report.taskId}:`, response.statusText);
+    return true;
+  }
+  if (!response.ok) {
+    console.error(`Failed to report ${report.type} for task ${report.taskId}:`, response.statusText);
+  }
+  return response.ok;
+}
+
+// Drop a report from the outbox once the API has acknowledged it
+function acknowledgeReport(taskId) {
+  const entry = pendingReports.get(taskId);
+  if (!entry) return;
+  if (entry.timer) clearTimeout(entry.timer);
+  pendingReports.delete(taskId);
+  persistPendingReports();
+  console.log(`Report for task ${taskId} acknowledged.`);
+}
+
+// Immediately retry every unacknowledged report (e.g. after reconnecting)
+function retryPendingReports() {
+  pendingReports.forEach((entry, taskId) => {
+    if (entry.timer) clearTimeout(entry.timer);
+    deliverReport(taskId);
+  });
+}
+
+function persistPendingReports() {
+  const reports = [...pendingReports.values()].filter((entry) => entry.persisted).map((entry) => entry.report);
+  chrome.storage.session.set({ [REPORT_OUTBOX_KEY]: reports }).catch((error) => {
+    console.error("Failed to persist pending reports:", error);
+  });
+}
+
+// Reload reports that were still unacknowledged when the service worker was suspended
+async function restorePendingReports() {
+  try {
+    const { [REPORT_OUTBOX_KEY]: reports = [] } = await chrome.storage.session.get(REPORT_OUTBOX_KEY);
+    reports
+      .filter((report) => !pendingReports.has(report.taskId))
+      .forEach((report) => queueReport(report));
+    if (reports.length > 0) {
+      console.log(`Restored ${reports.length} unacknowledged task reports.`);
+    }
+  } catch (error) {
+    console.error("Failed to restore pending reports:", error);
+  }
+}
+
+// Buffer a browser event (e.g. "tab-created" with { tab }) and schedule a batched flush
+function queueTabEvent(type, data) {
+  const eventId = `${type}-${Date.now()}-${++tabEventCounter}`;
+  tabEventBuffer.push({ eventId, type, timestamp: new Date().toISOString(), data });
+  if (tabEventBuffer.length > MAX_BUFFERED_TAB_EVENTS) tabEventBuffer.shift();
+  if (!tabEventFlushTimer) {
+    tabEventFlushTimer = setTimeout(flushTabEvents, TAB_EVENT_FLUSH_DELAY);
+  }
+}
+
+// Send all buffered tab events in one message, in the order they happened
+async function flushTabEvents() {
+  tabEventFlushTimer = null;
+  if (tabEventBuffer.length === 0) return;
+
+  const events = tabEventBuffer;
+  tabEventBuffer = [];
+
+  const sessionId = await getSessionId();
+  if (sendMessage({ type: "browser-events", version: BROWSER_EVENT_VERSION, sessionId, events })) {
+    console.log(`Sent ${events.length} tab events over WebSocket`);
+    return;
+  }
+
+  try {
+    const response = await fetch(`${API_BASE_URL}/v1/browser-events`, {
+      method: "POST",
+      headers: getRequestHeaders(),
+      body: JSON.stringify({ version: BROWSER_EVENT_VERSION, sessionId, events, clientId: await getClientId() }),
+    });
+    if (response.ok) {
+      const { rejected = [] } = await response.json();
+      if (rejected.length > 0) console.warn("API rejected tab events:", rejected);
+      console.log(`Reported ${events.length} tab events`);
+      return;
+    }
+    console.error("Failed to report tab events:", response.statusText);
+  } catch (error) {
+    console.error("Error reporting tab events:", error);
+  }
+
+  // Keep the failed batch ahead of newer events and try again later
+  tabEventBuffer = events.concat(tabEventBuffer);
+  if (tabEventBuffer.length > MAX_BUFFERED_TAB_EVENTS) {
+    console.warn(`Dropped ${tabEventBuffer.length - MAX_BUFFERED_TAB_EVENTS} unsent tab events; the next sync repairs them.`);
+    tabEventBuffer = tabEventBuffer.slice(-MAX_BUFFERED_TAB_EVENTS);
+  }
+  if (!tabEventFlushTimer) {
+    tabEventFlushTimer = setTimeout(flushTabEvents, REPORT_ACK_TIMEOUT);
+  }
+}
+
+// Buffer a log entry of a subscribed tab and schedule a batched flush
+function queueLogEntry(entry) {
+  logBuffer.push(entry);
+  if (logBuffer.length > MAX_BUFFERED_LOG_ENTRIES) logBuffer.shift();
+  if (!logFlushTimer) {
+    logFlushTimer = setTimeout(flushTabLogs, LOG_FLUSH_DELAY);
+  }
+}
+
+// Send all buffered log entries in one message; also called before reporting a task error,
+// so the entries reach the API ahead of the error they may explain
+async function flushTabLogs() {
+  clearTimeout(logFlushTimer);
+  logFlushTimer = null;
+  if (logBuffer.length === 0) return;
+
+  const entries = logBuffer;
+  logBuffer = [];
+
+  if (sendMessage({ type: "tab-logs", entries })) return;
+
+  try {
+    const response = await fetch(`${API_BASE_URL}/report-tab-logs`, {
+      method: "POST",
+      headers: getRequestHeaders(),
+      body: JSON.stringify({ entries, clientId: await getClientId() }),
+    });
+    if (response.ok) return;
+    console.error("Failed to report log entries:", response.statusText);
+  } catch (error) {
+    console.error("Error reporting log entries:", error);
+  }
+
+  // Keep the failed batch ahead of newer entries and try again later
+  logBuffer = entries.concat(logBuffer).slice(-MAX_BUFFERED_LOG_ENTRIES);
+  if (!logFlushTimer) {
+    logFlushTimer = setTimeout(flushTabLogs, REPORT_ACK_TIMEOUT);
+  }
+}
+
+/**
+ * Sync all currently opened browser tabs with the Node.js API.
+ * This function sends all open tabs, windows and groups to the server, which reconciles openedTabs.json with them
+ * and reports the drift it found. Runs on every connection and every SYNC_INTERVAL_MINUTES.
+ */
+async function syncOpenedTabs() {
+  try {
+    console.log("Syncing opened tabs with the server...");
+    // Events buffered before the snapshot must reach the API first, or they would undo it
+    await flushTabEvents();
+
+    // Events queued from now on may be newer than the snapshot; the API keeps what they changed
+    const snapshotAt = new Date().toISOString();
+
+    // Query all currently open tabs
+    const tabsToSync = (await chrome.tabs.query({})).map(describeTab);
+    const windowsToSync = (await chrome.windows.getAll()).map(describeWindow);
+    const groupsToSync = (await chrome.tabGroups.query({})).map(describeGroup);
+
+    // Send the full state to the server, which applies only what it tracked differently
+    const response = await fetch(`${API_BASE_URL}/sync-tabs`, {
+      method: "POST",
+      headers: getRequestHeaders(),
+      body: JSON.stringify({
+        tabs: tabsToSync,
+        windows: windowsToSync,
+        groups: groupsToSync,
+        snapshotAt,
+        sessionId: await getSessionId(),
+        clientId: await getClientId(),
+      }),
+    });
+
+    if (!response.ok) {
+      console.error("Failed to sync opened tabs:", response.statusText);
+      return;
+    }
+
+    const result = await response.json();
+    if (!result.success) {
+      console.error("Sync opened tabs failed:", result.error);
+    } else if (result.drift && !result.drift.inSync) {
+      console.warn(`Synced ${tabsToSync.length} tabs with the server; it had drifted:`, result.drift);
+    } else {
+      console.log(`Successfully synced ${tabsToSync.length} tabs with the server.`);
+    }
+  } catch (error) {
+    console.error("Error syncing opened tabs:", error);
+  }
+}
+
+// The tab state the API tracks in openedTabs
+function describeTab(tab) {
+  return {
+    tabId: tab.id,
+    windowId: tab.windowId,
+    url: tab.url || tab.pendingUrl || "",
+    title: tab.title,
+    status: tab.status,
+    active: tab.active,
+    pinned: tab.pinned,
+    audible: tab.audible,
+    muted: tab.mutedInfo ? tab.mutedInfo.muted : false,
+    favIconUrl: tab.favIconUrl || null,
+    index: tab.index,
+    incognito: tab.incognito,
+    discarded: tab.discarded,
+    groupId: tab.groupId,
+  };
+}
+
+// Report the current state of a tab, e.g. after it was attached to another window
+async function reportTabState(tabId) {
+  try {
+    queueTabEvent("tab-updated", { tab: describeTab(await chrome.tabs.get(tabId)) });
+  } catch (error) {
+    console.error(`Error fetching tab ${tabId}:`, error.message);
+  }
+}
+
+// Report the tab order of a window; moving, inserting or removing a tab shifts the index of its neighbours.
+// movedTabId names the tab that was moved within the window, if that caused the new order
+async function reportTabOrder(windowId, movedTabId) {
+  try {
+    const tabs = await chrome.tabs.query({ windowId });
+    const tabIds = tabs.sort((a, b) => a.index - b.index).map((tab) => tab.id);
+    queueTabEvent("tab-order", { windowId, tabIds, movedTabId });
+  } catch (error) {
+    console.error(`Error fetching the tabs of window ${windowId}:`, error.message);
+  }
+}
+
+// chrome.tabs.onUpdated changes that affect the tracked tab state
+const TRACKED_TAB_CHANGES = ["url", "title", "status", "pinned", "audible", "mutedInfo", "favIconUrl", "discarded", "groupId"];
+
+/**
+ * Listen to tab creation and removal events to sync in real-time.
+ */
+chrome.tabs.onCreated.addListener((tab) => {
+  console.log(`Tab created: ID=${tab.id}, WindowID=${tab.windowId}, URL=${tab.url}`);
+  // Report the new tab to the server
+  queueTabEvent("tab-created", { tab: describeTab(tab) });
+  reportTabOrder(tab.windowId);
+});
+
+chrome.tabs.onRemoved.addListener((tabId, removeInfo) => {
+  console.log(`Tab closed: ID=${tabId}`);
+  tabNavigations.delete(tabId);
+  // Report the closed tab to the server
+  queueTabEvent("tab-closed", { tabId, windowId: removeInfo.windowId, isWindowClosing: removeInfo.isWindowClosing });
+  if (!removeInfo.isWindowClosing) {
+    reportTabOrder(removeInfo.windowId);
+  }
+});
+
+/**
+ * Listen to tab updates (URL, title, loading status, pinning, audio, favicon, group) to sync in real-time.
  */
 chrome.tabs.onUpdated.addListener((tabId, changeInfo, tab) => {
+  if (!TRACKED_TAB_CHANGES.some((field) => field in changeInfo)) return;
   if (changeInfo.url) {
     console.log(`Tab updated: ID=${tabId}, New URL=${changeInfo.url}`);
-    // Report the updated tab to the server
-    const autoTaskId = `auto-update-${tabId}-${Date.now()}`;
-    debouncedReportResult(autoTaskId, { tabId: tabId, windowId: tab.windowId, url: changeInfo.url });
   }
+  // Report the updated tab to the server
+  queueTabEvent("tab-updated", { tab: describeTab(tab) });
+});
+
+chrome.tabs.onActivated.addListener(({ tabId, windowId }) => {
+  queueTabEvent("tab-activated", { tabId, windowId });
 });
 
 /**
- * Listen to tab movement (e.g., moving a tab to a different window) to sync in real-time.
+ * Listen to tab movement within a window and between windows to sync in real-time.
  */
 chrome.tabs.onMoved.addListener((tabId, moveInfo) => {
   console.log(`Tab moved: ID=${tabId}, From Index=${moveInfo.fromIndex}, To Index=${moveInfo.toIndex}, WindowID=${moveInfo.windowId}`);
-  // Fetch the updated tab details
-  chrome.tabs.get(tabId, (tab) => {
-    if (chrome.runtime.lastError) {
-      console.error(`Error fetching tab ${tabId}:`, chrome.runtime.lastError.message);
-      return;
+  reportTabOrder(moveInfo.windowId, tabId);
+});
+
+chrome.tabs.onDetached.addListener((tabId, detachInfo) => {
+  reportTabOrder(detachInfo.oldWindowId);
+});
+
+chrome.tabs.onAttached.addListener((tabId, attachInfo) => {
+  console.log(`Tab attached: ID=${tabId}, WindowID=${attachInfo.newWindowId}`);
+  reportTabState(tabId);
+  reportTabOrder(attachInfo.newWindowId);
+});
+
+// Chrome swaps a tab for another one when it activates a prerendered page
+chrome.tabs.onReplaced.addListener(async (addedTabId, removedTabId) => {
+  tabNavigations.delete(removedTabId);
+  try {
+    const tab = await chrome.tabs.get(addedTabId);
+    queueTabEvent("tab-replaced", { replacedTabId: removedTabId, tab: describeTab(tab) });
+  } catch (error) {
+    console.error(`Error fetching tab ${addedTabId}:`, error.message);
+  }
+});
+
+/**
+ * Track the main-frame navigation of every tab (HTTP status, redirects, load state) and the requests
+ * still in flight, so open-tab and navigate can wait for a load state.
+ */
+chrome.webRequest.onBeforeRequest.addListener((details) => {
+  if (details.tabId < 0) return;
+  if (details.type === "main_frame") {
+    let record = tabNavigations.get(details.tabId);
+    // Redirects keep their requestId; any other main-frame request starts a new navigation
+    if (!record || (!record.pending && record.requestId !== details.requestId)) {
+      record = createNavigationRecord();
+      tabNavigations.set(details.tabId, record);
+    }
+    record.pending = false;
+    record.requestId = details.requestId;
+    record.url = details.url;
+  }
+
+  const record = tabNavigations.get(details.tabId);
+  if (record) {
+    record.inflightRequests.add(details.requestId);
+    record.lastNetworkActivity = Date.now();
+  }
+}, { urls: ["<all_urls>"] });
+
+chrome.webRequest.onBeforeRedirect.addListener((details) => {
+  const record = tabNavigations.get(details.tabId);
+  if (record && details.type === "main_frame" && record.requestId === details.requestId) {
+    record.redirectChain.push({ url: details.url, status: details.statusCode, location: details.redirectUrl });
+  }
+}, { urls: ["<all_urls>"] });
+
+function endTrackedRequest(details, error) {
+  const record = tabNavigations.get(details.tabId);
+  if (!record) return;
+  record.inflightRequests.delete(details.requestId);
+  record.lastNetworkActivity = Date.now();
+  if (details.type === "main_frame" && record.requestId === details.requestId) {
+    record.url = details.url;
+    if (error) {
+      record.error = error;
+    } else {
+      record.statusCode = details.statusCode;
     }
-    // Report the moved tab to the server
-    const autoTaskId = `auto-move-${tabId}-${Date.now()}`;
-    debouncedReportResult(autoTaskId, { tabId: tab.id, windowId: tab.windowId, url: tab.url });
+  }
+}
+
+chrome.webRequest.onCompleted.addListener((details) => endTrackedRequest(details, null), { urls: ["<all_urls>"] });
+chrome.webRequest.onErrorOccurred.addListener((details) => endTrackedRequest(details, details.error), { urls: ["<all_urls>"] });
+
+chrome.webNavigation.onCommitted.addListener((details) => {
+  if (details.frameId !== 0) return;
+  let record = tabNavigations.get(details.tabId);
+  // Navigations without a network request (e.g. data: URLs, history navigations served from cache)
+  if (!record || record.loaded) {
+    record = createNavigationRecord();
+    tabNavigations.set(details.tabId, record);
+  }
+  record.pending = false;
+  record.url = details.url;
+});
+
+chrome.webNavigation.onDOMContentLoaded.addListener((details) => {
+  const record = tabNavigations.get(details.tabId);
+  if (record && details.frameId === 0) record.domContentLoaded = true;
+});
+
+chrome.webNavigation.onCompleted.addListener((details) => {
+  const record = tabNavigations.get(details.tabId);
+  if (record && details.frameId === 0) {
+    record.domContentLoaded = true;
+    record.loaded = true;
+  }
+});
+
+chrome.webNavigation.onErrorOccurred.addListener((details) => {
+  const record = tabNavigations.get(details.tabId);
+  if (record && details.frameId === 0 && !record.loaded) record.error = details.error;
+});
+
+// Same-document navigations (fragments, history.pushState) are complete as soon as they happen
+function completeSameDocumentNavigation(details) {
+  const record = tabNavigations.get(details.tabId);
+  if (!record || details.frameId !== 0 || !record.pending) return;
+  Object.assign(record, { pending: false, url: details.url, domContentLoaded: true, loaded: true });
+}
+
+chrome.webNavigation.onReferenceFragmentUpdated.addListener(completeSameDocumentNavigation);
+chrome.webNavigation.onHistoryStateUpdated.addListener(completeSameDocumentNavigation);
+
+/**
+ * Record the requests of tabs with a running network capture. A redirect ends the entry of its request;
+ * the request to the new location fires onBeforeRequest again with the same requestId.
+ */
+chrome.webRequest.onBeforeRequest.addListener((details) => {
+  const capture = networkCaptures.get(details.tabId);
+  if (!capture || (capture.urlFilter && !capture.urlFilter.test(details.url))) return;
+  if (capture.entries.length + capture.pending.size >= capture.maxEntries) {
+    capture.truncated = true;
+    return;
+  }
+  capture.pending.set(details.requestId, {
+    startedAt: details.timeStamp,
+    method: details.method,
+    url: details.url,
+    type: details.type,
+    headers: [],
+    postData: details.requestBody ? toHarPostData(details.requestBody) : undefined,
   });
+}, { urls: ["<all_urls>"] }, ["requestBody"]);
+
+chrome.webRequest.onSendHeaders.addListener((details) => {
+  const capture = networkCaptures.get(details.tabId);
+  const request = capture && capture.pending.get(details.requestId);
+  if (!request) return;
+  request.sentAt = details.timeStamp;
+  request.headers = toHarHeaders(details.requestHeaders);
+}, { urls: ["<all_urls>"] }, ["requestHeaders", "extraHeaders"]);
+
+chrome.webRequest.onResponseStarted.addListener((details) => {
+  const capture = networkCaptures.get(details.tabId);
+  const request = capture && capture.pending.get(details.requestId);
+  if (request) request.respondedAt = details.timeStamp;
+}, { urls: ["<all_urls>"] });
+
+chrome.webRequest.onBeforeRedirect.addListener((details) => {
+  finishCapturedRequest(details, { redirectURL: details.redirectUrl });
+}, { urls: ["<all_urls>"] }, ["responseHeaders", "extraHeaders"]);
+chrome.webRequest.onCompleted.addListener((details) => finishCapturedRequest(details), { urls: ["<all_urls>"] }, ["responseHeaders", "extraHeaders"]);
+chrome.webRequest.onErrorOccurred.addListener((details) => finishCapturedRequest(details, { error: details.error }), { urls: ["<all_urls>"] });
+
+/**
+ * Answer the requests paused in tabs with mock rules and collect the log entries of subscribed tabs.
+ * The debugger detaches when the tab closes or the user cancels the debugging infobar; the tab is then
+ * no longer mocked nor logged.
+ */
+chrome.debugger.onEvent.addListener((source, method, params) => {
+  if (method === "Fetch.requestPaused" && isDebuggerUsedFor(source.tabId, "mock")) {
+    answerPausedRequest(source.tabId, params);
+    return;
+  }
+  const types = logCaptures.get(source.tabId);
+  const entry = types ? toLogEntry(source.tabId, method, params) : null;
+  if (entry && types.has(entry.type)) queueLogEntry(entry);
+});
+
+chrome.debugger.onDetach.addListener((source, reason) => {
+  const uses = debuggerUses.get(source.tabId);
+  if (!uses) return;
+  debuggerUses.delete(source.tabId);
+  logCaptures.delete(source.tabId);
+  console.warn(`Debugger detached from tab ${source.tabId} (${reason}); ended its uses: ${[...uses].join(", ")}.`);
 });
 
 /**
- * Listen to window creation and removal events if needed.
- * Currently, window events are handled via tab events.
+ * Listen to window events to report window state, bounds and focus in real-time.
  */
 chrome.windows.onCreated.addListener((window) => {
   console.log(`Window created: ID=${window.id}, Type=${window.type}`);
-  // Optionally, report this to the server
+  queueTabEvent("window-created", { window: describeWindow(window) });
 });
 
 chrome.windows.onRemoved.addListener((windowId) => {
   console.log(`Window closed: ID=${windowId}`);
-  // Optionally, handle cleanup or report to the server
+  queueTabEvent("window-closed", { windowId });
+});
+
+chrome.windows.onBoundsChanged.addListener((window) => {
+  queueTabEvent("window-updated", { window: describeWindow(window) });
+});
+
+chrome.windows.onFocusChanged.addListener((windowId) => {
+  // WINDOW_ID_NONE (-1) means no browser window has the focus
+  queueTabEvent("window-focused", { windowId });
+});
+
+/**
+ * Listen to tab group events to report group titles, colors and collapsed state in real-time.
+ * Tabs joining or leaving a group are reported through chrome.tabs.onUpdated (groupId).
+ */
+chrome.tabGroups.onCreated.addListener((group) => {
+  queueTabEvent("group-created", { group: describeGroup(group) });
+});
+
+chrome.tabGroups.onUpdated.addListener((group) => {
+  queueTabEvent("group-updated", { group: describeGroup(group) });
+});
+
+// A group moved to another window keeps its ID
+chrome.tabGroups.onMoved.addListener((group) => {
+  queueTabEvent("group-updated", { group: describeGroup(group) });
+});
+
+chrome.tabGroups.onRemoved.addListener((group) => {
+  queueTabEvent("group-removed", { groupId: group.id });
+});
+
+// Connect whenever the service worker starts, including after MV3 suspensions
+restorePendingReports();
+restoreNetworkRules();
+authTokenReady.then(() => {
+  if (!authToken) {
+    console.warn("Extension is not paired with the API. Enter a pairing code on the options page.");
+  }
+  connectSocket();
 });
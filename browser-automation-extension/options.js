@@ -0,0 +1,44 @@
+// options.js
+
+const AUTH_TOKEN_KEY = "authToken";
+const statusElement = document.getElementById("status");
+
+function showStatus(message) {
+  statusElement.textContent = message;
+}
+
+// Show whether the extension already holds credentials
+async function refreshStatus() {
+  const { [AUTH_TOKEN_KEY]: token } = await chrome.storage.local.get(AUTH_TOKEN_KEY);
+  showStatus(token ? "Credentials saved. The extension is connecting to the API." : "Not paired with the API.");
+}
+
+// Pairing runs in the service worker, which knows the API URL and the client ID
+document.getElementById("pair").addEventListener("click", async () => {
+  const code = document.getElementById("pairing-code").value.trim();
+  if (!code) {
+    showStatus("Enter a pairing code.");
+    return;
+  }
+  showStatus("Pairing...");
+  const response = await chrome.runtime.sendMessage({ type: "pair", code });
+  showStatus(response.success ? "Paired successfully." : `Pairing failed: ${response.error}`);
+});
+
+document.getElementById("save-secret").addEventListener("click", async () => {
+  const secret = document.getElementById("shared-secret").value;
+  if (!secret) {
+    showStatus("Enter the shared secret.");
+    return;
+  }
+  await chrome.storage.local.set({ [AUTH_TOKEN_KEY]: secret });
+  document.getElementById("shared-secret").value = "";
+  showStatus("Shared secret saved.");
+});
+
+document.getElementById("forget").addEventListener("click", async () => {
+  await chrome.storage.local.remove(AUTH_TOKEN_KEY);
+  refreshStatus();
+});
+
+refreshStatus();